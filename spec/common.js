@@ -4,16 +4,29 @@
   var path = require('path'),
     os = require('os'),
     shell = require('shelljs'),
-    Monaca = require(path.join(__dirname, '..', 'src', 'monaca'));
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer'));
 
-  var USERNAME = process.env.MONACA_TEST_EMAIL,
-    PASSWORD = process.env.MONACA_TEST_PASSWORD;
+  // Tests run against the mock server unless the credentials of a Monaca account are given.
+  var live = !!(process.env.MONACA_TEST_EMAIL && process.env.MONACA_TEST_PASSWORD);
 
-  if (!USERNAME || !PASSWORD) {
-    throw new Error('Must define email and password using evironment variables MONACA_TEST_EMAIL and MONACA_TEST_PASSWORD to run tests!');
+  var USERNAME = live ? process.env.MONACA_TEST_EMAIL : MockServer.DEFAULT_EMAIL,
+    PASSWORD = live ? process.env.MONACA_TEST_PASSWORD : MockServer.DEFAULT_PASSWORD;
+
+  var mockServer = live ? null : new MockServer();
+
+  if (mockServer) {
+    mockServer.addProject({ name: 'Test project' }, {
+      '/.monaca/project_info.json': JSON.stringify({ framework_version: '5.0', cordova_version: '7.1' }),
+      '/www/index.html': '<html><body>Test project</body></html>'
+    });
   }
 
-  var monaca = new Monaca(null, { debug: true} );
+  var monaca = new Monaca({
+    debug: live,
+    transport: mockServer ? mockServer.transport : undefined,
+    credentialStore: 'memory'
+  });
 
   var login = function() {
     var loggedIn = false;
@@ -49,6 +62,7 @@
 
   module.exports = {
     monaca: monaca,
+    mockServer: mockServer,
     login: login,
     username: USERNAME,
     password: PASSWORD,
@@ -0,0 +1,98 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    http = require('http'),
+    Q = require('q'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    common = require(path.join(__dirname, 'common'));
+
+  describe('Access token', function() {
+    var server, requests, status, body;
+
+    beforeEach(function(done) {
+      requests = [];
+      status = 200;
+      body = '{"status":"ok"}';
+
+      server = http.createServer(function(req, res) {
+        requests.push(req);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(body);
+      });
+      server.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(function(done) {
+      server.close(done);
+    });
+
+    var createClient = function(options) {
+      return new Monaca('http://127.0.0.1:' + server.address().port + '/api', options);
+    };
+
+    it('should authenticate requests with the access token', function(done) {
+      var monaca = createClient({ accessToken: 'ci-token', retry: false });
+
+      monaca.prepareSession().then(
+        function() {
+          return monaca._get('/user/info');
+        }
+      ).then(
+        function() {
+          expect(requests.length).toBe(1);
+          expect(requests[0].headers.authorization).toBe('Bearer ci-token');
+          expect(requests[0].headers.cookie).toBeUndefined();
+          expect(requests[0].url).not.toContain('api_token');
+        }
+      ).then(done, done);
+    });
+
+    it('should reject with an AccessTokenError when the token expired', function(done) {
+      var monaca = createClient({ accessToken: 'ci-token', retry: false }),
+        relogins = 0;
+
+      status = 401;
+      body = '{"status":"error","message":"Token expired"}';
+      monaca.relogin = function() {
+        relogins++;
+        return Q.resolve();
+      };
+
+      monaca._get('/user/info').then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.AccessTokenError).toBe(true);
+          expect(error instanceof errors.AuthError).toBe(true);
+          expect(error.code).toBe('ACCESS_TOKEN_REJECTED');
+          expect(error.reason).toBe('expired');
+          expect(relogins).toBe(0);
+        }
+      ).then(done, done);
+    });
+
+    it('should not write anything to disk', function(done) {
+      var profile = 'spec-' + common.randomString(),
+        monaca = createClient({ accessToken: 'ci-token', profile: profile });
+
+      monaca.setData({ 'trackId': 'track', 'reloginToken': 'relogin' }).then(
+        function() {
+          expect(monaca.getData('trackId')).toBe('track');
+          expect(fs.existsSync(path.join(monaca.userCordova, 'profiles', profile))).toBe(false);
+
+          return monaca.login('my@email.com', 'password');
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ValidationError).toBe(true);
+        }
+      ).then(done, done);
+    });
+  });
+})();
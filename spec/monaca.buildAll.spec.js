@@ -0,0 +1,115 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors'));
+
+  describe('Multi-platform builds', function() {
+    var server, monaca, project;
+
+    beforeEach(function(done) {
+      server = new MockServer({
+        buildPolls: 2,
+        buildStatus: function(build) {
+          return build.purpose === 'debugger' ? 'failed' : 'finish';
+        }
+      });
+      project = server.addProject({ name: 'App' });
+      monaca = new Monaca({ transport: server.transport, credentialStore: 'memory', accessToken: false, buildWatch: { interval: 10 } });
+
+      monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD).then(done, done);
+    });
+
+    var requests = function(pattern) {
+      return server.requests.filter(function(request) {
+        return pattern.test(request.path);
+      });
+    };
+
+    it('should build every target and distribute the successful ones', function(done) {
+      var progress = [];
+
+      monaca.buildAll(project.projectId, [
+        { platform: 'android', purpose: 'release', distribute: { alias: 'store', service: 'GooglePlay' } },
+        { platform: 'ios', purpose: 'adhoc', distribute: { alias: 'testers', service: 'DeployGate' } },
+        { name: 'ios-debug', platform: 'ios', purpose: 'debugger', distribute: { alias: 'testers', service: 'DeployGate' } }
+      ]).progress(
+        function(value) {
+          progress.push(value);
+        }
+      ).then(
+        function(results) {
+          expect(Object.keys(results)).toEqual(['android-release', 'ios-adhoc', 'ios-debug']);
+
+          expect(results['android-release'].ok).toBe(true);
+          expect(results['android-release'].stage).toBe('distribute');
+          expect(results['android-release'].build.binary_name).toBe('app-release.apk');
+          expect(results['android-release'].distribution).toEqual({ alias: 'store', service: 'GooglePlay' });
+          expect(results['ios-adhoc'].ok).toBe(true);
+          expect(results['ios-adhoc'].distribution.service).toBe('DeployGate');
+
+          expect(results['ios-debug'].ok).toBe(false);
+          expect(results['ios-debug'].stage).toBe('build');
+          expect(results['ios-debug'].error instanceof errors.BuildError).toBe(true);
+          expect(results['ios-debug'].error.buildId).toBe(results['ios-debug'].queueId);
+          expect(results['ios-debug'].distribution).toBe(null);
+
+          expect(requests(/\/distribute$/).length).toBe(2);
+          expect(progress.filter(function(value) {
+            return value.target === 'ios-adhoc' && value.stage === 'build';
+          }).length).toBeGreaterThan(1);
+        }
+      ).then(done, done);
+    });
+
+    it('should validate every target before building', function(done) {
+      var canBuild = server._canBuild;
+
+      server._canBuild = function() {
+        var response = canBuild.apply(this, arguments),
+          body = JSON.parse(response.body);
+
+        body.result.ios.has_remaining_slot = false;
+        response.body = JSON.stringify(body);
+
+        return response;
+      };
+
+      monaca.buildAll(project.projectId, [
+        { platform: 'android' },
+        { platform: 'ios' }
+      ]).then(
+        function(results) {
+          expect(results['android-debug'].ok).toBe(true);
+          expect(results['ios-debug'].ok).toBe(false);
+          expect(results['ios-debug'].stage).toBe('validate');
+          expect(results['ios-debug'].error instanceof errors.QuotaError).toBe(true);
+          expect(results['ios-debug'].queueId).toBe(null);
+
+          var builds = requests(/\/build$/);
+          expect(builds.length).toBe(1);
+          expect(builds[0].form.platform).toBe('android');
+
+          // The builds started after both targets were checked.
+          expect(server.requests.indexOf(builds[0])).toBeGreaterThan(server.requests.indexOf(requests(/can_build_app$/)[1]));
+        }
+      ).then(done, done);
+    });
+
+    it('should reject targets specified twice', function(done) {
+      monaca.buildAll(project.projectId, [
+        { platform: 'android' },
+        { platform: 'android', purpose: 'debug' }
+      ]).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ValidationError).toBe(true);
+          expect(requests(/can_build_app$/).length).toBe(0);
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,313 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    http = require('http'),
+    Q = require('q'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    common = require(path.join(__dirname, 'common'));
+
+  describe('Build artifacts', function() {
+    var server, monaca, project, cacheDir, destDir;
+
+    beforeEach(function(done) {
+      server = new MockServer({ buildPolls: 0 });
+      project = server.addProject({ name: 'App' });
+      cacheDir = path.join(common.tmpDir, common.randomString());
+      destDir = path.join(common.tmpDir, common.randomString());
+      monaca = new Monaca({
+        transport: server.transport,
+        credentialStore: 'memory',
+        accessToken: false,
+        artifactCache: cacheDir
+      });
+
+      monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD).then(done, done);
+    });
+
+    var build = function(platform, purpose) {
+      return monaca.buildProject(project.projectId, { platform: platform, purpose: purpose }, true);
+    };
+
+    var downloads = function() {
+      return server.requests.filter(function(request) {
+        return /\/build\/download\//.test(request.path);
+      }).length;
+    };
+
+    it('should download, verify and cache build artifacts', function(done) {
+      var progress = [],
+        queueId;
+
+      build('android', 'debug').then(
+        function(id) {
+          queueId = id;
+          return monaca.downloadBuildArtifact(project.projectId, queueId, destDir);
+        }
+      ).progress(
+        function(value) {
+          progress.push(value);
+        }
+      ).then(
+        function(artifact) {
+          expect(artifact.cached).toBe(false);
+          expect(artifact.name).toBe('app-debug.apk');
+          expect(artifact.file).toBe(path.join(destDir, 'app-debug.apk'));
+          expect(artifact.platform).toBe('android');
+          expect(fs.readFileSync(artifact.file).toString()).toContain('MOCK ANDROID BUILD ' + queueId);
+          expect(progress.length).toBeGreaterThan(0);
+          expect(progress[progress.length - 1].bytesDownloaded).toBe(artifact.size);
+
+          return monaca.downloadBuildArtifact(project.projectId, queueId);
+        }
+      ).then(
+        function(artifact) {
+          expect(artifact.cached).toBe(true);
+          expect(path.dirname(artifact.file).indexOf(cacheDir)).toBe(0);
+          expect(downloads()).toBe(1);
+
+          return monaca.listBuildArtifacts({ projectId: project.projectId });
+        }
+      ).then(
+        function(artifacts) {
+          expect(artifacts.length).toBe(1);
+          expect(artifacts[0].buildId).toBe(queueId);
+          expect(artifacts[0].purpose).toBe('debug');
+        }
+      ).then(done, done);
+    });
+
+    it('should reject artifacts that don\'t match the build result', function(done) {
+      var buildDownload = server._buildDownload;
+
+      server._buildDownload = function() {
+        var response = buildDownload.apply(this, arguments);
+        response.body = new Buffer('tampered');
+        response.headers['content-length'] = String(response.body.length);
+        return response;
+      };
+
+      build('ios', 'release').then(
+        function(queueId) {
+          return monaca.downloadBuildArtifact(project.projectId, queueId, destDir);
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.IntegrityError).toBe(true);
+          expect(error.actual).toBe(8);
+          expect(fs.readdirSync(cacheDir)).toEqual([]);
+
+          return monaca.listBuildArtifacts();
+        }
+      ).then(
+        function(artifacts) {
+          expect(artifacts.length).toBe(0);
+        }
+      ).then(done, done);
+    });
+
+    it('should reject truncated artifacts of results without a checksum', function(done) {
+      var buildStatus = server._buildStatus,
+        buildDownload = server._buildDownload;
+
+      server._buildStatus = function() {
+        var response = buildStatus.apply(this, arguments),
+          body = JSON.parse(response.body);
+
+        delete body.result.binary_size;
+        delete body.result.binary_sha256;
+        response.body = JSON.stringify(body);
+
+        return response;
+      };
+
+      server._buildDownload = function() {
+        var response = buildDownload.apply(this, arguments);
+        response.body = response.body.slice(0, 100);
+        return response;
+      };
+
+      build('android', 'debug').then(
+        function(queueId) {
+          return monaca.downloadBuildArtifact(project.projectId, queueId, destDir);
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.IntegrityError).toBe(true);
+          expect(error.actual).toBe(100);
+          expect(error.expected).toBeGreaterThan(100);
+          expect(fs.readdirSync(cacheDir)).toEqual([]);
+        }
+      ).then(done, done);
+    });
+
+    it('should prune old artifacts', function(done) {
+      var queueIds = [];
+
+      var buildAndDownload = function(platform) {
+        return build(platform, 'debug').then(
+          function(queueId) {
+            queueIds.push(queueId);
+            return monaca.downloadBuildArtifact(project.projectId, queueId);
+          }
+        ).then(
+          function() {
+            // Artifacts are ordered by download time.
+            return Q.delay(10);
+          }
+        );
+      };
+
+      buildAndDownload('android').then(
+        function() {
+          return buildAndDownload('android');
+        }
+      ).then(
+        function() {
+          return buildAndDownload('ios');
+        }
+      ).then(
+        function() {
+          return monaca.pruneBuildArtifacts({ keep: 1 });
+        }
+      ).then(
+        function(removed) {
+          expect(removed.map(function(artifact) {
+            return artifact.buildId;
+          })).toEqual([queueIds[0]]);
+
+          return monaca.listBuildArtifacts();
+        }
+      ).then(
+        function(artifacts) {
+          expect(artifacts.map(function(artifact) {
+            return artifact.buildId;
+          })).toEqual([queueIds[2], queueIds[1]]);
+
+          return monaca.pruneBuildArtifacts({ maxAge: -1, platform: 'ios' });
+        }
+      ).then(
+        function(removed) {
+          expect(removed.length).toBe(1);
+          expect(fs.readdirSync(path.join(cacheDir, project.projectId))).toEqual(['android']);
+        }
+      ).then(done, done);
+    });
+  });
+
+  describe('Build artifacts from storage services', function() {
+    var server, storage, storageUrl, storageRequests, monaca, project, destDir;
+
+    var ARTIFACT = new Buffer(new Array(2049).join('STORED BUILD\n'));
+
+    // The build result points to the storage server, with or without size and checksum.
+    var useStorage = function(name, checked) {
+      var buildStatus = server._buildStatus;
+
+      server._buildStatus = function(request, projectId, step) {
+        var response = buildStatus.apply(this, arguments),
+          body = JSON.parse(response.body);
+
+        if (step === 'result') {
+          body.result.binary_url = storageUrl + '/' + name;
+          body.result.binary_name = name;
+          if (!checked) {
+            delete body.result.binary_size;
+            delete body.result.binary_sha256;
+          }
+          response.body = JSON.stringify(body);
+        }
+
+        return response;
+      };
+    };
+
+    var download = function() {
+      return monaca.buildProject(project.projectId, { platform: 'android' }, true).then(
+        function(queueId) {
+          return monaca.downloadBuildArtifact(project.projectId, queueId, destDir, { cache: false });
+        }
+      );
+    };
+
+    beforeEach(function(done) {
+      server = new MockServer({ buildPolls: 0 });
+      project = server.addProject({ name: 'App' });
+      destDir = path.join(common.tmpDir, common.randomString());
+      storageRequests = [];
+
+      storage = http.createServer(function(req, res) {
+        storageRequests.push(req);
+
+        if (req.url === '/app.apk') {
+          res.writeHead(200, { 'content-type': 'application/octet-stream', 'content-length': ARTIFACT.length });
+          return res.end(ARTIFACT);
+        }
+
+        // Sends half of the file, then drops the connection.
+        res.writeHead(200, { 'content-type': 'application/octet-stream', 'content-length': ARTIFACT.length });
+        res.write(ARTIFACT.slice(0, ARTIFACT.length / 2), function() {
+          setTimeout(function() {
+            req.socket.destroy();
+          }, 20);
+        });
+      });
+
+      Q.ninvoke(storage, 'listen', 0, '127.0.0.1').then(
+        function() {
+          storageUrl = 'http://127.0.0.1:' + storage.address().port;
+          return server.listen();
+        }
+      ).then(
+        function(apiRoot) {
+          monaca = new Monaca(apiRoot, { credentialStore: 'memory', accessToken: false, retry: false });
+          return monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD);
+        }
+      ).then(done, done);
+    });
+
+    afterEach(function(done) {
+      Q.ninvoke(storage, 'close').then(
+        function() {
+          return server.close();
+        }
+      ).then(done, done);
+    });
+
+    it('should not send credentials to other hosts', function(done) {
+      useStorage('app.apk', false);
+
+      download().then(
+        function(artifact) {
+          expect(fs.readFileSync(artifact.file).equals(ARTIFACT)).toBe(true);
+          expect(storageRequests.length).toBe(1);
+          expect(storageRequests[0].url).toBe('/app.apk');
+          expect(storageRequests[0].headers.cookie).toBeUndefined();
+          expect(storageRequests[0].headers.authorization).toBeUndefined();
+        }
+      ).then(done, done);
+    });
+
+    it('should reject interrupted downloads', function(done) {
+      useStorage('cut.apk', false);
+
+      download().then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.NetworkError).toBe(true);
+          expect(fs.existsSync(path.join(destDir, 'cut.apk'))).toBe(false);
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,180 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer')),
+    CancellationToken = require(path.join(__dirname, '..', 'src', 'monaca', 'cancellation')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors'));
+
+  describe('Build history and logs', function() {
+    var server, monaca, project;
+
+    var start = function(options) {
+      server = new MockServer(options);
+      project = server.addProject({ name: 'App' });
+      monaca = new Monaca({ transport: server.transport, credentialStore: 'memory', accessToken: false, buildWatch: { interval: 10 } });
+
+      return monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD);
+    };
+
+    var build = function(platform, purpose) {
+      return monaca.buildProject(project.projectId, { platform: platform, purpose: purpose }, true);
+    };
+
+    it('should list past builds newest first', function(done) {
+      var queueIds = [];
+
+      start({ buildPolls: 0 }).then(
+        function() {
+          return build('android', 'debug');
+        }
+      ).then(
+        function(queueId) {
+          queueIds.push(queueId);
+          return build('ios', 'release');
+        }
+      ).then(
+        function(queueId) {
+          queueIds.push(queueId);
+          return build('android', 'release');
+        }
+      ).then(
+        function(queueId) {
+          queueIds.push(queueId);
+          return monaca.getBuildHistory(project.projectId);
+        }
+      ).then(
+        function(builds) {
+          expect(builds.map(function(build) {
+            return build.queueId;
+          })).toEqual([queueIds[2], queueIds[1], queueIds[0]]);
+          expect(builds[0].status).toBe('finish');
+          expect(builds[0].description).toBe('Build completed');
+          expect(isNaN(Date.parse(builds[0].createdAt))).toBe(false);
+
+          return monaca.getBuildHistory(project.projectId, { platform: 'android', limit: 1 });
+        }
+      ).then(
+        function(builds) {
+          expect(builds.length).toBe(1);
+          expect(builds[0].queueId).toBe(queueIds[2]);
+
+          return monaca.getBuildLog(project.projectId, queueIds[0]);
+        }
+      ).then(
+        function(lines) {
+          expect(lines).toEqual(['Build queued.', 'BUILD SUCCESSFUL']);
+        }
+      ).then(done, done);
+    });
+
+    it('should stream log lines until the build finishes', function(done) {
+      var streamed = [];
+
+      start({ buildPolls: 3, buildStatus: 'failed' }).then(
+        function() {
+          return build('android', 'debug');
+        }
+      ).then(
+        function(queueId) {
+          return monaca.streamBuildLog(project.projectId, queueId);
+        }
+      ).progress(
+        function(line) {
+          streamed.push(line);
+        }
+      ).then(
+        function(result) {
+          expect(result.status).toBe('failed');
+          expect(result.lines).toEqual([
+            'Build queued.',
+            'Building android debug (step 1)',
+            'Building android debug (step 2)',
+            'BUILD FAILED: Build failed.'
+          ]);
+          expect(streamed).toEqual(result.lines);
+        }
+      ).then(done, done);
+    });
+
+    it('should follow builds on servers without build logs', function(done) {
+      start({ buildPolls: 2 }).then(
+        function() {
+          var handle = server.handle;
+
+          // The build never says it finished in the log.
+          server.handle = function(request) {
+            if (/\/build\/log\//.test(request.path)) {
+              return {
+                statusCode: 404,
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ status: 'error', code: 404, message: 'Not found.' })
+              };
+            }
+
+            return handle.apply(this, arguments);
+          };
+
+          return build('android', 'debug');
+        }
+      ).then(
+        function(queueId) {
+          return monaca.streamBuildLog(project.projectId, queueId);
+        }
+      ).then(
+        function(result) {
+          expect(result.status).toBe('finish');
+          expect(result.lines).toEqual([]);
+        }
+      ).then(done, done);
+    });
+
+    it('should notify build log lines while building', function(done) {
+      var progress = [];
+
+      start({ buildPolls: 2 }).then(
+        function() {
+          return monaca.buildProject(project.projectId, { platform: 'ios' });
+        }
+      ).progress(
+        function(value) {
+          progress.push(value);
+        }
+      ).then(
+        function(result) {
+          expect(result.status).toBe('finish');
+          expect(progress).toContain('Building');
+          expect(progress).toContain('Building ios debug (step 1)');
+          expect(progress[progress.length - 1]).toBe('BUILD SUCCESSFUL');
+        }
+      ).then(done, done);
+    });
+
+    it('should stop streaming when cancelled', function(done) {
+      var cancelToken = new CancellationToken();
+
+      start({ buildPolls: 100 }).then(
+        function() {
+          return build('ios', 'debug');
+        }
+      ).then(
+        function(queueId) {
+          return monaca.streamBuildLog(project.projectId, queueId, { cancelToken: cancelToken });
+        }
+      ).progress(
+        function(line) {
+          if (/step 2/.test(line)) {
+            cancelToken.cancel();
+          }
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.CancelledError).toBe(true);
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,167 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    common = require(path.join(__dirname, 'common'));
+
+  describe('Build profiles', function() {
+    var server, monaca, project, projectDir;
+
+    var writeProfiles = function(profiles) {
+      shell.mkdir('-p', path.join(projectDir, '.monaca'));
+      fs.writeFileSync(path.join(projectDir, '.monaca', 'build_profiles.json'), JSON.stringify(profiles));
+    };
+
+    beforeEach(function(done) {
+      server = new MockServer({ buildPolls: 1 });
+      project = server.addProject({ name: 'App' }, {
+        '/.monaca/project_info.json': '{"framework_version": "4.1"}',
+        '/www/index.html': '<html></html>'
+      });
+      projectDir = path.join(common.tmpDir, common.randomString());
+      monaca = new Monaca({ transport: server.transport, credentialStore: 'memory', accessToken: false, buildWatch: { interval: 10 } });
+
+      monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD).then(
+        function() {
+          return monaca.cloneProject(project.projectId, projectDir);
+        }
+      ).then(
+        function() {
+          writeProfiles({
+            'android-release-playstore': {
+              description: 'Signed APK for Google Play',
+              platform: 'android',
+              purpose: 'release',
+              framework_version: '5.0',
+              distribute: { alias: 'playstore', service: 'GooglePlay', parameters: { track: 'beta' } }
+            },
+            'ios-debug': {
+              platform: 'ios'
+            },
+            'broken': {
+              platform: 'symbian',
+              distribute: { alias: 'testers' }
+            }
+          });
+        }
+      ).then(done, done);
+    });
+
+    it('should list the profiles of a project', function(done) {
+      monaca.getBuildProfiles(projectDir).then(
+        function(profiles) {
+          expect(profiles.map(function(profile) {
+            return profile.name;
+          })).toEqual(['android-release-playstore', 'ios-debug', 'broken']);
+          expect(profiles[0].description).toBe('Signed APK for Google Play');
+          expect(profiles[0].problems).toEqual([]);
+          expect(profiles[1].purpose).toBe('debug');
+          expect(profiles[2].problems.length).toBe(2);
+        }
+      ).then(done, done);
+    });
+
+    it('should upload, build and distribute with a profile', function(done) {
+      var stages = [];
+
+      fs.writeFileSync(path.join(projectDir, 'www', 'index.html'), '<html>changed</html>');
+
+      monaca.buildProfile(projectDir, 'android-release-playstore').progress(
+        function(progress) {
+          if (stages.indexOf(progress.stage) < 0) {
+            stages.push(progress.stage);
+          }
+        }
+      ).then(
+        function(result) {
+          expect(result.profile).toBe('android-release-playstore');
+          expect(result.projectId).toBe(project.projectId);
+          expect(result.build.binary_name).toBe('app-release.apk');
+          expect(result.distribution).toEqual({ alias: 'playstore', service: 'GooglePlay' });
+          expect(stages).toEqual(['upload', 'validate', 'build', 'distribute']);
+          expect(server.projects[project.projectId].files['/www/index.html'].toString()).toBe('<html>changed</html>');
+
+          var build = server.requests.filter(function(request) {
+            return /\/build$/.test(request.path);
+          })[0];
+
+          expect(build.form.framework_version).toBe('5.0');
+          expect(build.form.description).toBeUndefined();
+          expect(build.form.distribute).toBeUndefined();
+        }
+      ).then(done, done);
+    });
+
+    it('should use the framework version of the project unless the profile has one', function(done) {
+      monaca.buildProfile(projectDir, 'ios-debug').then(
+        function() {
+          var build = server.requests.filter(function(request) {
+            return /\/build$/.test(request.path);
+          })[0];
+
+          expect(build.form.framework_version).toBe('4.1');
+
+          fs.writeFileSync(path.join(projectDir, '.monaca', 'project_info.json'), '{}');
+          return monaca.getBuildProfiles(projectDir);
+        }
+      ).then(
+        function(profiles) {
+          expect(profiles[0].problems).toEqual([]);
+          expect(profiles[1].problems).toEqual(['"framework_version" is required when .monaca/project_info.json has none']);
+
+          return monaca.buildProfile(projectDir, 'ios-debug');
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ValidationError).toBe(true);
+          expect(error.message).toContain('"framework_version"');
+        }
+      ).then(done, done);
+    });
+
+    it('should reject unknown and invalid profiles', function(done) {
+      monaca.buildProfile(projectDir, 'missing').then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ValidationError).toBe(true);
+          expect(error.message).toContain('android-release-playstore, ios-debug, broken');
+
+          return monaca.buildProfile(projectDir, 'broken');
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ValidationError).toBe(true);
+          expect(error.message).toContain('"platform"');
+          expect(error.message).toContain('"distribute.service"');
+
+          fs.writeFileSync(path.join(projectDir, '.monaca', 'build_profiles.json'), '{');
+          return monaca.buildProfile(projectDir, 'ios-debug');
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ProjectStructureError).toBe(true);
+
+          // Nothing was uploaded or built.
+          expect(server.requests.filter(function(request) {
+            return /\/build$|\/file\/save$/.test(request.path);
+          }).length).toBe(0);
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,182 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    Q = require('q'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors'));
+
+  describe('Build watcher', function() {
+    var server, monaca, project, events;
+
+    var start = function(serverOptions, buildWatch) {
+      server = new MockServer(serverOptions);
+      project = server.addProject({ name: 'App' });
+      events = [];
+      monaca = new Monaca({
+        transport: server.transport,
+        credentialStore: 'memory',
+        accessToken: false,
+        retry: false,
+        buildWatch: buildWatch || { interval: 10 }
+      });
+
+      ['queued', 'building', 'finished', 'failed'].forEach(function(state) {
+        monaca.emitter.on('build:' + state, function(event) {
+          events.push(event.queueId + ':' + event.state);
+        });
+      });
+
+      return monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD);
+    };
+
+    var build = function(platform) {
+      return monaca.buildProject(project.projectId, { platform: platform }, true);
+    };
+
+    // Status responses of Monaca Cloud, one per poll.
+    var fakeStatuses = function(statuses) {
+      var client = Object.create(monaca);
+
+      client._post = function() {
+        return Q.resolve({ body: JSON.stringify({ result: statuses.shift() }) });
+      };
+
+      return client;
+    };
+
+    it('should watch several builds one poll at a time', function(done) {
+      var inFlight = 0,
+        maxInFlight = 0;
+
+      start({ buildPolls: 3 }).then(
+        function() {
+          return Q.all([build('android'), build('ios')]);
+        }
+      ).then(
+        function(queueIds) {
+          var post = monaca._post;
+
+          monaca._post = function() {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+
+            return post.apply(this, arguments).finally(function() {
+              inFlight--;
+            });
+          };
+
+          return Q.all(queueIds.map(function(queueId) {
+            return monaca.pollBuildStatus(project.projectId, queueId);
+          })).then(
+            function(descriptions) {
+              expect(descriptions).toEqual(['Build completed', 'Build completed']);
+              expect(maxInFlight).toBe(1);
+              expect(monaca._buildWatcher.size()).toBe(0);
+
+              queueIds.forEach(function(queueId) {
+                expect(events.filter(function(event) {
+                  return event.indexOf(queueId + ':') === 0;
+                })).toEqual([queueId + ':building', queueId + ':finished']);
+              });
+            }
+          );
+        }
+      ).then(done, done);
+    });
+
+    it('should tolerate transient failures', function(done) {
+      var failures = 2,
+        queueId;
+
+      start({ buildPolls: 2, buildStatus: 'failed' }).then(
+        function() {
+          var handle = server.handle;
+
+          server.handle = function(request) {
+            if (/\/build\/status\//.test(request.path) && failures-- > 0) {
+              return {
+                statusCode: 503,
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ status: 'error', code: 503, message: 'Service Unavailable' })
+              };
+            }
+
+            return handle.apply(this, arguments);
+          };
+
+          return build('android');
+        }
+      ).then(
+        function(id) {
+          queueId = id;
+          return monaca.pollBuildStatus(project.projectId, queueId);
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.BuildError).toBe(true);
+          expect(error.buildId).toBe(queueId);
+          expect(failures).toBe(-2);
+          expect(events).toEqual([queueId + ':building', queueId + ':failed']);
+
+          // Too many failures in a row.
+          failures = 10;
+          return build('ios').then(
+            function(id) {
+              return monaca.pollBuildStatus(project.projectId, id);
+            }
+          );
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ApiError).toBe(true);
+          expect(error.status).toBe(503);
+          expect(failures).toBe(5);
+        }
+      ).then(done, done);
+    });
+
+    it('should poll queued builds less often', function(done) {
+      var polledAt = [];
+
+      start({}, { interval: 20, backoff: 2, maxInterval: 80 }).then(
+        function() {
+          var client = fakeStatuses([
+            { finished: false, status: 'queued', description: 'Queued' },
+            { finished: false, status: 'queued', description: 'Queued' },
+            { finished: false, status: 'queued', description: 'Queued' },
+            { finished: false, status: 'process', description: 'Building' },
+            { finished: true, status: 'finish', description: 'Build completed' }
+          ]);
+
+          return client.pollBuildStatus('project', 'queue').progress(
+            function() {
+              polledAt.push(Date.now());
+            }
+          );
+        }
+      ).then(
+        function() {
+          var gaps = polledAt.slice(1).map(function(time, index) {
+            return time - polledAt[index];
+          });
+
+          // 40, 80 then 80 (the maximum) while queued, back to 20 once building.
+          expect(gaps.length).toBe(4);
+          expect(gaps[0]).toBeGreaterThan(30);
+          expect(gaps[1]).toBeGreaterThan(70);
+          expect(gaps[2]).toBeGreaterThan(70);
+          expect(gaps[2]).toBeLessThan(150);
+          expect(gaps[3]).toBeLessThan(60);
+          expect(events).toEqual(['queue:queued', 'queue:building', 'queue:finished']);
+        }
+      ).then(done, done);
+    });
+  });
+})();
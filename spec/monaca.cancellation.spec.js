@@ -0,0 +1,153 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    CancellationToken = require(path.join(__dirname, '..', 'src', 'monaca', 'cancellation')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    localProperties = require(path.join(__dirname, '..', 'src', 'monaca', 'localProperties')),
+    common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca;
+
+  describe('Cancellation', function() {
+    it('should reject guarded promises once cancelled', function(done) {
+      var token = new CancellationToken(),
+        cancelled = [];
+
+      var removeListener = token.onCancel(function() {
+        cancelled.push('removed');
+      });
+      token.onCancel(function(error) {
+        cancelled.push(error.code);
+      });
+      removeListener();
+
+      var guarded = token.guard(Q.defer().promise);
+      token.cancel('Stop.');
+
+      expect(token.isCancelled).toBe(true);
+      expect(cancelled).toEqual(['CANCELLED']);
+      expect(function() {
+        token.throwIfCancelled();
+      }).toThrow();
+
+      guarded.then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.CancelledError).toBe(true);
+          expect(error.message).toBe('Stop.');
+        }
+      ).then(done, done);
+    });
+
+    it('should abort requests in flight', function(done) {
+      var token = new CancellationToken(),
+        aborted = false;
+
+      // Request client that never answers.
+      var requestClient = function() {
+        setTimeout(token.cancel.bind(token), 0);
+
+        return {
+          abort: function() {
+            aborted = true;
+          }
+        };
+      };
+
+      monaca._request('GET', '/user/info', {}, requestClient, false, { cancelToken: token }).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.CancelledError).toBe(true);
+          expect(aborted).toBe(true);
+        }
+      ).then(done, done);
+    });
+
+    it('should stop downloading and leave the project untouched', function(done) {
+      var directory = path.join(common.tmpDir, common.randomString()),
+        client = Object.create(monaca),
+        token = new CancellationToken(),
+        started = [];
+
+      shell.mkdir('-p', path.join(directory, 'www'));
+      fs.writeFileSync(path.join(directory, 'www', 'index.html'), 'old');
+
+      client.getProjectFiles = function() {
+        var files = { '/www': { type: 'dir' } };
+
+        for (var i = 0; i < 10; i++) {
+          files['/www/file' + i + '.js'] = { type: 'file', hash: 'changed' };
+        }
+        files['/www/index.html'] = { type: 'file', hash: 'changed' };
+
+        return Q.resolve(files);
+      };
+
+      // The first download cancels the operation, the others hang until cancelled.
+      client.downloadFile = function(projectId, remotePath, localPath, options) {
+        started.push(remotePath);
+
+        shell.mkdir('-p', path.dirname(localPath));
+        fs.writeFileSync(localPath, 'new');
+
+        if (started.length === 1) {
+          token.cancel();
+          return Q.resolve(localPath);
+        }
+
+        return options.cancelToken.guard(Q.defer().promise);
+      };
+
+      localProperties.set(directory, 'project_id', 'project').then(
+        function() {
+          return client.downloadProject(directory, { cancelToken: token });
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.CancelledError).toBe(true);
+          expect(started.length).toBeLessThan(5);
+          expect(fs.readFileSync(path.join(directory, 'www', 'index.html'), 'utf8')).toBe('old');
+          expect(fs.existsSync(path.join(directory, 'www', 'file0.js'))).toBe(false);
+          expect(fs.existsSync(path.join(directory, '.monaca', 'transaction'))).toBe(false);
+        }
+      ).then(done, done);
+    });
+
+    it('should stop polling the build status', function(done) {
+      var client = Object.create(monaca),
+        token = new CancellationToken(),
+        polls = 0;
+
+      client._post = function() {
+        polls++;
+        token.cancel();
+        return Q.resolve({ body: JSON.stringify({ result: { finished: false, description: 'Building' } }) });
+      };
+
+      client.pollBuildStatus('project', 'queue', { cancelToken: token }).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.CancelledError).toBe(true);
+
+          // No more polls after cancelling.
+          return Q.delay(1500);
+        }
+      ).then(
+        function() {
+          expect(polls).toBe(1);
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,74 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    contentHash = require(path.join(__dirname, '..', 'src', 'monaca', 'contentHash')),
+    common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca;
+
+  describe('Content hashes', function() {
+    it('should compare with the strongest shared hash', function() {
+      // Same crc32 but different SHA-256, like a collision.
+      var a = { type: 'file', hash: 'aaaa', sha256: '1111' },
+        b = { type: 'file', hash: 'aaaa', sha256: '2222' },
+        c = { type: 'file', hash: 'aaaa' };
+
+      expect(contentHash.sharedAlgorithm(a, b)).toBe('sha256');
+      expect(contentHash.sameContent(a, b)).toBe(false);
+      expect(contentHash.sharedAlgorithm(a, c)).toBe('crc32');
+      expect(contentHash.sameContent(a, c)).toBe(true);
+      expect(contentHash.sameContent('aaaa', c)).toBe(true);
+      expect(contentHash.sameContent({}, c)).toBe(false);
+    });
+
+    it('should prefix fingerprints of stronger hashes', function() {
+      expect(contentHash.fingerprint({ hash: 'aaaa', sha256: '1111' })).toBe('sha256:1111');
+      expect(contentHash.fingerprint({ hash: 'aaaa' })).toBe('aaaa');
+      expect(contentHash.fingerprint(undefined)).toBeUndefined();
+    });
+
+    it('should only keep files whose strongest shared hash differs', function() {
+      var local = {
+          '/www': { type: 'dir' },
+          '/www/bundle.js': { type: 'file', hash: 'aaaa', sha256: '1111' },
+          '/www/index.html': { type: 'file', hash: 'bbbb', sha256: '3333' }
+        },
+        remote = {
+          '/www/bundle.js': { type: 'file', hash: 'aaaa', sha256: '2222' },
+          '/www/index.html': { type: 'file', hash: 'bbbb' }
+        };
+
+      monaca._filterFiles(local, remote);
+
+      expect(Object.keys(local)).toEqual(['/www/bundle.js']);
+    });
+
+    it('should reject unknown algorithms', function() {
+      expect(function() {
+        contentHash.algorithmsFor('md4');
+      }).toThrow();
+    });
+
+    it('should add SHA-256 hashes to local files in sha256 mode', function(done) {
+      var directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', path.join(directory, 'www'));
+      fs.writeFileSync(path.join(directory, 'www', 'index.html'), 'hello');
+
+      monaca.getLocalProjectFiles(directory, { hashAlgorithm: 'sha256' }).then(
+        function(files) {
+          expect(files['/www/index.html'].hash).toBe('3610a686');
+          expect(files['/www/index.html'].sha256).toBe('2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+          return monaca.getLocalProjectFiles(directory);
+        }
+      ).then(
+        function(files) {
+          expect(files['/www/index.html'].sha256).toBeUndefined();
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+  });
+})();
@@ -0,0 +1,137 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    EventEmitter = require('events'),
+    localProperties = require(path.join(__dirname, '..', 'src', 'monaca', 'localProperties')),
+    contentHash = require(path.join(__dirname, '..', 'src', 'monaca', 'contentHash')),
+    common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca;
+
+  describe('Continuous sync', function() {
+    var directory, client, remoteFiles, events;
+
+    var emptyResult = {
+      uploaded: [],
+      downloaded: [],
+      deletedLocal: [],
+      deletedRemote: [],
+      conflicts: []
+    };
+
+    beforeEach(function(done) {
+      directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', path.join(directory, 'www'));
+      fs.writeFileSync(path.join(directory, 'www', 'index.html'), 'local');
+
+      remoteFiles = {
+        '/www': { type: 'dir' }
+      };
+      events = [];
+
+      client = Object.create(monaca);
+      client.emitter = new EventEmitter();
+      client._continuousSyncs = {};
+
+      ['change', 'upload', 'download', 'complete'].forEach(function(name) {
+        client.emitter.on('sync:' + name, function(event) {
+          events.push(name + ' ' + (event.path || event.origin));
+        });
+      });
+
+      client.syncProject = function() {
+        return Q.resolve(emptyResult);
+      };
+      client.getProjectFiles = function() {
+        return Q.resolve(remoteFiles);
+      };
+      client.uploadFile = function(projectId, localPath, remotePath) {
+        remoteFiles[remotePath] = { type: 'file', hash: contentHash.digest(fs.readFileSync(localPath), 'crc32') };
+        return Q.resolve(remotePath);
+      };
+      client.downloadFile = function(projectId, remotePath, localPath) {
+        fs.writeFileSync(localPath, 'remote');
+        return Q.resolve(localPath);
+      };
+
+      localProperties.set(directory, 'project_id', 'project').then(done);
+    });
+
+    afterEach(function(done) {
+      client.stopContinuousSync(directory).then(done, function() {
+        done();
+      });
+    });
+
+    it('should upload local changes and download remote ones', function(done) {
+      var sync;
+
+      client.startContinuousSync(directory, { pollInterval: 0, snapshot: false }).then(
+        function(value) {
+          sync = value;
+          expect(sync.status).toBe('idle');
+
+          sync._onLocalChange('update', path.join(directory, 'www', 'index.html'));
+          sync._onLocalChange('update', path.join(directory, 'hooks', 'ignored.sh'));
+          return sync.flushLocalChanges();
+        }
+      ).then(
+        function(result) {
+          expect(result.uploaded).toEqual(['/www/index.html']);
+
+          remoteFiles['/www/app.js'] = { type: 'file', hash: 'new' };
+          return sync.pollRemote();
+        }
+      ).then(
+        function(result) {
+          expect(result.downloaded).toEqual(['/www/app.js']);
+          expect(fs.readFileSync(path.join(directory, 'www', 'app.js'), 'utf8')).toBe('remote');
+
+          // Nothing changed since the last poll.
+          return sync.pollRemote();
+        }
+      ).then(
+        function(result) {
+          expect(result).toBe(null);
+          expect(events).toEqual([
+            'complete initial',
+            'change /www/index.html',
+            'upload /www/index.html',
+            'complete local',
+            'change /www/app.js',
+            'download /www/app.js',
+            'complete remote'
+          ]);
+          return client.stopContinuousSync(directory);
+        }
+      ).then(
+        function() {
+          expect(sync.status).toBe('stopped');
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should not run twice for the same project', function(done) {
+      client.startContinuousSync(directory, { pollInterval: 0 }).then(
+        function() {
+          return client.startContinuousSync(directory);
+        }
+      ).then(
+        function() {
+          expect('second sync').toBe('rejected');
+        },
+        function(error) {
+          expect(error.message).toMatch(/already running/);
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+  });
+})();
@@ -0,0 +1,223 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    extend = require('extend'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    credentialStores = require(path.join(__dirname, '..', 'src', 'monaca', 'credentialStore')),
+    profiles = require(path.join(__dirname, '..', 'src', 'monaca', 'profiles')),
+    common = require(path.join(__dirname, 'common'));
+
+  describe('Credential stores', function() {
+    var directory;
+
+    var secrets = {
+      'reloginToken': 'relogin',
+      'x-monaca-param-api-token': 'api',
+      'x-monaca-param-session': 'session'
+    };
+
+    beforeEach(function() {
+      directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', directory);
+    });
+
+    it('should encrypt secrets with a key file', function(done) {
+      var file = path.join(directory, 'credentials.enc'),
+        keyFile = path.join(directory, 'credentials.key'),
+        store = new credentialStores.EncryptedFileCredentialStore({ file: file, keyFile: keyFile });
+
+      store.save(secrets).then(
+        function() {
+          expect(fs.readFileSync(file, 'utf8')).not.toContain('relogin');
+          expect(fs.statSync(file).mode & parseInt('077', 8)).toBe(0);
+          expect(fs.statSync(keyFile).mode & parseInt('077', 8)).toBe(0);
+          expect(new credentialStores.EncryptedFileCredentialStore({ file: file, keyFile: keyFile }).load()).toEqual(secrets);
+
+          return store.clear();
+        }
+      ).then(
+        function() {
+          expect(fs.existsSync(file)).toBe(false);
+          expect(store.load()).toEqual({});
+        }
+      ).then(done, done);
+    });
+
+    it('should move the key file from its former location', function(done) {
+      var file = path.join(directory, 'credentials.enc'),
+        legacyKeyFile = path.join(directory, 'credentials.key'),
+        keyFile = path.join(directory, 'keys', 'default.key');
+
+      new credentialStores.EncryptedFileCredentialStore({ file: file, keyFile: legacyKeyFile }).save(secrets).then(
+        function() {
+          var store = new credentialStores.EncryptedFileCredentialStore({ file: file, keyFile: keyFile, legacyKeyFile: legacyKeyFile });
+
+          expect(store.load()).toEqual(secrets);
+          expect(fs.existsSync(legacyKeyFile)).toBe(false);
+          expect(fs.statSync(keyFile).mode & parseInt('077', 8)).toBe(0);
+        }
+      ).then(done, done);
+    });
+
+    it('should not decrypt secrets with a wrong passphrase', function(done) {
+      var file = path.join(directory, 'credentials.enc');
+
+      new credentialStores.EncryptedFileCredentialStore({ file: file, passphrase: 'right' }).save(secrets).then(
+        function() {
+          expect(new credentialStores.EncryptedFileCredentialStore({ file: file, passphrase: 'right' }).load()).toEqual(secrets);
+          expect(function() {
+            new credentialStores.EncryptedFileCredentialStore({ file: file, passphrase: 'wrong' }).load();
+          }).toThrow();
+        }
+      ).then(done, done);
+    });
+
+    it('should read secrets from environment variables', function() {
+      var store = new credentialStores.EnvCredentialStore(null, {
+        MONACA_RELOGIN_TOKEN: 'relogin',
+        MONACA_API_TOKEN: 'api'
+      });
+
+      expect(store.load()).toEqual({ 'reloginToken': 'relogin', 'x-monaca-param-api-token': 'api' });
+    });
+
+    describe('OS keychain', function() {
+      var items, calls;
+
+      // secret-tool, keeping its items in memory.
+      var exec = function(command, args, input) {
+        var key = args.slice(-4).join(' ');
+
+        calls.push([command].concat(args).join(' '));
+
+        switch (args[0]) {
+          case 'store':
+            items[key] = input;
+            return '';
+          case 'lookup':
+            if (!items[key]) {
+              throw extend(new Error('Command failed'), { status: 1, stderr: '' });
+            }
+            return items[key] + '\n';
+          case 'clear':
+            delete items[key];
+            return '';
+        }
+      };
+
+      beforeEach(function() {
+        items = {};
+        calls = [];
+      });
+
+      it('should keep secrets in the keychain', function(done) {
+        var store = new credentialStores.KeychainCredentialStore({ platform: 'linux', account: 'work', exec: exec });
+
+        expect(store.load()).toEqual({});
+
+        store.save(secrets).then(
+          function() {
+            expect(calls[1]).toBe('secret-tool store --label=Monaca credentials (work) service monaca account work');
+            expect(JSON.stringify(items)).not.toContain('relogin');
+            expect(store.load()).toEqual(secrets);
+
+            return store.clear();
+          }
+        ).then(
+          function() {
+            expect(store.load()).toEqual({});
+          }
+        ).then(done, done);
+      });
+
+      it('should fail when the keychain refuses the request', function() {
+        var store = new credentialStores.KeychainCredentialStore({
+          platform: 'linux',
+          exec: function() {
+            throw extend(new Error('Command failed'), { status: 1, stderr: 'Cannot autolaunch D-Bus without X11 $DISPLAY' });
+          }
+        });
+
+        expect(function() {
+          store.load();
+        }).toThrow('The keychain refused the request: Cannot autolaunch D-Bus without X11 $DISPLAY');
+      });
+
+      it('should only be available with a supported tool', function() {
+        expect(credentialStores.KeychainCredentialStore.isAvailable('linux', {})).toBe(false);
+        expect(credentialStores.KeychainCredentialStore.isAvailable('win32', {})).toBe(false);
+      });
+
+      it('should move the secrets of the encrypted file to the keychain', function(done) {
+        var profile = 'keychain-' + common.randomString(),
+          files = profiles.files(common.monaca.userCordova, profile),
+          keychain = new credentialStores.KeychainCredentialStore({ platform: 'linux', account: profile, exec: exec }),
+          file = new credentialStores.EncryptedFileCredentialStore({ file: files.credentialsFile, keyFile: files.credentialsKeyFile });
+
+        file.save(secrets).then(
+          function() {
+            var monaca = new Monaca({
+              profile: profile,
+              credentialStore: function() {
+                return keychain;
+              }
+            });
+
+            expect(monaca.getData('reloginToken')).toBe('relogin');
+
+            // The move finishes in the background.
+            return Q.delay(50);
+          }
+        ).then(
+          function() {
+            expect(keychain.load()).toEqual(secrets);
+            expect(fs.existsSync(files.credentialsFile)).toBe(false);
+          }
+        ).then(done, done);
+      });
+    });
+
+    it('should emit credential errors instead of printing them', function(done) {
+      var monaca = new Monaca({
+        credentialStore: {
+          load: function() {
+            throw new Error('Unable to decrypt the credentials.');
+          }
+        }
+      });
+
+      monaca.emitter.once('credentials:error', function(event) {
+        expect(event.message).toBe('Unable to load the saved credentials, please log in again.');
+        expect(event.error instanceof Monaca.errors.MonacaError).toBe(true);
+        expect(event.error.message).toBe('Unable to decrypt the credentials.');
+        done();
+      });
+    });
+
+    it('should keep secrets out of monaca.json', function(done) {
+      var store = new credentialStores.MemoryCredentialStore(),
+        monaca = new Monaca({ credentialStore: store }),
+        dataFile = path.join(monaca.userCordova, 'monaca.json');
+
+      monaca.setData(secrets).then(
+        function() {
+          var data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+
+          expect(data.reloginToken).toBeUndefined();
+          expect(store.load()).toEqual(secrets);
+          expect(new Monaca({ credentialStore: store }).getData('reloginToken')).toBe('relogin');
+
+          return monaca.logout();
+        }
+      ).then(
+        function() {
+          expect(store.load()).toEqual({});
+          expect(monaca.getData('reloginToken')).toBe('');
+        }
+      ).then(done, done);
+    });
+  });
+})();
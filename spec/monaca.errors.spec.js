@@ -0,0 +1,178 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca;
+
+  // Request client answering every request with the given error or response.
+  var respondWith = function(error, statusCode, body, headers) {
+    return function(options, callback) {
+      callback(error, error ? undefined : { statusCode: statusCode, headers: headers || {} }, body);
+    };
+  };
+
+  describe('Errors', function() {
+    it('should have a stable code and keep the fields of parent classes', function() {
+      var error = new errors.QuotaError('Too many requests.', { status: 429, body: { status: 'error' }, retryAfter: 30 });
+
+      expect(error instanceof errors.QuotaError).toBe(true);
+      expect(error instanceof errors.ApiError).toBe(true);
+      expect(error instanceof errors.MonacaError).toBe(true);
+      expect(error instanceof Error).toBe(true);
+      expect(error.name).toBe('QuotaError');
+      expect(error.code).toBe('QUOTA_EXCEEDED');
+      expect(error.status).toBe(429);
+      expect(error.body).toEqual({ status: 'error' });
+      expect(error.retryAfter).toBe(30);
+      expect(error.stack).toContain('Too many requests.');
+    });
+
+    it('should normalize anything a promise was rejected with', function() {
+      var networkError = new Error('connect ECONNREFUSED');
+      networkError.code = 'ECONNREFUSED';
+
+      expect(errors.from(networkError) instanceof errors.NetworkError).toBe(true);
+      expect(errors.from(networkError).cause).toBe(networkError);
+      expect(errors.from('ETIMEDOUT').errno).toBe('ETIMEDOUT');
+      expect(errors.from(404) instanceof errors.NotFoundError).toBe(true);
+      expect(errors.from({ status: 'error', message: 'Oops.' }).message).toBe('Oops.');
+      expect(errors.from('Something failed.').message).toBe('Something failed.');
+      expect(errors.from(undefined) instanceof errors.MonacaError).toBe(true);
+
+      var authError = new errors.AuthError('Nope.');
+      expect(errors.from(authError)).toBe(authError);
+    });
+
+    it('should reject requests by HTTP status', function(done) {
+      var client = Object.create(monaca);
+      client.retryPolicy = { retries: 0 };
+
+      client._request('GET', '/project/x/file/tree', {}, respondWith(null, 404, 'Not Found')).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.NotFoundError).toBe(true);
+          expect(error.status).toBe(404);
+          expect(error.body).toBe(null);
+
+          return client._request('GET', '/user/info', {}, respondWith(null, 429, '{"status":"error","message":"Slow down."}', { 'retry-after': '5' }));
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.QuotaError).toBe(true);
+          expect(error.message).toBe('Slow down.');
+          expect(error.retryAfter).toBe(5);
+
+          var socketError = new Error('getaddrinfo ENOTFOUND');
+          socketError.code = 'ENOTFOUND';
+
+          return client._request('GET', '/user/info', {}, respondWith(socketError));
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.NetworkError).toBe(true);
+          expect(error.errno).toBe('ENOTFOUND');
+        }
+      ).then(done, done);
+    });
+
+    it('should reject public methods with typed errors', function(done) {
+      var directory = path.join(common.tmpDir, common.randomString());
+
+      monaca.getLocalProjectFiles(directory).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ProjectStructureError).toBe(true);
+          expect(error.code).toBe('PROJECT_STRUCTURE');
+
+          return monaca.checkBuildAvailability();
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ValidationError).toBe(true);
+          expect(error.code).toBe('INVALID_ARGUMENT');
+        }
+      ).then(done, done);
+    });
+
+    it('should reject with file system errors when files can\'t be written', function(done) {
+      var server = new MockServer(),
+        client = new Monaca({ transport: server.transport, credentialStore: 'memory', accessToken: false }),
+        project = server.addProject({ name: 'App' }, { '/www/index.html': 'index' }),
+        directory = path.join(common.tmpDir, common.randomString());
+
+      // A file where the directory of the download should be.
+      shell.mkdir('-p', directory);
+      fs.writeFileSync(path.join(directory, 'www'), 'not a directory');
+
+      client.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD).then(
+        function() {
+          return client.downloadFile(project.projectId, '/www/index.html', path.join(directory, 'www', 'index.html'));
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.FileSystemError).toBe(true);
+          expect(error.errno).toBe('ENOTDIR');
+
+          return client.createSnapshot(directory, { files: ['www/index.html'] });
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.FileSystemError).toBe(true);
+        }
+      ).then(done, done);
+    });
+
+    it('should throw typed errors for invalid arguments and responses', function() {
+      var thrown = function(fn) {
+        try {
+          fn();
+        } catch (error) {
+          return error;
+        }
+      };
+
+      expect(thrown(function() {
+        monaca.setConfig(123, 'value');
+      }) instanceof errors.ValidationError).toBe(true);
+
+      expect(thrown(function() {
+        monaca.getConfig();
+      }) instanceof errors.ValidationError).toBe(true);
+
+      var error = thrown(function() {
+        monaca._safeParse('<html>');
+      });
+
+      expect(error instanceof errors.ApiError).toBe(true);
+      expect(error.body).toBe('<html>');
+
+      expect(thrown(function() {
+        new Monaca({ hashAlgorithm: 'md5', credentialStore: 'memory' });
+      }) instanceof errors.IntegrityError).toBe(true);
+    });
+  });
+})();
@@ -0,0 +1,103 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    FileIndex = require(path.join(__dirname, '..', 'src', 'monaca', 'fileIndex')),
+    common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca;
+
+  describe('File index', function() {
+    var directory, file;
+
+    // Files modified just now are never cached.
+    var age = function(file) {
+      var past = new Date(Date.now() - 60000);
+      fs.utimesSync(file, past, past);
+    };
+
+    var fakeHash = function(key, hash) {
+      var index = new FileIndex(directory);
+      index.data.files[key].hashes.crc32 = hash;
+      index.dirty = true;
+      return index.save();
+    };
+
+    beforeEach(function() {
+      directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', path.join(directory, 'www'));
+      file = path.join(directory, 'www', 'index.html');
+      fs.writeFileSync(file, 'hello');
+      age(file);
+    });
+
+    it('should reuse the hash of unchanged files', function(done) {
+      monaca.getLocalProjectFiles(directory).then(
+        function(files) {
+          expect(files['/www/index.html'].hash).toBe('3610a686');
+          expect(files['/' + FileIndex.INDEX_FILE.split(path.sep).join('/')]).toBeUndefined();
+          return fakeHash('/www/index.html', 'cached');
+        }
+      ).then(
+        function() {
+          return monaca.getLocalProjectFiles(directory);
+        }
+      ).then(
+        function(files) {
+          expect(files['/www/index.html'].hash).toBe('cached');
+
+          fs.writeFileSync(file, 'hello world');
+          age(file);
+          return monaca.getLocalProjectFiles(directory);
+        }
+      ).then(
+        function(files) {
+          expect(files['/www/index.html'].hash).toBe('0d4a1185');
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should read files again once invalidated', function(done) {
+      monaca.getLocalProjectFiles(directory).then(
+        function() {
+          return fakeHash('/www/index.html', 'cached');
+        }
+      ).then(
+        function() {
+          return monaca.invalidateFileIndex(directory, ['www/index.html']);
+        }
+      ).then(
+        function() {
+          return monaca.getLocalProjectFiles(directory);
+        }
+      ).then(
+        function(files) {
+          expect(files['/www/index.html'].hash).toBe('3610a686');
+          expect(new FileIndex(directory).lookup('/www/index.html', fs.lstatSync(file))).toBe('3610a686');
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should forget removed files', function(done) {
+      monaca.getLocalProjectFiles(directory).then(
+        function() {
+          fs.unlinkSync(file);
+          return monaca.getLocalProjectFiles(directory);
+        }
+      ).then(
+        function() {
+          expect(new FileIndex(directory).data.files['/www/index.html']).toBeUndefined();
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+  });
+})();
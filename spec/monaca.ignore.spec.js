@@ -0,0 +1,87 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    IgnoreMatcher = require(path.join(__dirname, '..', 'src', 'monaca', 'ignore')),
+    common = require(path.join(__dirname, 'common'));
+
+  describe('IgnoreMatcher', function() {
+    var directory;
+
+    var writeIgnoreFile = function(dir, lines) {
+      shell.mkdir('-p', path.join(directory, dir));
+      fs.writeFileSync(path.join(directory, dir, '.monacaignore'), lines.join('\n'));
+    };
+
+    beforeEach(function() {
+      directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', directory);
+    });
+
+    it('should match basenames at any depth', function() {
+      writeIgnoreFile('', ['*.log', '# comment', '\\#hash']);
+      var matcher = new IgnoreMatcher(directory);
+
+      expect(matcher.ignores('www/debug.log', false)).toBe(true);
+      expect(matcher.ignores('www/app.js', false)).toBe(false);
+      expect(matcher.ignores('www/#hash', false)).toBe(true);
+      expect(matcher.ignores('# comment', false)).toBe(false);
+    });
+
+    it('should support negation', function() {
+      writeIgnoreFile('', ['*.js', '!keep.js']);
+      var matcher = new IgnoreMatcher(directory);
+
+      expect(matcher.ignores('www/app.js', false)).toBe(true);
+      expect(matcher.ignores('www/keep.js', false)).toBe(false);
+      expect(matcher.explain('www/keep.js', false).rule.negated).toBe(true);
+    });
+
+    it('should anchor rules with a leading slash', function() {
+      writeIgnoreFile('', ['/dist']);
+      var matcher = new IgnoreMatcher(directory);
+
+      expect(matcher.ignores('dist', true)).toBe(true);
+      expect(matcher.ignores('www/dist', true)).toBe(false);
+    });
+
+    it('should only match directories with a trailing slash', function() {
+      writeIgnoreFile('', ['build/']);
+      var matcher = new IgnoreMatcher(directory);
+
+      expect(matcher.ignores('www/build', true)).toBe(true);
+      expect(matcher.ignores('www/build', false)).toBe(false);
+      expect(matcher.ignores('www/build/app.js', false)).toBe(true);
+    });
+
+    it('should not include files again inside an ignored directory', function() {
+      writeIgnoreFile('', ['vendor/', '!vendor/keep.js']);
+      var result = new IgnoreMatcher(directory).explain('vendor/keep.js', false);
+
+      expect(result.ignored).toBe(true);
+      expect(result.ancestor).toBe('vendor');
+    });
+
+    it('should read nested ignore files relative to their directory', function() {
+      writeIgnoreFile('', ['*.tmp']);
+      writeIgnoreFile('www', ['/secret.js', '!important.tmp']);
+      var matcher = new IgnoreMatcher(directory);
+
+      expect(matcher.ignores('www/secret.js', false)).toBe(true);
+      expect(matcher.ignores('secret.js', false)).toBe(false);
+      expect(matcher.ignores('www/important.tmp', false)).toBe(false);
+      expect(matcher.ignores('www/other.tmp', false)).toBe(true);
+    });
+
+    it('should read included files', function() {
+      fs.writeFileSync(path.join(directory, 'team.ignore'), '*.psd\n');
+      writeIgnoreFile('', ['%include team.ignore']);
+      var result = new IgnoreMatcher(directory).explain('www/logo.psd', false);
+
+      expect(result.ignored).toBe(true);
+      expect(result.rule.source).toBe(path.join(directory, 'team.ignore'));
+      expect(result.rule.line).toBe(1);
+    });
+  });
+})();
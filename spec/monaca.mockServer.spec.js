@@ -0,0 +1,147 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    common = require(path.join(__dirname, 'common'));
+
+  describe('Mock server', function() {
+    var server, directory;
+
+    beforeEach(function() {
+      server = new MockServer();
+      directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', directory);
+    });
+
+    afterEach(function(done) {
+      server.close().then(done, done);
+    });
+
+    // Clients use the server in the same process unless they are given its API root.
+    var createClient = function(apiRoot) {
+      var options = { credentialStore: 'memory', accessToken: false, retry: false };
+
+      if (!apiRoot) {
+        options.transport = server.transport;
+      }
+
+      return new Monaca(apiRoot, options);
+    };
+
+    it('should serve the API over HTTP', function(done) {
+      var file = path.join(directory, 'index.html'),
+        monaca, projectId;
+
+      fs.writeFileSync(file, '<html></html>');
+
+      server.listen().then(
+        function(apiRoot) {
+          monaca = createClient(apiRoot);
+          return monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD);
+        }
+      ).then(
+        function() {
+          return monaca.createProject({ name: 'App', description: 'Mock' });
+        }
+      ).then(
+        function(result) {
+          projectId = result.projectId;
+          return monaca.uploadFile(projectId, file, '/www/index.html');
+        }
+      ).then(
+        function() {
+          return monaca.getProjectFiles(projectId);
+        }
+      ).then(
+        function(files) {
+          expect(files['/www'].type).toBe('dir');
+          expect(files['/www/index.html'].type).toBe('file');
+          expect(server.projects[projectId].files['/www/index.html'].toString()).toBe('<html></html>');
+
+          return monaca._deleteFileFromCloud(projectId, ['/www']);
+        }
+      ).then(
+        function() {
+          expect(Object.keys(server.projects[projectId].files)).toEqual([]);
+          return monaca.getConnectionStatus();
+        }
+      ).then(
+        function(status) {
+          expect(status).toBe('available');
+        }
+      ).then(done, done);
+    });
+
+    it('should upload big files in chunks', function(done) {
+      var file = path.join(directory, 'big.bin'),
+        data = new Buffer(2500),
+        monaca = createClient(),
+        project = server.addProject({ name: 'App' });
+
+      for (var i = 0; i < data.length; i++) {
+        data[i] = i % 256;
+      }
+      fs.writeFileSync(file, data);
+
+      monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD).then(
+        function() {
+          return monaca.uploadFile(project.projectId, file, '/www/big.bin', { chunkSize: 1000 });
+        }
+      ).then(
+        function() {
+          var chunks = server.requests.filter(function(request) {
+            return /\/file\/upload\/chunk$/.test(request.path);
+          });
+
+          expect(chunks.length).toBe(3);
+          expect(project.files['/www/big.bin'].equals(data)).toBe(true);
+
+          return monaca.downloadFile(project.projectId, '/www/big.bin', path.join(directory, 'copy.bin'));
+        }
+      ).then(
+        function(copy) {
+          expect(fs.readFileSync(copy).equals(data)).toBe(true);
+        }
+      ).then(done, done);
+    });
+
+    it('should require a session and let clients log in again', function(done) {
+      var monaca = createClient(),
+        project = server.addProject({ name: 'App' });
+
+      monaca.getProjects().then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.AuthError).toBe(true);
+
+          return monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD);
+        }
+      ).then(
+        function() {
+          server.expireSessions();
+          return monaca.buildProject(project.projectId, { platform: 'android' });
+        }
+      ).then(
+        function(result) {
+          expect(result.status).toBe('finish');
+          expect(result.platform).toBe('android');
+
+          return monaca.buildProject('missing', { platform: 'android' });
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.NotFoundError).toBe(true);
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,152 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    http = require('http'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    NetworkConfig = require(path.join(__dirname, '..', 'src', 'monaca', 'network')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    common = require(path.join(__dirname, 'common'));
+
+  describe('Network configuration', function() {
+    var directory;
+
+    beforeEach(function() {
+      directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', directory);
+    });
+
+    it('should resolve the proxy of each URL from the settings and the environment', function(done) {
+      var network = new NetworkConfig({ httpsProxy: 'http://secure-proxy:3128' }, {
+        HTTP_PROXY: 'http://proxy:8080',
+        no_proxy: 'intranet.example.com, .corp:8443'
+      });
+
+      Q.all([
+        network.resolveProxy('https://ide.monaca.mobi/api'),
+        network.resolveProxy('http://monaca.mobi/en/api'),
+        network.resolveProxy('http://wiki.intranet.example.com/'),
+        network.resolveProxy('https://build.corp:8443/'),
+        network.resolveProxy('https://build.corp/'),
+        network.resolveProxy('http://localhost:9222/json')
+      ]).then(
+        function(proxies) {
+          expect(proxies).toEqual([
+            'http://secure-proxy:3128',
+            'http://proxy:8080',
+            null,
+            null,
+            'http://secure-proxy:3128',
+            null
+          ]);
+        }
+      ).then(done, done);
+    });
+
+    it('should resolve the proxy with a PAC script', function(done) {
+      var pac = path.join(directory, 'proxy.pac');
+
+      fs.writeFileSync(pac, [
+        'function FindProxyForURL(url, host) {',
+        '  if (isPlainHostName(host) || dnsDomainIs(host, ".corp")) {',
+        '    return "DIRECT";',
+        '  }',
+        '  if (shExpMatch(url, "https://*.monaca.mobi/*")) {',
+        '    return "SOCKS socks:1080; PROXY monaca-proxy:8080";',
+        '  }',
+        '  return "PROXY proxy:8080; DIRECT";',
+        '}'
+      ].join('\n'));
+
+      var network = new NetworkConfig({ pac: pac }, {});
+
+      Q.all([
+        network.resolveProxy('https://ide.monaca.mobi/api'),
+        network.resolveProxy('http://build.corp/'),
+        network.resolveProxy('http://example.com/')
+      ]).then(
+        function(proxies) {
+          expect(proxies).toEqual(['http://monaca-proxy:8080', null, 'http://proxy:8080']);
+        }
+      ).then(done, done);
+    });
+
+    it('should run PAC scripts without access to Node.js', function(done) {
+      var pac = path.join(directory, 'escape.pac');
+
+      fs.writeFileSync(pac, [
+        'function FindProxyForURL(url, host) {',
+        '  var global = dnsDomainIs.constructor("return this")();',
+        '  if (typeof global.process !== "undefined" || typeof global.require !== "undefined") {',
+        '    return "PROXY leaked:8080";',
+        '  }',
+        '  return "PROXY " + myIpAddress() + ":8080";',
+        '}'
+      ].join('\n'));
+
+      new NetworkConfig({ pac: 'file://' + pac }, {}).resolveProxy('http://example.com/').then(
+        function(proxy) {
+          expect(proxy).toMatch(/^http:\/\/\d+\.\d+\.\d+\.\d+:8080$/);
+
+          return new NetworkConfig({ pac: 'http://wpad.example.com/proxy.pac' }, {}).resolveProxy('http://example.com/');
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ValidationError).toBe(true);
+        }
+      ).then(done, done);
+    });
+
+    it('should add CA bundles and client certificates to the request options', function(done) {
+      var ca = path.join(directory, 'corporate.pem'),
+        cert = path.join(directory, 'client.pem');
+
+      fs.writeFileSync(ca, 'CORPORATE CA');
+      fs.writeFileSync(cert, 'CLIENT CERT');
+
+      new NetworkConfig({ ca: ca, cert: cert, passphrase: 'secret', strictSSL: false }, {}).requestOptions('https://ide.monaca.mobi/api').then(
+        function(options) {
+          expect(options.proxy).toBe(null);
+          expect(options.ca).toContain('CORPORATE CA');
+          expect(options.ca.length).toBeGreaterThan(1);
+          expect(options.cert.toString()).toBe('CLIENT CERT');
+          expect(options.passphrase).toBe('secret');
+          expect(options.strictSSL).toBe(false);
+        }
+      ).then(done, done);
+    });
+
+    it('should send API requests through the proxy', function(done) {
+      var requests = [],
+        proxy = http.createServer(function(req, res) {
+          requests.push(req.url);
+          res.writeHead(200);
+          res.end('ok');
+        });
+
+      proxy.listen(0, '127.0.0.1', function() {
+        var monaca = new Monaca('http://ide.example.test/api', {
+          retry: false,
+          network: { proxy: 'http://127.0.0.1:' + proxy.address().port }
+        });
+
+        monaca._get('/user/info').then(
+          function(data) {
+            expect(data.body.toString()).toBe('ok');
+            expect(requests.length).toBe(1);
+            expect(requests[0]).toMatch(/^http:\/\/ide\.example\.test\/api\/user\/info/);
+          }
+        ).finally(
+          function() {
+            proxy.close();
+          }
+        ).then(done, done);
+      });
+    });
+  });
+})();
@@ -0,0 +1,218 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    EventEmitter = require('events').EventEmitter,
+    shell = require('shelljs'),
+    Q = require('q'),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    OfflineQueue = require(path.join(__dirname, '..', 'src', 'monaca', 'offlineQueue')),
+    ReadCache = require(path.join(__dirname, '..', 'src', 'monaca', 'readCache')),
+    common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca;
+
+  describe('Offline mode', function() {
+    var directory, client, online;
+
+    var networkError = function() {
+      return new errors.NetworkError('connect ECONNREFUSED', { errno: 'ECONNREFUSED' });
+    };
+
+    beforeEach(function() {
+      directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', directory);
+
+      var queue = new OfflineQueue(path.join(directory, 'queue.json')),
+        cache = new ReadCache(path.join(directory, 'cache'));
+
+      online = false;
+      client = Object.create(monaca);
+      client.offline = { maxAge: 60 * 1000, pollInterval: 60 * 1000 };
+      client._getOfflineQueue = function() {
+        return queue;
+      };
+      client._getReadCache = function() {
+        return cache;
+      };
+      client._watchConnectivity = function() {};
+    });
+
+    it('should queue operations while offline and replay them in order', function(done) {
+      var posts = [],
+        uploads = [];
+
+      client._post = function(resource) {
+        if (!online) {
+          return Q.reject(networkError());
+        }
+
+        posts.push(resource.replace(client.apiRoot, ''));
+        return Q.resolve({ body: JSON.stringify({ result: { projectId: 'new-project' } }) });
+      };
+
+      client.checkModifiedFiles = function(projectDir) {
+        return client.getProjectId(projectDir).then(
+          function(projectId) {
+            uploads.push(projectId);
+            return { filesToBeDeleted: {}, modifiedFiles: { uploaded: {} }, keys: [], projectId: projectId, localFiles: {}, remoteFiles: {} };
+          }
+        );
+      };
+
+      client.createProject({ name: 'App', projectDir: directory }).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.OfflineError).toBe(true);
+          expect(error.code).toBe('OFFLINE_QUEUED');
+          expect(error.operation.type).toBe('createProject');
+
+          // Queued behind the project creation without trying to upload.
+          return client.uploadProject(directory);
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.OfflineError).toBe(true);
+          expect(uploads.length).toBe(0);
+
+          return client.reportAnalytics({ event: 'create' }, 'value');
+        }
+      ).then(
+        function(value) {
+          expect(value).toBe('value');
+          expect(new OfflineQueue(path.join(directory, 'queue.json')).list().map(function(operation) {
+            return operation.type;
+          })).toEqual(['createProject', 'uploadProject', 'reportAnalytics']);
+
+          online = true;
+          return client.replayOfflineQueue();
+        }
+      ).then(
+        function(result) {
+          expect(result.replayed.length).toBe(3);
+          expect(result.failed.length).toBe(0);
+          expect(result.remaining).toBe(0);
+          expect(posts).toEqual(['/user/project/create', '/user/track']);
+          expect(uploads).toEqual(['new-project']);
+        }
+      ).then(done, done);
+    });
+
+    it('should stop replaying while still offline', function(done) {
+      client._post = function() {
+        return Q.reject(networkError());
+      };
+
+      client.createProject({ name: 'App' }).then(null,
+        function() {
+          return client.replayOfflineQueue();
+        }
+      ).then(
+        function(result) {
+          expect(result.replayed.length).toBe(0);
+          expect(result.remaining).toBe(1);
+        }
+      ).then(done, done);
+    });
+
+    it('should emit the errors of the automatic replay', function(done) {
+      var failure = new errors.FileSystemError('ENOSPC: no space left on device', { errno: 'ENOSPC' });
+
+      delete client._watchConnectivity;
+      client.emitter = new EventEmitter();
+      client.offline.pollInterval = 10;
+      client.getConnectionStatus = function() {
+        return Q.resolve('available');
+      };
+      client.replayOfflineQueue = function() {
+        return Q.reject(failure);
+      };
+
+      client.emitter.once('offline:error', function(error) {
+        clearInterval(client._connectivityTimer);
+        client._connectivityTimer = null;
+
+        expect(error).toBe(failure);
+        done();
+      });
+
+      client._watchConnectivity();
+    });
+
+    it('should emit the errors of cache writes', function(done) {
+      var failure = new errors.FileSystemError('ENOSPC: no space left on device', { errno: 'ENOSPC' });
+
+      client.emitter = new EventEmitter();
+      client._getReadCache().set = function() {
+        return Q.reject(failure);
+      };
+      client._get = function() {
+        return Q.resolve({ body: JSON.stringify({ result: { items: [{ name: 'App' }] } }) });
+      };
+
+      client.emitter.once('offline:error', function(error) {
+        expect(error).toBe(failure);
+        done();
+      });
+
+      client.getProjects().then(
+        function(projects) {
+          expect(projects).toEqual([{ name: 'App' }]);
+        },
+        function(error) {
+          expect(error).toBeUndefined();
+        }
+      );
+    });
+
+    it('should serve read calls from the cache with staleness metadata', function(done) {
+      var events = [];
+
+      client.emitter = new (require('events'))();
+      client.emitter.on('offline:cache', function(info) {
+        events.push(info);
+      });
+      client._get = function() {
+        return online ?
+          Q.resolve({ body: JSON.stringify({ result: { items: [{ name: 'App' }] } }) }) :
+          Q.reject(networkError());
+      };
+
+      online = true;
+      client.getProjects().then(
+        function(projects) {
+          expect(projects.cacheInfo).toBeUndefined();
+
+          online = false;
+          return client.getProjects();
+        }
+      ).then(
+        function(projects) {
+          expect(projects).toEqual([{ name: 'App' }]);
+          expect(projects.cacheInfo.stale).toBe(false);
+          expect(events.length).toBe(1);
+
+          client.offline = { maxAge: -1 };
+          return client.getProjects();
+        }
+      ).then(
+        function(projects) {
+          expect(projects.cacheInfo.stale).toBe(true);
+
+          return client.getTemplates();
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          // Nothing cached yet.
+          expect(error instanceof errors.NetworkError).toBe(true);
+        }
+      ).then(done, done);
+    });
+  });
+})();
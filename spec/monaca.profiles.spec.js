@@ -0,0 +1,151 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    credentialStores = require(path.join(__dirname, '..', 'src', 'monaca', 'credentialStore')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    common = require(path.join(__dirname, 'common'));
+
+  describe('Profiles', function() {
+    var profile, profileDir, stores;
+
+    // One memory store per profile.
+    var storeOf = function(name) {
+      stores[name] = stores[name] || new credentialStores.MemoryCredentialStore();
+      return stores[name];
+    };
+
+    beforeEach(function() {
+      profile = 'spec-' + common.randomString();
+      stores = {};
+    });
+
+    afterEach(function() {
+      if (profileDir) {
+        shell.rm('-rf', profileDir);
+      }
+    });
+
+    it('should keep tokens and the API endpoint of each profile apart', function(done) {
+      var monaca = new Monaca({ profile: profile, credentialStore: storeOf });
+
+      profileDir = path.join(monaca.userCordova, 'profiles', profile);
+
+      monaca.setAPIConfig('onprem.example.com').then(
+        function() {
+          return monaca.setData({ 'reloginToken': 'work-token' });
+        }
+      ).then(
+        function() {
+          expect(fs.existsSync(path.join(profileDir, 'monaca.json'))).toBe(true);
+          expect(fs.existsSync(path.join(profileDir, 'monaca_config.json'))).toBe(true);
+
+          var other = new Monaca({ profile: profile, credentialStore: storeOf });
+          expect(other.apiRoot).toBe('https://ide.onprem.example.com/api');
+          expect(other.getData('reloginToken')).toBe('work-token');
+
+          return monaca.useProfile('default', { persist: false });
+        }
+      ).then(
+        function() {
+          expect(monaca.profile).toBe('default');
+          expect(monaca.getData('reloginToken')).toBeFalsy();
+          expect(monaca.apiRoot).not.toBe('https://ide.onprem.example.com/api');
+
+          return monaca.listProfiles();
+        }
+      ).then(
+        function(list) {
+          expect(list[0].name).toBe('default');
+          expect(list[0].active).toBe(true);
+          expect(list.filter(function(item) {
+            return item.name === profile;
+          })).toEqual([{ name: profile, active: false, apiEndpoint: 'onprem.example.com' }]);
+        }
+      ).then(done, done);
+    });
+
+    it('should reject invalid profile names', function(done) {
+      var monaca = new Monaca({ credentialStore: storeOf });
+
+      expect(function() {
+        new Monaca({ profile: '../work' });
+      }).toThrow();
+
+      monaca.useProfile('../work').then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ValidationError).toBe(true);
+        }
+      ).then(done, done);
+    });
+
+    it('should keep the project ID of each profile', function(done) {
+      var directory = path.join(common.tmpDir, common.randomString()),
+        work = new Monaca({ profile: profile, credentialStore: storeOf }),
+        personal = new Monaca({ profile: 'default', credentialStore: storeOf });
+
+      shell.mkdir('-p', directory);
+
+      work.setProjectId(directory, 'work-project').then(
+        function() {
+          return personal.setProjectId(directory, 'personal-project');
+        }
+      ).then(
+        function() {
+          return work.getProjectId(directory);
+        }
+      ).then(
+        function(projectId) {
+          expect(projectId).toBe('work-project');
+
+          return work.deleteProjectId(directory);
+        }
+      ).then(
+        function() {
+          return personal.getProjectId(directory);
+        }
+      ).then(
+        function(projectId) {
+          expect(projectId).toBe('personal-project');
+        }
+      ).then(done, done);
+    });
+
+    it('should use the profile a project is bound to', function(done) {
+      var directory = path.join(common.tmpDir, common.randomString()),
+        monaca = new Monaca({ profile: 'default', credentialStore: storeOf });
+
+      shell.mkdir('-p', directory);
+
+      monaca.setProjectProfile(directory, profile).then(
+        function() {
+          expect(new Monaca({ projectDir: directory, credentialStore: storeOf }).profile).toBe(profile);
+
+          return monaca.getProjectId(directory);
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ValidationError).toBe(true);
+
+          return monaca.setProjectProfile(directory);
+        }
+      ).then(
+        function() {
+          return monaca.getProjectProfile(directory);
+        }
+      ).then(
+        function(value) {
+          expect(value).toBeUndefined();
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,121 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    ProjectTransaction = require(path.join(__dirname, '..', 'src', 'monaca', 'projectTransaction')),
+    localProperties = require(path.join(__dirname, '..', 'src', 'monaca', 'localProperties')),
+    common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca;
+
+  describe('ProjectTransaction', function() {
+    var directory;
+
+    var read = function(file) {
+      return fs.readFileSync(path.join(directory, file), 'utf8');
+    };
+
+    beforeEach(function() {
+      directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', path.join(directory, 'www', 'old'));
+      fs.writeFileSync(path.join(directory, 'www', 'index.html'), 'old');
+      fs.writeFileSync(path.join(directory, 'www', 'old', 'app.js'), 'old');
+    });
+
+    it('should apply staged files and deletions on commit', function(done) {
+      var transaction = new ProjectTransaction(directory);
+
+      shell.mkdir('-p', path.join(directory, '.monaca', 'transaction', 'staged', 'www', 'new'));
+      fs.writeFileSync(transaction.stage('/www/index.html'), 'new');
+      fs.writeFileSync(transaction.stage('/www/new/app.js'), 'new');
+      transaction.remove('/www/old/app.js', 'file');
+      transaction.remove('/www/old', 'dir');
+
+      transaction.commit().then(
+        function(result) {
+          expect(read('www/index.html')).toBe('new');
+          expect(read('www/new/app.js')).toBe('new');
+          expect(fs.existsSync(path.join(directory, 'www', 'old'))).toBe(false);
+          expect(result.deleted.sort()).toEqual(['/www/old', '/www/old/app.js']);
+          expect(fs.existsSync(transaction.dir)).toBe(false);
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should restore the project after an interrupted commit', function(done) {
+      var transaction = new ProjectTransaction(directory);
+
+      // State left behind by a process that died halfway through a commit.
+      shell.mkdir('-p', path.join(transaction.backupDir, 'www', 'old'), path.join(directory, 'www', 'new'));
+      fs.writeFileSync(path.join(transaction.backupDir, 'www', 'index.html'), 'old');
+      fs.writeFileSync(path.join(directory, 'www', 'index.html'), 'new');
+      fs.renameSync(path.join(directory, 'www', 'old', 'app.js'), path.join(transaction.backupDir, 'www', 'old', 'app.js'));
+      fs.writeFileSync(path.join(directory, 'www', 'new', 'app.js'), 'new');
+      fs.writeFileSync(transaction.journalFile, JSON.stringify({
+        created: ['/www/new/app.js'],
+        replaced: ['/www/index.html'],
+        deleted: ['/www/old/app.js'],
+        dirs: [],
+        createdDirs: ['/www/new']
+      }));
+
+      new ProjectTransaction(directory).recover().then(
+        function(recovered) {
+          expect(recovered).toBe(true);
+          expect(read('www/index.html')).toBe('old');
+          expect(read('www/old/app.js')).toBe('old');
+          expect(fs.existsSync(path.join(directory, 'www', 'new'))).toBe(false);
+          expect(fs.existsSync(transaction.dir)).toBe(false);
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should leave the project untouched when a download fails', function(done) {
+      var client = Object.create(monaca);
+
+      client.getProjectFiles = function() {
+        return Q.resolve({
+          '/www': { type: 'dir' },
+          '/www/index.html': { type: 'file', hash: 'changed' },
+          '/www/broken.js': { type: 'file', hash: 'changed' }
+        });
+      };
+
+      client.downloadFile = function(projectId, remotePath, localPath) {
+        if (remotePath === '/www/broken.js') {
+          return Q.reject(new Error('Network error'));
+        }
+
+        shell.mkdir('-p', path.dirname(localPath));
+        fs.writeFileSync(localPath, 'new');
+        return Q.resolve(localPath);
+      };
+
+      localProperties.set(directory, 'project_id', 'project').then(
+        function() {
+          return client.downloadProject(directory, { delete: true });
+        }
+      ).then(
+        function() {
+          expect('download').toBe('rejected');
+        },
+        function(error) {
+          expect(error.message).toBe('Network error');
+          expect(read('www/index.html')).toBe('old');
+          expect(read('www/old/app.js')).toBe('old');
+          expect(fs.existsSync(path.join(directory, '.monaca', 'transaction'))).toBe(false);
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+  });
+})();
@@ -0,0 +1,131 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    EventEmitter = require('events'),
+    Q = require('q'),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca;
+
+  // Request client answering with the given responses in order, the last one repeatedly.
+  var respondWith = function(responses) {
+    var client = function(options, callback) {
+      var response = responses[Math.min(client.calls.length, responses.length - 1)];
+
+      client.calls.push(options);
+
+      if (response.error) {
+        callback(response.error);
+      } else {
+        callback(null, { statusCode: response.status, headers: response.headers || {} }, response.body || '');
+      }
+    };
+
+    client.calls = [];
+    return client;
+  };
+
+  var createClient = function(requestClient) {
+    var client = Object.create(monaca);
+
+    client.retryPolicy = { retries: 3, minDelay: 1, maxDelay: 50, factor: 2, jitter: true };
+    client.emitter = new EventEmitter();
+    client.retries = [];
+    client.emitter.on('request:retry', function(event) {
+      client.retries.push(event);
+    });
+    client._createRequestClient = function() {
+      return Q.resolve(requestClient);
+    };
+
+    return client;
+  };
+
+  describe('Request retries', function() {
+    it('should retry reads on network errors and server errors', function(done) {
+      var socketError = new Error('socket hang up');
+      socketError.code = 'ECONNRESET';
+
+      var requestClient = respondWith([{ error: socketError }, { status: 503 }, { status: 200, body: 'ok' }]),
+        client = createClient(requestClient);
+
+      client._get('/user/info').then(
+        function(data) {
+          expect(data.body).toBe('ok');
+          expect(requestClient.calls.length).toBe(3);
+          expect(client.retries.map(function(event) {
+            return event.reason + ':' + event.attempt;
+          })).toEqual(['network:1', 'server:2']);
+          expect(client.retries[1].delay <= 2).toBe(true);
+        }
+      ).then(done, done);
+    });
+
+    it('should not retry writes on server errors', function(done) {
+      var requestClient = respondWith([{ status: 500 }, { status: 200 }]),
+        client = createClient(requestClient);
+
+      client._post('/user/project/create', {}).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ApiError).toBe(true);
+          expect(requestClient.calls.length).toBe(1);
+          expect(client.retries.length).toBe(0);
+        }
+      ).then(done, done);
+    });
+
+    it('should retry rate limited requests after Retry-After and give up after the last retry', function(done) {
+      var requestClient = respondWith([{ status: 429, headers: { 'retry-after': '0' } }]),
+        client = createClient(requestClient);
+
+      client._post('/user/project/create', {}).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.QuotaError).toBe(true);
+          expect(requestClient.calls.length).toBe(4);
+          expect(client.retries.map(function(event) {
+            return event.reason + ':' + event.delay;
+          })).toEqual(['rate-limit:0', 'rate-limit:0', 'rate-limit:0']);
+        }
+      ).then(done, done);
+    });
+
+    it('should log in again once per request on 401', function(done) {
+      var requestClient = respondWith([{ status: 401 }, { status: 200, body: 'first' }, { status: 401 }, { status: 401 }]),
+        client = createClient(requestClient),
+        relogins = 0;
+
+      client.relogin = function() {
+        relogins++;
+        return Q.resolve();
+      };
+
+      client._get('/user/info').then(
+        function(data) {
+          expect(data.body).toBe('first');
+
+          // The second request may log in again too, but only once.
+          return client._get('/user/info');
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.AuthError).toBe(true);
+          expect(error.status).toBe(401);
+          expect(relogins).toBe(2);
+          expect(requestClient.calls.length).toBe(4);
+          expect(client.retries.map(function(event) {
+            return event.reason;
+          })).toEqual(['auth', 'auth']);
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,128 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    http = require('http'),
+    Q = require('q'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    SessionRefresher = require(path.join(__dirname, '..', 'src', 'monaca', 'session')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors'));
+
+  describe('Session refresh', function() {
+    var server, logins, status, expiresIn;
+
+    beforeEach(function(done) {
+      logins = 0;
+      status = 200;
+      expiresIn = 3600 * 1000;
+
+      server = http.createServer(function(req, res) {
+        logins++;
+
+        if (status !== 200) {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          return res.end('{"status":"error","message":"Invalid token"}');
+        }
+
+        res.writeHead(200, {
+          'Content-Type': 'application/json',
+          'X-Monaca-Param-Api-Token': 'api-' + logins,
+          'X-Monaca-Param-Session': 'session-' + logins,
+          'X-Monaca-Session-Expires': String(Date.now() + expiresIn)
+        });
+        res.end(JSON.stringify({ status: 'ok', result: { token: 'relogin-token', clientId: 'client' } }));
+      });
+      server.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(function(done) {
+      server.close(done);
+    });
+
+    var createClient = function() {
+      return new Monaca('http://127.0.0.1:' + server.address().port + '/api', {
+        credentialStore: 'memory',
+        accessToken: false,
+        retry: false,
+        session: { refreshMargin: 1000 }
+      });
+    };
+
+    it('should read session times from the login response', function() {
+      var times = SessionRefresher.parseTimes({ issuedAt: 1500000000, expiresIn: 60 });
+      expect(times.issuedAt).toBe(1500000000000);
+      expect(times.expiresAt).toBe(1500000060000);
+
+      times = SessionRefresher.parseTimes({}, { 'x-monaca-session-expires': '2030-01-01T00:00:00Z' });
+      expect(times.expiresAt).toBe(Date.parse('2030-01-01T00:00:00Z'));
+
+      expect(SessionRefresher.parseTimes({}, {}).expiresAt).toBe(null);
+    });
+
+    it('should refresh the session before it expires', function(done) {
+      var monaca = createClient();
+
+      expiresIn = 1100;
+      monaca.login('user@example.com', 'password').then(
+        function() {
+          return monaca.getSessionInfo();
+        }
+      ).then(
+        function(info) {
+          expect(info.method).toBe('session');
+          expect(info.loggedIn).toBe(true);
+          expect(info.expired).toBe(false);
+          expect(info.nextRefreshAt).not.toBe(null);
+
+          expiresIn = 3600 * 1000;
+          return Q.Promise(function(resolve) {
+            monaca.emitter.once('session:refreshed', resolve);
+          });
+        }
+      ).then(
+        function(event) {
+          expect(event.reason).toBe('scheduled');
+          expect(event.expiresAt).toBeGreaterThan(Date.now() + 60 * 1000);
+          expect(logins).toBe(2);
+          expect(monaca.tokens.session).toBe('session-2');
+
+          return monaca.logout();
+        }
+      ).then(
+        function() {
+          return monaca.getSessionInfo();
+        }
+      ).then(
+        function(info) {
+          expect(info.expiresAt).toBe(null);
+          expect(info.nextRefreshAt).toBe(null);
+        }
+      ).then(done, done);
+    });
+
+    it('should emit session:expired when the session can\'t be refreshed', function(done) {
+      var monaca = createClient();
+
+      expiresIn = 1100;
+      monaca.login('user@example.com', 'password').then(
+        function() {
+          status = 401;
+          return Q.Promise(function(resolve) {
+            monaca.emitter.once('session:expired', resolve);
+          });
+        }
+      ).then(
+        function(event) {
+          expect(event.reason).toBe('scheduled');
+          expect(event.error instanceof errors.AuthError).toBe(true);
+
+          return monaca.getSessionInfo();
+        }
+      ).then(
+        function(info) {
+          expect(info.nextRefreshAt).toBe(null);
+          monaca._sessionRefresher.stop();
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,232 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    SnapshotStore = require(path.join(__dirname, '..', 'src', 'monaca', 'snapshots')),
+    localProperties = require(path.join(__dirname, '..', 'src', 'monaca', 'localProperties')),
+    common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca,
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer'));
+
+  describe('Snapshots', function() {
+    var directory;
+
+    var write = function(file, content) {
+      shell.mkdir('-p', path.dirname(path.join(directory, file)));
+      fs.writeFileSync(path.join(directory, file), content);
+    };
+
+    var read = function(file) {
+      return fs.readFileSync(path.join(directory, file), 'utf8');
+    };
+
+    var countObjects = function() {
+      return shell.find(path.join(directory, SnapshotStore.SNAPSHOTS_DIR, 'objects')).filter(function(file) {
+        return /\.gz$/.test(file);
+      }).length;
+    };
+
+    beforeEach(function() {
+      directory = path.join(common.tmpDir, common.randomString());
+      write('www/index.html', 'index');
+      write('www/app.js', 'app');
+      write('hooks/build.sh', 'hook');
+    });
+
+    it('should snapshot and restore the project files', function(done) {
+      var snapshotId;
+
+      monaca.createSnapshot(directory, { reason: 'test' }).then(
+        function(snapshot) {
+          snapshotId = snapshot.id;
+          expect(snapshot.files).toEqual(['/www/app.js', '/www/index.html']);
+          expect(snapshot.reason).toBe('test');
+
+          write('www/index.html', 'changed');
+          fs.unlinkSync(path.join(directory, 'www', 'app.js'));
+          return monaca.restoreSnapshot(directory, snapshotId);
+        }
+      ).then(
+        function(restored) {
+          expect(restored).toEqual(['/www/app.js', '/www/index.html']);
+          expect(read('www/index.html')).toBe('index');
+          expect(read('www/app.js')).toBe('app');
+          return monaca.listSnapshots(directory);
+        }
+      ).then(
+        function(snapshots) {
+          expect(snapshots.length).toBe(1);
+          expect(snapshots[0].id).toBe(snapshotId);
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should store identical contents once', function(done) {
+      write('www/copy.js', 'app');
+
+      monaca.createSnapshot(directory).then(
+        function() {
+          return monaca.createSnapshot(directory, { files: ['www/app.js'] });
+        }
+      ).then(
+        function() {
+          expect(countObjects()).toBe(2);
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should remove old snapshots and their contents', function(done) {
+      var store = new SnapshotStore(directory, { keep: 1 });
+
+      store.create([{ path: '/a.txt', data: new Buffer('a') }]).then(
+        function() {
+          return store.create([{ path: '/b.txt', data: new Buffer('b') }]);
+        }
+      ).then(
+        function(snapshot) {
+          return store.list().then(
+            function(snapshots) {
+              expect(snapshots.length).toBe(1);
+              expect(snapshots[0].id).toBe(snapshot.id);
+              expect(countObjects()).toBe(1);
+            }
+          );
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should keep the contents of snapshots created at the same time', function(done) {
+      var stores = [new SnapshotStore(directory, { keep: 1 }), new SnapshotStore(directory, { keep: 1 })];
+
+      // Left by a create of another process that is still running.
+      shell.mkdir('-p', path.join(directory, SnapshotStore.SNAPSHOTS_DIR, 'objects', 'ab'));
+      fs.writeFileSync(path.join(directory, SnapshotStore.SNAPSHOTS_DIR, 'objects', 'ab', 'cdef.gz.tmp'), 'partial');
+
+      Q.all([
+        stores[0].create([{ path: '/a.txt', data: Buffer.from('a') }]),
+        stores[1].create([{ path: '/b.txt', data: Buffer.from('b') }])
+      ]).then(
+        function(snapshots) {
+          expect(fs.existsSync(path.join(directory, SnapshotStore.SNAPSHOTS_DIR, 'objects', 'ab', 'cdef.gz.tmp'))).toBe(true);
+
+          return stores[1].restore(snapshots[1].id);
+        }
+      ).then(
+        function() {
+          expect(read('b.txt')).toBe('b');
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should be taken before downloadProject deletes files', function(done) {
+      var client = Object.create(monaca);
+
+      client.getProjectFiles = function() {
+        return Q.resolve({
+          '/www': { type: 'dir' },
+          '/www/index.html': { type: 'file', hash: 'changed' }
+        });
+      };
+
+      client.downloadFile = function(projectId, remotePath, localPath) {
+        shell.mkdir('-p', path.dirname(localPath));
+        fs.writeFileSync(localPath, 'remote');
+        return Q.resolve(localPath);
+      };
+
+      localProperties.set(directory, 'project_id', 'project').then(
+        function() {
+          return client.downloadProject(directory, { delete: true });
+        }
+      ).then(
+        function() {
+          expect(fs.existsSync(path.join(directory, 'www', 'app.js'))).toBe(false);
+          return monaca.listSnapshots(directory);
+        }
+      ).then(
+        function(snapshots) {
+          expect(snapshots.length).toBe(1);
+          expect(snapshots[0].reason).toBe('downloadProject');
+          expect(snapshots[0].files).toEqual(['/www/app.js', '/www/index.html']);
+          return monaca.restoreSnapshot(directory, snapshots[0].id, { files: ['www/app.js'] });
+        }
+      ).then(
+        function() {
+          expect(read('www/app.js')).toBe('app');
+          expect(read('www/index.html')).toBe('remote');
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should be taken before uploadProject deletes Cloud files', function(done) {
+      var server = new MockServer(),
+        client = new Monaca({ transport: server.transport, credentialStore: 'memory', accessToken: false }),
+        project = server.addProject({ name: 'App' }, {
+          '/.monaca/project_info.json': '{}',
+          '/www/index.html': 'cloud',
+          '/www/old.js': 'old'
+        });
+
+      client.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD).then(
+        function() {
+          write('.monaca/project_info.json', '{}');
+          return localProperties.set(directory, 'project_id', project.projectId);
+        }
+      ).then(
+        function() {
+          return client.uploadProject(directory, { skipTranspile: true });
+        }
+      ).then(
+        function() {
+          expect(project.files['/www/index.html'].toString()).toBe('index');
+          return monaca.listSnapshots(directory);
+        }
+      ).then(
+        function(snapshots) {
+          // Nothing is taken without the delete option.
+          expect(snapshots.length).toBe(0);
+
+          project.files['/www/index.html'] = Buffer.from('cloud');
+          return client.uploadProject(directory, { skipTranspile: true, delete: true });
+        }
+      ).then(
+        function() {
+          return monaca.listSnapshots(directory);
+        }
+      ).then(
+        function(snapshots) {
+          expect(snapshots.length).toBe(1);
+          expect(snapshots[0].reason).toBe('uploadProject');
+          expect(snapshots[0].source).toBe('remote');
+          expect(snapshots[0].files).toEqual(['/www/index.html', '/www/old.js']);
+          return monaca.restoreSnapshot(directory, snapshots[0].id, { files: ['www/index.html'] });
+        }
+      ).then(
+        function() {
+          expect(read('www/index.html')).toBe('cloud');
+        }
+      ).then(done, function(error) {
+        expect(error).toBeUndefined();
+        done();
+      });
+    });
+  });
+})();
@@ -55,26 +55,17 @@
     it('should remove relogin token and in-memory tokens', function(done) {
       monaca.login(common.username, common.password).then(
         function() {
-          monaca.getData('reloginToken').then(
-            function(token) {
-              expect(token.length).toBeGreaterThan(0);
-              expect(monaca.tokens).toBeTruthy();
-
-              monaca.logout().then(
-                function() {
-                  monaca.getData('reloginToken').then(
-                    function(token) {
-                      expect(token.length).toBe(0);
-                      expect(monaca.tokens).toBeFalsy();
-                      done();
-                    }
-                  );
-                }
-              );
-            }
-          );
+          expect(monaca.getData('reloginToken').length).toBeGreaterThan(0);
+          expect(monaca.tokens.session).toBeTruthy();
+
+          return monaca.logout();
         }
-      );
+      ).then(
+        function() {
+          expect(monaca.getData('reloginToken').length).toBe(0);
+          expect(monaca.tokens.session).toBeFalsy();
+        }
+      ).then(done, done);
     });
   });
 
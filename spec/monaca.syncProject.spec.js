@@ -0,0 +1,224 @@
+(function() {
+  'use strict';
+
+  // imports
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs');
+
+  var common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca,
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer')),
+    SyncBaseline = require(path.join(__dirname, '..', 'src', 'monaca', 'syncBaseline'));
+
+  describe('Sync plan', function() {
+    var directory, baseline;
+
+    var file = function(hash) {
+      return { type: 'file', hash: hash };
+    };
+
+    beforeEach(function() {
+      directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', path.join(directory, 'www'));
+
+      baseline = new SyncBaseline(directory, 'project');
+      baseline.set('/www/local.js', 'a');
+      baseline.set('/www/remote.js', 'a');
+      baseline.set('/www/both.js', 'a');
+      baseline.set('/www/deleted.js', 'a');
+    });
+
+    it('should tell local, remote and conflicting changes apart', function() {
+      var localFiles = {
+        '/www': { type: 'dir' },
+        '/www/local.js': file('b'),
+        '/www/remote.js': file('a'),
+        '/www/both.js': file('b'),
+        '/www/deleted.js': file('a')
+      };
+      var remoteFiles = {
+        '/www': { type: 'dir' },
+        '/www/local.js': file('a'),
+        '/www/remote.js': file('b'),
+        '/www/both.js': file('c'),
+        '/www/new.js': file('d')
+      };
+
+      var plan = monaca._planSync(directory, localFiles, remoteFiles, baseline);
+
+      expect(plan.upload).toEqual(['/www/local.js']);
+      expect(plan.download).toEqual(['/www/new.js', '/www/remote.js']);
+      expect(plan.deleteLocal).toEqual(['/www/deleted.js']);
+      expect(plan.conflicts.length).toBe(1);
+      expect(plan.conflicts[0].path).toBe('/www/both.js');
+      expect(plan.conflicts[0].base).toBe('a');
+    });
+
+    it('should treat differing files without a baseline as conflicts', function() {
+      var plan = monaca._planSync(directory, {
+        '/www/index.html': file('a')
+      }, {
+        '/www/index.html': file('b')
+      }, new SyncBaseline(directory, 'other'));
+
+      expect(plan.conflicts.length).toBe(1);
+      expect(plan.upload.length).toBe(0);
+    });
+  });
+
+  describe('Sync conflicts', function() {
+    var server, client, project, directory;
+
+    var remoteFile = function(key) {
+      return project.files[key] ? project.files[key].toString() : undefined;
+    };
+
+    var localFile = function(key) {
+      return fs.readFileSync(path.join(directory, key), 'utf8');
+    };
+
+    // Changes www/index.html on both sides.
+    var conflict = function() {
+      fs.writeFileSync(path.join(directory, 'www', 'index.html'), 'head\nlocal\ntail');
+      project.files['/www/index.html'] = new Buffer('head\nremote\ntail');
+    };
+
+    var syncedPaths = function(result) {
+      return result.conflicts.map(function(conflict) {
+        return conflict.path + ':' + conflict.resolution;
+      });
+    };
+
+    beforeEach(function(done) {
+      server = new MockServer();
+      project = server.addProject({ name: 'App' }, {
+        '/.monaca/project_info.json': '{}',
+        '/www/index.html': 'head\nbase\ntail'
+      });
+      directory = path.join(common.tmpDir, common.randomString());
+      client = new Monaca({ transport: server.transport, credentialStore: 'memory', accessToken: false });
+
+      client.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD).then(
+        function() {
+          return client.cloneProject(project.projectId, directory);
+        }
+      ).then(
+        function() {
+          return client.syncProject(directory);
+        }
+      ).then(
+        function() {
+          conflict();
+        }
+      ).then(done, done);
+    });
+
+    it('should only report conflicts without a strategy', function(done) {
+      client.syncProject(directory).then(
+        function(result) {
+          expect(syncedPaths(result)).toEqual(['/www/index.html:null']);
+          expect(localFile('www/index.html')).toBe('head\nlocal\ntail');
+          expect(remoteFile('/www/index.html')).toBe('head\nremote\ntail');
+        }
+      ).then(done, done);
+    });
+
+    it('should resolve conflicts with the local or remote file', function(done) {
+      client.syncProject(directory, { strategy: 'local' }).then(
+        function(result) {
+          expect(syncedPaths(result)).toEqual(['/www/index.html:local']);
+          expect(remoteFile('/www/index.html')).toBe('head\nlocal\ntail');
+
+          fs.writeFileSync(path.join(directory, 'www', 'index.html'), 'head\nlocal again\ntail');
+          project.files['/www/index.html'] = new Buffer('head\nremote again\ntail');
+          return client.syncProject(directory, { strategy: 'remote' });
+        }
+      ).then(
+        function(result) {
+          expect(syncedPaths(result)).toEqual(['/www/index.html:remote']);
+          expect(localFile('www/index.html')).toBe('head\nremote again\ntail');
+
+          return client.syncProject(directory);
+        }
+      ).then(
+        function(result) {
+          expect(result.conflicts.length).toBe(0);
+          expect(result.uploaded.length + result.downloaded.length).toBe(0);
+        }
+      ).then(done, done);
+    });
+
+    it('should merge text files and keep them unresolved until edited', function(done) {
+      client.syncProject(directory, { strategy: 'merge' }).then(
+        function(result) {
+          expect(syncedPaths(result)).toEqual(['/www/index.html:merged']);
+          expect(result.conflicts[0].sidecars).toEqual(['/www/index.html.orig', '/www/index.html.remote']);
+          expect(localFile('www/index.html')).toBe('head\n<<<<<<< local\nlocal\n=======\nremote\n>>>>>>> remote\ntail');
+          expect(localFile('www/index.html.orig')).toBe('head\nlocal\ntail');
+          expect(localFile('www/index.html.remote')).toBe('head\nremote\ntail');
+
+          return client.syncProject(directory, { strategy: 'merge' });
+        }
+      ).then(
+        function(result) {
+          // Neither uploaded nor merged again.
+          expect(result.uploaded).toEqual([]);
+          expect(result.conflicts.length).toBe(1);
+          expect(result.conflicts[0].unresolved).toBe(true);
+          expect(result.conflicts[0].resolution).toBe(null);
+          expect(remoteFile('/www/index.html')).toBe('head\nremote\ntail');
+          expect(remoteFile('/www/index.html.orig')).toBeUndefined();
+          expect(localFile('www/index.html').match(/<<<<<<</g).length).toBe(1);
+
+          fs.writeFileSync(path.join(directory, 'www', 'index.html'), 'head\nmerged\ntail');
+          return client.syncProject(directory, { strategy: 'merge' });
+        }
+      ).then(
+        function(result) {
+          expect(result.conflicts.length).toBe(0);
+          expect(result.uploaded).toEqual(['/www/index.html']);
+          expect(remoteFile('/www/index.html')).toBe('head\nmerged\ntail');
+        }
+      ).then(done, done);
+    });
+
+    it('should not upload merged files and their sidecars with uploadProject', function(done) {
+      client.syncProject(directory, { strategy: 'merge' }).then(
+        function() {
+          fs.writeFileSync(path.join(directory, 'www', 'app.js'), 'app');
+          return client.uploadProject(directory, { skipTranspile: true });
+        }
+      ).then(
+        function(modifiedFiles) {
+          expect(Object.keys(modifiedFiles.uploaded)).toEqual(['/www/app.js']);
+          expect(remoteFile('/www/index.html')).toBe('head\nremote\ntail');
+          expect(remoteFile('/www/index.html.orig')).toBeUndefined();
+          expect(remoteFile('/www/index.html.remote')).toBeUndefined();
+
+          fs.writeFileSync(path.join(directory, 'www', 'index.html'), 'head\nmerged\ntail');
+          return client.uploadProject(directory, { skipTranspile: true });
+        }
+      ).then(
+        function(modifiedFiles) {
+          expect(Object.keys(modifiedFiles.uploaded)).toEqual(['/www/index.html']);
+          expect(remoteFile('/www/index.html')).toBe('head\nmerged\ntail');
+          expect(remoteFile('/www/index.html.orig')).toBeUndefined();
+        }
+      ).then(done, done);
+    });
+
+    it('should not merge binary files', function(done) {
+      fs.writeFileSync(path.join(directory, 'www', 'index.html'), new Buffer([1, 0, 2]));
+
+      client.syncProject(directory, { strategy: 'merge' }).then(
+        function(result) {
+          expect(syncedPaths(result)).toEqual(['/www/index.html:null']);
+          expect(fs.existsSync(path.join(directory, 'www', 'index.html.remote'))).toBe(false);
+          expect(fs.existsSync(path.join(directory, 'www', 'index.html.orig'))).toBe(false);
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,107 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    SyncScope = require(path.join(__dirname, '..', 'src', 'monaca', 'syncScope')),
+    IgnoreMatcher = require(path.join(__dirname, '..', 'src', 'monaca', 'ignore')),
+    common = require(path.join(__dirname, 'common')),
+    monaca = common.monaca;
+
+  describe('SyncScope', function() {
+    it('should keep the previous rules by default', function() {
+      var scope = new SyncScope();
+
+      expect(scope.isSynced('upload', '/www/index.html')).toBe(true);
+      expect(scope.isSynced('upload', '/config.xml')).toBe(true);
+      expect(scope.isSynced('upload', '/package.json')).toBe(true);
+      expect(scope.isSynced('upload', '/.monaca/project_info.json')).toBe(true);
+      expect(scope.isSynced('upload', '/platforms/android/res/drawable-hdpi/icon.png')).toBe(true);
+      expect(scope.isSynced('upload', '/www/lib/.bower.json')).toBe(true);
+      expect(scope.isSynced('upload', '/hooks/after_prepare.js')).toBe(false);
+      expect(scope.isSynced('upload', '/.git/HEAD')).toBe(false);
+      expect(scope.isSynced('upload', '/www/.DS_Store')).toBe(false);
+      expect(scope.isSynced('download', '/www/.DS_Store')).toBe(true);
+    });
+
+    it('should explain each decision', function() {
+      var scope = new SyncScope();
+
+      expect(scope.decide('upload', '/www/.DS_Store')).toEqual({ synced: false, reason: 'exclude', rule: '**/.*' });
+      expect(scope.decide('upload', '/hooks/after_prepare.js')).toEqual({ synced: false, reason: 'not-included', rule: null });
+      expect(scope.decide('upload', '/www/index.html')).toEqual({ synced: true, reason: 'include', rule: 'www/**' });
+    });
+
+    it('should add the declared globs to the defaults', function() {
+      var scope = new SyncScope({
+        upload: {
+          include: ['public/**'],
+          exclude: ['**/*.map', '!www/keep.map']
+        }
+      });
+
+      expect(scope.isSynced('upload', '/public/app.js')).toBe(true);
+      expect(scope.isSynced('upload', '/www/index.html')).toBe(true);
+      expect(scope.isSynced('upload', '/public/app.js.map')).toBe(false);
+      expect(scope.isSynced('upload', '/www/keep.map')).toBe(true);
+      expect(scope.isSynced('download', '/public/app.js.map')).toBe(true);
+    });
+
+    it('should replace the defaults when asked to', function() {
+      var scope = new SyncScope({
+        download: {
+          defaults: false,
+          include: ['www/**']
+        }
+      });
+
+      expect(scope.isSynced('download', '/www/index.html')).toBe(true);
+      expect(scope.isSynced('download', '/config.xml')).toBe(false);
+      expect(scope.isSynced('upload', '/config.xml')).toBe(true);
+    });
+
+    it('should reject invalid globs', function() {
+      expect(function() {
+        return new SyncScope({ upload: { include: [42] } });
+      }).toThrow();
+    });
+
+    it('should not sync files ignored by .monacaignore', function() {
+      var directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', directory);
+      fs.writeFileSync(path.join(directory, '.monacaignore'), '*.log\n');
+
+      var decision = new SyncScope({}, new IgnoreMatcher(directory)).decide('upload', '/www/debug.log', false);
+
+      expect(decision.synced).toBe(false);
+      expect(decision.reason).toBe('ignore');
+      expect(decision.rule).toBe(path.join(directory, '.monacaignore') + ':1 *.log');
+    });
+  });
+
+  describe('Sync plan of a project', function() {
+    it('should list every local file with its decisions', function(done) {
+      var directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', path.join(directory, '.monaca'), path.join(directory, 'public'));
+      fs.writeFileSync(path.join(directory, '.monaca', 'project_info.json'), JSON.stringify({
+        sync: { upload: { include: ['public/**'] } }
+      }));
+      fs.writeFileSync(path.join(directory, 'public', 'app.js'), '');
+      fs.writeFileSync(path.join(directory, 'notes.txt'), '');
+
+      monaca.getSyncPlan(directory).then(
+        function(plan) {
+          expect(plan.scope.upload.include).toContain('public/**');
+          expect(plan.files['/public/app.js'].upload.synced).toBe(true);
+          expect(plan.files['/notes.txt'].upload.reason).toBe('not-included');
+          expect(plan.files['/notes.txt'].download.synced).toBe(true);
+          done();
+        },
+        function(error) {
+          expect(error).toBeUndefined();
+          done();
+        }
+      );
+    });
+  });
+})();
@@ -0,0 +1,95 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    common = require(path.join(__dirname, 'common'));
+
+  describe('Request trace', function() {
+    var server, monaca, events;
+
+    beforeEach(function(done) {
+      server = new MockServer();
+      events = [];
+
+      server.listen().then(
+        function(apiRoot) {
+          monaca = new Monaca(apiRoot, { credentialStore: 'memory', accessToken: false, retry: false, trace: { size: 3 } });
+          monaca.emitter.on('trace', function(entry) {
+            events.push(entry);
+          });
+        }
+      ).then(done, done);
+    });
+
+    afterEach(function(done) {
+      server.close().then(done, done);
+    });
+
+    it('should record requests with their secrets redacted', function(done) {
+      monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD).then(
+        function() {
+          return monaca.getProjects();
+        }
+      ).then(
+        function() {
+          return monaca.getProjectFiles('missing');
+        }
+      ).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.NotFoundError).toBe(true);
+
+          var entries = monaca.trace.list();
+
+          expect(entries.length).toBe(3);
+          expect(events.length).toBe(3);
+          expect(entries[0].method).toBe('POST');
+          expect(entries[0].status).toBe(200);
+          expect(entries[0].requestBytes).toBeGreaterThan(0);
+          expect(entries[0].responseHeaders['x-monaca-param-session']).toBe('REDACTED');
+          expect(entries[1].url).toMatch(/\/api\/user\/projects\?api_token=REDACTED$/);
+          expect(entries[1].responseBytes).toBeGreaterThan(0);
+          expect(entries[2].status).toBe(404);
+          expect(entries[2].error.name).toBe('NotFoundError');
+          expect(JSON.stringify(entries)).not.toContain(MockServer.DEFAULT_PASSWORD);
+
+          return monaca.getTemplates();
+        }
+      ).then(
+        function() {
+          // Only the last 3 requests are kept.
+          expect(monaca.trace.list().map(function(entry) {
+            return entry.id;
+          })).toEqual([2, 3, 4]);
+        }
+      ).then(done, done);
+    });
+
+    it('should export the trace as a HAR file', function(done) {
+      var file = path.join(common.tmpDir, common.randomString(), 'trace.har');
+
+      monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD).then(
+        function() {
+          return monaca.exportTrace(file);
+        }
+      ).then(
+        function(exported) {
+          var har = JSON.parse(fs.readFileSync(exported, 'utf8'));
+
+          expect(har.log.version).toBe('1.2');
+          expect(har.log.creator.name).toBe('monaca-lib');
+          expect(har.log.entries.length).toBe(1);
+          expect(har.log.entries[0].request.method).toBe('POST');
+          expect(har.log.entries[0].response.status).toBe(200);
+          expect(har.log.entries[0].response.statusText).toBe('OK');
+          expect(har.log.entries[0].response.content.mimeType).toBe('application/json');
+        }
+      ).then(done, done);
+    });
+  });
+})();
@@ -0,0 +1,233 @@
+(function() {
+  'use strict';
+  var path = require('path'),
+    fs = require('fs'),
+    shell = require('shelljs'),
+    Monaca = require(path.join(__dirname, '..', 'src', 'monaca')),
+    MockServer = require(path.join(__dirname, '..', 'src', 'monaca', 'mockServer')),
+    errors = require(path.join(__dirname, '..', 'src', 'monaca', 'errors')),
+    UploadJournal = require(path.join(__dirname, '..', 'src', 'monaca', 'uploadJournal')),
+    common = require(path.join(__dirname, 'common'));
+
+  describe('UploadJournal', function() {
+    var directory;
+
+    beforeEach(function() {
+      directory = path.join(common.tmpDir, common.randomString());
+      shell.mkdir('-p', path.join(directory, '.monaca'));
+    });
+
+    it('should persist chunk progress', function(done) {
+      var journal = new UploadJournal(directory, 'project');
+
+      journal.begin('/www/video.mp4', { hash: 'abc', size: 10, chunkSize: 4, uploadId: 'upload' })
+      .then(
+        function() {
+          return journal.progress('/www/video.mp4', 8);
+        }
+      )
+      .then(
+        function() {
+          var entry = new UploadJournal(directory, 'project').get('/www/video.mp4');
+
+          expect(entry.uploadId).toBe('upload');
+          expect(entry.uploadedBytes).toBe(8);
+          expect(entry.done).toBe(false);
+          done();
+        }
+      );
+    });
+
+    it('should ignore a journal written for another project', function(done) {
+      var journal = new UploadJournal(directory, 'project');
+
+      journal.complete('/www/index.html', 'abc').then(
+        function() {
+          expect(new UploadJournal(directory, 'project').isDone('/www/index.html', 'abc')).toBe(true);
+          expect(new UploadJournal(directory, 'other').isDone('/www/index.html', 'abc')).toBe(false);
+          done();
+        }
+      );
+    });
+
+    it('should remove the journal file when cleared', function(done) {
+      var journal = new UploadJournal(directory, 'project');
+
+      journal.complete('/www/index.html', 'abc')
+      .then(
+        function() {
+          return journal.clear();
+        }
+      )
+      .then(
+        function() {
+          expect(fs.existsSync(journal.file)).toBe(false);
+          done();
+        }
+      );
+    });
+  });
+
+  describe('Chunked uploads', function() {
+    var server, monaca, project, directory, file, refused;
+
+    var requests = function(pattern) {
+      return server.requests.filter(function(request) {
+        return pattern.test(request.path);
+      });
+    };
+
+    // Answers the matching requests with an error, the given number of times.
+    // Refused requests are counted but not recorded by the server.
+    var failRequests = function(pattern, statusCode, times) {
+      var handle = server.handle;
+
+      server.handle = function(request) {
+        if (pattern.test(request.path) && times-- > 0) {
+          refused++;
+          return {
+            statusCode: statusCode,
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ status: 'error', code: statusCode, message: 'Failed.' })
+          };
+        }
+
+        return handle.apply(this, arguments);
+      };
+    };
+
+    beforeEach(function(done) {
+      server = new MockServer();
+      project = server.addProject({ name: 'App' });
+      directory = path.join(common.tmpDir, common.randomString());
+      file = path.join(directory, 'video.mp4');
+      shell.mkdir('-p', path.join(directory, '.monaca'));
+      fs.writeFileSync(file, '0123456789');
+      refused = 0;
+
+      monaca = new Monaca({ transport: server.transport, credentialStore: 'memory', accessToken: false, retry: false });
+      monaca.login(MockServer.DEFAULT_EMAIL, MockServer.DEFAULT_PASSWORD).then(done, done);
+    });
+
+    it('should upload big files in chunks', function(done) {
+      var progress = [];
+
+      monaca.uploadFile(project.projectId, file, '/www/video.mp4', { chunkSize: 4 }).progress(
+        function(value) {
+          progress.push(value.bytesUploaded);
+        }
+      ).then(
+        function() {
+          expect(project.files['/www/video.mp4'].toString()).toBe('0123456789');
+          expect(requests(/\/file\/upload\/chunk$/).length).toBe(3);
+          expect(requests(/\/file\/save$/).length).toBe(0);
+          expect(progress).toEqual([4, 8, 10]);
+        }
+      ).then(done, done);
+    });
+
+    it('should resume an interrupted upload', function(done) {
+      var journal = new UploadJournal(directory, project.projectId),
+        options = { chunkSize: 4, hash: 'abc', journal: journal };
+
+      // The second chunk fails.
+      server.handle = (function(handle) {
+        var chunks = 0;
+
+        return function(request) {
+          if (/\/file\/upload\/chunk$/.test(request.path) && ++chunks === 2) {
+            return {
+              statusCode: 503,
+              headers: { 'content-type': 'application/json' },
+              body: JSON.stringify({ status: 'error', code: 503, message: 'Unavailable.' })
+            };
+          }
+
+          return handle.apply(this, arguments);
+        };
+      })(server.handle);
+
+      monaca.uploadFile(project.projectId, file, '/www/video.mp4', options).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ApiError).toBe(true);
+          expect(journal.get('/www/video.mp4').uploadedBytes).toBe(4);
+          expect(project.files['/www/video.mp4']).toBeUndefined();
+
+          return monaca.uploadFile(project.projectId, file, '/www/video.mp4', options);
+        }
+      ).then(
+        function() {
+          expect(project.files['/www/video.mp4'].toString()).toBe('0123456789');
+          expect(requests(/\/file\/upload\/start$/).length).toBe(1);
+          expect(requests(/\/file\/upload\/status$/).length).toBe(1);
+          expect(requests(/\/file\/upload\/chunk$/).map(function(request) {
+            return Number(request.form.offset);
+          })).toEqual([0, 4, 8]);
+          expect(journal.isDone('/www/video.mp4', 'abc')).toBe(true);
+        }
+      ).then(done, done);
+    });
+
+    it('should fall back to single requests when chunked uploads are refused', function(done) {
+      failRequests(/\/file\/upload\/start$/, 405, 1);
+
+      monaca.uploadFile(project.projectId, file, '/www/video.mp4', { chunkSize: 4 }).then(
+        function() {
+          expect(project.files['/www/video.mp4'].toString()).toBe('0123456789');
+          expect(requests(/\/file\/save$/).length).toBe(1);
+
+          return monaca.uploadFile(project.projectId, file, '/www/other.mp4', { chunkSize: 4 });
+        }
+      ).then(
+        function() {
+          // Not asked again.
+          expect(refused).toBe(1);
+          expect(requests(/\/file\/upload\/start$/).length).toBe(0);
+          expect(requests(/\/file\/save$/).length).toBe(2);
+          expect(project.files['/www/other.mp4'].toString()).toBe('0123456789');
+        }
+      ).then(done, done);
+    });
+
+    it('should keep uploading in chunks after a server error', function(done) {
+      failRequests(/\/file\/upload\/start$/, 502, 1);
+
+      monaca.uploadFile(project.projectId, file, '/www/video.mp4', { chunkSize: 4 }).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.ApiError).toBe(true);
+          expect(requests(/\/file\/save$/).length).toBe(0);
+          expect(monaca._chunkedUploads).toBe(null);
+
+          return monaca.uploadFile(project.projectId, file, '/www/video.mp4', { chunkSize: 4 });
+        }
+      ).then(
+        function() {
+          expect(requests(/\/file\/upload\/start$/).length).toBe(1);
+          expect(requests(/\/file\/save$/).length).toBe(0);
+          expect(project.files['/www/video.mp4'].toString()).toBe('0123456789');
+        }
+      ).then(done, done);
+    });
+
+    it('should not fall back when the credentials are rejected', function(done) {
+      failRequests(/\/file\/upload\/start$/, 403, 1);
+
+      monaca.uploadFile(project.projectId, file, '/www/video.mp4', { chunkSize: 4 }).then(
+        function() {
+          expect(true).toBe(false);
+        },
+        function(error) {
+          expect(error instanceof errors.AuthError).toBe(true);
+          expect(requests(/\/file\/save$/).length).toBe(0);
+          expect(monaca._chunkedUploads).toBe(null);
+        }
+      ).then(done, done);
+    });
+  });
+})();
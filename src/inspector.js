@@ -5,7 +5,7 @@
     os = require('os'),
     fs = require('fs'),
     spawn = require('child_process').spawn,
-    request = require('request'),
+    NetworkConfig = require(path.join(__dirname, 'monaca', 'network')),
     portfinder = require('portfinder'),
     adb = require('adbkit'),
     client = adb.createClient(),
@@ -40,7 +40,9 @@
     }(),
     'inspectorCallback': function(args) {
       console.log('Unimplemented. Called with the following args', args);
-    }
+    },
+    // Proxy and TLS settings of the requests to the debug proxies.
+    'network': new NetworkConfig()
   };
 
   if (!global.webkitProxyLock) {
@@ -246,7 +248,7 @@
 
     retries = retries || 0;
 
-    request({
+    config.network.request({
       url: infoUrl,
       json: true
     }, function(error, response, body) {
@@ -298,7 +300,7 @@
   var findWebSocketUrl = function(listUrl, options) {
     var deferred = Q.defer();
 
-    request({
+    config.network.request({
       url: listUrl,
       json: true,
       timeout: 1000
@@ -9,6 +9,7 @@
     crypto = require('crypto'),
     util = require('util'),
     events = require('events'),
+    extend = require('extend'),
     nconf = require('nconf');
 
   // local imports
@@ -916,13 +917,17 @@
    * @description
    *   Get file tree for a Monaca project.
    * @param {string} projectId - Project ID.
+   * @param {object} [options] - Options.
+   * @param {string} [options.hashAlgorithm] - Set to "sha256" to add SHA-256 hashes to the files.
    * @return {Promise}
    */
-  Localkit.prototype.getProjectFiles = function(projectId) {
+  Localkit.prototype.getProjectFiles = function(projectId, options) {
     var deferred = Q.defer();
 
     if (this.projects.hasOwnProperty(projectId)) {
+      // Shares the file index of the project with uploads and downloads.
       this.monaca.getLocalProjectFiles(this.projects.getProjectById(projectId).path, {
+        hashAlgorithm: options && options.hashAlgorithm,
         filter : function(fn) {
           var key = path.join('/', fn);
           key = key.split(path.sep).join('/');
@@ -1065,9 +1070,10 @@
    * @param {Object} options - Parameter object
    * @param {String} options.adbPath - Path to adb [optional]
    * @param {String} options.proxyPath - Path to iOS WebKit Proxy [optional]
+   * @param {NetworkConfig} options.network - Network configuration. Defaults to the one of the Monaca client [optional]
    */
   Localkit.prototype.initInspector = function(config) {
-    inspector.initialize(config);
+    inspector.initialize(extend({ network: this.monaca.network }, config));
     inspector.startProxy();
   }
 
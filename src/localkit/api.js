@@ -221,11 +221,16 @@
 
     var projectId = data.project_id;
 
+    // Debuggers supporting SHA-256 ask for it, older ones only get crc32 hashes.
+    var options = {
+      hashAlgorithm: data.hash_algorithm === 'sha256' ? 'sha256' : undefined
+    };
+
     if (this.localkit.verbose) {
       console.log('Debugger requested file tree.');
     }
 
-    this.localkit.getProjectFiles(projectId).then(
+    this.localkit.getProjectFiles(projectId, options).then(
       function(files) {
         this.sendJsonResponse(response, 200, 'File list', {items: files}, true, pairingKey);
       }.bind(this),
@@ -9,19 +9,38 @@
     this._isRunning = false;
   };
 
-  FileWatcher.prototype.run = function(filePath) {
+  /**
+   * Starts watching a directory.
+   * options.filter(file, stat) can return false to skip files and directories.
+   */
+  FileWatcher.prototype.run = function(filePath, options) {
 
     this.stop();
 
     this.filePath = filePath;
 
+    var run = this._run = (this._run || 0) + 1;
+
     if (!fs.existsSync(filePath)) {
       throw new Error(filePath + ' does not exist.');
     }
 
-    watch.watchTree(filePath, { ignoreDotFiles: true, ignoreUnreadableDir: true, interval: 500 }, function(f, curr, prev) {
+    var watchOptions = { ignoreDotFiles: true, ignoreUnreadableDir: true, interval: 500 };
+
+    if (options && options.filter) {
+      watchOptions.filter = options.filter;
+    }
+
+    watch.watchTree(filePath, watchOptions, function(f, curr, prev) {
       var changeType;
 
+      // Stopped or restarted while the tree was still being read. stop() has already
+      // unwatched the tree of this run, and unwatching it again here would also remove
+      // the watchers of a new run on the same path.
+      if (this._run !== run || !this._isRunning) {
+        return;
+      }
+
       if (typeof f === 'object' && prev === null && curr === null) {
         return; // Do nothing.
       } else if (prev === null) {
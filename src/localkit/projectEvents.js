@@ -5,9 +5,9 @@
     shell = require('shelljs'),
     path = require('path'),
     fs = require('fs'),
-    crc32 = require('buffer-crc32'),
     qs = require('querystring'),
-    rc4 = require(path.join(__dirname, 'rc4'));
+    rc4 = require(path.join(__dirname, 'rc4')),
+    contentHash = require(path.join(__dirname, '..', 'monaca', 'contentHash'));
 
   var ProjectEvents = function(localkit) {
     this.localkit = localkit;
@@ -179,16 +179,27 @@
           return;
         }
         else {
-          var hash = crc32(data).toString('hex');
+          var hashes = contentHash.digestAll(data, ['crc32', 'sha256']);
           var base64Body = new Buffer(data).toString('base64');
 
-          return this.sendMessage({
-            projectId: projectId,
-            action: 'fileSave',
-            data: base64Body,
-            contentHash: hash,
-            path: pathInProject
-          });
+          // Each debugger gets the strongest hash it announced support for.
+          this._clients.forEach(function(client) {
+            var clientData = this.connectedClients[client.clientId] || {},
+              message = {
+                projectId: projectId,
+                action: 'fileSave',
+                data: base64Body,
+                contentHash: hashes.hash,
+                path: pathInProject
+              };
+
+            if (clientData.hash_algorithm === 'sha256') {
+              message.contentHash = hashes.sha256;
+              message.contentHashAlgorithm = 'sha256';
+            }
+
+            this.sendMessage(message, client);
+          }.bind(this));
         }
       }.bind(this));
     }.bind(this);
@@ -4,10 +4,20 @@
   var path = require('path');
 
   var Monaca = require(path.join(__dirname, 'monaca')),
-    Localkit = require(path.join(__dirname, 'localkit'));
+    Localkit = require(path.join(__dirname, 'localkit')),
+    errors = require(path.join(__dirname, 'monaca', 'errors')),
+    CancellationToken = require(path.join(__dirname, 'monaca', 'cancellation')),
+    credentialStores = require(path.join(__dirname, 'monaca', 'credentialStore')),
+    NetworkConfig = require(path.join(__dirname, 'monaca', 'network')),
+    MockServer = require(path.join(__dirname, 'monaca', 'mockServer'));
 
   module.exports = {
     Monaca: Monaca,
-    Localkit: Localkit
+    Localkit: Localkit,
+    errors: errors,
+    CancellationToken: CancellationToken,
+    credentialStores: credentialStores,
+    NetworkConfig: NetworkConfig,
+    MockServer: MockServer
   };
 })();
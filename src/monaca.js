@@ -6,9 +6,9 @@
     request = require('request'),
     os = require('os'),
     path = require('path'),
+    querystring = require('querystring'),
     fs = require('fs-extra'),
     shell = require('shelljs'),
-    crc32 = require('buffer-crc32'),
     nconf = require('nconf'),
     rimraf = require('rimraf'),
     child_process = require('child_process'),
@@ -24,7 +24,29 @@
     npm;
 
   // local imports
-  var localProperties = require(path.join(__dirname, 'monaca', 'localProperties'));
+  var localProperties = require(path.join(__dirname, 'monaca', 'localProperties')),
+    UploadJournal = require(path.join(__dirname, 'monaca', 'uploadJournal')),
+    SyncBaseline = require(path.join(__dirname, 'monaca', 'syncBaseline')),
+    IgnoreMatcher = require(path.join(__dirname, 'monaca', 'ignore')),
+    SyncScope = require(path.join(__dirname, 'monaca', 'syncScope')),
+    FileIndex = require(path.join(__dirname, 'monaca', 'fileIndex')),
+    contentHash = require(path.join(__dirname, 'monaca', 'contentHash')),
+    ProjectTransaction = require(path.join(__dirname, 'monaca', 'projectTransaction')),
+    SnapshotStore = require(path.join(__dirname, 'monaca', 'snapshots')),
+    errors = require(path.join(__dirname, 'monaca', 'errors')),
+    CancellationToken = require(path.join(__dirname, 'monaca', 'cancellation')),
+    credentialStore = require(path.join(__dirname, 'monaca', 'credentialStore')),
+    profiles = require(path.join(__dirname, 'monaca', 'profiles')),
+    NetworkConfig = require(path.join(__dirname, 'monaca', 'network')),
+    OfflineQueue = require(path.join(__dirname, 'monaca', 'offlineQueue')),
+    ReadCache = require(path.join(__dirname, 'monaca', 'readCache')),
+    SessionRefresher = require(path.join(__dirname, 'monaca', 'session')),
+    BuildWatcher = require(path.join(__dirname, 'monaca', 'buildWatcher')),
+    buildProfiles = require(path.join(__dirname, 'monaca', 'buildProfiles')),
+    MockServer = require(path.join(__dirname, 'monaca', 'mockServer')),
+    TraceBuffer = require(path.join(__dirname, 'monaca', 'trace')),
+    ArtifactCache = require(path.join(__dirname, 'monaca', 'artifactCache')),
+    ContinuousSync = require(path.join(__dirname, 'monaca', 'continuousSync'));
 
   var USER_CORDOVA = path.join(
       process.env[(process.platform == 'win32') ? 'USERPROFILE' : 'HOME'],
@@ -32,8 +54,108 @@
   );
 
   var NPM_PACKAGE_FILE = path.join(USER_CORDOVA, 'package.json');
-  var USER_DATA_FILE = path.join(USER_CORDOVA, 'monaca.json');
-  var CONFIG_FILE = path.join(USER_CORDOVA, 'monaca_config.json');
+
+  // Files in .monaca that only matter to this machine and are never synced.
+  var LOCAL_ONLY_FILES = [
+    path.join('.monaca', 'local_properties.json'),
+    UploadJournal.JOURNAL_FILE,
+    SyncBaseline.BASELINE_FILE,
+    FileIndex.INDEX_FILE
+  ];
+
+  // Directories in .monaca used internally and never synced.
+  var LOCAL_ONLY_DIRS = [
+    ProjectTransaction.TRANSACTION_DIR,
+    SnapshotStore.SNAPSHOTS_DIR
+  ];
+
+  // Files bigger than this are uploaded in chunks of this size.
+  var UPLOAD_CHUNK_SIZE = 1024 * 1024;
+
+  // Statuses of a chunked upload start saying the server doesn't support chunked uploads.
+  var CHUNKED_UPLOAD_UNSUPPORTED = [404, 405, 501];
+
+  // Builds listed by getBuildHistory() unless another limit is given.
+  var BUILD_HISTORY_LIMIT = 20;
+
+  // Offline mode settings used when the constructor is given options.offline = true.
+  var DEFAULT_OFFLINE_OPTIONS = {
+    // Cached results older than this are reported as stale, in milliseconds.
+    maxAge: 24 * 60 * 60 * 1000,
+    // How often the connection is checked while operations are queued, in milliseconds.
+    pollInterval: 30 * 1000
+  };
+
+  // How failed requests are retried unless the constructor is given another policy.
+  var DEFAULT_RETRY_POLICY = {
+    // Number of retries after the first attempt.
+    retries: 3,
+    // Delay before the first retry in milliseconds, multiplied by factor after every retry.
+    minDelay: 500,
+    factor: 2,
+    maxDelay: 30 * 1000,
+    // Randomize delays so that clients don't all retry at the same time.
+    jitter: true
+  };
+
+  // Error for a request rejected with a 401 while using an access token.
+  var accessTokenError = function(error) {
+    var text = JSON.stringify(error.body || '') + ' ' + error.message,
+      reason = /expired/i.test(text) ? 'expired' : (/revoked/i.test(text) ? 'revoked' : 'invalid'),
+      messages = {
+        expired: 'The Monaca access token has expired.',
+        revoked: 'The Monaca access token has been revoked.',
+        invalid: 'The Monaca access token is invalid.'
+      };
+
+    return new errors.AccessTokenError(messages[reason] + ' Create a new token and set it in MONACA_TOKEN.', {
+      status: error.status,
+      body: error.body,
+      reason: reason,
+      cause: error
+    });
+  };
+
+  // Bytes of a request body, from its Content-Length header when the transport set one.
+  var requestSize = function(req, data, isFile) {
+    var length = req && req.headers && req.headers['content-length'];
+
+    if (length) {
+      return Number(length);
+    }
+    if (!data) {
+      return 0;
+    }
+    if (!isFile) {
+      return Buffer.byteLength(querystring.stringify(data));
+    }
+
+    return Object.keys(data).reduce(function(total, key) {
+      var value = data[key] && data[key].hasOwnProperty('value') ? data[key].value : data[key];
+
+      if (Buffer.isBuffer(value)) {
+        return total + value.length;
+      }
+      if (value && typeof value.pipe === 'function') {
+        return total + (value.bytesRead || 0);
+      }
+      return total + Buffer.byteLength(String(value));
+    }, 0);
+  };
+
+  // Name of an artifact, from the Content-Disposition header, the build result or the URL.
+  var artifactName = function(response, result, url, queueId) {
+    var disposition = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(response.headers['content-disposition'] || ''),
+      name = disposition ? decodeURIComponent(disposition[1]) : (result.binary_name || path.basename(url.split('?')[0]));
+
+    name = path.basename(name || '');
+
+    if (!name || name === '.' || name === '..') {
+      name = queueId + (result.platform === 'ios' ? '.ipa' : '.apk');
+    }
+
+    return name;
+  };
 
   // config
   var config = nconf.env()
@@ -45,6 +167,24 @@
    * @description
    *   Create Monaca API object.
    * @param {string} [apiRoot] - Root of Monaca web API. Defaults to {@link https://ide.monaca.mobi/api}.
+   * @param {object} [options] - Options.
+   * @param {string} [options.hashAlgorithm] - Set to "sha256" to compare files with SHA-256 in addition to crc32.
+   * @param {object|boolean} [options.retry] - Retry policy, see {@link Monaca#retryPolicy}. Set to false to never retry.
+   * @param {object|string} [options.credentialStore] - Where secrets are kept, see {@link Monaca#credentialStore}.
+   *   Either a store or "file", "keychain", "memory" or "env". Defaults to the MONACA_CREDENTIAL_STORE environment variable or "file".
+   * @param {string} [options.profile] - Profile to use, see {@link Monaca#profile}.
+   * @param {string} [options.projectDir] - Use the profile this project is bound to, see {@link Monaca#setProjectProfile}.
+   * @param {string|boolean} [options.accessToken] - Long-lived access token, see {@link Monaca#accessToken}.
+   *   Defaults to the MONACA_TOKEN environment variable. Set to false to ignore MONACA_TOKEN.
+   * @param {object} [options.network] - Network settings overriding the config, see {@link Monaca#network}.
+   * @param {object|boolean} [options.offline] - Enable offline mode, see {@link Monaca#offline}.
+   * @param {object} [options.session] - Session refresh policy, see {@link Monaca#sessionPolicy}.
+   * @param {Function} [options.transport] - Function with the interface of the request module sending
+   *   every request, e.g. the transport of a {@link MockServer}. Defaults to request.
+   * @param {object|boolean} [options.trace] - <code>{ size }</code> of the request trace, see {@link Monaca#trace}.
+   *   Set to false to disable tracing.
+   * @param {string} [options.artifactCache] - Directory of the build artifact cache, see {@link Monaca#downloadBuildArtifact}.
+   *   Defaults to the MONACA_ARTIFACT_CACHE environment variable or ~/.cordova/monaca_artifacts.
    * @example
    *   var monaca = new Monaca();
    *
@@ -66,21 +206,25 @@
       options = options || {};
     }
 
-    var webApiRoot;
+    /**
+     * @description
+     *   Name of the profile in use. Every profile has its own client data, config,
+     *   credentials and project IDs. Set with options.profile, by binding the project
+     *   in options.projectDir to a profile, with the MONACA_PROFILE environment
+     *   variable or with {@link Monaca#useProfile}.
+     * @name Monaca#profile
+     * @type string
+     * @default default
+     */
+    Object.defineProperty(this, 'profile', {
+      value: profiles.resolve(USER_CORDOVA, options),
+      writable: true
+    });
 
-    if (!apiRoot) {
-      try {
-        var configContent = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-        var apiEndpoint = configContent['api_endpoint'];
+    // An API root given here is used whatever the profile.
+    this._apiRootOption = apiRoot;
 
-        if (apiEndpoint) {
-          webApiRoot = 'https://' + apiEndpoint + '/en/api';
-          apiRoot = 'https://ide.' + apiEndpoint + '/api';
-        }
-      } catch (e) {
-        console.log("Cound not find/set the custom API endpoint " + e);
-      }
-    }
+    var endpoint = apiRoot ? {} : this._profileApiEndpoint();
 
     /**
      * @description
@@ -90,7 +234,7 @@
      * @default https://ide.monaca.mobi/api
      */
     Object.defineProperty(this, 'apiRoot', {
-      value: apiRoot ? apiRoot : config.default_api_root,
+      value: apiRoot || endpoint.apiRoot || config.default_api_root,
       writable: true
     });
 
@@ -102,7 +246,7 @@
      * @default https://monaca.mobi/en/api
      */
     Object.defineProperty(this, 'webApiRoot', {
-      value: webApiRoot ? webApiRoot : config.web_api_root,
+      value: endpoint.webApiRoot || config.web_api_root,
       writable: true
     });
 
@@ -161,6 +305,33 @@
       writable: false
     });
 
+    /**
+     * @description
+     *   Hash algorithm used in addition to crc32 to tell whether files changed.
+     *   Set to "sha256" to compare files with SHA-256 whenever Monaca Cloud supports it.
+     * @name Monaca#hashAlgorithm
+     * @type string
+     * @default crc32
+     */
+    Object.defineProperty(this, 'hashAlgorithm', {
+      value: contentHash.check(options.hashAlgorithm || 'crc32'),
+      writable: true
+    });
+
+    /**
+     * @description
+     *   How failed requests are retried, <code>{ retries, minDelay, maxDelay, factor, jitter }</code>.
+     *   Requests that only read data are retried with exponential backoff on network errors
+     *   and 5xx responses. Any request is retried on a 429 response, after the delay asked by
+     *   the server in the Retry-After header. Every retry emits a "request:retry" event.
+     * @name Monaca#retryPolicy
+     * @type object
+     */
+    Object.defineProperty(this, 'retryPolicy', {
+      value: extend({}, DEFAULT_RETRY_POLICY, options.retry === false ? { retries: 0 } : options.retry),
+      writable: true
+    });
+
     /**
      * @description
      *   userCordova.
@@ -177,17 +348,291 @@
       session: null
     };
 
+    /**
+     * @description
+     *   Long-lived access token for CI and other headless uses. When set, requests are
+     *   authenticated with it instead of logging in, and nothing is read from or written to
+     *   ~/.cordova. Requests rejected because the token expired or was revoked fail with an
+     *   AccessTokenError.
+     * @name Monaca#accessToken
+     * @type string
+     */
+    Object.defineProperty(this, 'accessToken', {
+      value: options.accessToken === false ? null : (options.accessToken || process.env.MONACA_TOKEN || null),
+      writable: false
+    });
+
+    // With an access token the client data only lives in memory.
+    this._credentialStoreOption = this.accessToken ? 'memory' :
+      (options.credentialStore || process.env.MONACA_CREDENTIAL_STORE || 'file');
+
+    /**
+     * @description
+     *   Store of the relogin token, the API token and the session cookie. By default they
+     *   are kept in ~/.cordova/monaca_credentials.enc, encrypted with a key derived from the
+     *   MONACA_CREDENTIAL_PASSPHRASE environment variable. Without a passphrase the key is
+     *   random and kept in ~/.config/monaca/keys/&lt;profile&gt;.key (%LOCALAPPDATA%\Monaca\keys
+     *   on Windows), which only obfuscates the secrets: anyone who can read the key file can
+     *   decrypt them.
+     *
+     *   With the "keychain" store they are kept in the OS keychain under the name of the
+     *   profile instead, and secrets left in the encrypted file are moved there.
+     *
+     *   Other client data stays in ~/.cordova/monaca.json. Profiles other than "default" keep
+     *   these files in ~/.cordova/profiles/&lt;name&gt;. options.credentialStore may also be a
+     *   function returning the store of a profile. Secrets that can't be loaded or moved are
+     *   reported with a "credentials:error" event.
+     * @name Monaca#credentialStore
+     * @type object
+     */
+    Object.defineProperty(this, 'credentialStore', {
+      value: this._createCredentialStore(this._credentialStoreOption),
+      writable: true
+    });
+
+    this._networkOptions = options.network || {};
+    this._artifactCacheOption = options.artifactCache || process.env.MONACA_ARTIFACT_CACHE || null;
+
+    /**
+     * @description
+     *   Offline mode settings, <code>{ maxAge, pollInterval }</code>, or null when offline mode is off.
+     *   In offline mode, {@link Monaca#uploadProject}, {@link Monaca#createProject} and
+     *   {@link Monaca#reportAnalytics} are queued when Monaca Cloud can't be reached and replayed in
+     *   order once it can, see {@link Monaca#replayOfflineQueue}. {@link Monaca#getProjects},
+     *   {@link Monaca#getTemplates} and {@link Monaca#getLatestNews} resolve to their last result instead.
+     *   Results that can't be cached are still returned, and the error is emitted with an "offline:error" event.
+     * @name Monaca#offline
+     * @type object
+     */
+    Object.defineProperty(this, 'offline', {
+      value: options.offline ? extend({}, DEFAULT_OFFLINE_OPTIONS, options.offline === true ? {} : options.offline) : null,
+      writable: true
+    });
+
+    /**
+     * @description
+     *   Network configuration used by every request: the proxy of each URL, from NO_PROXY,
+     *   the http_proxy, https_proxy and no_proxy configs, a PAC script loaded from a file or over
+     *   https (proxy_pac config or MONACA_PROXY_PAC) or HTTPS_PROXY and HTTP_PROXY, and the CA
+     *   bundle (ca_file config or MONACA_CA_FILE) and client certificate (client_cert_file,
+     *   client_key_file or client_pfx_file configs, MONACA_CLIENT_CERT_PASSPHRASE) used for TLS.
+     * @name Monaca#network
+     * @type NetworkConfig
+     */
+    Object.defineProperty(this, 'network', {
+      value: new NetworkConfig(this._networkSettings.bind(this), null, options.transport),
+      writable: false
+    });
+
+    /**
+     * @description
+     *   How the session is kept alive, <code>{ autoRefresh, refreshMargin, refreshInterval, retryDelay }</code>.
+     *   When the login response tells when the session expires, the client logs in again
+     *   <code>refreshMargin</code> milliseconds before, otherwise every <code>refreshInterval</code>
+     *   milliseconds if set. Every refresh emits a "session:refreshed" event, and a "session:expired"
+     *   event is emitted when the session can't be refreshed. See {@link Monaca#getSessionInfo}.
+     * @name Monaca#sessionPolicy
+     * @type object
+     */
+    Object.defineProperty(this, 'sessionPolicy', {
+      value: extend({}, SessionRefresher.DEFAULT_POLICY, options.session),
+      writable: false
+    });
+
+    this._sessionRefresher = new SessionRefresher(this, this.sessionPolicy);
+
+    /**
+     * @description
+     *   How build statuses are polled, <code>{ interval, backoff, maxInterval, maxFailures }</code>.
+     *   Builds are polled every <code>interval</code> milliseconds, a queued build less often
+     *   after every poll (the delay is multiplied by <code>backoff</code>, up to <code>maxInterval</code>),
+     *   and given up after <code>maxFailures</code> consecutive failed polls. See {@link Monaca#pollBuildStatus}.
+     * @name Monaca#buildWatchPolicy
+     * @type object
+     */
+    Object.defineProperty(this, 'buildWatchPolicy', {
+      value: extend({}, BuildWatcher.DEFAULT_POLICY, options.buildWatch),
+      writable: false
+    });
+
+    /**
+     * @description
+     *   Trace of the last requests: method, URL, status, time, retries and sizes, with tokens
+     *   redacted. Every request also emits a "trace" event. Null when tracing is disabled.
+     *   See {@link Monaca#exportTrace}.
+     * @name Monaca#trace
+     * @type TraceBuffer
+     */
+    Object.defineProperty(this, 'trace', {
+      value: options.trace === false ? null : new TraceBuffer(options.trace && options.trace.size),
+      writable: false
+    });
+
     this.loginBody = null;
     this._loggedIn = false;
 
+    // Whether Monaca Cloud accepts chunked uploads, null until a chunked upload was started.
+    this._chunkedUploads = null;
+
     if (this.debug) {
       request.debug = true;
     }
 
     this.emitter = new EventEmitter();
+    this._buildWatcher = new BuildWatcher(this.emitter, this.buildWatchPolicy);
     this._monacaData = this._loadAllData();
   };
 
+  Monaca.prototype._createCredentialStore = function(store) {
+    if (typeof store === 'function') {
+      return store(this.profile);
+    }
+
+    if (typeof store !== 'string') {
+      return store;
+    }
+
+    switch (store) {
+      case 'keychain':
+        return new credentialStore.KeychainCredentialStore({ account: this.profile });
+      case 'file':
+        return new credentialStore.EncryptedFileCredentialStore({
+          file: this._profileFiles().credentialsFile,
+          passphrase: process.env.MONACA_CREDENTIAL_PASSPHRASE,
+          keyFile: this._profileFiles().credentialsKeyFile,
+          legacyKeyFile: this._profileFiles().legacyCredentialsKeyFile
+        });
+      case 'memory':
+        return new credentialStore.MemoryCredentialStore();
+      case 'env':
+        return new credentialStore.EnvCredentialStore();
+      default:
+        throw new errors.ValidationError('Unknown credential store: ' + store);
+    }
+  };
+
+  Monaca.prototype._profileFiles = function() {
+    return profiles.files(USER_CORDOVA, this.profile);
+  };
+
+  Monaca.prototype._profileApiEndpoint = function() {
+    var configFile = this._configFile || this._profileFiles().configFile;
+
+    try {
+      var apiEndpoint = JSON.parse(fs.readFileSync(configFile, 'utf8'))['api_endpoint'];
+
+      if (apiEndpoint) {
+        return {
+          apiRoot: 'https://ide.' + apiEndpoint + '/api',
+          webApiRoot: 'https://' + apiEndpoint + '/en/api'
+        };
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.log("Cound not find/set the custom API endpoint " + e);
+      }
+    }
+
+    return {};
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   List the profiles.
+   * @return {Promise} - Resolves to an array of <code>{ name, active, apiEndpoint }</code>,
+   *   "default" first. <code>active</code> is true for the profile this client uses.
+   * @example
+   *   monaca.listProfiles().then(
+   *     function(list) {
+   *       list.forEach(function(profile) {
+   *         console.log((profile.active ? '* ' : '  ') + profile.name);
+   *       });
+   *     }
+   *   );
+   */
+  Monaca.prototype.listProfiles = function() {
+    try {
+      var names = profiles.list(USER_CORDOVA);
+
+      if (names.indexOf(this.profile) < 0) {
+        names.push(this.profile);
+      }
+
+      return Q.resolve(names.map(function(name) {
+        var apiEndpoint = null;
+
+        try {
+          apiEndpoint = JSON.parse(fs.readFileSync(profiles.files(USER_CORDOVA, name).configFile, 'utf8'))['api_endpoint'] || null;
+        } catch (e) {}
+
+        return {
+          name: name,
+          active: name === this.profile,
+          apiEndpoint: apiEndpoint
+        };
+      }.bind(this)));
+    } catch (error) {
+      return Q.reject(error);
+    }
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Switch this client to another profile. The profile is created when data is first
+   *   saved to it. The client is logged out of the previous profile and uses the tokens,
+   *   api_endpoint and config of the new one. Unless <code>options.persist</code> is false,
+   *   clients created later without a profile use this profile too.
+   * @param {string} name - Profile name.
+   * @param {object} [options]
+   * @param {boolean} [options.persist] - Remember the profile for later clients. Defaults to true.
+   * @return {Promise} - Resolves to the profile name.
+   * @example
+   *   monaca.useProfile('work').then(
+   *     function() {
+   *       return monaca.prepareSession();
+   *     }
+   *   );
+   */
+  Monaca.prototype.useProfile = function(name, options) {
+    try {
+      profiles.validate(name);
+
+      this._sessionRefresher.stop();
+      this.profile = name;
+      this.credentialStore = this._createCredentialStore(this._credentialStoreOption);
+      this.tokens = {
+        api: null,
+        session: null
+      };
+      this.loginBody = null;
+      this._loggedIn = false;
+      this._monacaData = this._loadAllData();
+
+      if (!this._apiRootOption) {
+        var endpoint = this._profileApiEndpoint();
+
+        this.apiRoot = endpoint.apiRoot || config.default_api_root;
+        this.webApiRoot = endpoint.webApiRoot || config.web_api_root;
+      }
+    } catch (error) {
+      return Q.reject(error);
+    }
+
+    if (options && options.persist === false) {
+      return Q.resolve(name);
+    }
+
+    return profiles.setCurrent(USER_CORDOVA, name).then(
+      function() {
+        return name;
+      }
+    );
+  };
+
   Monaca.prototype.setAPIConfig = function(apiEndpoint) {
     var deferred = Q.defer();
 
@@ -285,7 +730,11 @@
           clientId: this.getData('clientId')
         });
 
-        return this._post(this.apiRoot + '/user/track', form)
+        var track = function() {
+          return this._post(this.apiRoot + '/user/track', form);
+        }.bind(this);
+
+        return (this.offline ? this._queueable('reportAnalytics', { form: form }, track) : track())
           .then(Q.resolve.bind(null, resolvedValue), Q.resolve.bind(null, resolvedValue));
 
       }.bind(this),
@@ -308,7 +757,7 @@
    *     .catch(handleErrors)
    */
   Monaca.prototype.reportFail = function(report, error) {
-    report.errorDetail = error === 'object' ? error.message : error;
+    report.errorDetail = typeof error === 'object' && error ? error.message : error;
     return this.reportAnalytics(extend({}, report, { event: report.event + '-fail' }))
       .then(Q.reject.bind(null, error));
   };
@@ -334,42 +783,114 @@
     try {
       return JSON.parse(jsonString);
     } catch(e) {
-      throw new Error('Not a JSON response.');
+      throw new errors.ApiError('Not a JSON response.', { body: jsonString, cause: e });
     }
   };
 
   Monaca.prototype._loadAllData = function() {
-    var data;
+    var data, secrets;
+
+    if (this.accessToken) {
+      return {};
+    }
+
     try {
-      data = require(USER_DATA_FILE);
+      // Every instance gets its own copy, the secrets depend on its credential store.
+      data = JSON.parse(fs.readFileSync(this._profileFiles().dataFile, 'utf8'));
     } catch(e) {
-      if (e.code === 'MODULE_NOT_FOUND') {
-        return {};
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      data = {};
+    }
+
+    try {
+      secrets = this.credentialStore.load();
+    } catch (e) {
+      this._credentialsError('Unable to load the saved credentials, please log in again.', e);
+      secrets = {};
+    }
+
+    // Older versions saved the secrets in monaca.json. Move them to the credential store.
+    var legacySecrets = credentialStore.pickSecrets(data),
+      legacyStore = null;
+
+    // Same for the encrypted file once the OS keychain is used.
+    if (this.credentialStore instanceof credentialStore.KeychainCredentialStore && Object.keys(secrets).length === 0 &&
+        fs.existsSync(this._profileFiles().credentialsFile)) {
+      try {
+        legacyStore = this._createCredentialStore('file');
+        extend(legacySecrets, legacyStore.load());
+      } catch (e) {
+        this._credentialsError('Unable to move the saved credentials to the keychain.', e);
+        legacyStore = null;
       }
-      throw e;
     }
+
+    credentialStore.SECRET_KEYS.forEach(function(key) {
+      delete data[key];
+    });
+
+    extend(data, legacySecrets, secrets);
+
+    if (Object.keys(legacySecrets).length > 0) {
+      this._monacaData = data;
+      this._saveAllData().then(
+        function() {
+          return legacyStore && legacyStore.clear();
+        }
+      ).catch(
+        function(error) {
+          this._credentialsError('Unable to move the saved credentials to the credential store.', error);
+        }.bind(this)
+      );
+    }
+
     return data;
   };
 
+  // Data is loaded before anyone can listen to the client, so the event is emitted asynchronously.
+  Monaca.prototype._credentialsError = function(message, error) {
+    process.nextTick(function() {
+      this.emitter.emit('credentials:error', { message: message, error: errors.from(error) });
+    }.bind(this));
+  };
+
   Monaca.prototype._saveAllData = function() {
     var deferred = Q.defer(),
+      dataFile = this._profileFiles().dataFile,
+      secrets = credentialStore.pickSecrets(this._monacaData),
+      publicData = extend({}, this._monacaData),
       jsonData;
 
+    credentialStore.SECRET_KEYS.forEach(function(key) {
+      delete publicData[key];
+    });
+
+    if (this.accessToken) {
+      return Q.resolve();
+    }
+
     try {
-      jsonData = JSON.stringify(this._monacaData);
+      jsonData = JSON.stringify(publicData);
     }
     catch (error) {
       return deferred.reject(error);
     }
 
-    fs.exists(path.dirname(USER_DATA_FILE), function(exists) {
+    // Secrets never go to monaca.json.
+    var saveSecrets = Object.keys(secrets).length > 0 ?
+      this.credentialStore.save(secrets) :
+      this.credentialStore.clear();
+
+    fs.exists(path.dirname(dataFile), function(exists) {
       if (!exists) {
-        shell.mkdir('-p', path.dirname(USER_DATA_FILE));
+        shell.mkdir('-p', path.dirname(dataFile));
       }
 
-      fs.writeFile(USER_DATA_FILE, jsonData, function(error) {
+      fs.writeFile(dataFile, jsonData, function(error) {
         if (error) {
-          deferred.reject(error);
+          deferred.reject(errors.from(error));
         }
         else {
           deferred.resolve();
@@ -377,7 +898,11 @@
       });
     });
 
-    return deferred.promise;
+    return Q.all([saveSecrets, deferred.promise]).then(
+      function() {
+        return undefined;
+      }
+    );
   };
 
   Monaca.prototype.setData = function(data) {
@@ -389,72 +914,6 @@
     return this._monacaData[key];
   };
 
-  //Used to filter the uploaded/downloaded files/dirs based on patterns
-  Monaca.prototype._fileFilter = function(f, allowFiles, projectDir, source) {
-    // Upload/download .monaca/project_info.json
-    if (f.indexOf('/.monaca/project_info.json') == 0) {
-      return true;
-    }
-
-    if (f.indexOf('/.monaca/android/AndroidManifest.xml') == 0) {
-        return true;
-     }
-
-    if (f.indexOf('/.monaca/ios/MonacaApp-Info.plist') == 0) {
-        return true;
-    }
-
-    // Exclude other hidden files and folders from being uploaded.
-    if (f.indexOf('/.') >= 0 && f.indexOf('/.bower.json') < 0 && source === "uploadProject") {
-      return false;
-    }
-
-    // Allow all config files in root directory.
-    if (/^\/(.*config\..*|.*.json)$/.test(f)) {
-      return true;
-    }
-
-    // Platform specific files.
-    if (f.indexOf('/platforms/ios/MonacaApp-Info.plist') >= 0) {
-      return true;
-    }
-    if (/^\/platforms\/ios\/MonacaApp\/Resources\/icons\/icon[\.a-z0-9@x-]*\.png$/.test(f)) {
-      return true;
-    }
-    if (/^\/platforms\/ios\/MonacaApp\/Resources\/splash\/Default[a-zA-Z0-9@\-\.~]+\.png$/.test(f)) {
-      return true;
-    }
-    if (f.indexOf('/platforms/android/AndroidManifest.xml') >= 0) {
-      return true;
-    }
-    if (/^\/platforms\/android\/res\/drawable\-[a-z]+\/(icon|screen[\.9]*)\.png$/.test(f)) {
-      return true;
-    }
-    if (/^\/platforms\/android\/res\/drawable.+\/screen.+.png$/.test(f)) {
-      return true;
-    }
-    if (/^\/platforms\/(chrome|winrt)\/[^\/]+$/.test(f)) {
-      return true;
-    }
-
-    if (allowFiles.length > 0) {
-      // Only include files in /www, /merges and /plugins folders.
-      if (/^\/(?!www\/|www$|merges\/|merges$|plugins\/|plugins$|src\/|src$|typings\/|typings$|res\/|res$).*/.test(f)) {
-        return false;
-      } else {
-        // Check if file is present in one of the /www, /merges and /plugins folders and also in list of allowed files.
-        if (allowFiles.indexOf((os.platform() === 'win32' ? projectDir.replace(/\\/g,"/") : projectDir) + f) >= 0) {
-          return true;
-        } else {
-          return false;
-        }
-      }
-    } else {
-      // Only include files in /www, /merges and /plugins folders.
-      return !/^\/(www\/|merges\/|plugins\/|src\/|typings\/|res\/|[^/]*$)/.test(f);
-    }
-  };
-
   Monaca.prototype._filterFiles = function(dst, src) {
     for (var key in dst) {
       if (dst.hasOwnProperty(key)) {
@@ -466,7 +925,7 @@
         else if (dst.hasOwnProperty(key) && src.hasOwnProperty(key)) {
           var s = src[key];
 
-          if (d.hash === s.hash) {
+          if (contentHash.sameContent(d, s)) {
             delete dst[key];
           }
         }
@@ -482,69 +941,163 @@
     }
   };
 
-  Monaca.prototype._filterIgnoreList = function(projectDir) {
-    var ignoreList = [], allFiles=[];
-    if (fs.existsSync(path.join(projectDir, ".monacaignore"))) {
-      ignoreList = fs.readFileSync(path.join(projectDir, ".monacaignore"), {
-          "encoding": "utf8"
-        })
-        .split("\r\n") // Split by \r\n.
-        .map(function(ele) { return ele.split("\n")}) // Split each array element from previous step by \n again.
-        .reduce(function(a,b) { return a.concat(b)}) // Now concat them into one array.
-        .filter(function(n) {
-          return n.trim() !== "" && n.indexOf("#") !== 0;
-        });
-    }
-
-    if (os.platform() === 'win32') {
-      projectDir = projectDir.replace(/\\/g,"/");
-    }
-
-    // We have to append '/**' to get all the subdirectories recursively.
-    allFiles = glob.sync(projectDir.replace(/[-[\]{}()*+?.,^$|#]/g, "\\$&") + "/**",
-      {
-        dot: true,
-        allowWindowsEscape: true,
-        ignore: ignoreList
-        .map(function(rule) {
-          // Since we are finding files with 'projectDir' which is an absolute path, we need to prepend '**/' for
-          // ignore patterns to match actual pattern.
-          return "**/" + rule;
-        })
-      }
-    )
-
-    return allFiles;
+  Monaca.prototype._getIgnoreMatcher = function(projectDir) {
+    return new IgnoreMatcher(projectDir);
   };
 
-  Monaca.prototype._createRequestClient = function(data) {
-    var deferred = Q.defer(), qs = {};
+  // Decides which files are uploaded/downloaded based on the "sync" section of project_info.json.
+  Monaca.prototype._getSyncScope = function(projectDir) {
+    var projectInfo = this.fetchProjectData(projectDir) || {};
 
-    var apiToken = this.getData('x-monaca-param-api-token'),
-      session = this.getData('x-monaca-param-session');
+    return new SyncScope(projectInfo.sync, this._getIgnoreMatcher(projectDir));
+  };
 
-    if (apiToken) {
-      qs.api_token = apiToken;
-    }
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Resolves which local files are uploaded and downloaded by
+   *   {@link Monaca#uploadProject}, {@link Monaca#downloadProject} and {@link Monaca#syncProject}.
+   *
+   *   The scope is declared in the <code>sync</code> section of <code>.monaca/project_info.json</code>
+   *   with <code>include</code> and <code>exclude</code> globs for the <code>upload</code> and
+   *   <code>download</code> directions. The globs are added to the default ones unless
+   *   <code>defaults</code> is <code>false</code>. Exclude globs starting with <code>!</code> include
+   *   an excluded file again. Files ignored by .monacaignore are not synced.
+   * @param {string} projectDir - Project directory.
+   * @return {Promise} - Resolves to <code>{ scope, files }</code>. <code>scope</code> contains the
+   *   resolved globs of each direction. <code>files</code> maps every local path to its
+   *   <code>type</code> and the <code>upload</code> and <code>download</code> decisions. A decision is
+   *   <code>{ synced, reason, rule }</code> where <code>reason</code> is "include", "exclude",
+   *   "ignore" or "not-included" and <code>rule</code> is the glob or .monacaignore rule that decided it.
+   * @example
+   *   "sync": {
+   *     "upload": { "include": ["public/**"], "exclude": ["**\/*.map"] }
+   *   }
+   *
+   *   monaca.getSyncPlan('/my/project').then(
+   *     function(plan) {
+   *       console.log(plan.files['/public/app.js.map'].upload); // { synced: false, reason: 'exclude', rule: '**\/*.map' }
+   *     }
+   *   );
+   */
+  Monaca.prototype.getSyncPlan = function(projectDir) {
+    var scope;
+
+    try {
+      scope = this._getSyncScope(projectDir);
+    } catch (error) {
+      return Q.reject(error);
+    }
+
+    return this.getLocalProjectFiles(projectDir).then(
+      function(localFiles) {
+        var files = {};
+
+        Object.keys(localFiles).sort().forEach(function(key) {
+          var isDir = localFiles[key].type === 'dir';
+
+          files[key] = {
+            type: localFiles[key].type,
+            upload: scope.decide('upload', key, isDir),
+            download: scope.decide('download', key, isDir)
+          };
+        });
+
+        return {
+          scope: scope.rules,
+          files: files
+        };
+      }
+    );
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Explains whether a file is ignored by the .monacaignore files of a project
+   *   and which rule decided it. The rules follow the .gitignore semantics.
+   * @param {string} projectDir - Project directory.
+   * @param {string} file - File path, either absolute or relative to the project directory.
+   * @return {Promise} - Resolves to <code>{ path, ignored, rule, ancestor }</code>.
+   *   <code>rule</code> contains the <code>pattern</code>, <code>source</code> file and
+   *   <code>line</code> of the last matching rule. <code>ancestor</code> is set when the
+   *   file is ignored because one of its parent directories is.
+   * @example
+   *   monaca.explainIgnore('/my/project', 'www/lib/big.js').then(
+   *     function(result) {
+   *       if (result.ignored) {
+   *         console.log('Ignored by ' + result.rule.source + ':' + result.rule.line);
+   *       }
+   *     }
+   *   );
+   */
+  Monaca.prototype.explainIgnore = function(projectDir, file) {
+    try {
+      var relativePath = path.isAbsolute(file) ? path.relative(projectDir, file) : file;
+
+      if (/^\.\.([\/\\]|$)/.test(relativePath)) {
+        return Q.reject(new errors.ValidationError(file + ' is outside of the project directory.'));
+      }
+
+      return Q.resolve(this._getIgnoreMatcher(projectDir).explain(relativePath));
+    } catch (error) {
+      return Q.reject(error);
+    }
+  };
+
+  // Network settings of the config of the profile, overridden by options.network.
+  Monaca.prototype._networkSettings = function() {
+    return this.getAllConfigs().then(
+      function(configs) {
+        return extend({
+          proxy: configs.http_proxy,
+          httpsProxy: configs.https_proxy,
+          noProxy: configs.no_proxy,
+          pac: configs.proxy_pac,
+          ca: configs.ca_file || process.env.MONACA_CA_FILE,
+          cert: configs.client_cert_file,
+          key: configs.client_key_file,
+          pfx: configs.client_pfx_file,
+          passphrase: process.env.MONACA_CLIENT_CERT_PASSPHRASE,
+          strictSSL: configs.strict_ssl
+        }, this._networkOptions);
+      }.bind(this)
+    );
+  };
+
+  Monaca.prototype._createRequestClient = function(data, url) {
+    var deferred = Q.defer(), qs = {};
+
+    var apiToken = this.getData('x-monaca-param-api-token'),
+      session = this.getData('x-monaca-param-session'),
+      headers = {
+        Cookie: session || null
+      };
+
+    if (this.accessToken) {
+      headers = {
+        Authorization: 'Bearer ' + this.accessToken
+      };
+    }
+    else if (apiToken) {
+      qs.api_token = apiToken;
+    }
 
     if (data) {
       extend(qs, data);
     }
 
-    this.getConfig('http_proxy').then(
-      function(httpProxy) {
-        var requestClient = request.defaults({
-          qs: qs,
-          // rejectUnauthorized: false, // DELETE
-          encoding: null,
-          proxy: httpProxy,
-          headers: {
-            Cookie: session || null
-          },
-          timeout: 300 * 1000
-        });
+    this.network.createClient(url || this.apiRoot, {
+      qs: qs,
+      encoding: null,
+      headers: headers,
+      timeout: 300 * 1000
+    }).then(
+      function(requestClient) {
         deferred.resolve(requestClient);
-      }.bind(this),
+      },
       function(error) {
         deferred.reject(error);
       }
@@ -553,78 +1106,294 @@
     return deferred.promise;
   };
 
-  Monaca.prototype._request = function(method, resource, data, requestClient, isFile ) {
+  // Logs in again once for all the requests that failed with a 401 at the same time, and for
+  // scheduled session refreshes.
+  Monaca.prototype._reloginOnce = function(reason) {
+    if (!this._pendingRelogin) {
+      reason = reason || 'unauthorized';
+
+      this._pendingRelogin = this.relogin().then(
+        function() {
+          this.emitter.emit('session:refreshed', {
+            reason: reason,
+            issuedAt: this.getData('sessionIssuedAt') || null,
+            expiresAt: this.getData('sessionExpiresAt') || null
+          });
+        }.bind(this),
+        function(error) {
+          error = errors.from(error);
+
+          // The session can still be refreshed once Monaca Cloud is reachable again.
+          if (!(error instanceof errors.NetworkError)) {
+            this.emitter.emit('session:expired', { reason: reason, error: error });
+          }
+
+          return Q.reject(error);
+        }.bind(this)
+      ).finally(
+        function() {
+          this._pendingRelogin = null;
+        }.bind(this)
+      );
+    }
+
+    return this._pendingRelogin;
+  };
+
+  // Milliseconds to wait before retrying a failed request, or null if it must not be retried.
+  Monaca.prototype._retryDelay = function(error, retry, idempotent) {
+    var policy = this.retryPolicy;
+
+    if (retry >= policy.retries) {
+      return null;
+    }
+
+    // Rate limited requests were not processed, so any of them can be sent again.
+    var rateLimited = error instanceof errors.QuotaError && error.status === 429,
+      transient = error instanceof errors.NetworkError ||
+        (error instanceof errors.ApiError && error.status >= 500);
+
+    if (!rateLimited && !(transient && idempotent)) {
+      return null;
+    }
+
+    if (typeof error.retryAfter === 'number') {
+      var requested = error.retryAfter * 1000;
+      return requested <= policy.maxDelay ? requested : null;
+    }
+
+    var delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, retry));
+    return policy.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+  };
+
+  Monaca.prototype._request = function(method, resource, data, requestClient, isFile, options) {
     method = method.toUpperCase();
     resource = resource.match(/^https?\:\/\//) ? resource : (this.apiRoot + resource);
-    var deferred = Q.defer();
+    options = options || {};
+
+    var cancelToken = CancellationToken.from(options.cancelToken);
+
+    // Files are sent as streams that can only be read once.
+    var idempotent = !isFile && (typeof options.idempotent === 'boolean' ? options.idempotent : method === 'GET'),
+      canRelogin = !isFile && options.relogin !== false && !this.accessToken && resource.startsWith(this.apiRoot);
+
+    // Recorded in the trace once the request settles.
+    var trace = {
+      startedAt: Date.now(),
+      method: method,
+      url: resource,
+      retries: 0
+    };
 
-    var createRequestClient = function() {
-      return (requestClient ? Q.resolve(requestClient) : this._createRequestClient(method === 'GET' ? data : undefined));
+    var createRequestClient = function(reloggedIn) {
+      return (requestClient && !reloggedIn ? Q.resolve(requestClient) : this._createRequestClient(method === 'GET' ? data : undefined, resource));
     }.bind(this);
 
-    createRequestClient().then(
-      function(requestClient) {
-        var hashData = null;
-        if (! isFile) {
-          hashData = {
-            method: method,
-            url: resource,
-            form: method === 'POST' ? data : undefined
-          };
-        } else {
-          hashData = {
-            method: method,
-            url: resource,
-            formData: method === 'POST' ? data : undefined
-          };
+    var send = function(requestClient) {
+      var deferred = Q.defer(),
+        hashData = null,
+        req;
+
+      if (cancelToken.isCancelled) {
+        return Q.reject(cancelToken.error());
+      }
+
+      // Abort the request when the operation is cancelled.
+      var removeCancelListener = cancelToken.onCancel(function(error) {
+        if (req && req.abort) {
+          req.abort();
         }
+        deferred.reject(error);
+      });
 
-        requestClient(
-          hashData ,
-          function(error, response, body) {
-            if (error) {
-              deferred.reject(error.code);
-            } else {
-              if (response.statusCode === 200) {
-                deferred.resolve({body: body, response: response});
-              } else if (response.statusCode === 401 && resource.startsWith(this.apiRoot) && !this.retry) {
-                  this.retry = true;
-                  this.relogin().then(function() {
-                    deferred.resolve(this._request(method, resource, data, null ));
-                  }.bind(this), function(error) {
-                    deferred.reject(new Error('Error in user authentication. Please run "monaca login" command to continue.'));
-                  });
-              } else if (response.statusCode === 401) {
-                deferred.reject(new Error('Failed to authenticate. Please run "monaca login" command to continue.'));
-              } else {
-                try {
-                  deferred.reject(JSON.parse(body));
-                }
-                catch (e) {
-                  deferred.reject(response.statusCode);
+      if (! isFile) {
+        hashData = {
+          method: method,
+          url: resource,
+          form: method === 'POST' ? data : undefined
+        };
+      } else {
+        hashData = {
+          method: method,
+          url: resource,
+          formData: method === 'POST' ? data : undefined
+        };
+      }
+
+      req = requestClient(
+        hashData ,
+        function(error, response, body) {
+          removeCancelListener();
+
+          trace.requestBytes = requestSize(req, method === 'POST' ? data : undefined, isFile);
+          trace.url = (response && response.request && response.request.href) || resource;
+          trace.status = response ? response.statusCode : null;
+          trace.responseHeaders = response ? response.headers : {};
+          trace.responseBytes = body ? body.length : 0;
+
+          if (error) {
+            deferred.reject(errors.from(error));
+          } else if (response.statusCode === 200) {
+            deferred.resolve({body: body, response: response});
+          } else {
+            var errorBody;
+
+            try {
+              errorBody = JSON.parse(body);
+            }
+            catch (e) {
+              errorBody = undefined;
+            }
+
+            deferred.reject(errors.fromResponse(response.statusCode, errorBody, response.headers));
+          }
+        }
+      );
+
+      return deferred.promise;
+    };
+
+    var emitRetry = function(reason, retry, delay, error) {
+      trace.retries++;
+
+      this.emitter.emit('request:retry', {
+        method: method,
+        url: resource,
+        reason: reason,
+        attempt: retry + 1,
+        retries: this.retryPolicy.retries,
+        delay: delay,
+        error: error
+      });
+    }.bind(this);
+
+    var attempt = function(retry, reloggedIn) {
+      return cancelToken.guard(createRequestClient(reloggedIn)).then(send).then(
+        null,
+        function(error) {
+          if (error instanceof errors.CancelledError) {
+            return Q.reject(error);
+          }
+
+          if (error instanceof errors.AuthError && error.status === 401) {
+            if (this.accessToken) {
+              error = accessTokenError(error);
+              this.emitter.emit('session:expired', { reason: 'access-token', error: error });
+
+              return Q.reject(error);
+            }
+
+            if (!canRelogin || reloggedIn) {
+              return Q.reject(new errors.AuthError('Failed to authenticate. Please run "monaca login" command to continue.', {
+                status: 401,
+                body: error.body
+              }));
+            }
+
+            emitRetry('auth', retry, 0, error);
+
+            return cancelToken.guard(this._reloginOnce()).then(
+              function() {
+                return attempt(retry, true);
+              },
+              function(error) {
+                if (error instanceof errors.CancelledError) {
+                  return Q.reject(error);
                 }
+
+                return Q.reject(new errors.AuthError('Error in user authentication. Please run "monaca login" command to continue.', {
+                  status: 401,
+                  cause: error
+                }));
               }
+            );
+          }
+
+          var delay = this._retryDelay(error, retry, idempotent);
+
+          if (delay === null) {
+            return Q.reject(error);
+          }
+
+          emitRetry(error instanceof errors.NetworkError ? 'network' : (error.status === 429 ? 'rate-limit' : 'server'), retry, delay, error);
+
+          return cancelToken.guard(Q.delay(delay)).then(
+            function() {
+              return attempt(retry + 1, reloggedIn);
             }
-          }.bind(this)
-        );
+          );
+        }.bind(this)
+      );
+    }.bind(this);
+
+    return attempt(0, false).then(
+      function(result) {
+        this._recordTrace(trace);
+        return result;
       }.bind(this),
       function(error) {
-        deferred.reject(error);
+        trace.error = error;
+        this._recordTrace(trace);
+        return Q.reject(error);
+      }.bind(this)
+    );
+  };
+
+  Monaca.prototype._recordTrace = function(trace) {
+    if (!this.trace) {
+      return;
+    }
+
+    trace.time = Date.now() - trace.startedAt;
+    this.emitter.emit('trace', this.trace.add(trace));
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Saves the trace of the last requests as a HAR file, which can be attached to bug
+   *   reports and opened in the network panel of browser developer tools. Tokens, sessions
+   *   and passwords are redacted. See {@link Monaca#trace}.
+   * @param {string} file - Path of the HAR file.
+   * @return {Promise} - Resolves to the path of the file.
+   * @example
+   *   monaca.syncProject('/some/project').catch(
+   *     function() {
+   *       return monaca.exportTrace('/tmp/monaca.har');
+   *     }
+   *   );
+   */
+  Monaca.prototype.exportTrace = function(file) {
+    if (!this.trace) {
+      return Q.reject(new errors.ValidationError('Tracing is disabled.'));
+    }
+
+    var har = this.trace.toHar({
+      name: this.packageName,
+      version: this.version
+    });
+
+    return Q.nfcall(fs.outputFile, file, JSON.stringify(har, null, 2)).then(
+      function() {
+        return file;
+      },
+      function(error) {
+        return Q.reject(errors.from(error));
       }
-    )
-    return deferred.promise;
+    );
   };
 
-  Monaca.prototype._get = function(resource, data) {
-    return this._request('GET', resource, data);
+  Monaca.prototype._get = function(resource, data, options) {
+    return this._request('GET', resource, data, null, false, options);
   };
 
-  Monaca.prototype._post = function(resource, data) {
-    return this._request('POST', resource, data);
+  Monaca.prototype._post = function(resource, data, options) {
+    return this._request('POST', resource, data, null, false, options);
   };
 
-  Monaca.prototype._post_file = function(resource, data) {
-    return this._request('POST', resource, data, null, true );
+  Monaca.prototype._post_file = function(resource, data, options) {
+    return this._request('POST', resource, data, null, true, options);
   };
 
   /**
@@ -635,7 +1404,7 @@
    * @return {Promise}
    */
   Monaca.prototype.getConnectionStatus = function() {
-    var url = this.apiRoot.match(/https(.*)\//)[0] + 'server_check';
+    var url = this.apiRoot.match(/https?(.*)\//)[0] + 'server_check';
 
     return this._post(url, {})
     .then(
@@ -652,108 +1421,564 @@
     );
   };
 
-  /**
-   * @method
-   * @memberof Monaca
-   * @description
-   *  Download project file and save to disk. Must be loggeed in to
-   *  use.
-   * @param {string} projectId - Monaca project id.
-   * @param {string} remotePath - Source file in cloud.
-   * @param {string} localPath - Local file destination.
-   * @return {Promise}
-   * @example
-   *   monaca.downloadFile('SOME_PROJECT_ID', '/remote/file', '/local/file').then(
-   *     function() {
-   *       // File download successful!
-   *     },
-   *     function(error) {
-   *       // File download failed.
-   *     }
-   *   );
-   */
-  Monaca.prototype.downloadFile = function(projectId, remotePath, localPath) {
-    var deferred = Q.defer();
+  // Queue of the profile, only kept in memory with an access token.
+  Monaca.prototype._getOfflineQueue = function() {
+    var file = this.accessToken ? null : this._profileFiles().offlineQueueFile;
 
-    this._post('/project/' + projectId + '/file/read', { path: remotePath }).then(
-      function(data) {
-        var parentDir = path.dirname(localPath);
+    if (!this._offlineQueue || this._offlineQueue.file !== file) {
+      this._offlineQueue = new OfflineQueue(file);
+    }
 
-        fs.exists(parentDir, function(exists) {
-          if (!exists) {
-            shell.mkdir('-p', parentDir);
-          }
+    return this._offlineQueue;
+  };
 
-          fs.writeFile(localPath, data.body, function(error) {
-            if (error) {
-              deferred.reject(error);
-            }
-            else {
-              deferred.resolve(localPath);
-            }
-          });
-        });
-      },
+  Monaca.prototype._getReadCache = function() {
+    var directory = this.accessToken ? null : this._profileFiles().cacheDir;
+
+    if (!this._readCache || this._readCache.directory !== directory) {
+      this._readCache = new ReadCache(directory);
+    }
+
+    return this._readCache;
+  };
+
+  // Runs a cloud operation, or queues it if Monaca Cloud can't be reached. Operations queued
+  // earlier go first, so an operation is queued right away while the queue isn't empty.
+  Monaca.prototype._queueable = function(type, args, run) {
+    var queue = this._getOfflineQueue();
+
+    var enqueue = function(cause) {
+      return queue.enqueue(type, args).then(
+        function(operation) {
+          this.emitter.emit('offline:queued', operation);
+          this._watchConnectivity();
+
+          return Q.reject(new errors.OfflineError('Monaca Cloud can\'t be reached. The operation was queued and will be replayed once the connection is back.', {
+            operation: operation,
+            cause: cause
+          }));
+        }.bind(this)
+      );
+    }.bind(this);
+
+    if (queue.list().length > 0) {
+      return enqueue();
+    }
+
+    return run().catch(
       function(error) {
-        deferred.reject(error);
+        return errors.from(error) instanceof errors.NetworkError ? enqueue(error) : Q.reject(error);
       }
     );
-
-    return deferred.promise;
   };
 
-  /**
-   * @method
-   * @memberof Monaca
-   * @description
-   *   Upload a file from disk to the cloud. Must be logged in to use.
-   * @param {string} projectId - Monaca project ID.
-   * @param {string} localPath - Local source file.
-   * @param {string} remotePath - Remote file in cloud.
-   * @return {Promise}
-   * @example
-   *   monaca.uploadFile('SOME_PROJECT_ID', '/local/file', '/remote/file').then(
-   *     function() {
-   *       // File upload successful!
-   *     },
-   *     function(error) {
-   *       // File upload failed.
-   *     }
+  // Resolves to the result of a read call, or to its cached result if Monaca Cloud can't be reached.
+  Monaca.prototype._cachedRead = function(key, read) {
+    if (!this.offline) {
+      return read();
+    }
+
+    var cache = this._getReadCache();
+
+    return read().then(
+      function(value) {
+        // The caller already has the result, a failed write only means there's nothing to fall back on.
+        cache.set(key, value).catch(
+          function(error) {
+            this.emitter.emit('offline:error', errors.from(error));
+          }.bind(this)
+        );
+
+        return value;
+      }.bind(this),
+      function(error) {
+        var entry = cache.get(key);
+
+        if (!entry || !(errors.from(error) instanceof errors.NetworkError)) {
+          return Q.reject(error);
+        }
+
+        var age = Date.now() - entry.fetchedAt,
+          info = {
+            key: key,
+            fetchedAt: new Date(entry.fetchedAt).toISOString(),
+            age: age,
+            stale: age > this.offline.maxAge
+          };
+
+        if (entry.value && typeof entry.value === 'object') {
+          Object.defineProperty(entry.value, 'cacheInfo', {
+            value: info,
+            enumerable: false
+          });
+        }
+
+        this.emitter.emit('offline:cache', info);
+
+        return entry.value;
+      }.bind(this)
+    );
+  };
+
+  // Checks the connection regularly while operations are queued and replays them once it's back.
+  Monaca.prototype._watchConnectivity = function() {
+    if (this._connectivityTimer) {
+      return;
+    }
+
+    var checking = false;
+
+    this._connectivityTimer = setInterval(function() {
+      if (checking) {
+        return;
+      }
+
+      checking = true;
+      this.getConnectionStatus().then(
+        function(status) {
+          return status === 'available' ? this.replayOfflineQueue() : null;
+        }.bind(this)
+      ).then(
+        function(result) {
+          if (result && result.remaining === 0) {
+            clearInterval(this._connectivityTimer);
+            this._connectivityTimer = null;
+          }
+        }.bind(this),
+        function(error) {
+          // Nobody waits for the automatic replay, it is tried again on the next check.
+          this.emitter.emit('offline:error', error);
+        }.bind(this)
+      ).finally(
+        function() {
+          checking = false;
+        }
+      );
+    }.bind(this), this.offline ? this.offline.pollInterval : DEFAULT_OFFLINE_OPTIONS.pollInterval);
+
+    // The check alone doesn't keep the process running.
+    if (this._connectivityTimer.unref) {
+      this._connectivityTimer.unref();
+    }
+  };
+
+  Monaca.prototype._runOperation = function(operation) {
+    var args = operation.args;
+
+    switch (operation.type) {
+      case 'uploadProject':
+        return this.uploadProject(args.projectDir, extend({}, args.options, { offline: false }));
+      case 'createProject':
+        return this.createProject(extend({}, args.options, { offline: false }));
+      case 'reportAnalytics':
+        return this._post(this.apiRoot + '/user/track', args.form);
+      default:
+        return Q.reject(new errors.ValidationError('Unknown queued operation: ' + operation.type));
+    }
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Cloud operations queued in offline mode, oldest first.
+   * @return {Promise} - Resolves to an array of <code>{ id, type, args, queuedAt }</code>.
+   */
+  Monaca.prototype.getOfflineQueue = function() {
+    return Q.resolve(this._getOfflineQueue().list());
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Replays the operations queued in offline mode, in the order they were queued. Stops at the
+   *   first operation that fails because Monaca Cloud still can't be reached. Operations failing
+   *   for another reason are dropped and reported with an "offline:failed" event. Every replayed
+   *   operation emits an "offline:replayed" event.
+   *
+   *   In offline mode the queue is also replayed automatically once the connection is back. If
+   *   that replay fails, the error is emitted with an "offline:error" event.
+   * @return {Promise} - Resolves to <code>{ replayed, failed, remaining }</code>, the replayed
+   *   and failed operations and the number of operations still queued.
+   * @example
+   *   monaca.replayOfflineQueue().then(
+   *     function(result) {
+   *       console.log(result.replayed.length + ' operations sent, ' + result.remaining + ' still queued.');
+   *     }
    *   );
    */
-  Monaca.prototype.uploadFile = function(projectId, localPath, remotePath) {
-    var deferred = Q.defer();
+  Monaca.prototype.replayOfflineQueue = function() {
+    if (this._replaying) {
+      return this._replaying;
+    }
 
-    fs.exists(localPath, function(exists) {
-      if (!exists) {
-        deferred.reject(new Error('File does not exist.'));
+    var queue = this._getOfflineQueue(),
+      result = {
+        replayed: [],
+        failed: []
+      };
+
+    var next = function() {
+      var operation = queue.list()[0];
+
+      if (!operation) {
+        return Q.resolve();
       }
-      else {
-        fs.readFile(localPath, function(error, data) {
-          if (error) {
-            deferred.reject(error);
+
+      return this._runOperation(operation).then(
+        function() {
+          result.replayed.push(operation);
+          this.emitter.emit('offline:replayed', operation);
+
+          return queue.remove(operation.id).then(next);
+        }.bind(this),
+        function(error) {
+          error = errors.from(error);
+
+          // Still offline, the operation stays first in the queue.
+          if (error instanceof errors.NetworkError) {
+            return Q.resolve();
           }
-          else {
-            this._post_file('/project/' + projectId + '/file/save', {
+
+          result.failed.push({ operation: operation, error: error });
+          this.emitter.emit('offline:failed', { operation: operation, error: error });
+
+          return queue.remove(operation.id).then(next);
+        }.bind(this)
+      );
+    }.bind(this);
+
+    this._replaying = next().then(
+      function() {
+        result.remaining = queue.list().length;
+        return result;
+      }
+    ).finally(
+      function() {
+        this._replaying = null;
+      }.bind(this)
+    );
+
+    return this._replaying;
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *  Download project file and save to disk. Must be loggeed in to
+   *  use.
+   * @param {string} projectId - Monaca project id.
+   * @param {string} remotePath - Source file in cloud.
+   * @param {string} localPath - Local file destination.
+   * @param {object} [options] - Download options.
+   * @param {CancellationToken} [options.cancelToken] - Token used to cancel the download.
+   * @return {Promise}
+   * @example
+   *   monaca.downloadFile('SOME_PROJECT_ID', '/remote/file', '/local/file').then(
+   *     function() {
+   *       // File download successful!
+   *     },
+   *     function(error) {
+   *       // File download failed.
+   *     }
+   *   );
+   */
+  Monaca.prototype.downloadFile = function(projectId, remotePath, localPath, options) {
+    var deferred = Q.defer();
+
+    options = options || {};
+
+    this._post('/project/' + projectId + '/file/read', { path: remotePath }, {
+      idempotent: true,
+      cancelToken: options.cancelToken
+    }).then(
+      function(data) {
+        var parentDir = path.dirname(localPath);
+
+        fs.exists(parentDir, function(exists) {
+          if (!exists) {
+            shell.mkdir('-p', parentDir);
+          }
+
+          fs.writeFile(localPath, data.body, function(error) {
+            if (error) {
+              deferred.reject(errors.from(error));
+            }
+            else {
+              deferred.resolve(localPath);
+            }
+          });
+        });
+      },
+      function(error) {
+        deferred.reject(error);
+      }
+    );
+
+    return deferred.promise;
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Upload a file from disk to the cloud. Must be logged in to use.
+   *
+   *   Files bigger than the chunk size are uploaded in several requests. If
+   *   an upload journal is given, the uploaded chunks are recorded so an
+   *   interrupted upload can be resumed. The returned promise is notified
+   *   with the number of uploaded bytes after every chunk.
+   *
+   *   If Monaca Cloud doesn't support chunked uploads (HTTP status 404, 405 or
+   *   501), the file is sent in a single request instead, and so are the next
+   *   big files of this client. Other failures reject the upload.
+   * @param {string} projectId - Monaca project ID.
+   * @param {string} localPath - Local source file.
+   * @param {string} remotePath - Remote file in cloud.
+   * @param {object} [options] - Upload options.
+   * @param {number} [options.chunkSize] - Chunk size in bytes. Defaults to 1MB.
+   * @param {string} [options.hash] - Checksum of the local file. Required to resume uploads.
+   * @param {UploadJournal} [options.journal] - Journal used to resume chunked uploads.
+   * @param {CancellationToken} [options.cancelToken] - Token used to cancel the upload.
+   * @return {Promise}
+   * @example
+   *   monaca.uploadFile('SOME_PROJECT_ID', '/local/file', '/remote/file').then(
+   *     function() {
+   *       // File upload successful!
+   *     },
+   *     function(error) {
+   *       // File upload failed.
+   *     },
+   *     function(progress) {
+   *       console.log(progress.bytesUploaded + ' / ' + progress.bytesTotal);
+   *     }
+   *   );
+   */
+  Monaca.prototype.uploadFile = function(projectId, localPath, remotePath, options) {
+    var deferred = Q.defer();
+
+    options = options || {};
+
+    fs.stat(localPath, function(error, stat) {
+      if (error || !stat.isFile()) {
+        return deferred.reject(new errors.FileSystemError('File does not exist.', {
+          errno: error ? error.code : 'EISDIR',
+          path: localPath,
+          cause: error || undefined
+        }));
+      }
+
+      var chunkSize = options.chunkSize || UPLOAD_CHUNK_SIZE;
+
+      var uploadWhole = function() {
+        return this._post_file('/project/' + projectId + '/file/save', {
+          path: remotePath,
+          file: fs.createReadStream(localPath)
+        }, {
+          cancelToken: options.cancelToken
+        })
+        .then(
+          function() {
+            deferred.notify({
               path: remotePath,
-//              contentBase64: data.toString('base64')
-              file: fs.createReadStream(localPath)
-            }).then(
-              function() {
-                deferred.resolve(remotePath);
-              },
-              function(error) {
-                deferred.reject(error);
-              }
-            );
+              bytesUploaded: stat.size,
+              bytesTotal: stat.size
+            });
           }
-        }.bind(this));
+        );
+      }.bind(this);
+
+      var upload;
+
+      if (stat.size > chunkSize && this._chunkedUploads !== false) {
+        upload = this._uploadFileChunked(projectId, localPath, remotePath, stat.size, chunkSize, options)
+          .then(
+            null,
+            function(error) {
+              // Fall back to a single request if the server doesn't support chunked uploads.
+              return this._chunkedUploads === false ? uploadWhole() : Q.reject(error);
+            }.bind(this),
+            function(progress) {
+              deferred.notify(progress);
+            }
+          );
+      } else {
+        upload = uploadWhole();
       }
+
+      upload.then(
+        function() {
+          deferred.resolve(remotePath);
+        },
+        function(error) {
+          deferred.reject(error);
+        }
+      );
     }.bind(this));
 
     return deferred.promise;
   };
 
+  Monaca.prototype._uploadFileChunked = function(projectId, localPath, remotePath, size, chunkSize, options) {
+    var deferred = Q.defer(),
+      uploadRoot = '/project/' + projectId + '/file/upload',
+      journal = options.journal,
+      entry = journal ? journal.get(remotePath) : null,
+      requestOptions = { cancelToken: options.cancelToken },
+      uploadId;
+
+    var startUpload = function() {
+      return this._post(uploadRoot + '/start', {
+        path: remotePath,
+        size: size,
+        hash: options.hash
+      }, requestOptions)
+      .then(
+        function(data) {
+          uploadId = this._safeParse(data.body).result.uploadId;
+          this._chunkedUploads = true;
+
+          return journal ? journal.begin(remotePath, {
+            hash: options.hash,
+            size: size,
+            chunkSize: chunkSize,
+            uploadId: uploadId
+          }) : null;
+        }.bind(this)
+      )
+      .then(
+        function() {
+          return 0;
+        },
+        function(error) {
+          // Only a server without the endpoint says chunked uploads aren't supported. Other
+          // failures, e.g. a 502 from a proxy, may not happen again for the next file.
+          if (error instanceof errors.ApiError && CHUNKED_UPLOAD_UNSUPPORTED.indexOf(error.status) >= 0) {
+            this._chunkedUploads = false;
+          }
+
+          return Q.reject(error);
+        }.bind(this)
+      );
+    }.bind(this);
+
+    // Ask the server how much of a previous upload it kept. Start over if the upload expired.
+    var resumeUpload = function() {
+      uploadId = entry.uploadId;
+
+      return this._post(uploadRoot + '/status', { uploadId: uploadId }, extend({ idempotent: true }, requestOptions))
+        .then(
+          function(data) {
+            var uploadedBytes = this._safeParse(data.body).result.uploadedBytes;
+
+            if (typeof uploadedBytes !== 'number' || uploadedBytes > size || (uploadedBytes % chunkSize !== 0 && uploadedBytes !== size)) {
+              return startUpload();
+            }
+
+            return uploadedBytes;
+          }.bind(this),
+          function(error) {
+            return error instanceof errors.CancelledError ? Q.reject(error) : startUpload();
+          }
+        );
+    }.bind(this);
+
+    var readChunk = function(offset) {
+      var length = Math.min(chunkSize, size - offset),
+        buffer = Buffer.alloc(length);
+
+      return Q.nfcall(fs.open, localPath, 'r')
+        .then(
+          function(fd) {
+            return Q.nfcall(fs.read, fd, buffer, 0, length, offset)
+              .finally(
+                function() {
+                  return Q.nfcall(fs.close, fd);
+                }
+              );
+          }
+        )
+        .then(
+          function() {
+            return buffer;
+          },
+          function(error) {
+            return Q.reject(errors.from(error));
+          }
+        );
+    };
+
+    var uploadChunks = function(offset) {
+      if (offset >= size) {
+        return Q.resolve();
+      }
+
+      return readChunk(offset)
+        .then(
+          function(chunk) {
+            return this._post_file(uploadRoot + '/chunk', {
+              uploadId: uploadId,
+              offset: offset,
+              file: {
+                value: chunk,
+                options: {
+                  filename: path.basename(localPath),
+                  contentType: 'application/octet-stream'
+                }
+              }
+            }, requestOptions)
+            .then(
+              function() {
+                var uploadedBytes = offset + chunk.length;
+
+                deferred.notify({
+                  path: remotePath,
+                  bytesUploaded: uploadedBytes,
+                  bytesTotal: size
+                });
+
+                return journal ? journal.progress(remotePath, uploadedBytes).then(function() {
+                  return uploadedBytes;
+                }) : uploadedBytes;
+              }
+            );
+          }.bind(this)
+        )
+        .then(uploadChunks);
+    }.bind(this);
+
+    var resumable = entry && !entry.done && entry.uploadId && entry.hash === options.hash &&
+      entry.size === size && entry.chunkSize === chunkSize;
+
+    (resumable ? resumeUpload() : startUpload())
+      .then(uploadChunks)
+      .then(
+        function() {
+          return this._post(uploadRoot + '/finish', {
+            uploadId: uploadId,
+            path: remotePath
+          }, requestOptions);
+        }.bind(this)
+      )
+      .then(
+        function() {
+          return journal ? journal.complete(remotePath, options.hash) : null;
+        }
+      )
+      .then(
+        function() {
+          deferred.resolve(remotePath);
+        },
+        function(error) {
+          deferred.reject(error);
+        }
+      );
+
+    return deferred.promise;
+  };
+
  Monaca.prototype._deleteFileFromCloud = function(projectId, remotePath) {
     var deferred = Q.defer();
     this._post('/project/' + projectId + '/file/remove', {
@@ -802,18 +2027,22 @@
       form.email = arguments[0];
       form.password = arguments[1];
     }
-    return this._post(this.apiRoot + '/user/login', form)
+    return this._post(this.apiRoot + '/user/login', form, { relogin: false })
       .then(
         function(data) {
           var body = this._safeParse(data.body),
             response = data.response;
           if (body.status === 'ok') {
-            var headers = response.caseless.dict;
+            var headers = response.caseless.dict,
+              times = SessionRefresher.parseTimes(body.result, headers);
+
             return this.setData({
               'reloginToken': body.result.token,
               'clientId': body.result.clientId,
               'x-monaca-param-api-token': headers['x-monaca-param-api-token'],
-              'x-monaca-param-session': headers['x-monaca-param-session']
+              'x-monaca-param-session': headers['x-monaca-param-session'],
+              'sessionIssuedAt': times.issuedAt,
+              'sessionExpiresAt': times.expiresAt
             })
             .then(
               function() {
@@ -824,6 +2053,7 @@
 
                 this.loginBody = body.result;
                 this._loggedIn = true;
+                this._sessionRefresher.schedule();
 
                 return Q.resolve();
               }.bind(this),
@@ -831,7 +2061,7 @@
             );
           }
 
-          return Q.reject(body);
+          return Q.reject(new errors.AuthError(body.message || body.title || 'Failed to log in.', { body: body }));
 
         }.bind(this),
         Q.reject
@@ -843,7 +2073,9 @@
    * @memberof Monaca
    * @description
    *   Prepares the current session with local data before trying any request.
-   *   If local data is not found it calls relogin.
+   *   If local data is not found or the saved session expired it calls relogin. The session
+   *   is then refreshed before it expires, see {@link Monaca#sessionPolicy}. With an access token, see
+   *   {@link Monaca#accessToken}, it resolves right away.
    * @param {object} [options] - Login parameters.
    * @param {string} [options.version] - App name and version to send to the Monaca API. Defaults to "monaca-lib x.y.z".
    * @param {string} [options.language] - Can be either "en" or "ja". Defaults to "en".
@@ -859,10 +2091,16 @@
    *   );
    */
   Monaca.prototype.prepareSession = function(options) {
+    if (this.accessToken) {
+      return this._useAccessToken();
+    }
+
     var apiToken = this.getData('x-monaca-param-api-token'),
       session = this.getData('x-monaca-param-session');
 
-    if (!apiToken || !session) {
+    var expiresAt = this.getData('sessionExpiresAt');
+
+    if (!apiToken || !session || (expiresAt && expiresAt <= Date.now())) {
       return this.relogin(options);
     }
 
@@ -871,6 +2109,18 @@
       session: session
     };
     this._loggedIn = true;
+    this._sessionRefresher.schedule();
+
+    return Q.resolve();
+  };
+
+  // Requests are authenticated with the access token, there is no session to open.
+  Monaca.prototype._useAccessToken = function() {
+    this.tokens = {
+      api: null,
+      session: null
+    };
+    this._loggedIn = true;
 
     return Q.resolve();
   };
@@ -898,9 +2148,13 @@
   Monaca.prototype.relogin = function(options) {
     options = options || {};
 
+    if (this.accessToken) {
+      return this._useAccessToken();
+    }
+
     var reloginToken = this.getData('reloginToken');
     if (typeof reloginToken !== 'string' || reloginToken === '') {
-      return Q.reject(new Error('Not a valid relogin token.'));
+      return Q.reject(new errors.AuthError('Not a valid relogin token.'));
     }
 
     return this._login(reloginToken, options);
@@ -910,8 +2164,8 @@
    * @method
    * @memberof Monaca
    * @description
-   *   Sign in to Monaca cloud using email and password. Will save relogin token to disk
-   *   if successful. After the relogin token has been saved, {@link Monaca#relogin} can
+   *   Sign in to Monaca cloud using email and password. Will save relogin token to the
+   *   credential store if successful. After the relogin token has been saved, {@link Monaca#relogin} can
    *   be used to login.
    * @param {string} email - A Monaca account email.
    * @param {string} password - Password associated with the account.
@@ -930,6 +2184,10 @@
    *   );
    */
   Monaca.prototype.login = function(email, password, options) {
+    if (this.accessToken) {
+      return Q.reject(new errors.ValidationError('Logging in is not needed with an access token.'));
+    }
+
     if (options) {
       return this._login(email, password, options);
     }
@@ -942,8 +2200,8 @@
    * @method
    * @memberof Monaca
    * @description
-   *   Sign out from Monaca cloud. Will remove relogin token from disk and session tokens
-   *   from memory.
+   *   Sign out from Monaca cloud. Will remove relogin token and session tokens from
+   *   the credential store and from memory.
    * @return {Promise}
    * @example
    *   monaca.login('my@email.com', 'password').then(
@@ -960,10 +2218,13 @@
       'clientId': '',
       'x-monaca-param-api-token': '',
       'x-monaca-param-session': '',
-      'trackId': ''
+      'trackId': '',
+      'sessionIssuedAt': null,
+      'sessionExpiresAt': null
     })
     .then(
       function() {
+        this._sessionRefresher.stop();
         this.tokens = {
           api: null,
           session: null
@@ -978,6 +2239,44 @@
     return deferred.promise;
   };
 
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Information about the current session.
+   * @return {Promise} - Resolves to <code>{ profile, method, loggedIn, issuedAt, expiresAt, expiresIn,
+   *   expired, nextRefreshAt }</code>. <code>method</code> is "session", or "accessToken" with an access
+   *   token. Dates are ISO strings and are null when unknown. <code>expiresIn</code> is in milliseconds.
+   * @example
+   *   monaca.getSessionInfo().then(
+   *     function(info) {
+   *       if (info.expiresAt) {
+   *         console.log('The session expires at ' + info.expiresAt);
+   *       }
+   *     }
+   *   );
+   */
+  Monaca.prototype.getSessionInfo = function() {
+    var issuedAt = this.getData('sessionIssuedAt') || null,
+      expiresAt = this.getData('sessionExpiresAt') || null,
+      now = Date.now();
+
+    var toDate = function(time) {
+      return time ? new Date(time).toISOString() : null;
+    };
+
+    return Q.resolve({
+      profile: this.profile,
+      method: this.accessToken ? 'accessToken' : 'session',
+      loggedIn: this._loggedIn,
+      issuedAt: toDate(issuedAt),
+      expiresAt: toDate(expiresAt),
+      expiresIn: expiresAt ? expiresAt - now : null,
+      expired: !!expiresAt && expiresAt <= now,
+      nextRefreshAt: toDate(this._sessionRefresher.nextRefreshAt)
+    });
+  };
+
   /**
    * @method
    * @memberof Monaca
@@ -1027,7 +2326,7 @@
             errorMessage += '\n' + key + ': ' + body.result.formError[key];
           });
 
-          return Q.reject(new Error(errorMessage));
+          return Q.reject(new errors.ValidationError(errorMessage, { cause: body }));
         }.bind(this),
         Q.reject
       );
@@ -1065,10 +2364,10 @@
       function(data) {
         var body = this._safeParse(data.body);
         if (body.status === 'ok') {
-          return body.result === 1 ? Q.resolve() : Q.reject();
+          return body.result === 1 ? Q.resolve() : Q.reject(new errors.AuthError('The account is not activated yet.', { body: body }));
         }
 
-        return Q.reject(body.title);
+        return Q.reject(new errors.ApiError(body.title, { body: body }));
       }.bind(this),
       Q.reject
     );
@@ -1093,7 +2392,7 @@
   Monaca.prototype.checkBuildAvailability = function(projectId, platform, buildType) {
 
     if (!projectId || !platform || !buildType) {
-      return Q.reject(new Error("Missing parameters."));
+      return Q.reject(new errors.ValidationError("Missing parameters."));
     }
 
     return this._get('/project/' + projectId + '/can_build_app')
@@ -1103,75 +2402,80 @@
 
         if (body.status === 'ok') {
 
+          // Error explaining why the build can't start, if any.
           var checkError = function() {
             var platformContent = body.result[platform];
 
             if (!platformContent) {
-              return 'Specified platform is not supported or doesn\'t exist.';
+              return new errors.ValidationError('Specified platform is not supported or doesn\'t exist.');
             }
             if (!platformContent.has_remaining_slot) {
-              return 'Your plan does not allow further builds at the moment. Please upgrade your account to start build, or try again later.';
+              return new errors.QuotaError('Your plan does not allow further builds at the moment. Please upgrade your account to start build, or try again later.');
             }
             if (!platformContent.is_start_file_exist) {
-              return 'Your project is missing the startup file (usually index.html).';
+              return new errors.ProjectStructureError('Your project is missing the startup file (usually index.html).');
             }
             if (typeof platformContent.can_build_for[buildType] === 'undefined') {
-              return platform + ' ' + buildType + ' build is not supported or doesn\'t exist.';
+              return new errors.ValidationError(platform + ' ' + buildType + ' build is not supported or doesn\'t exist.');
             }
             if (platform === 'android') {
               if (!platformContent.is_versionname_valid) {
-                return 'Version name is invalid.';
+                return new errors.ProjectStructureError('Version name is invalid.');
               }
               if (buildType === 'release' && !platformContent.has_keysetting) {
-                return 'Missing KeyStore configuration. Configure remote build by executing `monaca remote build --browser`.';
+                return new errors.BuildError('Missing KeyStore configuration. Configure remote build by executing `monaca remote build --browser`.');
               }
             }
             if (platform === 'ios') {
               if (!platformContent.has_splash_and_icons) {
-                return 'Your project is missing splash screens and/or icons. Please add the missing files from remote build settings by executing `monaca remote build --browser`.';
+                return new errors.BuildError('Your project is missing splash screens and/or icons. Please add the missing files from remote build settings by executing `monaca remote build --browser`.');
               }
               if (buildType === 'debug') {
                 if (!platformContent.has_dev_provisioning) {
-                  return 'Missing dev provisioning file. Please upload it from remote build settings by executing `monaca remote build --browser`.';
+                  return new errors.BuildError('Missing dev provisioning file. Please upload it from remote build settings by executing `monaca remote build --browser`.');
                 }
                 if (platformContent.dev_provisioning_error) {
-                  return 'Error in dev provisioning file. Please upload again from remote build settings by executing `monaca remote build --browser`.';
+                  return new errors.BuildError('Error in dev provisioning file. Please upload again from remote build settings by executing `monaca remote build --browser`.');
                 }
               } else if (buildType === 'debugger') {
                 if (!platformContent.has_debug_provisioning) {
-                  return 'Missing debug provisioning file. Please upload it from remote build settings by executing `monaca remote build --browser`.';
+                  return new errors.BuildError('Missing debug provisioning file. Please upload it from remote build settings by executing `monaca remote build --browser`.');
                 }
                 if (platformContent.debug_provisioning_error) {
-                  return 'Error in debug provisioning file. Please upload again from remote build settings by executing `monaca remote build --browser`.';
+                  return new errors.BuildError('Error in debug provisioning file. Please upload again from remote build settings by executing `monaca remote build --browser`.');
                 }
               } else {
                 if (!platformContent['has_' + buildType + '_provisioning']) {
-                  return 'Missing ' + buildType + ' provisioning file. Please upload it from remote build settings by executing `monaca remote build --browser`.';
+                  return new errors.BuildError('Missing ' + buildType + ' provisioning file. Please upload it from remote build settings by executing `monaca remote build --browser`.');
                 }
                 if (platformContent[buildType + '_provisioning_error']) {
-                  return 'Error in' + buildType + ' provisioning file. Please upload again from remote build settings by executing `monaca remote build --browser`.';
+                  return new errors.BuildError('Error in' + buildType + ' provisioning file. Please upload again from remote build settings by executing `monaca remote build --browser`.');
                 }
               }
             }
 
-            return '';
+            return null;
           };
 
-          var errorMessage = checkError();
-          if (errorMessage) {
-            return Q.reject(new Error(errorMessage));
+          var error = checkError();
+          if (error) {
+            return Q.reject(error);
           } else {
             return Q.resolve(body);
           }
         } else {
-          return Q.reject(new Error(body.status + " - " + body.message));
+          return Q.reject(new errors.ApiError(body.status + " - " + body.message, { body: body }));
         }
       }.bind(this),
       function(err) {
-        if (err.code === 404) {
-          return Q.reject(new Error("Cannot reach the server, contact Monaca Support. Error code: " + err.code));
+        var details = { status: err.status, body: err.body, cause: err };
+
+        if (err instanceof errors.NotFoundError) {
+          return Q.reject(new errors.NotFoundError("Cannot reach the server, contact Monaca Support. Error code: " + err.status, details));
+        } else if (err.constructor === errors.ApiError) {
+          return Q.reject(new errors.ApiError("Internal server error, contact Monaca Support. Error code: " + err.status, details));
         } else {
-          return Q.reject(new Error("Internal server error, contact Monaca Support. Error code: " + err.code));
+          return Q.reject(err);
         }
       }
     );
@@ -1216,7 +2520,7 @@
   Monaca.prototype.download = function(url, data, filename) {
     var deferred = Q.defer();
 
-    this._createRequestClient(data).then(function(requestClient) {
+    this._createRequestClient(data, url).then(function(requestClient) {
       requestClient.get(url)
       .on('response', function(response) {
 
@@ -1233,10 +2537,10 @@
             deferred.resolve(dest);
           });
           file.on('error', function(error) {
-            deferred.reject(error);
+            deferred.reject(errors.from(error));
           });
         } else {
-          deferred.reject(new Error('Not a valid file name.'));
+          deferred.reject(new errors.ValidationError('Not a valid file name.'));
         }
       })
 
@@ -1263,10 +2567,16 @@
     options = options || {};
     options.disableStatusUpdate = options.disableStatusUpdate ? 1 : 0;
 
-    this._get('/user/info/news', options ? options : {} ).then(
-      function(data) {
-        deferred.resolve(this._safeParse(data.body));
-      }.bind(this),
+    this._cachedRead('getLatestNews:' + JSON.stringify(options), function() {
+      return this._get('/user/info/news', options ? options : {} ).then(
+        function(data) {
+          return this._safeParse(data.body);
+        }.bind(this)
+      );
+    }.bind(this)).then(
+      function(news) {
+        deferred.resolve(news);
+      },
       function(error) {
         deferred.reject(error);
       }
@@ -1293,10 +2603,16 @@
   Monaca.prototype.getProjects = function() {
     var deferred = Q.defer();
 
-    this._get('/user/projects').then(
-      function(data) {
-        deferred.resolve(this._safeParse(data.body).result.items);
-      }.bind(this),
+    this._cachedRead('getProjects', function() {
+      return this._get('/user/projects').then(
+        function(data) {
+          return this._safeParse(data.body).result.items;
+        }.bind(this)
+      );
+    }.bind(this)).then(
+      function(projects) {
+        deferred.resolve(projects);
+      },
       function(error) {
         deferred.reject(error);
       }
@@ -1313,7 +2629,11 @@
    * @return {Promise}
    */
   Monaca.prototype.getProjectId = function(projectDir) {
-    return localProperties.get(projectDir, 'project_id');
+    return this._checkProjectProfile(projectDir).then(
+      function() {
+        return localProperties.get(projectDir, profiles.projectIdKey(this.profile));
+      }.bind(this)
+    );
   };
 
     /**
@@ -1324,7 +2644,7 @@
    * @return {Promise}
    */
   Monaca.prototype.deleteProjectId = function(projectDir) {
-    return localProperties.del(projectDir, 'project_id');
+    return localProperties.del(projectDir, profiles.projectIdKey(this.profile));
   };
 
   /**
@@ -1357,7 +2677,68 @@
    * @return {Promise}
    */
   Monaca.prototype.setProjectId = function(projectDir, projectId) {
-    return localProperties.set(projectDir, 'project_id', projectId);
+    return this._checkProjectProfile(projectDir).then(
+      function() {
+        return localProperties.set(projectDir, profiles.projectIdKey(this.profile), projectId);
+      }.bind(this)
+    );
+  };
+
+  Monaca.prototype._checkProjectProfile = function(projectDir) {
+    return localProperties.get(projectDir, 'profile').then(
+      function(profile) {
+        if (profile && profile !== this.profile) {
+          return Q.reject(new errors.ValidationError('The project in ' + projectDir + ' is bound to the "' + profile +
+            '" profile, but the "' + this.profile + '" profile is in use.'));
+        }
+      }.bind(this)
+    );
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Get the profile a project is bound to.
+   * @param {String} projectDir - Project directory.
+   * @return {Promise} - Resolves to the profile name, or undefined if the project isn't bound to a profile.
+   */
+  Monaca.prototype.getProjectProfile = function(projectDir) {
+    return localProperties.get(projectDir, 'profile');
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Bind a project to a profile. Clients created with <code>{ projectDir: projectDir }</code>
+   *   then use that profile, and other profiles can't read or change the project ID.
+   * @param {String} projectDir - Project directory.
+   * @param {String} [profile] - Profile name. Unbinds the project if omitted.
+   * @return {Promise}
+   * @example
+   *   monaca.setProjectProfile('/my/project', 'work').then(
+   *     function() {
+   *       var client = new Monaca({ projectDir: '/my/project' }); // Uses the "work" profile.
+   *     }
+   *   );
+   */
+  Monaca.prototype.setProjectProfile = function(projectDir, profile) {
+    if (!profile) {
+      return localProperties.get(projectDir, 'profile').then(
+        function(value) {
+          return value ? localProperties.del(projectDir, 'profile') : undefined;
+        }
+      );
+    }
+
+    try {
+      profiles.validate(profile);
+    } catch (error) {
+      return Q.reject(error);
+    }
+
+    return localProperties.set(projectDir, 'profile', profile);
   };
 
   /**
@@ -1367,6 +2748,8 @@
    *   Fetch a list of files and directories for a project.
    *   Must be logged in to use.
    * @param {string} projectId
+   * @param {object} [options] - Options.
+   * @param {CancellationToken} [options.cancelToken] - Token used to cancel the request.
    * @return {Promise}
    * @example
    *   monaca.getProjectFiles('SOME_PROJECT_ID').then(
@@ -1378,10 +2761,18 @@
    *     }
    *   );
    */
-  Monaca.prototype.getProjectFiles = function(projectId) {
+  Monaca.prototype.getProjectFiles = function(projectId, options) {
     var deferred = Q.defer();
 
-    this._post('/project/' + projectId + '/file/tree').then(
+    options = options || {};
+
+    // Servers supporting a stronger hash add it to the tree items, others ignore the parameter.
+    var params = this.hashAlgorithm !== 'crc32' ? { hash_algorithm: this.hashAlgorithm } : undefined;
+
+    this._post('/project/' + projectId + '/file/tree', params, {
+      idempotent: true,
+      cancelToken: options.cancelToken
+    }).then(
       function(data) {
         deferred.resolve(JSON.parse(data.body).result.items);
       },
@@ -1398,8 +2789,13 @@
    * @memberof Monaca
    * @description
    *   Fetch a list of files and directories for a local project.
+   *   File hashes are cached in .monaca/file_index.json and only computed again
+   *   for files whose size, mtime or inode changed.
    * @param {string} projectDir - Path to project.
    * @param {Object} [options] Parameters like filter to filter from list of files.
+   *   Set <code>index</code> to false to read every file without using the file index.
+   *   <code>hashAlgorithm</code> overrides {@link Monaca#hashAlgorithm}. Files always have a crc32
+   *   <code>hash</code> and, in "sha256" mode, a <code>sha256</code> hash too.
    * @return {Promise}
    * @example
    *   monaca.getLocalProjectFiles = function('/some/directory').then(
@@ -1414,8 +2810,16 @@
   Monaca.prototype.getLocalProjectFiles = function(projectDir, options) {
     var deferred = Q.defer();
 
+    var algorithms;
+
+    try {
+      algorithms = contentHash.algorithmsFor((options && options.hashAlgorithm) || this.hashAlgorithm);
+    } catch (error) {
+      return Q.reject(error);
+    }
+
     var qLimit = qlimit(100);
-    var getFileChecksum = qLimit(function(file) {
+    var getFileHashes = qLimit(function(file) {
       var deferred = Q.defer();
 
       fs.readFile(file, function(error, data) {
@@ -1423,18 +2827,27 @@
           deferred.reject(error);
         }
         else {
-          deferred.resolve(crc32(data).toString('hex'));
+          deferred.resolve(contentHash.digestAll(data, algorithms));
         }
       });
 
       return deferred.promise;
     });
 
+    var localOnlyFiles = LOCAL_ONLY_FILES.map(function(file) {
+      return '/' + file.split(path.sep).join('/');
+    });
+
+    var localOnlyDirs = LOCAL_ONLY_DIRS.map(function(dir) {
+      return '/' + dir.split(path.sep).join('/');
+    });
+
     fs.exists(projectDir, function(exists) {
       if (exists) {
         var files = {},
           promises = [],
-          filteredList = [];
+          filteredList = [],
+          fileIndex = options && options.index === false ? null : new FileIndex(projectDir);
 
         glob.sync("**/*",
           {
@@ -1454,28 +2867,67 @@
         }
         filteredList.forEach(function(file) {
           var obj = {},
-            key = path.join('/', file);
+            key = path.join('/', file),
+            stat;
 
           // Converting Windows path delimiter to slash
           key = key.split(path.sep).join('/');
-          files[key] = obj;
+
+          // Remove local properties file and other machine specific files.
+          if (localOnlyFiles.indexOf(key) >= 0) {
+            return;
+          }
+          for (var i = 0; i < localOnlyDirs.length; i++) {
+            if (key === localOnlyDirs[i] || key.indexOf(localOnlyDirs[i] + '/') === 0) {
+              return;
+            }
+          }
 
           var absolutePath = path.join(projectDir, file);
 
-          if (fs.lstatSync(absolutePath).isDirectory()) {
+          try {
+            stat = fs.lstatSync(absolutePath);
+          } catch (error) {
+            // Removed since the directory was listed.
+            if (error.code !== 'ENOENT') {
+              promises.push(Q.reject(errors.from(error)));
+            }
+            return;
+          }
+
+          files[key] = obj;
+
+          if (stat.isDirectory()) {
             obj.type = 'dir';
           }
           else {
             obj.type = 'file';
 
+            // Only read files that changed since they were indexed.
+            var cached = fileIndex && algorithms.every(function(algorithm) {
+              var hash = fileIndex.lookup(key, stat, algorithm);
+
+              obj[contentHash.field(algorithm)] = hash;
+              return !!hash;
+            });
+
+            if (cached) {
+              return;
+            }
+
             var deferred = Q.defer();
 
-            getFileChecksum(absolutePath).then(
-              function(checksum) {
-                deferred.resolve([key, checksum]);
+            getFileHashes(absolutePath).then(
+              function(hashes) {
+                if (fileIndex) {
+                  algorithms.forEach(function(algorithm) {
+                    fileIndex.set(key, stat, hashes[contentHash.field(algorithm)], algorithm);
+                  });
+                }
+                deferred.resolve([key, hashes]);
               },
               function(error) {
-                deferred.reject(error);
+                deferred.reject(errors.from(error));
               }
             );
 
@@ -1486,15 +2938,23 @@
         Q.all(promises).then(
           function(results) {
             results.forEach(function(result) {
-              var key = result[0],
-                checksum = result[1];
-
-              files[key].hash = checksum;
+              extend(files[result[0]], result[1]);
             });
 
-            // Remove local properties file.
-            delete files['/.monaca/local_properties.json'];
+            if (!fileIndex) {
+              return;
+            }
+
+            // A filtered list doesn't tell which files were removed.
+            if (!options || !options.filter) {
+              fileIndex.prune(Object.keys(files));
+            }
 
+            // The index is only a cache so failing to save it doesn't matter.
+            return fileIndex.save().catch(function() {});
+          }
+        ).then(
+          function() {
             deferred.resolve(files);
           },
           function(error) {
@@ -1503,13 +2963,191 @@
         );
       }
       else {
-        deferred.reject(projectDir + ' does not exist');
+        deferred.reject(new errors.ProjectStructureError(projectDir + ' does not exist', { projectDir: projectDir }));
       }
     });
 
     return deferred.promise;
   };
 
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Forgets the cached hashes of local project files so they are read again
+   *   the next time {@link Monaca#getLocalProjectFiles} is called.
+   * @param {string} projectDir - Project directory.
+   * @param {string[]} [files] - Paths relative to the project directory. Every file is forgotten if omitted.
+   * @return {Promise}
+   * @example
+   *   monaca.invalidateFileIndex('/my/project', ['www/index.html']);
+   */
+  Monaca.prototype.invalidateFileIndex = function(projectDir, files) {
+    try {
+      var fileIndex = new FileIndex(projectDir);
+
+      fileIndex.invalidate(files ? files.map(function(file) {
+        return path.join('/', file).split(path.sep).join('/');
+      }) : undefined);
+
+      return fileIndex.save();
+    } catch (error) {
+      return Q.reject(error);
+    }
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Reads every local project file again and rebuilds the file index.
+   * @param {string} projectDir - Project directory.
+   * @return {Promise} - Resolves to the same file list as {@link Monaca#getLocalProjectFiles}.
+   */
+  Monaca.prototype.rebuildFileIndex = function(projectDir) {
+    return this.invalidateFileIndex(projectDir).then(
+      function() {
+        return this.getLocalProjectFiles(projectDir);
+      }.bind(this)
+    );
+  };
+
+  // Snapshots of a project with the retention policy of the "snapshots" section of project_info.json.
+  Monaca.prototype._getSnapshotStore = function(projectDir) {
+    var projectInfo = this.fetchProjectData(projectDir) || {};
+
+    return new SnapshotStore(projectDir, projectInfo.snapshots);
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Stores a copy of project files in .monaca/snapshots so they can be
+   *   restored with {@link Monaca#restoreSnapshot}. Contents are compressed
+   *   and stored only once however many snapshots contain them.
+   *
+   *   Snapshots are also taken automatically before destructive sync operations.
+   *   Old snapshots are removed according to the <code>snapshots</code> section of
+   *   <code>.monaca/project_info.json</code>: <code>keep</code> is the number of snapshots
+   *   to keep (10 by default) and <code>maxAge</code> their maximum age in days (30 by default).
+   * @param {string} projectDir - Project directory.
+   * @param {object} [options] - Snapshot options.
+   * @param {string[]} [options.files] - Paths relative to the project directory. Defaults to every file that would be uploaded.
+   * @param {string} [options.reason] - Why the snapshot was taken.
+   * @return {Promise} - Resolves to <code>{ id, created, reason, source, files, size }</code>.
+   * @example
+   *   monaca.createSnapshot('/my/project').then(
+   *     function(snapshot) {
+   *       console.log('Saved ' + snapshot.files.length + ' files in ' + snapshot.id);
+   *     }
+   *   );
+   */
+  Monaca.prototype.createSnapshot = function(projectDir, options) {
+    options = options || {};
+
+    var keys;
+
+    if (options.files) {
+      keys = Q.resolve(options.files.map(function(file) {
+        return path.join('/', file).split(path.sep).join('/');
+      }));
+    } else {
+      keys = this.getLocalProjectFiles(projectDir).then(
+        function(localFiles) {
+          var scope = this._getSyncScope(projectDir);
+
+          return Object.keys(localFiles).filter(function(key) {
+            return localFiles[key].type === 'file' && scope.isSynced('upload', key, false);
+          });
+        }.bind(this)
+      );
+    }
+
+    return keys.then(
+      function(keys) {
+        return this._getSnapshotStore(projectDir).create(keys.map(function(key) {
+          return {
+            path: key,
+            file: path.join(projectDir, key.substr(1))
+          };
+        }), { reason: options.reason });
+      }.bind(this)
+    );
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Lists the snapshots of a project, newest first.
+   * @param {string} projectDir - Project directory.
+   * @return {Promise} - Resolves to an array of <code>{ id, created, reason, source, files, size }</code>.
+   *   <code>source</code> is "remote" for snapshots of Cloud files taken before deleting them.
+   */
+  Monaca.prototype.listSnapshots = function(projectDir) {
+    return this._getSnapshotStore(projectDir).list();
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Writes the files of a snapshot back into the project. Files created
+   *   after the snapshot was taken are left as they are.
+   * @param {string} projectDir - Project directory.
+   * @param {string} snapshotId - Snapshot ID.
+   * @param {object} [options] - Restore options.
+   * @param {string[]} [options.files] - Only restore these paths, relative to the project directory.
+   * @return {Promise} - Resolves to the restored paths.
+   */
+  Monaca.prototype.restoreSnapshot = function(projectDir, snapshotId, options) {
+    var keys = options && options.files ? options.files.map(function(file) {
+      return path.join('/', file).split(path.sep).join('/');
+    }) : undefined;
+
+    return this._getSnapshotStore(projectDir).restore(snapshotId, keys);
+  };
+
+  // Takes a snapshot of the local files a sync is about to overwrite or delete.
+  Monaca.prototype._snapshotLocalFiles = function(projectDir, keys, reason) {
+    var files = keys.filter(function(key) {
+      try {
+        return fs.lstatSync(path.join(projectDir, key.substr(1))).isFile();
+      } catch (e) {
+        return false;
+      }
+    });
+
+    if (files.length === 0) {
+      return Q.resolve(null);
+    }
+
+    return this.createSnapshot(projectDir, { files: files, reason: reason });
+  };
+
+  // Takes a snapshot of the Cloud files a sync or an upload is about to overwrite or delete.
+  Monaca.prototype._snapshotRemoteFiles = function(projectDir, projectId, keys, reason) {
+    if (keys.length === 0) {
+      return Q.resolve(null);
+    }
+
+    return Q.all(keys.map(qlimit(4)(function(key) {
+      return this._post('/project/' + projectId + '/file/read', { path: key }, { idempotent: true }).then(
+        function(data) {
+          return {
+            path: key,
+            data: new Buffer(data.body)
+          };
+        }
+      );
+    }.bind(this)))).then(
+      function(files) {
+        return this._getSnapshotStore(projectDir).create(files, { reason: reason, source: 'remote' });
+      }.bind(this)
+    );
+  };
+
   /**
    * @method
    * @memberof Monaca
@@ -1520,6 +3158,9 @@
    *   tracked.
    * @param {string} projectId - Monaca project ID.
    * @param {string} destDir - Destination directory.
+   * @param {object} [options] - Options.
+   * @param {CancellationToken} [options.cancelToken] - Token used to cancel the download. Files
+   *   downloaded so far are left in the destination directory.
    * @return {Promise}
    * @example
    *   monaca.cloneProject(123, '/home/user/workspace/myproject').then(
@@ -1535,11 +3176,15 @@
    *     }
    *   );
    */
-  Monaca.prototype.cloneProject = function(projectId, destDir) {
-    var deferred = Q.defer();
+  Monaca.prototype.cloneProject = function(projectId, destDir, options) {
+    var deferred = Q.defer(),
+      cancelToken = CancellationToken.from(options && options.cancelToken);
     fs.exists(destDir, function(exists) {
       if (exists && shell.ls(destDir).length > 0) {
-        deferred.reject(new Error('File or directory already exists and it contains files.'));
+        deferred.reject(new errors.FileSystemError('File or directory already exists and it contains files.', {
+          errno: 'EEXIST',
+          path: destDir
+        }));
       }
       else {
         var success = true;
@@ -1549,11 +3194,11 @@
         }
         catch (e) {
           success = false;
-          deferred.reject(e);
+          deferred.reject(errors.from(e));
         }
 
         if (success) {
-          this.getProjectFiles(projectId).then(
+          this.getProjectFiles(projectId, { cancelToken: cancelToken }).then(
             function(files) {
               var index = 0,
                 qLimit = qlimit(4);
@@ -1572,7 +3217,13 @@
 
               var downloadFile = function(_path) {
                 var d = Q.defer();
-                this.downloadFile(projectId, _path, path.join(destDir, _path)).then(
+
+                // Files still waiting in the queue are not started once cancelled.
+                if (cancelToken.isCancelled) {
+                  return Q.reject(cancelToken.error());
+                }
+
+                this.downloadFile(projectId, _path, path.join(destDir, _path), { cancelToken: cancelToken }).then(
                   function(dest) {
                     deferred.notify({
                       total: totalLength,
@@ -1633,6 +3284,8 @@
    * @param {string} options.description - Project description
    * @param {string} options.templateId - Template ID (e.g. "rss", "minimum", etc.)
    * @param {boolean} [options.isBuildOnly] - Set to true if the project is uploaded just for building.
+   * @param {string} [options.projectDir] - Local project linked to the new project, see {@link Monaca#setProjectId}.
+   * @param {boolean} [options.offline] - Set to false to fail instead of queueing the creation in offline mode.
    * @return {Promise}
    * @example
    *   monaca.createProject({
@@ -1649,14 +3302,39 @@
    *   );
    */
   Monaca.prototype.createProject = function(options) {
-    var deferred = Q.defer();
+    if (this.offline && options.offline !== false) {
+      return this._queueable('createProject', {
+        options: extend({}, options, { projectDir: options.projectDir && path.resolve(options.projectDir) })
+      }, function() {
+        return this.createProject(extend({}, options, { offline: false }));
+      }.bind(this));
+    }
 
-    options.isBuildOnly = options.isBuildOnly ? 1 : 0;
+    var deferred = Q.defer(),
+      form = extend({}, options);
+
+    form.isBuildOnly = options.isBuildOnly ? 1 : 0;
+    delete form.projectDir;
+    delete form.offline;
 
-    this._post('/user/project/create', options).then(
+    this._post('/user/project/create', form).then(
       function(data) {
-        deferred.resolve(this._safeParse(data.body).result);
-      }.bind(this),
+        var result = this._safeParse(data.body).result;
+
+        if (!options.projectDir) {
+          return result;
+        }
+
+        return this.setProjectId(options.projectDir, result.projectId).then(
+          function() {
+            return result;
+          }
+        );
+      }.bind(this)
+    ).then(
+      function(result) {
+        deferred.resolve(result);
+      },
       function(error) {
         deferred.reject(error);
       }
@@ -1743,26 +3421,38 @@
    *   );
    */
   Monaca.prototype.checkModifiedFiles = function(projectDir, options) {
-    var projectId;
+    var projectId,
+      cancelToken = CancellationToken.from(options && options.cancelToken);
 
-    return ((options && options.skipTranspile) ? this.getProjectId(projectDir) : this.transpile(projectDir))
+    return ((options && options.skipTranspile) ? this.getProjectId(projectDir) : this.transpile(projectDir, { cancelToken: options && options.cancelToken }))
     .then(
-      localProperties.get.bind(this, projectDir, 'project_id')
+      this.getProjectId.bind(this, projectDir)
     )
     .then(
       function(value) {
         projectId = value;
-        return Q.all([this.getLocalProjectFiles(projectDir), this.getProjectFiles(projectId)]);
+        return Q.all([
+          cancelToken.guard(this.getLocalProjectFiles(projectDir)),
+          this.getProjectFiles(projectId, { cancelToken: options && options.cancelToken })
+        ]);
       }.bind(this)
     )
     .then(
       function(files) {
         var localFiles = files[0],
-          remoteFiles = files[1];
+          remoteFiles = files[1],
+          allLocalFiles = extend({}, localFiles);
 
-        var allowFiles = this._filterIgnoreList(projectDir);
+        var scope = this._getSyncScope(projectDir),
+          baseline = new SyncBaseline(projectDir, projectId);
         var filesToBeDeleted = {};
 
+        // Sidecars of a conflict are never synced, and merged files wait until their markers are removed.
+        var isConflictFile = function(file) {
+          return baseline.isSidecar(file) ||
+            (baseline.isUnresolved(file) && _hasConflictMarkers(path.join(projectDir, file.substr(1))));
+        };
+
         for (var f in remoteFiles) {
           // If file on Monaca Cloud doesn't exist locally then it should be deleted from Cloud.
           if (!localFiles.hasOwnProperty(f) && !this._excludeFromCloudDelete(f)) {
@@ -1777,7 +3467,7 @@
 
         // Checks if the file/dir are included in a directory that can be uploaded.
         for (var file in localFiles) {
-          if (this._fileFilter(file, allowFiles, projectDir, "uploadProject")) {
+          if (scope.isSynced('upload', file, localFiles[file].type === 'dir') && !isConflictFile(file)) {
             keys.push(file);
           }
         }
@@ -1798,7 +3488,9 @@
           filesToBeDeleted: filesToBeDeleted,
           modifiedFiles: modifiedFiles,
           keys: keys,
-          projectId: projectId
+          projectId: projectId,
+          localFiles: allLocalFiles,
+          remoteFiles: remoteFiles
         });
       }.bind(this)
     )
@@ -1817,10 +3509,26 @@
    *  directory doesn't contain a Monaca project or if the project is
    *  not associated with the logged in user.
    *
-   *  Will not overwrite files if they are identical.
+   *  Will not overwrite files if they are identical. Files a merge by
+   *  {@link Monaca#syncProject} left with conflict markers, and their
+   *  .orig/.remote sidecars, are not uploaded.
+   *
+   *  Big files are uploaded in chunks. The progress of the upload is kept in
+   *  .monaca/upload_journal.json so an interrupted upload only sends the
+   *  files and chunks that did not finish when it is run again.
    *
    *  If the upload is successful the promise will resolve with the project ID.
    * @param {string} projectDir - Project directory.
+   * @param {object} [options] - Upload options.
+   * @param {boolean} [options.delete] - Delete files in the cloud that don't exist locally.
+   *   A snapshot of the overwritten and deleted Cloud files is taken first, see {@link Monaca#createSnapshot}.
+   * @param {boolean} [options.dryrun] - Only return the files that would be uploaded.
+   * @param {number} [options.chunkSize] - Chunk size in bytes for big files. Defaults to 1MB.
+   * @param {boolean} [options.snapshot] - Set to false to delete files without taking a snapshot.
+   * @param {CancellationToken} [options.cancelToken] - Token used to cancel the upload. Files that were
+   *   completely uploaded stay in the Cloud, the next upload continues where this one stopped.
+   * @param {boolean} [options.offline] - Set to false to fail instead of queueing the upload in offline mode.
+   *   Otherwise the upload is queued and the promise rejected with an OfflineError if Monaca Cloud can't be reached.
    * @return {Promise}
    * @example
    *   monaca.uploadProject('/my/project/').then(
@@ -1836,7 +3544,23 @@
    *   );
    */
   Monaca.prototype.uploadProject = function(projectDir, options) {
-    var deferred = Q.defer();
+    if (this.offline && !(options && (options.dryrun || options.offline === false))) {
+      return this._queueable('uploadProject', {
+        projectDir: path.resolve(projectDir),
+        options: {
+          delete: !!(options && options.delete),
+          chunkSize: options && options.chunkSize,
+          snapshot: options && options.snapshot,
+          skipTranspile: options && options.skipTranspile
+        }
+      }, function() {
+        return this.uploadProject(projectDir, extend({}, options, { offline: false }));
+      }.bind(this));
+    }
+
+    var deferred = Q.defer(),
+      cancelToken = CancellationToken.from(options && options.cancelToken);
+
     this.checkModifiedFiles(projectDir, options)
     .then(
       function(result) {
@@ -1845,8 +3569,38 @@
           keys = result.keys,
           projectId = result.projectId;
 
-        if (options && !options.dryrun && options.delete) {
-          this._deleteFileFromCloud(projectId, Object.keys(filesToBeDeleted))
+        // If dryrun option is set, just return the files to be uploaded.
+        if (options && options.dryrun) {
+          return deferred.resolve(modifiedFiles);
+        }
+
+        var journal = new UploadJournal(projectDir, projectId);
+
+        // Files finished by an interrupted upload don't have to be sent again.
+        keys = keys.filter(function(key) {
+          return !journal.isDone(key, modifiedFiles.uploaded[key].hash);
+        });
+
+        var deletedKeys = (options && options.delete) ? Object.keys(filesToBeDeleted) : [],
+          overwrittenKeys = keys.filter(function(key) {
+            return result.remoteFiles[key] && result.remoteFiles[key].type === 'file';
+          }),
+          snapshot = Q.resolve();
+
+        // Keep a copy of the Cloud files that are about to be overwritten or deleted.
+        if (options && options.delete && options.snapshot !== false) {
+          snapshot = this._snapshotRemoteFiles(projectDir, projectId, overwrittenKeys.concat(deletedKeys.filter(function(key) {
+            return filesToBeDeleted[key].type === 'file';
+          })), 'uploadProject');
+        }
+
+        if (deletedKeys.length) {
+          snapshot
+          .then(
+            function() {
+              return this._deleteFileFromCloud(projectId, deletedKeys);
+            }.bind(this)
+          )
           .then(
             function() {
               console.log(Object.keys(filesToBeDeleted)
@@ -1862,27 +3616,78 @@
           )
         }
 
-        // If dryrun option is set, just return the files to be uploaded.
-        if (options && options.dryrun) {
-          return deferred.resolve(modifiedFiles);
-        }
-
         var totalLength = keys.length,
           currentIndex = 0,
-          qLimit = qlimit(4);
+          qLimit = qlimit(4),
+          fileBytes = {},
+          totalBytes = 0;
+
+        keys.forEach(function(key) {
+          try {
+            fileBytes[key] = fs.statSync(path.join(projectDir, key.substr(1))).size;
+          } catch (e) {
+            fileBytes[key] = 0;
+          }
+          totalBytes += fileBytes[key];
+        });
+
+        var uploadedBytes = {};
+
+        var getUploadedBytes = function() {
+          return Object.keys(uploadedBytes).reduce(function(sum, key) {
+            return sum + uploadedBytes[key];
+          }, 0);
+        };
 
         var uploadFile = function(key) {
           var d = Q.defer();
           var absolutePath = path.join(projectDir, key.substr(1));
 
-          this.uploadFile(projectId, absolutePath, key)
+          // Files still waiting in the queue are not started once cancelled.
+          if (cancelToken.isCancelled) {
+            return Q.reject(cancelToken.error());
+          }
+
+          this.uploadFile(projectId, absolutePath, key, {
+            chunkSize: options && options.chunkSize,
+            hash: modifiedFiles.uploaded[key].hash,
+            journal: journal,
+            cancelToken: options && options.cancelToken
+          })
           .then(
             function(remotePath) {
+              uploadedBytes[key] = fileBytes[key];
+
               deferred.notify({
                 path: remotePath,
                 total: totalLength,
-                index: currentIndex
+                index: currentIndex,
+                bytesUploaded: getUploadedBytes(),
+                bytesTotal: totalBytes
               });
+
+              return journal.complete(key, modifiedFiles.uploaded[key].hash);
+            },
+            null,
+            function(progress) {
+              uploadedBytes[key] = progress.bytesUploaded;
+
+              // Only chunked files report progress while they are being uploaded.
+              if (progress.bytesUploaded < progress.bytesTotal) {
+                deferred.notify({
+                  path: key,
+                  total: totalLength,
+                  index: currentIndex,
+                  fileBytesUploaded: progress.bytesUploaded,
+                  fileBytesTotal: progress.bytesTotal,
+                  bytesUploaded: getUploadedBytes(),
+                  bytesTotal: totalBytes
+                });
+              }
+            }
+          )
+          .then(
+            function() {
               d.resolve();
             },
             function(error) {
@@ -1897,9 +3702,26 @@
           return d.promise;
         }.bind(this);
 
-        Q.all(keys.map(qLimit(function(key) {
-          return uploadFile(key);
-        }.bind(this))))
+        snapshot
+        .then(
+          function() {
+            return Q.all(keys.map(qLimit(function(key) {
+              return uploadFile(key);
+            })));
+          }
+        )
+        .then(
+          function() {
+            var baseline = new SyncBaseline(projectDir, projectId);
+
+            baseline.update(result.localFiles, result.remoteFiles);
+            Object.keys(modifiedFiles.uploaded).forEach(function(key) {
+              baseline.set(key, modifiedFiles.uploaded[key]);
+            });
+
+            return Q.all([journal.clear(), baseline.save()]);
+          }
+        )
         .then(
           function() {
             deferred.resolve(modifiedFiles);
@@ -1927,9 +3749,20 @@
    *
    *   Will not download unchanged files.
    *
+   *   Files are downloaded to a staging directory first and moved into
+   *   the project once every download has succeeded. Local files are only
+   *   deleted after that. If anything fails the project is left untouched.
+   *
    *   If the upload is successful the promise will resolve with the
    *   project ID.
    * @param {string} projectDir - Project directory.
+   * @param {object} [options] - Download options.
+   * @param {boolean} [options.delete] - Delete local files that don't exist in the Cloud.
+   *   A snapshot of the overwritten and deleted files is taken first, see {@link Monaca#createSnapshot}.
+   * @param {boolean} [options.dryrun] - Only resolve with the files that would be downloaded and deleted.
+   * @param {boolean} [options.snapshot] - Set to false to delete files without taking a snapshot.
+   * @param {CancellationToken} [options.cancelToken] - Token used to cancel the download. The project
+   *   is left untouched.
    * @return {Promise}
    * @example
    *   monaca.downloadProject('/my/project/').then(
@@ -1945,23 +3778,40 @@
    *   );
    */
   Monaca.prototype.downloadProject = function(projectDir, options) {
-    var deferred = Q.defer();
-    localProperties.get(projectDir, 'project_id').then(
-      function(projectId) {
-        Q.all([this.getLocalProjectFiles(projectDir), this.getProjectFiles(projectId)]).then(
+    var deferred = Q.defer(),
+      transaction = new ProjectTransaction(projectDir),
+      cancelToken = CancellationToken.from(options && options.cancelToken),
+      projectId;
+
+    this.getProjectId(projectDir).then(
+      function(value) {
+        projectId = value;
+
+        // Restore the project if a previous download was interrupted while committing.
+        return transaction.recover();
+      }
+    ).then(
+      function() {
+        Q.all([
+          cancelToken.guard(this.getLocalProjectFiles(projectDir)),
+          this.getProjectFiles(projectId, { cancelToken: options && options.cancelToken })
+        ]).then(
           function(files) {
             var localFiles = files[0],
-              remoteFiles = files[1];
+              remoteFiles = files[1],
+              allRemoteFiles = extend({}, remoteFiles);
 
             var filesToBeDeleted = {};
 
-            // Fetch list of files after ignoring files/directories in .monacaignore file.
-            var allowFiles = this._filterIgnoreList(projectDir);
+            // Sync scope and rules of the .monacaignore files.
+            var scope = this._getSyncScope(projectDir);
             var tempArr = [];
 
-            // Checks if the file/dir are included in a directory that can be downloaded.
+            // Only files in the scope of both directions are deleted locally.
             for (var file in localFiles){
-              if (this._fileFilter(file, allowFiles, projectDir, "downloadProject")) {
+              var isDir = localFiles[file].type === 'dir';
+
+              if (scope.isSynced('download', file, isDir) && scope.isSynced('upload', file, isDir)) {
                 tempArr.push(file);
               }
             }
@@ -1975,19 +3825,9 @@
               // If the file is not present on Monaca cloud but is present locally and it is not listed under .monacaignore, then it must be deleted.
               if (!remoteFiles.hasOwnProperty(f)) {
                 filesToBeDeleted[f] = localFiles[f];
+                // Deletions are only applied once every file has been downloaded.
                 if (options && !options.dryrun && options.delete) {
-                  try {
-                    if (localFiles[f].type === 'file') {
-                      fs.unlinkSync(path.join(projectDir, f));
-                      console.log("deleted file-> " + path.join(projectDir, f));
-                    }
-                    else if (localFiles[f].type === 'dir') {
-                      fs.rmdirSync(path.join(projectDir, f));
-                      console.log("deleted folder-> " + path.join(projectDir, f));
-                    }
-                  } catch (err) {
-                    console.log("Error deleting " + localFiles[f].type + ": " + f);
-                  }
+                  transaction.remove(f, localFiles[f].type);
                 }
               }
             }
@@ -1995,27 +3835,15 @@
             // Filter out directories and unchanged files.
             this._filterFiles(remoteFiles, localFiles);
 
+            // Ignored files are only downloaded if they don't exist locally.
+            for (var key in remoteFiles) {
+              var decision = scope.decide('download', key, false);
 
-
-            var filterFiles = function() {
-              if (allowFiles.length > 0) {
-                for (var file in remoteFiles) {
-                  if (allowFiles.indexOf((os.platform() === 'win32' ? projectDir.replace(/\\/g,"/") : projectDir) + file) >= 0) {
-                    // Allow this file since it exists in the allowed list of files.
-                  } else {
-                    // Check if this file already exists locally.
-                    // If yes then don't donwload it. If no, then download it.
-                    if (fs.existsSync(path.join(projectDir,file))) {
-                      delete remoteFiles[file];
-                    }
-                  }
-                }
+              if (!decision.synced && (decision.reason !== 'ignore' || fs.existsSync(path.join(projectDir, key)))) {
+                delete remoteFiles[key];
               }
             }
 
-            // Filter files to be downloaded according to .monacaignore file.
-            filterFiles();
-
             // Modified files.
             var modifiedFiles = {
               remoteFiles: remoteFiles,
@@ -2029,16 +3857,28 @@
 
             var totalLength = Object.keys(remoteFiles).length,
               currentIndex = 0,
-              qLimit = qlimit(4);
+              qLimit = qlimit(4),
+              snapshot = Q.resolve();
+
+            // Keep a copy of the local files that are about to be overwritten or deleted.
+            if (options && options.delete && options.snapshot !== false) {
+              snapshot = this._snapshotLocalFiles(projectDir, Object.keys(remoteFiles).concat(Object.keys(filesToBeDeleted)), 'downloadProject');
+            }
 
+            // Files are downloaded to a staging directory and moved into the project on commit.
             var downloadFile = function(key) {
               var d = Q.defer();
               var absolutePath = path.join(projectDir, key.substr(1));
 
-              this.downloadFile(projectId, key, absolutePath).then(
-                function(remotePath) {
+              // Files still waiting in the queue are not started once cancelled.
+              if (cancelToken.isCancelled) {
+                return Q.reject(cancelToken.error());
+              }
+
+              this.downloadFile(projectId, key, transaction.stage(key), { cancelToken: options && options.cancelToken }).then(
+                function() {
                   deferred.notify({
-                    path: remotePath,
+                    path: absolutePath,
                     total: totalLength,
                     index: currentIndex
                   });
@@ -2056,25 +3896,1260 @@
               return d.promise;
             }.bind(this);
 
-            Q.all(Object.keys(remoteFiles).map(qLimit(function(key) {
-              if (remoteFiles.hasOwnProperty(key)) {
-                return downloadFile(key);
-              }
-            }.bind(this)))).then(
-              function() {
-                deferred.resolve(modifiedFiles);
-              },
-              function(error) {
-                deferred.reject(error);
-              }
-            );
-          }.bind(this),
-          function(error) {
-            deferred.reject(error);
+            snapshot.then(
+              function() {
+                return Q.all(Object.keys(remoteFiles).map(qLimit(function(key) {
+                  if (remoteFiles.hasOwnProperty(key)) {
+                    return downloadFile(key);
+                  }
+                })));
+              }
+            ).then(
+              function() {
+                cancelToken.throwIfCancelled();
+              }
+            ).then(
+              function() {
+                return transaction.commit();
+              },
+              function(error) {
+                // Leave the project untouched.
+                return transaction.rollback().then(
+                  function() {
+                    throw error;
+                  }
+                );
+              }
+            ).then(
+              function(result) {
+                result.deleted.forEach(function(f) {
+                  console.log("deleted " + (localFiles[f].type === 'dir' ? "folder" : "file") + "-> " + path.join(projectDir, f));
+                });
+                result.failed.forEach(function(f) {
+                  console.log("Error deleting " + localFiles[f].type + ": " + f);
+                });
+
+                var baseline = new SyncBaseline(projectDir, projectId);
+
+                baseline.update(localFiles, allRemoteFiles);
+                Object.keys(remoteFiles).forEach(function(key) {
+                  if (remoteFiles[key].type === 'file') {
+                    baseline.set(key, remoteFiles[key]);
+                  }
+                });
+
+                return baseline.save();
+              }
+            ).then(
+              function() {
+                deferred.resolve(modifiedFiles);
+              },
+              function(error) {
+                deferred.reject(error);
+              }
+            );
+          }.bind(this),
+          function(error) {
+            deferred.reject(error);
+          }
+        );
+
+      }.bind(this)
+    ).catch(
+      function(error) {
+        deferred.reject(error);
+      }
+    );
+
+    return deferred.promise;
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Synchronizes a local project and the Cloud in both directions.
+   *
+   *   The hash every file had when it was last synced is kept in
+   *   .monaca/sync_baseline.json. Files changed on only one side are
+   *   uploaded, downloaded or deleted. Files changed on both sides are
+   *   conflicts and are resolved with the given strategy:
+   *
+   *   <ul>
+   *     <li><code>local</code> - The local file wins.</li>
+   *     <li><code>remote</code> - The remote file wins.</li>
+   *     <li><code>merge</code> - Text files get conflict markers and are kept
+   *       next to <code>.orig</code> (local) and <code>.remote</code> sidecars. They are
+   *       reported as unresolved conflicts and not uploaded until the markers are removed.</li>
+   *   </ul>
+   *
+   *   Without a strategy conflicts are only reported and left untouched.
+   * @param {string} projectDir - Project directory.
+   * @param {object} [options] - Sync options.
+   * @param {string} [options.strategy] - Conflict resolution strategy. Can be "local", "remote" or "merge".
+   * @param {boolean} [options.dryrun] - Only return what would be synced.
+   * @param {boolean} [options.snapshot] - Set to false to sync without first taking a snapshot of the
+   *   files that are about to be overwritten or deleted, see {@link Monaca#createSnapshot}.
+   * @return {Promise}
+   * @example
+   *   monaca.syncProject('/my/project/', { strategy: 'merge' }).then(
+   *     function(result) {
+   *       result.conflicts.forEach(function(conflict) {
+   *         console.log(conflict.path + ': ' + (conflict.resolution || 'unresolved'));
+   *       });
+   *     },
+   *     function(error) {
+   *       // Sync failed!
+   *     },
+   *     function(progress) {
+   *       // Track the progress
+   *     }
+   *   );
+   */
+  Monaca.prototype.syncProject = function(projectDir, options) {
+    options = options || {};
+
+    var strategy = options.strategy;
+    if (strategy && ['local', 'remote', 'merge'].indexOf(strategy) < 0) {
+      return Q.reject(new errors.ValidationError('Unknown conflict resolution strategy: ' + strategy));
+    }
+
+    var deferred = Q.defer(),
+      projectId;
+
+    this.getProjectId(projectDir)
+    .then(
+      function(value) {
+        if (!value) {
+          return Q.reject(new errors.ProjectStructureError(projectDir + ' is not linked to a Monaca project.', { projectDir: projectDir }));
+        }
+
+        projectId = value;
+        return Q.all([this.getLocalProjectFiles(projectDir), this.getProjectFiles(projectId)]);
+      }.bind(this)
+    )
+    .then(
+      function(files) {
+        var baseline = new SyncBaseline(projectDir, projectId),
+          plan = this._planSync(projectDir, files[0], files[1], baseline);
+
+        if (options.dryrun) {
+          return plan;
+        }
+
+        var snapshot = options.snapshot === false ? Q.resolve() :
+          this._snapshotSyncPlan(projectDir, projectId, plan, strategy, 'syncProject');
+
+        return snapshot.then(
+          function() {
+            return this._applySync(projectDir, projectId, plan, baseline, strategy, deferred.notify.bind(deferred));
+          }.bind(this)
+        );
+      }.bind(this)
+    )
+    .then(
+      function(result) {
+        deferred.resolve(result);
+      },
+      function(error) {
+        deferred.reject(error);
+      }
+    );
+
+    return deferred.promise;
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Keeps a local project and the Cloud in sync until
+   *   {@link Monaca#stopContinuousSync} is called.
+   *
+   *   The whole project is synced once with {@link Monaca#syncProject}. After that local
+   *   changes are uploaded once no other change happened for <code>debounce</code>
+   *   milliseconds, and the Cloud is polled for files changed in the web IDE. Only the
+   *   changed paths are synced.
+   *
+   *   Progress is emitted on {@link Monaca#emitter} with the <code>projectDir</code> and
+   *   <code>projectId</code> of the project:
+   *
+   *   <ul>
+   *     <li><code>sync:start</code>, <code>sync:stop</code></li>
+   *     <li><code>sync:status</code> - <code>{ status }</code>, one of "syncing", "idle" or "stopped".</li>
+   *     <li><code>sync:change</code> - <code>{ path, changeType, origin }</code> when a change is detected,
+   *       <code>origin</code> being "local" or "remote".</li>
+   *     <li><code>sync:progress</code> - <code>{ path, action, index, total, origin }</code></li>
+   *     <li><code>sync:upload</code>, <code>sync:download</code>, <code>sync:deleteLocal</code>,
+   *       <code>sync:deleteRemote</code> - <code>{ path, origin }</code> for every synced file.</li>
+   *     <li><code>sync:conflict</code> - <code>{ path, origin, resolution }</code></li>
+   *     <li><code>sync:complete</code> - <code>{ origin, result }</code> after every sync cycle.</li>
+   *     <li><code>sync:error</code> - <code>{ error }</code>. The sync keeps running.</li>
+   *   </ul>
+   * @param {string} projectDir - Project directory.
+   * @param {object} [options] - Sync options.
+   * @param {string} [options.strategy] - Conflict resolution strategy, see {@link Monaca#syncProject}.
+   * @param {number} [options.debounce] - Milliseconds to wait for local changes to settle. Defaults to 1000.
+   * @param {number} [options.pollInterval] - Milliseconds between two checks of the Cloud files.
+   *   Defaults to 10000. Set to 0 to only sync local changes.
+   * @param {boolean} [options.snapshot] - Set to false to skip the snapshots of overwritten and deleted files.
+   * @return {Promise} - Resolves once the first sync is done, to an object with <code>stop()</code>,
+   *   <code>flushLocalChanges()</code>, <code>pollRemote()</code> methods and a <code>status</code>.
+   * @example
+   *   monaca.emitter.on('sync:status', function(event) {
+   *     console.log(event.projectDir + ' is ' + event.status);
+   *   });
+   *
+   *   monaca.startContinuousSync('/my/project', { strategy: 'merge' });
+   */
+  Monaca.prototype.startContinuousSync = function(projectDir, options) {
+    var key = path.resolve(projectDir);
+
+    this._continuousSyncs = this._continuousSyncs || {};
+
+    if (this._continuousSyncs[key]) {
+      return Q.reject(new errors.ValidationError('Continuous sync is already running for ' + projectDir));
+    }
+
+    var strategy = options && options.strategy;
+    if (strategy && ['local', 'remote', 'merge'].indexOf(strategy) < 0) {
+      return Q.reject(new errors.ValidationError('Unknown conflict resolution strategy: ' + strategy));
+    }
+
+    return this.getProjectId(projectDir).then(
+      function(projectId) {
+        if (!projectId) {
+          return Q.reject(new errors.ProjectStructureError(projectDir + ' is not linked to a Monaca project.', { projectDir: projectDir }));
+        }
+
+        if (this._continuousSyncs[key]) {
+          return Q.reject(new errors.ValidationError('Continuous sync is already running for ' + projectDir));
+        }
+
+        var sync = this._continuousSyncs[key] = new ContinuousSync(this, projectDir, projectId, options);
+
+        return sync.start().then(
+          function() {
+            return sync;
+          },
+          function(error) {
+            delete this._continuousSyncs[key];
+            throw error;
+          }.bind(this)
+        );
+      }.bind(this)
+    );
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Stops a sync started with {@link Monaca#startContinuousSync}.
+   * @param {string} projectDir - Project directory.
+   * @return {Promise}
+   */
+  Monaca.prototype.stopContinuousSync = function(projectDir) {
+    var key = path.resolve(projectDir),
+      sync = this._continuousSyncs && this._continuousSyncs[key];
+
+    if (!sync) {
+      return Q.reject(new errors.ValidationError('Continuous sync is not running for ' + projectDir));
+    }
+
+    delete this._continuousSyncs[key];
+    return sync.stop();
+  };
+
+  // Takes a snapshot of every file a sync plan is about to overwrite or delete.
+  Monaca.prototype._snapshotSyncPlan = function(projectDir, projectId, plan, strategy, reason) {
+    var localKeys = plan.download.concat(plan.deleteLocal),
+      remoteKeys = plan.deleteRemote.slice();
+
+    plan.conflicts.forEach(function(conflict) {
+      if (conflict.unresolved) {
+        return;
+      }
+
+      if (strategy === 'remote' || strategy === 'merge') {
+        localKeys.push(conflict.path);
+      }
+      else if (strategy === 'local' && conflict.local === undefined) {
+        remoteKeys.push(conflict.path);
+      }
+    });
+
+    return this._snapshotLocalFiles(projectDir, localKeys, reason)
+      .then(
+        function() {
+          return this._snapshotRemoteFiles(projectDir, projectId, remoteKeys, reason);
+        }.bind(this)
+      );
+  };
+
+  // Plans a sync of every file, or only of the given paths.
+  Monaca.prototype._planSync = function(projectDir, localFiles, remoteFiles, baseline, paths) {
+    var scope = this._getSyncScope(projectDir);
+
+    var plan = {
+      upload: [],
+      download: [],
+      deleteLocal: [],
+      deleteRemote: [],
+      unchanged: [],
+      conflicts: []
+    };
+
+    // A partial file list doesn't tell which sidecars were removed.
+    if (!paths) {
+      baseline.pruneSidecars(localFiles);
+    }
+
+    // Each action needs the file to be in the scope of the directions it touches.
+    var inScope = function(key, directions) {
+      return !baseline.isSidecar(key) && directions.every(function(direction) {
+        return scope.isSynced(direction, key, false);
+      });
+    };
+
+    var add = function(action, key, directions) {
+      if (inScope(key, directions)) {
+        plan[action].push(key);
+      }
+    };
+
+    var entryOf = function(files, key) {
+      return files.hasOwnProperty(key) && files[key].type === 'file' ? files[key] : undefined;
+    };
+
+    // Compares with the strongest hash both sides share.
+    var same = function(a, b) {
+      return a && b ? contentHash.sameContent(a, b) : !a && !b;
+    };
+
+    var keys = {};
+    if (paths) {
+      paths.forEach(function(key) {
+        keys[key] = true;
+      });
+    } else {
+      [localFiles, remoteFiles, baseline.data.files].forEach(function(files) {
+        Object.keys(files).forEach(function(key) {
+          keys[key] = true;
+        });
+      });
+    }
+
+    Object.keys(keys).sort().forEach(function(key) {
+      var local = entryOf(localFiles, key),
+        remote = entryOf(remoteFiles, key),
+        base = contentHash.normalize(baseline.get(key));
+
+      // A merged file stays a conflict until its markers are removed.
+      if (baseline.isUnresolved(key)) {
+        if (local && _hasConflictMarkers(path.join(projectDir, key.substr(1)))) {
+          plan.conflicts.push({
+            path: key,
+            local: contentHash.fingerprint(local),
+            remote: contentHash.fingerprint(remote),
+            base: contentHash.fingerprint(base),
+            unresolved: true
+          });
+          return;
+        }
+
+        baseline.removeUnresolved(key);
+      }
+
+      if (!local && !remote) {
+        // Deleted on both sides or not a file.
+        baseline.remove(key);
+      }
+      else if (same(local, remote)) {
+        add('unchanged', key, ['upload']);
+      }
+      else if (same(remote, base)) {
+        add(!local ? 'deleteRemote' : 'upload', key, ['upload']);
+      }
+      else if (same(local, base)) {
+        add(!remote ? 'deleteLocal' : 'download', key, !remote ? ['upload', 'download'] : ['download']);
+      }
+      else if (inScope(key, ['upload', 'download'])) {
+        plan.conflicts.push({
+          path: key,
+          local: contentHash.fingerprint(local),
+          remote: contentHash.fingerprint(remote),
+          base: contentHash.fingerprint(base)
+        });
+      }
+    });
+
+    plan.localFiles = localFiles;
+    plan.remoteFiles = remoteFiles;
+
+    return plan;
+  };
+
+  Monaca.prototype._applySync = function(projectDir, projectId, plan, baseline, strategy, notify) {
+    var localFiles = plan.localFiles,
+      remoteFiles = plan.remoteFiles,
+      qLimit = qlimit(4);
+
+    var result = {
+      projectId: projectId,
+      uploaded: [],
+      downloaded: [],
+      deletedLocal: [],
+      deletedRemote: [],
+      conflicts: plan.conflicts
+    };
+
+    var localPath = function(key) {
+      return path.join(projectDir, key.substr(1));
+    };
+
+    var upload = function(key) {
+      return this.uploadFile(projectId, localPath(key), key, { hash: localFiles[key].hash })
+        .then(
+          function() {
+            baseline.set(key, localFiles[key]);
+            result.uploaded.push(key);
+          }
+        );
+    }.bind(this);
+
+    var download = function(key) {
+      return this.downloadFile(projectId, key, localPath(key))
+        .then(
+          function() {
+            baseline.set(key, remoteFiles[key]);
+            result.downloaded.push(key);
+          }
+        );
+    }.bind(this);
+
+    var deleteLocal = function(key) {
+      return Q.nfcall(fs.unlink, localPath(key))
+        .then(
+          function() {
+            baseline.remove(key);
+            result.deletedLocal.push(key);
+          }
+        );
+    };
+
+    var deleteRemote = function(keys) {
+      if (keys.length === 0) {
+        return Q.resolve();
+      }
+
+      return this._deleteFileFromCloud(projectId, keys)
+        .then(
+          function() {
+            keys.forEach(function(key) {
+              baseline.remove(key);
+              result.deletedRemote.push(key);
+            });
+          }
+        );
+    }.bind(this);
+
+    var merge = function(conflict) {
+      var key = conflict.path,
+        file = localPath(key);
+
+      if (conflict.local === undefined || conflict.remote === undefined) {
+        return Q.resolve();
+      }
+
+      return Q.nfcall(fs.readFile, file)
+        .then(
+          function(localData) {
+            if (!_isTextFile(localData)) {
+              return;
+            }
+
+            return this.downloadFile(projectId, key, file + '.remote')
+              .then(
+                function() {
+                  return Q.nfcall(fs.readFile, file + '.remote');
+                }
+              )
+              .then(
+                function(remoteData) {
+                  if (!_isTextFile(remoteData)) {
+                    return Q.nfcall(fs.unlink, file + '.remote');
+                  }
+
+                  return Q.nfcall(fs.writeFile, file + '.orig', localData)
+                    .then(
+                      function() {
+                        return Q.nfcall(fs.writeFile, file, _mergeText(localData.toString(), remoteData.toString()));
+                      }
+                    )
+                    .then(
+                      function() {
+                        // Once its markers are removed, the merged file counts as a local change
+                        // on top of the remote version.
+                        baseline.set(key, remoteFiles[key]);
+                        baseline.addUnresolved(key);
+                        baseline.addSidecar(key + '.orig');
+                        baseline.addSidecar(key + '.remote');
+                        conflict.resolution = 'merged';
+                        conflict.sidecars = [key + '.orig', key + '.remote'];
+                      }
+                    );
+                }
+              );
+          }.bind(this)
+        );
+    }.bind(this);
+
+    var resolve = function(conflict) {
+      var key = conflict.path;
+      conflict.resolution = null;
+
+      // Merged by an earlier sync, waiting for the user.
+      if (conflict.unresolved) {
+        return Q.resolve();
+      }
+
+      if (strategy === 'local') {
+        return (conflict.local === undefined ? deleteRemote([key]) : upload(key))
+          .then(function() {
+            conflict.resolution = 'local';
+          });
+      }
+      else if (strategy === 'remote') {
+        return (conflict.remote === undefined ? deleteLocal(key) : download(key))
+          .then(function() {
+            conflict.resolution = 'remote';
+          });
+      }
+      else if (strategy === 'merge') {
+        return merge(conflict);
+      }
+
+      return Q.resolve();
+    };
+
+    var tasks = [];
+    plan.upload.forEach(function(key) {
+      tasks.push({ path: key, action: 'upload', run: upload.bind(null, key) });
+    });
+    plan.download.forEach(function(key) {
+      tasks.push({ path: key, action: 'download', run: download.bind(null, key) });
+    });
+    plan.deleteLocal.forEach(function(key) {
+      tasks.push({ path: key, action: 'deleteLocal', run: deleteLocal.bind(null, key) });
+    });
+    plan.conflicts.forEach(function(conflict) {
+      tasks.push({ path: conflict.path, action: 'conflict', run: resolve.bind(null, conflict) });
+    });
+
+    var index = 0;
+
+    plan.unchanged.forEach(function(key) {
+      baseline.set(key, localFiles[key]);
+    });
+
+    return Q.all(tasks.map(qLimit(function(task) {
+      return task.run().then(
+        function() {
+          notify({
+            path: task.path,
+            action: task.action,
+            total: tasks.length,
+            index: index++
+          });
+        },
+        function(error) {
+          // Local files are read, written and removed with fs directly.
+          return Q.reject(errors.from(error));
+        }
+      );
+    })))
+    .then(
+      function() {
+        return deleteRemote(plan.deleteRemote);
+      }
+    )
+    .finally(
+      function() {
+        // Save what has been synced so far even if something failed.
+        return baseline.save();
+      }
+    )
+    .then(
+      function() {
+        return result;
+      }
+    );
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Waits for a build to finish, polling its status as set by {@link Monaca#buildWatchPolicy}.
+   *   Every build watched by the client is polled from the same timer, one request at a time.
+   *
+   *   Each change of state is emitted on {@link Monaca#emitter} as a "build:queued", "build:building",
+   *   "build:finished" or "build:failed" event with <code>{ projectId, queueId, state, previousState,
+   *   description }</code>.
+   * @param {string} projectId - Project ID.
+   * @param {string} queueId - Build queue ID.
+   * @param {object} [options] - Options.
+   * @param {CancellationToken} [options.cancelToken] - Token used to stop waiting for the build.
+   * @return {Promise} - Resolves to the description of the finished build and is notified with the
+   *   description after every poll. Rejects with a BuildError if the build failed.
+   * @example
+   *   monaca.emitter.on('build:building', function(event) {
+   *     console.log('Build ' + event.queueId + ' left the queue.');
+   *   });
+   *
+   *   monaca.pollBuildStatus(projectId, queueId).then(
+   *     function() {
+   *       // Build was successful!
+   *     }
+   *   );
+   */
+  Monaca.prototype.pollBuildStatus = function(projectId, queueId, options) {
+    var buildRoot = '/project/' + projectId + '/build';
+    var cancelToken = CancellationToken.from(options && options.cancelToken);
+    var requestOptions = { idempotent: true, cancelToken: cancelToken };
+
+    return this._buildWatcher.watch({
+      projectId: projectId,
+      queueId: queueId,
+      cancelToken: cancelToken,
+      fetch: function(step) {
+        return this._post(buildRoot + '/' + step + '/' + queueId, {}, requestOptions).then(
+          function(data) {
+            return this._safeParse(data.body).result;
+          }.bind(this)
+        );
+      }.bind(this)
+    });
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Builds a Monaca project.
+   *
+   *   If the build is successful the promise will resolve to
+   *   an object containing information about the build. While the
+   *   build runs the promise is notified with its status description
+   *   after every poll and with the new lines of its log.
+   * @param {string} projectId - Project ID.
+   * @param {object} params - Build parameters.
+   * @param {string} params.platform - Target platform. Should be one of "android", "ios" or "winrt".
+   * @param {string} [params.android_webview] - When building for Android the webview can be configured. Choose between "default" or "crosswalk"
+   * @param {string} [params.android_arch] - Required when building for Crosswalk. Should be one of either "x86" or "arm".
+   * @param {string} [params.framework_version] - Framework version. Defaults to 3.5.
+   * @param {string} [params.purpose] - Type of build. Should be one of either "debug" or "release". Defaults to "debug".
+   * @param {boolean} [skipPolling] - Resolve to the build queue ID right after the build has been requested.
+   * @param {object} [options] - Options.
+   * @param {CancellationToken} [options.cancelToken] - Token used to stop waiting for the build.
+   *   A build that was already requested keeps running in the Cloud.
+   * @return {Promise}
+   * @example
+   *   monaca.uploadProject('/some/project').then(
+   *     function(projectId) {
+   *       var params = {
+   *         platform: 'android',
+   *         purpose: 'debug'
+   *       };
+   *
+   *       monaca.buildProject(projectId, params).then(
+   *         function(result) {
+   *           // Build was successful!
+   *         },
+   *         function(error) {
+   *           // Build failed!
+   *         },
+   *         function(progress) {
+   *           // Track build status.
+   *         }
+   *       );
+   *     }
+   *   );
+   */
+  Monaca.prototype.buildProject = function(projectId, params, skipPolling, options) {
+    var deferred = Q.defer(),
+      buildRoot = '/project/' + projectId + '/build',
+      cancelToken = CancellationToken.from(options && options.cancelToken);
+
+    params = params || {};
+
+    if (!params.framework_version) {
+      params.framework_version = '3.5';
+    }
+
+    if (!params.purpose) {
+      params.purpose = 'debug';
+    }
+
+    if (!params.platform) {
+      deferred.reject(new errors.ValidationError('Must specify build platform.'));
+    }
+
+    this._post(buildRoot, params, { cancelToken: cancelToken }).then(
+      function(data) {
+        var queueId = this._safeParse(data.body).result.queue_id;
+
+        if(skipPolling) {
+          return deferred.resolve(queueId);
+        }
+
+        var notify = deferred.notify.bind(deferred);
+
+        this._followBuild(projectId, queueId, cancelToken, notify, notify).then(
+          function() {
+            this._post(buildRoot + '/result/' + queueId, {}, { idempotent: true, cancelToken: cancelToken }).then(
+              function(data) {
+                deferred.resolve(this._safeParse(data.body).result);
+              }.bind(this),
+              function(error) {
+                deferred.reject(error);
+              }
+            );
+          }.bind(this),
+          function(error) {
+            deferred.reject(error);
+          }
+        );
+      }.bind(this),
+      function(error) {
+        deferred.reject(error);
+      }
+    );
+
+    return deferred.promise;
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Lists the past builds of a project, newest first. Rejects with a NotFoundError if the
+   *   server doesn't keep a build history.
+   * @param {string} projectId - Project ID.
+   * @param {object} [options] - Filters.
+   * @param {string} [options.platform] - Only list the builds of this platform, e.g. "android".
+   * @param {string} [options.purpose] - Only list the builds of this purpose, e.g. "debug".
+   * @param {number} [options.limit] - Maximum number of builds. Defaults to 20.
+   * @return {Promise} - Resolves to <code>{ queueId, platform, purpose, status, description, createdAt,
+   *   finishedAt }</code> of every build.
+   * @example
+   *   monaca.getBuildHistory('SOME_PROJECT_ID', { platform: 'android', limit: 5 }).then(
+   *     function(builds) {
+   *       builds.forEach(function(build) {
+   *         console.log(build.createdAt + ' ' + build.purpose + ': ' + build.status);
+   *       });
+   *     }
+   *   );
+   */
+  Monaca.prototype.getBuildHistory = function(projectId, options) {
+    options = options || {};
+
+    var limit = options.limit || BUILD_HISTORY_LIMIT,
+      form = { limit: limit };
+
+    if (options.platform) {
+      form.platform = options.platform;
+    }
+    if (options.purpose) {
+      form.purpose = options.purpose;
+    }
+
+    return this._post('/project/' + projectId + '/build/history', form, { idempotent: true }).then(
+      function(data) {
+        var items = this._safeParse(data.body).result.items || [];
+
+        // Servers ignoring the filters still get the expected builds.
+        return items.filter(function(item) {
+          return (!options.platform || item.platform === options.platform) &&
+            (!options.purpose || item.purpose === options.purpose);
+        }).slice(0, limit).map(function(item) {
+          return {
+            queueId: item.queue_id,
+            platform: item.platform,
+            purpose: item.purpose,
+            status: item.status,
+            description: item.description || null,
+            createdAt: item.created_at || null,
+            finishedAt: item.finished_at || null
+          };
+        });
+      }.bind(this)
+    );
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Fetches the log of a build, as far as it was written. See {@link Monaca#streamBuildLog}
+   *   to follow the log of a running build. Rejects with a NotFoundError if the server doesn't
+   *   provide build logs.
+   * @param {string} projectId - Project ID.
+   * @param {string} queueId - Build queue ID.
+   * @return {Promise} - Resolves to the lines of the log.
+   */
+  Monaca.prototype.getBuildLog = function(projectId, queueId) {
+    return this._post('/project/' + projectId + '/build/log/' + queueId, { from: 0 }, { idempotent: true }).then(
+      function(data) {
+        return this._safeParse(data.body).result.lines || [];
+      }.bind(this)
+    );
+  };
+
+  // Polls the status of a build with pollBuildStatus and fetches the new lines of its log after
+  // every poll. Builds are still followed when the server doesn't provide their log.
+  Monaca.prototype._followBuild = function(projectId, queueId, cancelToken, onDescription, onLine) {
+    var resource = '/project/' + projectId + '/build/log/' + queueId,
+      next = 0,
+      logAvailable = true,
+      fetching = null;
+
+    // One fetch at a time, so lines always arrive in order.
+    var fetchLines = function() {
+      if (!logAvailable) {
+        return Q.resolve();
+      }
+
+      if (!fetching) {
+        fetching = this._post(resource, { from: next }, { idempotent: true, cancelToken: cancelToken }).then(
+          function(data) {
+            var result = this._safeParse(data.body).result || {},
+              newLines = result.lines || [];
+
+            newLines.forEach(onLine);
+            next = typeof result.next === 'number' ? result.next : next + newLines.length;
+          }.bind(this),
+          function(error) {
+            if (error instanceof errors.CancelledError) {
+              return Q.reject(error);
+            }
+
+            logAvailable = false;
+          }
+        ).finally(
+          function() {
+            fetching = null;
+          }
+        );
+      }
+
+      return fetching;
+    }.bind(this);
+
+    // The lines written after the last poll.
+    var fetchLastLines = function() {
+      return Q(fetching).then(null, function() {}).then(fetchLines);
+    };
+
+    return this.pollBuildStatus(projectId, queueId, { cancelToken: cancelToken }).progress(
+      function(description) {
+        onDescription(description);
+        fetchLines().then(null, function() {});
+      }
+    ).then(
+      function(description) {
+        return fetchLastLines().then(
+          function() {
+            return description;
+          }
+        );
+      },
+      function(error) {
+        if (!(error instanceof errors.BuildError)) {
+          return Q.reject(error);
+        }
+
+        return fetchLastLines().then(
+          function() {
+            return Q.reject(error);
+          }
+        );
+      }
+    );
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Follows the log of a build until {@link Monaca#pollBuildStatus} reports the build finished.
+   *   The new lines of the log are fetched after every poll of the build status, and the returned
+   *   promise is notified with each of them. Servers without build logs only report the status.
+   * @param {string} projectId - Project ID.
+   * @param {string} queueId - Build queue ID.
+   * @param {object} [options] - Options.
+   * @param {CancellationToken} [options.cancelToken] - Token used to stop following the log.
+   * @return {Promise} - Resolves to <code>{ status, lines }</code> once the build finished, status
+   *   being "finish" or "failed".
+   * @example
+   *   monaca.buildProject(projectId, { platform: 'android' }, true).then(
+   *     function(queueId) {
+   *       return monaca.streamBuildLog(projectId, queueId);
+   *     }
+   *   ).then(
+   *     function(result) {
+   *       console.log('Build ' + result.status);
+   *     },
+   *     null,
+   *     function(line) {
+   *       console.log(line);
+   *     }
+   *   );
+   */
+  Monaca.prototype.streamBuildLog = function(projectId, queueId, options) {
+    var deferred = Q.defer(),
+      cancelToken = CancellationToken.from(options && options.cancelToken),
+      lines = [];
+
+    var onLine = function(line) {
+      lines.push(line);
+      deferred.notify(line);
+    };
+
+    this._followBuild(projectId, queueId, cancelToken, function() {}, onLine).then(
+      function() {
+        deferred.resolve({
+          status: 'finish',
+          lines: lines
+        });
+      },
+      function(error) {
+        if (error instanceof errors.BuildError) {
+          deferred.resolve({
+            status: 'failed',
+            lines: lines
+          });
+        } else {
+          deferred.reject(error);
+        }
+      }
+    );
+
+    return deferred.promise;
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Builds a project for several targets at once. Every target is first checked with
+   *   {@link Monaca#checkBuildAvailability}, then the builds of the valid ones are started together
+   *   and, once built, the targets with a <code>distribute</code> setting are sent to their
+   *   distribution service.
+   *
+   *   A target failing doesn't stop the others: the promise resolves to the result of every target,
+   *   by name, <code>{ target, platform, purpose, ok, stage, queueId, build, distribution, error }</code>.
+   *   <code>stage</code> is where the target stopped, "validate", "build" or "distribute", and
+   *   <code>build</code> the build result. The promise is notified with
+   *   <code>{ target, stage, description }</code> as each target progresses.
+   * @param {string} projectId - Project ID.
+   * @param {object[]} targets - Build parameters of each target, see {@link Monaca#buildProject}.
+   * @param {string} [targets[].name] - Name of the target. Defaults to "&lt;platform&gt;-&lt;purpose&gt;".
+   * @param {object} [targets[].distribute] - <code>{ alias, service, parameters }</code> given to
+   *   {@link Monaca#distribute} once the target is built.
+   * @param {object} [options] - Options.
+   * @param {CancellationToken} [options.cancelToken] - Token used to stop waiting for the builds.
+   *   Builds that were already requested keep running in the Cloud.
+   * @return {Promise}
+   * @example
+   *   monaca.buildAll(projectId, [
+   *     { platform: 'android', purpose: 'release' },
+   *     { platform: 'ios', purpose: 'adhoc', distribute: { alias: 'testers', service: 'DeployGate' } }
+   *   ]).then(
+   *     function(results) {
+   *       Object.keys(results).forEach(function(name) {
+   *         var result = results[name];
+   *         console.log(name + ': ' + (result.ok ? 'done' : result.stage + ' failed, ' + result.error.message));
+   *       });
+   *     },
+   *     null,
+   *     function(progress) {
+   *       console.log(progress.target + ': ' + progress.description);
+   *     }
+   *   );
+   */
+  Monaca.prototype.buildAll = function(projectId, targets, options) {
+    options = options || {};
+
+    if (!Array.isArray(targets) || !targets.length) {
+      return Q.reject(new errors.ValidationError('Must specify at least one build target.'));
+    }
+
+    var deferred = Q.defer(),
+      cancelToken = CancellationToken.from(options.cancelToken),
+      results = {};
+
+    for (var i = 0; i < targets.length; i++) {
+      var target = targets[i],
+        purpose = target.purpose || 'debug',
+        name = target.name || target.platform + '-' + purpose;
+
+      if (results[name]) {
+        return Q.reject(new errors.ValidationError('Build target "' + name + '" is specified more than once.'));
+      }
+
+      results[name] = {
+        target: name,
+        platform: target.platform,
+        purpose: purpose,
+        ok: false,
+        stage: 'validate',
+        queueId: null,
+        build: null,
+        distribution: null,
+        error: null
+      };
+    }
+
+    var names = Object.keys(results);
+
+    var notify = function(name, stage, description) {
+      deferred.notify({
+        target: name,
+        stage: stage,
+        description: description
+      });
+    };
+
+    var validate = function(target, name) {
+      var result = results[name];
+
+      return this.checkBuildAvailability(projectId, result.platform, result.purpose).then(
+        function() {
+          notify(name, 'validate', 'Ready to build');
+          return true;
+        },
+        function(error) {
+          result.error = error;
+          notify(name, 'validate', error.message);
+          return false;
+        }
+      );
+    }.bind(this);
+
+    var build = function(target, name) {
+      var result = results[name],
+        params = extend({}, target),
+        requestOptions = { idempotent: true, cancelToken: cancelToken };
+
+      delete params.name;
+      delete params.distribute;
+
+      result.stage = 'build';
+
+      return this.buildProject(projectId, params, true, { cancelToken: cancelToken }).then(
+        function(queueId) {
+          result.queueId = queueId;
+          notify(name, 'build', 'Build requested');
+
+          return this.pollBuildStatus(projectId, queueId, { cancelToken: cancelToken }).progress(
+            function(description) {
+              notify(name, 'build', description);
+            }
+          );
+        }.bind(this)
+      ).then(
+        function() {
+          return this._post('/project/' + projectId + '/build/result/' + result.queueId, {}, requestOptions);
+        }.bind(this)
+      ).then(
+        function(data) {
+          var distribution = target.distribute;
+
+          result.build = this._safeParse(data.body).result;
+
+          if (!distribution) {
+            return;
+          }
+
+          result.stage = 'distribute';
+          notify(name, 'distribute', 'Distributing to ' + distribution.service);
+
+          return this.distribute(distribution.alias, distribution.service, distribution.parameters, result.queueId, projectId).then(
+            function(body) {
+              result.distribution = body.result || null;
+            }
+          );
+        }.bind(this)
+      ).then(
+        function() {
+          result.ok = true;
+          notify(name, result.stage, 'Done');
+        },
+        function(error) {
+          result.error = errors.from(error);
+          notify(name, result.stage, result.error.message);
+        }
+      );
+    }.bind(this);
+
+    // Nothing is built before every target has been checked.
+    Q.all(targets.map(function(target, index) {
+      return validate(target, names[index]);
+    }))
+    .then(
+      function(valid) {
+        return Q.all(targets.map(function(target, index) {
+          return valid[index] ? build(target, names[index]) : null;
+        }));
+      }
+    )
+    .then(
+      function() {
+        if (cancelToken.isCancelled) {
+          return deferred.reject(cancelToken.error());
+        }
+
+        deferred.resolve(results);
+      },
+      function(error) {
+        deferred.reject(error);
+      }
+    );
+
+    return deferred.promise;
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Lists the build profiles of a project, declared in <code>.monaca/build_profiles.json</code>.
+   *   A profile holds the build parameters of {@link Monaca#buildProject} and, optionally, a
+   *   <code>description</code> and the <code>distribute</code> settings <code>{ alias, service,
+   *   parameters }</code> of {@link Monaca#distribute}. Profiles without a <code>framework_version</code>
+   *   use the one of <code>.monaca/project_info.json</code>.
+   * @param {string} projectDir - Project directory.
+   * @return {Promise} - Resolves to <code>{ name, description, platform, purpose, distribute, problems }</code>
+   *   of every profile, <code>problems</code> being empty if the profile can be built.
+   * @example
+   *   {
+   *     "android-release-playstore": {
+   *       "description": "Signed APK for Google Play",
+   *       "platform": "android",
+   *       "purpose": "release",
+   *       "distribute": { "alias": "playstore", "service": "GooglePlay" }
+   *     }
+   *   }
+   */
+  Monaca.prototype.getBuildProfiles = function(projectDir) {
+    var profiles,
+      projectInfo = this.fetchProjectData(projectDir);
+
+    try {
+      profiles = buildProfiles.load(projectDir);
+    } catch (error) {
+      return Q.reject(error);
+    }
+
+    return Q.resolve(Object.keys(profiles).map(function(name) {
+      var profile = profiles[name] || {};
+
+      return {
+        name: name,
+        description: profile.description || null,
+        platform: profile.platform || null,
+        purpose: profile.purpose || 'debug',
+        distribute: profile.distribute || null,
+        problems: buildProfiles.validate(profiles[name], projectInfo)
+      };
+    }));
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Builds a project with one of its build profiles, see {@link Monaca#getBuildProfiles}: checks
+   *   the profile, uploads the project, builds it and distributes the build if the profile says so.
+   * @param {string} projectDir - Project directory.
+   * @param {string} name - Name of the build profile.
+   * @param {object} [options] - Options.
+   * @param {CancellationToken} [options.cancelToken] - Token used to stop the upload or stop waiting
+   *   for the build.
+   * @return {Promise} - Resolves to <code>{ profile, projectId, queueId, build, distribution }</code>,
+   *   <code>build</code> being the build result. Is notified with <code>{ stage, description }</code>,
+   *   stage being "upload", "validate", "build" or "distribute".
+   * @example
+   *   monaca.buildProfile('/my/project', 'android-release-playstore').then(
+   *     function(result) {
+   *       console.log('Built ' + result.build.binary_name);
+   *     },
+   *     function(error) {
+   *       // Invalid profile, or the upload, build or distribution failed.
+   *     },
+   *     function(progress) {
+   *       console.log(progress.stage + ': ' + progress.description);
+   *     }
+   *   );
+   */
+  Monaca.prototype.buildProfile = function(projectDir, name, options) {
+    options = options || {};
+
+    var deferred = Q.defer(),
+      cancelToken = CancellationToken.from(options.cancelToken),
+      projectInfo = this.fetchProjectData(projectDir),
+      profile,
+      projectId;
+
+    try {
+      profile = buildProfiles.get(projectDir, name, projectInfo);
+    } catch (error) {
+      return Q.reject(error);
+    }
+
+    var target = extend(buildProfiles.buildParams(profile, projectInfo), {
+      name: name,
+      distribute: profile.distribute
+    });
+
+    Q.resolve().then(
+      function() {
+        deferred.notify({ stage: 'upload', description: 'Uploading project' });
+
+        return this.uploadProject(projectDir, { cancelToken: cancelToken });
+      }.bind(this)
+    ).then(
+      function() {
+        return this.getProjectId(projectDir);
+      }.bind(this)
+    ).then(
+      function(id) {
+        projectId = id;
+
+        return this.buildAll(projectId, [target], { cancelToken: cancelToken }).progress(
+          function(progress) {
+            deferred.notify({ stage: progress.stage, description: progress.description });
           }
         );
+      }.bind(this)
+    ).then(
+      function(results) {
+        var result = results[name];
 
-      }.bind(this),
+        if (!result.ok) {
+          return deferred.reject(result.error);
+        }
+
+        deferred.resolve({
+          profile: name,
+          projectId: projectId,
+          queueId: result.queueId,
+          build: result.build,
+          distribution: result.distribution
+        });
+      },
       function(error) {
         deferred.reject(error);
       }
@@ -2083,136 +5158,344 @@
     return deferred.promise;
   };
 
-  Monaca.prototype.pollBuildStatus = function(projectId, queueId) {
-    var deferred = Q.defer();
-    var buildRoot = '/project/' + projectId + '/build';
+  // Artifacts are cached in the profile unless another directory is given. With an access
+  // token, nothing is written to ~/.cordova so artifacts are only cached in a given directory.
+  Monaca.prototype._getArtifactCache = function() {
+    var directory = this._artifactCacheOption || (this.accessToken ? null : this._profileFiles().artifactsDir);
 
-    var interval = setInterval(function() {
-      this._post(buildRoot + '/status/' + queueId).then(
-        function(data) {
-          var result = this._safeParse(data.body).result;
+    if (!this._artifactCache || this._artifactCache.directory !== directory) {
+      this._artifactCache = new ArtifactCache(directory);
+    }
+
+    return this._artifactCache;
+  };
 
-          deferred.notify(result.description);
+  Monaca.prototype._verifyArtifact = function(file, size, sha256, result) {
+    var expectedSize = result.binary_size ? Number(result.binary_size) : null,
+      expectedHash = result.binary_sha256 ? String(result.binary_sha256).toLowerCase() : null;
 
-          if (result.finished) {
-            clearInterval(interval);
+    if (expectedSize !== null && expectedSize !== size) {
+      return new errors.IntegrityError('The artifact is ' + size + ' bytes instead of ' + expectedSize + '.', {
+        path: file,
+        expected: expectedSize,
+        actual: size
+      });
+    }
 
-            if (result.status === 'finish') {
-              deferred.resolve(result.description);
-            }
-            else {
-              this._post(buildRoot + '/result/' + queueId).then(
-                function(data) {
-                  deferred.reject(this._safeParse(data.body).result.error_message);
-                }.bind(this),
-                function(error) {
-                  deferred.reject(error);
-                }
-              );
-            }
+    if (expectedHash && expectedHash !== sha256) {
+      return new errors.IntegrityError('The SHA-256 checksum of the artifact doesn\'t match.', {
+        path: file,
+        expected: expectedHash,
+        actual: sha256
+      });
+    }
+
+    return null;
+  };
+
+  // Streams an artifact to a file, computing its SHA-256 checksum on the way. Credentials
+  // are only sent to Monaca Cloud, not to the storage services artifacts may be hosted on.
+  Monaca.prototype._streamArtifact = function(url, file, queueId, cancelToken, notify) {
+    var deferred = Q.defer(),
+      isApiUrl = url.indexOf(this.apiRoot.replace(/\/$/, '') + '/') === 0,
+      req;
+
+    var removeCancelListener = cancelToken.onCancel(function(error) {
+      if (req && req.abort) {
+        req.abort();
+      }
+      deferred.reject(error);
+    });
+
+    var createClient = isApiUrl ? this._createRequestClient(undefined, url) :
+      this.network.createClient(url, { encoding: null, timeout: 300 * 1000 });
+
+    createClient.then(
+      function(requestClient) {
+        req = requestClient.get(url);
+
+        req.on('error', function(error) {
+          deferred.reject(errors.from(error));
+        });
+
+        req.on('response', function(response) {
+          var chunks = [];
+
+          if (response.statusCode !== 200) {
+            response.on('data', function(chunk) {
+              chunks.push(chunk);
+            });
+            response.on('end', function() {
+              var body;
+
+              try {
+                body = JSON.parse(Buffer.concat(chunks).toString());
+              } catch (e) {
+                body = undefined;
+              }
+
+              deferred.reject(errors.fromResponse(response.statusCode, body, response.headers));
+            });
+            return;
           }
-        }.bind(this),
-        function(error) {
-          clearInterval(interval);
-          deferred.reject(error);
-        }
-      );
-    }.bind(this), 1000);
 
-    return deferred.promise;
+          var hash = crypto.createHash('sha256'),
+            output = fs.createWriteStream(file),
+            bytesTotal = Number(response.headers['content-length']) || null,
+            bytesDownloaded = 0;
+
+          response.on('data', function(chunk) {
+            hash.update(chunk);
+            bytesDownloaded += chunk.length;
+            notify({
+              buildId: queueId,
+              bytesDownloaded: bytesDownloaded,
+              bytesTotal: bytesTotal
+            });
+          });
+
+          // Without these the output would wait for the rest of the file forever.
+          var interrupted = function(error) {
+            output.destroy();
+            deferred.reject(new errors.NetworkError('The download of the artifact was interrupted.', {
+              cause: error || undefined
+            }));
+          };
+          response.on('aborted', function() {
+            interrupted();
+          });
+          response.on('error', interrupted);
+
+          output.on('finish', function() {
+            // A truncated file is caught even if the build result has no size or checksum.
+            if (bytesTotal !== null && bytesDownloaded !== bytesTotal) {
+              return deferred.reject(new errors.IntegrityError('The artifact is ' + bytesDownloaded + ' bytes instead of ' + bytesTotal + '.', {
+                path: file,
+                expected: bytesTotal,
+                actual: bytesDownloaded
+              }));
+            }
+
+            deferred.resolve({
+              response: response,
+              size: bytesDownloaded,
+              sha256: hash.digest('hex')
+            });
+          });
+          output.on('error', function(error) {
+            deferred.reject(errors.from(error));
+          });
+
+          response.pipe(output);
+        });
+      },
+      function(error) {
+        deferred.reject(error);
+      }
+    );
+
+    return deferred.promise.finally(removeCancelListener);
   };
 
   /**
    * @method
    * @memberof Monaca
    * @description
-   *   Builds a Monaca project.
+   *   Downloads the binary (APK, IPA, ...) built by a remote build.
    *
-   *   If the build is successful the promise will resolve to
-   *   an object containing information about the build.
+   *   The binary is streamed to the artifact cache, see {@link Monaca#listBuildArtifacts}, and its
+   *   size and SHA-256 checksum are checked against the ones of the build result, and its size
+   *   against the Content-Length of the download. Credentials are only sent when the binary is
+   *   hosted on Monaca Cloud. Builds already in the cache aren't downloaded again. The returned
+   *   promise is notified with the number of downloaded bytes.
    * @param {string} projectId - Project ID.
-   * @param {object} params - Build parameters.
-   * @param {string} params.platform - Target platform. Should be one of "android", "ios" or "winrt".
-   * @param {string} [params.android_webview] - When building for Android the webview can be configured. Choose between "default" or "crosswalk"
-   * @param {string} [params.android_arch] - Required when building for Crosswalk. Should be one of either "x86" or "arm".
-   * @param {string} [params.framework_version] - Framework version. Defaults to 3.5.
-   * @param {string} [params.purpose] - Type of build. Should be one of either "debug" or "release". Defaults to "debug".
-   * @return {Promise}
+   * @param {string} queueId - Build queue ID, as resolved by {@link Monaca#buildProject} with skipPolling.
+   * @param {string} [destDir] - Directory the binary is copied to. It is only kept in the cache if omitted.
+   * @param {object} [options] - Options.
+   * @param {boolean} [options.cache] - Set to false to download the binary even if it is cached.
+   * @param {CancellationToken} [options.cancelToken] - Token used to cancel the download.
+   * @return {Promise} - Resolves to <code>{ file, cached, projectId, platform, purpose, buildId, name,
+   *   size, sha256 }</code>. Rejects with an IntegrityError if the binary doesn't match the build result.
    * @example
-   *   monaca.uploadProject('/some/project').then(
-   *     function(projectId) {
-   *       var params = {
-   *         platform: 'android',
-   *         purpose: 'debug'
-   *       };
-   *
-   *       monaca.buildProject(projectId, params).then(
-   *         function(result) {
-   *           // Build was successful!
-   *         },
-   *         function(error) {
-   *           // Build failed!
-   *         },
-   *         function(progress) {
-   *           // Track build status.
-   *         }
-   *       );
+   *   monaca.downloadBuildArtifact('SOME_PROJECT_ID', queueId, '/some/dir').then(
+   *     function(artifact) {
+   *       console.log('Downloaded ' + artifact.file);
+   *     },
+   *     function(error) {
+   *       // Download failed.
+   *     },
+   *     function(progress) {
+   *       console.log(progress.bytesDownloaded + ' / ' + progress.bytesTotal);
    *     }
    *   );
    */
-  Monaca.prototype.buildProject = function(projectId, params, skipPolling) {
+  Monaca.prototype.downloadBuildArtifact = function(projectId, queueId, destDir, options) {
     var deferred = Q.defer(),
-      buildRoot = '/project/' + projectId + '/build';
+      cache = this._getArtifactCache(),
+      cancelToken,
+      result,
+      key;
+
+    if (destDir && typeof destDir === 'object') {
+      options = destDir;
+      destDir = null;
+    }
 
-    params = params || {};
+    options = options || {};
+    cancelToken = CancellationToken.from(options.cancelToken);
 
-    if (!params.framework_version) {
-      params.framework_version = '3.5';
+    if (!destDir && !cache.directory) {
+      return Q.reject(new errors.ValidationError('Must specify a destination directory when the artifact cache is disabled.'));
     }
 
-    if (!params.purpose) {
-      params.purpose = 'debug';
-    }
+    // Copies the artifact to the destination directory.
+    var deliver = function(entry, cached) {
+      var artifact = extend({}, entry, { cached: cached });
 
-    if (!params.platform) {
-      deferred.reject(new Error('Must specify build platform.'));
-    }
+      if (!destDir || path.dirname(entry.file) === path.resolve(destDir)) {
+        return Q.resolve(artifact);
+      }
 
-    this._post(buildRoot, params).then(
-      function(data) {
-        var queueId = this._safeParse(data.body).result.queue_id;
+      artifact.file = path.join(destDir, entry.name);
 
-        if(skipPolling) {
-          return deferred.resolve(queueId);
+      return Q.nfcall(fs.copy, entry.file, artifact.file).then(
+        function() {
+          return artifact;
         }
+      );
+    };
 
-        this.pollBuildStatus(projectId, queueId).then(
-          function() {
-            this._post(buildRoot + '/result/' + queueId).then(
-              function(data) {
-                deferred.resolve(this._safeParse(data.body).result);
-              }.bind(this),
-              function(error) {
-                deferred.reject(error);
-              }
-            );
-          }.bind(this),
-          function(error) {
-            deferred.reject(error);
-          },
-          function(progress) {
-            deferred.notify(progress);
+    var download = function() {
+      var url = result.binary_url || result.url;
+
+      if (!url) {
+        return Q.reject(new errors.BuildError('The build has no artifact to download.', { buildId: queueId }));
+      }
+
+      url = url.match(/^https?\:\/\//) ? url : this.apiRoot + url;
+
+      var stagingDir = cache.directory || destDir,
+        stagingFile = path.join(stagingDir, '.' + crypto.randomBytes(8).toString('hex') + '.part');
+
+      try {
+        shell.mkdir('-p', stagingDir);
+      } catch (error) {
+        return Q.reject(errors.from(error));
+      }
+
+      return this._streamArtifact(url, stagingFile, queueId, cancelToken, deferred.notify.bind(deferred)).then(
+        function(download) {
+          var info = {
+            name: artifactName(download.response, result, url, queueId),
+            size: download.size,
+            sha256: download.sha256
+          };
+
+          var error = this._verifyArtifact(stagingFile, info.size, info.sha256, result);
+          if (error) {
+            return Q.reject(error);
           }
-        );
-      }.bind(this),
+
+          if (cache.directory) {
+            return cache.add(key, stagingFile, info);
+          }
+
+          var file = path.join(destDir, info.name);
+          fs.renameSync(stagingFile, file);
+
+          return extend({ file: file }, key, info);
+        }.bind(this)
+      ).then(
+        function(entry) {
+          return deliver(entry, false);
+        },
+        function(error) {
+          shell.rm('-f', stagingFile);
+          return Q.reject(error);
+        }
+      );
+    }.bind(this);
+
+    this._post('/project/' + projectId + '/build/result/' + queueId, {}, { idempotent: true, cancelToken: cancelToken }).then(
+      function(data) {
+        result = this._safeParse(data.body).result || {};
+        key = {
+          projectId: projectId,
+          platform: result.platform,
+          purpose: result.purpose,
+          buildId: queueId
+        };
+
+        var entry = options.cache === false ? null : cache.get(key);
+
+        if (entry) {
+          // Cached files are checked again in case they were changed.
+          return Q.nfcall(fs.readFile, entry.file).then(
+            function(data) {
+              var sha256 = crypto.createHash('sha256').update(data).digest('hex');
+
+              if (sha256 !== entry.sha256 || this._verifyArtifact(entry.file, data.length, sha256, result)) {
+                return download();
+              }
+
+              return deliver(entry, true);
+            }.bind(this)
+          );
+        }
+
+        return download();
+      }.bind(this)
+    ).then(
+      function(artifact) {
+        deferred.resolve(artifact);
+      },
       function(error) {
-        deferred.reject(error);
+        deferred.reject(errors.from(error));
       }
     );
 
     return deferred.promise;
   };
 
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Lists the build artifacts in the artifact cache, newest first.
+   * @param {object} [filter] - Only list the artifacts matching <code>{ projectId, platform, purpose }</code>.
+   * @return {Promise} - Resolves to <code>{ projectId, platform, purpose, buildId, name, size, sha256,
+   *   downloadedAt, file }</code> of every artifact.
+   */
+  Monaca.prototype.listBuildArtifacts = function(filter) {
+    return this._getArtifactCache().list(filter);
+  };
+
+  /**
+   * @method
+   * @memberof Monaca
+   * @description
+   *   Removes build artifacts from the artifact cache.
+   * @param {object} [options] - Which artifacts to remove.
+   * @param {number} [options.keep] - Artifacts kept for every project, platform and purpose, newest first.
+   * @param {number} [options.maxAge] - Remove the artifacts downloaded longer ago than this, in milliseconds.
+   * @param {string} [options.projectId] - Only prune the artifacts of this project.
+   * @param {string} [options.platform] - Only prune the artifacts of this platform.
+   * @param {string} [options.purpose] - Only prune the artifacts of this purpose.
+   * @return {Promise} - Resolves to the removed artifacts.
+   * @example
+   *   // Keep the last 3 builds of every project, platform and purpose.
+   *   monaca.pruneBuildArtifacts({ keep: 3 });
+   */
+  Monaca.prototype.pruneBuildArtifacts = function(options) {
+    options = options || {};
+
+    if (typeof options.keep !== 'number' && typeof options.maxAge !== 'number') {
+      return Q.reject(new errors.ValidationError('Must specify keep or maxAge.'));
+    }
+
+    return this._getArtifactCache().prune(options);
+  };
+
   /**
    * @method
    * @memberof Monaca
@@ -2231,19 +5514,21 @@
    *     });
    */
   Monaca.prototype.getTemplates = function() {
-    return this._get('/user/templates', { version: this.version })
-      .then(
-        function(data) {
-          var body = this._safeParse(data.body);
+    return this._cachedRead('getTemplates:' + this.version, function() {
+      return this._get('/user/templates', { version: this.version })
+        .then(
+          function(data) {
+            var body = this._safeParse(data.body);
 
-          if (body.status === 'ok') {
-            return Q.resolve(body.result);
-          } else {
-            return Q.reject(body.status);
-          }
-        }.bind(this),
-        Q.reject
-      );
+            if (body.status === 'ok') {
+              return Q.resolve(body.result);
+            } else {
+              return Q.reject(new errors.ApiError(body.message || body.status, { body: body }));
+            }
+          }.bind(this),
+          Q.reject
+        );
+    }.bind(this));
   };
 
   Monaca.prototype._npmInit = function() {
@@ -2309,6 +5594,55 @@
     return deferred.promise;
   };
 
+  // Files containing a NUL byte in the first 8000 bytes are treated as binary, like git does.
+  function _isTextFile(buffer) {
+    var length = Math.min(buffer.length, 8000);
+
+    for (var i = 0; i < length; i++) {
+      if (buffer[i] === 0) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+  // Whether a local file still contains the conflict markers written by _mergeText.
+  function _hasConflictMarkers(file) {
+    try {
+      return /^<<<<<<< /m.test(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // Wraps the lines that differ between the two versions in conflict markers.
+  function _mergeText(localText, remoteText) {
+    var localLines = localText.split('\n'),
+      remoteLines = remoteText.split('\n'),
+      start = 0,
+      end = 0;
+
+    while (start < localLines.length && start < remoteLines.length && localLines[start] === remoteLines[start]) {
+      start++;
+    }
+
+    while (end < localLines.length - start && end < remoteLines.length - start &&
+      localLines[localLines.length - 1 - end] === remoteLines[remoteLines.length - 1 - end]) {
+      end++;
+    }
+
+    return [].concat(
+      localLines.slice(0, start),
+      ['<<<<<<< local'],
+      localLines.slice(start, localLines.length - end),
+      ['======='],
+      remoteLines.slice(start, remoteLines.length - end),
+      ['>>>>>>> remote'],
+      localLines.slice(localLines.length - end)
+    ).join('\n');
+  };
+
   function _jsStringEscape(string) {
     return ('' + string).replace(/["'\\\n\r\u2028\u2029]/g, function (character) {
       // Escape all characters not included in SingleStringCharacters and
@@ -2383,7 +5717,7 @@
       process.stdout.write('\n\nInstalling build dependencies...\n');
       this._npmInstall(USER_CORDOVA, installDependencies).then(
         deferred.resolve.bind(null, projectDir),
-        deferred.reject.bind(null, new Error('Failed to install build dependencies.'))
+        deferred.reject.bind(null, new errors.BuildError('Failed to install build dependencies.'))
       );
     } else {
       deferred.resolve(projectDir);
@@ -2405,7 +5739,7 @@
     try {
       var config = this.fetchProjectData(projectDir);
     } catch(error) {
-      throw 'Failed to require package info.';
+      throw new errors.ProjectStructureError('Failed to require package info.', { projectDir: projectDir, cause: error });
     }
 
     var framework = config['template-type'];
@@ -2413,7 +5747,7 @@
     var asset = path.resolve(path.join(__dirname, 'template', file));
 
     if (!fs.existsSync(asset)) {
-      throw 'Failed to locate Webpack config template for framework ' + framework;
+      throw new errors.ProjectStructureError('Failed to locate Webpack config template for framework ' + framework, { projectDir: projectDir });
     }
 
     return fs.readFileSync(asset, 'utf8');
@@ -2478,7 +5812,7 @@
         return deferred.resolve(projectDir);
       } else {
         fs.copy(path.resolve(__dirname, 'template', 'components'), componentsPath, function(error) {
-          return error ? deferred.reject(error) : deferred.resolve(projectDir);
+          return error ? deferred.reject(errors.from(error)) : deferred.resolve(projectDir);
         });
       }
     });
@@ -2502,7 +5836,7 @@
         process.stdout.write('Installing template dependencies...\n');
         this._npmInstall(projectDir).then(
           deferred.resolve.bind(null, projectDir),
-          deferred.reject.bind(null, 'Failed to install template dependencies.')
+          deferred.reject.bind(null, new errors.MonacaError('Failed to install template dependencies.'))
         );
       }
       else {
@@ -2573,7 +5907,7 @@
   Monaca.prototype.getWebpackConfigFile = function(projectDir, environment) {
     var webpackConfig = path.resolve(projectDir, 'webpack.' + environment + '.config.js');
     if (!fs.existsSync(webpackConfig)) {
-      var error = new Error();
+      var error = new errors.ProjectStructureError('', { projectDir: projectDir });
       error.link = 'https://github.com/monaca/monaca-lib/blob/master/updateProject.md';
       error.message = '\nAppears that this project is not configured properly. This may be due to a recent update.\nPlease check this guide to update your project:\n ' + error.link + ' \n';
       error.action = 'reconfiguration';
@@ -2591,6 +5925,7 @@
    *   Transpiles projects that need to be transpiled and are enabled.
    * @param {String} Project Directory
    * @param {Object} Options
+   * @param {CancellationToken} [options.cancelToken] - Token used to stop webpack, also in watch mode.
    * @return {Promise}
    */
   Monaca.prototype.transpile = function(projectDir, options) {
@@ -2614,6 +5949,12 @@
       return Q.reject(error);
     }
 
+    var cancelToken = CancellationToken.from(options.cancelToken);
+
+    if (cancelToken.isCancelled) {
+      return Q.reject(cancelToken.error());
+    }
+
     var deferred = Q.defer();
     this.emitter.emit('output', {
       type: 'success',
@@ -2634,6 +5975,11 @@
       })
     });
 
+    var removeCancelListener = cancelToken.onCancel(function(error) {
+      webpackProcess.kill();
+      deferred.reject(error);
+    });
+
     webpackProcess.on('message', function(data) {
       if (this.clientType === 'cli') {
         process.stdout.write(data + '\n');
@@ -2646,8 +5992,10 @@
     }.bind(this));
 
     webpackProcess.on('exit', function(code) {
+      removeCancelListener();
+
       if (code === 1) {
-        var error = new Error('Error has occured while transpiling ' + projectDir + ' with webpack. Please check the logs.');
+        var error = new errors.BuildError('Error has occured while transpiling ' + projectDir + ' with webpack. Please check the logs.');
         deferred.reject(error);
       } else {
         deferred.resolve({
@@ -2682,7 +6030,7 @@
 
       fs.exists(destinationDir, function(exists) {
         if (exists) {
-          deferred.reject(new Error('Directory already exists'));
+          deferred.reject(new errors.FileSystemError('Directory already exists', { errno: 'EEXIST', path: destinationDir }));
         }
         else {
           deferred.resolve(destinationDir);
@@ -2706,6 +6054,9 @@
         .then(
           function() {
             return path;
+          },
+          function(error) {
+            return Q.reject(errors.from(error));
           }
         );
     };
@@ -2724,7 +6075,7 @@
 
             extract(zipPath, {dir: tmpDir}, function(error) {
               if (error) {
-                return deferred.reject(error);
+                return deferred.reject(errors.from(error));
               }
 
               fs.readdir(tmpDir, function(error, files) {
@@ -2738,7 +6089,7 @@
                         mv();
                       }, 200);
                     } else if (error) {
-                      return deferred.reject(error);
+                      return deferred.reject(errors.from(error));
                     } else {
                       fs.rmdir(tmpDir, function(error) {
                         return deferred.resolve(destinationDir);
@@ -2794,7 +6145,7 @@
         deferred.resolve(configFile);
       }
       else {
-        deferred.reject(new Error('Unable to set config file: ' + parentDir + ' does not exist.'));
+        deferred.reject(new errors.FileSystemError('Unable to set config file: ' + parentDir + ' does not exist.', { errno: 'ENOENT', path: parentDir }));
       }
     }.bind(this));
 
@@ -2803,7 +6154,7 @@
 
   Monaca.prototype._ensureConfigFile = function() {
     var deferred = Q.defer(),
-      configFile = this._configFile || CONFIG_FILE;
+      configFile = this._configFile || this._profileFiles().configFile;
 
     var parentDir = path.dirname(configFile);
 
@@ -2813,7 +6164,7 @@
           shell.mkdir('-p', parentDir);
         }
         catch (err) {
-          return deferred.reject(err);
+          return deferred.reject(errors.from(err));
         }
       }
 
@@ -2821,7 +6172,7 @@
         if (!exists) {
           fs.writeFile(configFile, '{}', function(err) {
             if (err) {
-              deferred.reject(err);
+              deferred.reject(errors.from(err));
             }
             else {
               deferred.resolve(configFile);
@@ -2857,16 +6208,16 @@
    */
   Monaca.prototype.setConfig = function(key, value) {
     if (typeof key === 'undefined') {
-      throw new Error('"key" must exist.');
+      throw new errors.ValidationError('"key" must exist.');
     }
     else if (typeof key !== 'string') {
-      throw new Error('"key" must be a string.');
+      throw new errors.ValidationError('"key" must be a string.');
     }
     else if (typeof value === 'undefined') {
-      throw new Error('"value" must exist.');
+      throw new errors.ValidationError('"value" must exist.');
     }
     else if (typeof value !== 'string' && value !== null) {
-      throw new Error('"value" must be a string or null.');
+      throw new errors.ValidationError('"value" must be a string or null.');
     }
 
     var deferred = Q.defer();
@@ -2877,7 +6228,7 @@
 
         lockfile.lock(lockFile, {wait: 10000}, function(error) {
           if (error) {
-            return deferred.reject(error);
+            return deferred.reject(errors.from(error));
           }
 
           var unlock = function() {
@@ -2891,7 +6242,7 @@
           fs.readFile(configFile, function(error, data) {
             if (error) {
               unlock();
-              return deferred.reject(error);
+              return deferred.reject(errors.from(error));
             }
 
             try {
@@ -2908,7 +6259,7 @@
                 unlock();
 
                 if (error) {
-                  deferred.reject(error);
+                  deferred.reject(errors.from(error));
                 }
                 else {
                   deferred.resolve(value);
@@ -2917,7 +6268,7 @@
             }
             catch (err) {
               unlock();
-              deferred.reject(err);
+              deferred.reject(new errors.FileSystemError(configFile + ' is not valid JSON: ' + err.message, { cause: err, path: configFile }));
             }
           });
         });
@@ -2961,10 +6312,10 @@
    */
   Monaca.prototype.getConfig = function(key) {
     if (typeof key === 'undefined') {
-      throw new Error('"key" must exist.');
+      throw new errors.ValidationError('"key" must exist.');
     }
     else if (typeof key !== 'string') {
-      throw new Error('"key" must be a string.');
+      throw new errors.ValidationError('"key" must be a string.');
     }
 
     var deferred = Q.defer();
@@ -2993,12 +6344,12 @@
    */
   Monaca.prototype.getConfigSync = function(key) {
     var config;
-    var configFile = this._configFile || CONFIG_FILE;
+    var configFile = this._configFile || this._profileFiles().configFile;
     if (typeof key === 'undefined') {
-      throw new Error('"key" must exist.');
+      throw new errors.ValidationError('"key" must exist.');
     }
     else if (typeof key !== 'string') {
-      throw new Error('"key" must be a string.');
+      throw new errors.ValidationError('"key" must be a string.');
     }
     try {
       if (fs.existsSync(configFile)) {
@@ -3009,7 +6360,7 @@
       }
     }
     catch (e){
-      throw new Error(e);
+      throw errors.from(e);
     }
     return config;
   };
@@ -3036,14 +6387,14 @@
       function(configFile) {
         fs.readFile(configFile, function(error, data) {
           if (error) {
-            deferred.reject(error);
+            deferred.reject(errors.from(error));
           }
           else {
             try {
               deferred.resolve(JSON.parse(data));
             }
             catch (err) {
-              deferred.reject(err);
+              deferred.reject(new errors.FileSystemError(configFile + ' is not valid JSON: ' + err.message, { cause: err, path: configFile }));
             }
           }
         });
@@ -3073,11 +6424,11 @@
           deferred.resolve();
         } else {
           if (path.parse(dir).base === 'www') {
-            deferred.reject(new Error("'www' directory is missing."));
+            deferred.reject(new errors.ProjectStructureError("'www' directory is missing.", { projectDir: projectDir }));
           } else if (path.parse(dir).base === 'config.xml') {
-            deferred.reject(new Error("'config.xml' file is missing."));
+            deferred.reject(new errors.ProjectStructureError("'config.xml' file is missing.", { projectDir: projectDir }));
           } else {
-            deferred.reject(new Error('this is not a Cordova project.'));
+            deferred.reject(new errors.ProjectStructureError('this is not a Cordova project.', { projectDir: projectDir }));
           }
         }
       });
@@ -3099,7 +6450,7 @@
         } else {
           docsUrl = 'https://docs.monaca.io/' + (global.locale === 'ja' ? 'ja' : 'en') + '/monaca_localkit/manual/troubleshooting/';
         }
-        return Q.reject(error + '\nPlease visit ' + docsUrl);
+        return Q.reject(new errors.ProjectStructureError(error.message + '\nPlease visit ' + docsUrl, { projectDir: projectDir, cause: error }));
       }.bind(this)
     );
   };
@@ -3142,7 +6493,7 @@
         var promise = promises.shift();
 
         if (!promise) {
-          return Q.reject(new Error('Config file is missing.'));
+          return Q.reject(new errors.ProjectStructureError('Config file is missing.', { projectDir: projectDir }));
         }
 
         return promise.then(
@@ -3163,7 +6514,7 @@
         return hasConfigFile();
       },
       function() {
-        return Q.reject(new Error('"www" directory is missing.'));
+        return Q.reject(new errors.ProjectStructureError('"www" directory is missing.', { projectDir: projectDir }));
       }
     );
   };
@@ -3192,7 +6543,7 @@
 
     // Reject if one or more are missing.
     if (missingItems.length > 0) {
-      var err = new Error("This is not a valid project, missing: \n\n" + missingItems.join('\n'));
+      var err = new errors.ProjectStructureError("This is not a valid project, missing: \n\n" + missingItems.join('\n'), { projectDir: projectDir });
       return Q.reject(err);
     }
 
@@ -3291,7 +6642,7 @@
             } else {
               var errorMsg = error.message + '\nPlease visit http://docs.monaca.io/'+ (global.locale === 'ja' ? 'ja' : 'en') + '/monaca_localkit/manual/troubleshooting/';
             }
-            return Q.reject(new Error(errorMsg));
+            return Q.reject(new errors.ProjectStructureError(errorMsg, { projectDir: arg.path, cause: error }));
           }.bind(this)
         )
         .then(relogin)
@@ -3388,7 +6739,7 @@
   Monaca.prototype.getLatestVersionInfo = function() {
     var deferred = Q.defer();
     // Since this is a public api, directly call it without any authentication parameters in request header.
-    request(this.apiRoot + '/public/versions', function (error, response, body) {
+    this.network.request({ url: this.apiRoot + '/public/versions' }, function (error, response, body) {
       if (!error && response.statusCode == 200) {
         deferred.resolve(JSON.parse(body));
       } else {
@@ -3424,16 +6775,26 @@
         var body = this._safeParse(response.body);
 
         if(body.status === 'error' || body.status === 'fail') {
-          return Q.reject(body.message || unknownErrorMsg);
+          return Q.reject(new errors.ApiError(body.message || unknownErrorMsg, { body: body }));
         } else {
           return Q.resolve(body);
         }
       }.bind(this),
-      function() {
-        return Q.reject(unknownErrorMsg);
+      function(error) {
+        if (!(error instanceof errors.ApiError)) {
+          return Q.reject(error);
+        }
+
+        return Q.reject(new errors.ApiError(unknownErrorMsg, { status: error.status, body: error.body, cause: error }));
       }
     );
   }
 
+  Monaca.errors = errors;
+  Monaca.CancellationToken = CancellationToken;
+  Monaca.credentialStores = credentialStore;
+  Monaca.NetworkConfig = NetworkConfig;
+  Monaca.MockServer = MockServer;
+
   module.exports = Monaca;
 })();
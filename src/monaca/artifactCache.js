@@ -0,0 +1,209 @@
+(function() {
+  'use strict';
+
+  /**
+   * Build artifacts (APK, IPA, ...) downloaded from Monaca Cloud, kept in
+   * ~/.cordova/monaca_artifacts/<project>/<platform>/<purpose>/<build> with
+   * an artifact.json describing each of them, so they are only downloaded once
+   * and CI pipelines can list and prune them.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  var METADATA_FILE = 'artifact.json';
+
+  // Key values are used as directory names.
+  var segment = function(value) {
+    return String(value || 'unknown').replace(/[^A-Za-z0-9_-]/g, '_');
+  };
+
+  var readJson = function(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  };
+
+  var subdirectories = function(dir) {
+    try {
+      return fs.readdirSync(dir).map(function(name) {
+        return path.join(dir, name);
+      }).filter(function(child) {
+        return fs.statSync(child).isDirectory();
+      });
+    } catch (e) {
+      return [];
+    }
+  };
+
+  /**
+   * @class ArtifactCache
+   * @description
+   *   Local cache of build artifacts. Entries are <code>{ projectId, platform, purpose, buildId,
+   *   name, size, sha256, downloadedAt, file }</code>, <code>file</code> being the cached file.
+   * @param {string} [directory] - Cache directory. Nothing is cached without one.
+   */
+  var ArtifactCache = function(directory) {
+    this.directory = directory || null;
+  };
+
+  ArtifactCache.prototype._dir = function(key) {
+    return path.join(this.directory, segment(key.projectId), segment(key.platform), segment(key.purpose), segment(key.buildId));
+  };
+
+  ArtifactCache.prototype._entry = function(dir) {
+    var entry = readJson(path.join(dir, METADATA_FILE));
+
+    if (!entry || !entry.name) {
+      return null;
+    }
+
+    entry.file = path.join(dir, path.basename(entry.name));
+
+    return fs.existsSync(entry.file) ? entry : null;
+  };
+
+  /**
+   * @description
+   *   Cached artifact of a build.
+   * @param {object} key - <code>{ projectId, platform, purpose, buildId }</code>.
+   * @return {object|null}
+   */
+  ArtifactCache.prototype.get = function(key) {
+    return this.directory ? this._entry(this._dir(key)) : null;
+  };
+
+  /**
+   * @description
+   *   Moves a downloaded artifact into the cache, replacing the previous one of the same build.
+   * @param {object} key - <code>{ projectId, platform, purpose, buildId }</code>.
+   * @param {string} file - Downloaded file.
+   * @param {object} info - <code>{ name, size, sha256 }</code>.
+   * @return {Promise} - Resolves to the entry.
+   */
+  ArtifactCache.prototype.add = function(key, file, info) {
+    if (!this.directory) {
+      return Q.reject(new errors.ValidationError('The artifact cache has no directory.'));
+    }
+
+    var dir = this._dir(key),
+      entry = {
+        projectId: key.projectId,
+        platform: key.platform,
+        purpose: key.purpose,
+        buildId: key.buildId,
+        name: path.basename(info.name),
+        size: info.size,
+        sha256: info.sha256,
+        downloadedAt: new Date().toISOString()
+      };
+
+    try {
+      shell.rm('-rf', dir);
+      shell.mkdir('-p', dir);
+      fs.renameSync(file, path.join(dir, entry.name));
+      fs.writeFileSync(path.join(dir, METADATA_FILE), JSON.stringify(entry));
+    } catch (error) {
+      return Q.reject(errors.from(error));
+    }
+
+    return Q.resolve(this._entry(dir));
+  };
+
+  /**
+   * @description
+   *   Cached artifacts, newest first.
+   * @param {object} [filter] - Only list the artifacts matching <code>{ projectId, platform, purpose }</code>.
+   * @return {Promise} - Resolves to the entries.
+   */
+  ArtifactCache.prototype.list = function(filter) {
+    filter = filter || {};
+
+    if (!this.directory) {
+      return Q.resolve([]);
+    }
+
+    var entries = [];
+
+    subdirectories(this.directory).forEach(function(projectDir) {
+      subdirectories(projectDir).forEach(function(platformDir) {
+        subdirectories(platformDir).forEach(function(purposeDir) {
+          subdirectories(purposeDir).forEach(function(buildDir) {
+            var entry = this._entry(buildDir);
+
+            if (entry && ['projectId', 'platform', 'purpose'].every(function(field) {
+              return !filter[field] || filter[field] === entry[field];
+            })) {
+              entries.push(entry);
+            }
+          }.bind(this));
+        }.bind(this));
+      }.bind(this));
+    }.bind(this));
+
+    return Q.resolve(entries.sort(function(a, b) {
+      return a.downloadedAt < b.downloadedAt ? 1 : (a.downloadedAt > b.downloadedAt ? -1 : 0);
+    }));
+  };
+
+  ArtifactCache.prototype.remove = function(entry) {
+    var dir = path.dirname(entry.file);
+
+    try {
+      shell.rm('-rf', dir);
+
+      // Remove the purpose, platform and project directories once they are empty.
+      for (var i = 0; i < 3; i++) {
+        dir = path.dirname(dir);
+        if (fs.readdirSync(dir).length > 0) {
+          break;
+        }
+        fs.rmdirSync(dir);
+      }
+    } catch (error) {
+      return Q.reject(errors.from(error));
+    }
+
+    return Q.resolve(entry);
+  };
+
+  /**
+   * @description
+   *   Removes old artifacts.
+   * @param {object} [options] - Options.
+   * @param {number} [options.keep] - Artifacts kept for every project, platform and purpose, newest first.
+   * @param {number} [options.maxAge] - Remove the artifacts downloaded longer ago than this, in milliseconds.
+   * @param {string} [options.projectId] - Only prune the artifacts of this project.
+   * @param {string} [options.platform] - Only prune the artifacts of this platform.
+   * @param {string} [options.purpose] - Only prune the artifacts of this purpose.
+   * @return {Promise} - Resolves to the removed entries.
+   */
+  ArtifactCache.prototype.prune = function(options) {
+    options = options || {};
+
+    return this.list(options).then(
+      function(entries) {
+        var kept = {},
+          now = Date.now();
+
+        var removed = entries.filter(function(entry) {
+          var group = [entry.projectId, entry.platform, entry.purpose].join('/');
+
+          kept[group] = (kept[group] || 0) + 1;
+
+          return (typeof options.keep === 'number' && kept[group] > options.keep) ||
+            (typeof options.maxAge === 'number' && now - Date.parse(entry.downloadedAt) > options.maxAge);
+        });
+
+        return Q.all(removed.map(this.remove.bind(this)));
+      }.bind(this)
+    );
+  };
+
+  module.exports = ArtifactCache;
+})();
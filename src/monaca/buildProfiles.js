@@ -0,0 +1,173 @@
+(function() {
+  'use strict';
+
+  /**
+   * Named build recipes shared through version control, read from
+   * project_dir/.monaca/build_profiles.json:
+   *
+   *   {
+   *     "android-release-playstore": {
+   *       "description": "Signed APK for Google Play",
+   *       "platform": "android",
+   *       "purpose": "release",
+   *       "framework_version": "5.0",
+   *       "distribute": { "alias": "playstore", "service": "GooglePlay", "parameters": { "track": "beta" } }
+   *     }
+   *   }
+   *
+   * Every field but "description" and "distribute" is a build parameter of
+   * Monaca#buildProject. "distribute" is given to Monaca#distribute once the
+   * build succeeds. Profiles without "framework_version" use the one of
+   * .monaca/project_info.json.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  var FILE = path.join('.monaca', 'build_profiles.json');
+
+  var PLATFORMS = ['android', 'ios', 'winrt'];
+
+  var PURPOSES = ['debug', 'debugger', 'release', 'adhoc'];
+
+  // Fields of a profile that are not build parameters.
+  var PROFILE_FIELDS = ['description', 'distribute'];
+
+  /**
+   * @description
+   *   Problems of a build profile.
+   * @param {object} profile - Build profile.
+   * @param {object} [projectInfo] - Contents of project_info.json.
+   * @return {string[]} - Empty if the profile can be built.
+   */
+  var validate = function(profile, projectInfo) {
+    var problems = [];
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      return ['must be an object'];
+    }
+
+    if (PLATFORMS.indexOf(profile.platform) < 0) {
+      problems.push('"platform" must be one of ' + PLATFORMS.join(', '));
+    }
+    if (profile.purpose !== undefined && PURPOSES.indexOf(profile.purpose) < 0) {
+      problems.push('"purpose" must be one of ' + PURPOSES.join(', '));
+    }
+    if (profile.framework_version !== undefined && typeof profile.framework_version !== 'string') {
+      problems.push('"framework_version" must be a string');
+    }
+    if (profile.framework_version === undefined && !(projectInfo && projectInfo.framework_version)) {
+      problems.push('"framework_version" is required when .monaca/project_info.json has none');
+    }
+    if (profile.android_webview === 'crosswalk' && ['x86', 'arm'].indexOf(profile.android_arch) < 0) {
+      problems.push('"android_arch" must be x86 or arm for Crosswalk builds');
+    }
+
+    var distribute = profile.distribute;
+
+    if (distribute !== undefined) {
+      if (!distribute || typeof distribute !== 'object') {
+        problems.push('"distribute" must be an object');
+      } else {
+        ['alias', 'service'].forEach(function(field) {
+          if (typeof distribute[field] !== 'string' || !distribute[field]) {
+            problems.push('"distribute.' + field + '" is required');
+          }
+        });
+        if (distribute.parameters !== undefined && (typeof distribute.parameters !== 'object' || Array.isArray(distribute.parameters))) {
+          problems.push('"distribute.parameters" must be an object');
+        }
+      }
+    }
+
+    return problems;
+  };
+
+  /**
+   * @description
+   *   Build profiles of a project, by name.
+   * @param {string} projectDir - Project directory.
+   * @return {object} - Empty if the project has no build_profiles.json.
+   * @throws {ProjectStructureError} - build_profiles.json isn't a JSON object.
+   */
+  var load = function(projectDir) {
+    var file = path.join(projectDir, FILE),
+      profiles;
+
+    try {
+      profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+
+      throw new errors.ProjectStructureError(FILE + ' is not valid JSON: ' + error.message, { projectDir: projectDir, cause: error });
+    }
+
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+      throw new errors.ProjectStructureError(FILE + ' must contain an object of build profiles.', { projectDir: projectDir });
+    }
+
+    return profiles;
+  };
+
+  /**
+   * @description
+   *   Build profile of a project, checked.
+   * @param {string} projectDir - Project directory.
+   * @param {string} name - Name of the profile.
+   * @param {object} [projectInfo] - Contents of project_info.json.
+   * @return {object} - The profile.
+   * @throws {ValidationError} - The profile doesn't exist or can't be built.
+   */
+  var get = function(projectDir, name, projectInfo) {
+    var profiles = load(projectDir);
+
+    if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+      var names = Object.keys(profiles);
+
+      throw new errors.ValidationError('Build profile "' + name + '" is not defined in ' + FILE + '. ' +
+        (names.length ? 'Available profiles: ' + names.join(', ') + '.' : 'No profile is defined.'));
+    }
+
+    var problems = validate(profiles[name], projectInfo);
+
+    if (problems.length) {
+      throw new errors.ValidationError('Build profile "' + name + '" is invalid: ' + problems.join('; ') + '.');
+    }
+
+    return profiles[name];
+  };
+
+  /**
+   * @description
+   *   Build parameters of a profile, without its description and distribution settings.
+   * @param {object} profile - Build profile.
+   * @param {object} [projectInfo] - Contents of project_info.json.
+   * @return {object}
+   */
+  var buildParams = function(profile, projectInfo) {
+    var params = {};
+
+    Object.keys(profile).forEach(function(key) {
+      if (PROFILE_FIELDS.indexOf(key) < 0) {
+        params[key] = profile[key];
+      }
+    });
+
+    if (params.framework_version === undefined && projectInfo) {
+      params.framework_version = projectInfo.framework_version;
+    }
+
+    return params;
+  };
+
+  module.exports = {
+    FILE: FILE,
+    load: load,
+    get: get,
+    validate: validate,
+    buildParams: buildParams
+  };
+})();
@@ -0,0 +1,229 @@
+(function() {
+  'use strict';
+
+  /**
+   * Polls the status of Cloud builds. Every watched build is polled from a
+   * single timer, one request at a time, less and less often while the build
+   * waits in the queue. Builds survive a few failed polls, and each change of
+   * state is emitted as a build:queued, build:building, build:finished or
+   * build:failed event.
+   */
+
+  var path = require('path'),
+    Q = require('q'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  // How builds are polled unless the constructor is given another policy.
+  var DEFAULT_BUILD_WATCH_POLICY = {
+    // Delay between two polls of a build, in milliseconds.
+    interval: 1000,
+    // The delay is multiplied by this after every poll of a queued build...
+    backoff: 1.5,
+    // ...up to this many milliseconds.
+    maxInterval: 30 * 1000,
+    // Consecutive failed polls after which the build is given up.
+    maxFailures: 5
+  };
+
+  // State of a build from the result of a status request.
+  var stateOf = function(result) {
+    if (result.finished) {
+      return result.status === 'finish' ? 'finished' : 'failed';
+    }
+
+    return result.status === 'queued' ? 'queued' : 'building';
+  };
+
+  // Failures worth polling again for.
+  var isTransient = function(error) {
+    return error instanceof errors.NetworkError ||
+      (error instanceof errors.QuotaError && error.status === 429) ||
+      (error instanceof errors.ApiError && error.status >= 500);
+  };
+
+  /**
+   * @class BuildWatcher
+   * @description
+   *   Polls the status of builds until they finish.
+   * @param {EventEmitter} emitter - Where state changes are emitted.
+   * @param {object} policy - See {@link Monaca#buildWatchPolicy}.
+   */
+  var BuildWatcher = function(emitter, policy) {
+    this.emitter = emitter;
+    this.policy = policy;
+    this._builds = [];
+    this._timer = null;
+    this._polling = false;
+  };
+
+  /**
+   * @description
+   *   Polls a build until it finishes.
+   * @param {object} build - The build.
+   * @param {string} build.projectId - Project ID.
+   * @param {string} build.queueId - Build queue ID.
+   * @param {function} build.fetch - Sends the "status" or "result" request of the build given as
+   *   argument and resolves to its result.
+   * @param {CancellationToken} build.cancelToken - Token used to stop watching the build.
+   * @return {Promise} - Resolves to the description of the finished build, is notified with the
+   *   description after every poll and rejects with a BuildError if the build failed.
+   */
+  BuildWatcher.prototype.watch = function(build) {
+    var deferred = Q.defer(),
+      watched = {
+        projectId: build.projectId,
+        queueId: build.queueId,
+        fetch: build.fetch,
+        cancelToken: build.cancelToken,
+        deferred: deferred,
+        state: null,
+        failures: 0,
+        interval: this.policy.interval,
+        nextPollAt: Date.now() + this.policy.interval
+      };
+
+    this._builds.push(watched);
+    this._schedule();
+
+    // Stop polling. The build itself keeps running in the Cloud.
+    var removeCancelListener = build.cancelToken.onCancel(function(error) {
+      this._finish(watched);
+      deferred.reject(error);
+    }.bind(this));
+
+    return deferred.promise.finally(removeCancelListener);
+  };
+
+  /**
+   * @description
+   *   Number of builds being watched.
+   * @return {number}
+   */
+  BuildWatcher.prototype.size = function() {
+    return this._builds.length;
+  };
+
+  // Arms the timer for the next build due, unless a round of polls is running.
+  BuildWatcher.prototype._schedule = function() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+
+    if (this._polling || !this._builds.length) {
+      return;
+    }
+
+    var next = Math.min.apply(Math, this._builds.map(function(watched) {
+      return watched.nextPollAt;
+    }));
+
+    this._timer = setTimeout(function() {
+      this._timer = null;
+      this._tick();
+    }.bind(this), Math.max(0, next - Date.now()));
+  };
+
+  // Polls every build that is due, one after the other.
+  BuildWatcher.prototype._tick = function() {
+    var now = Date.now(),
+      due = this._builds.filter(function(watched) {
+        return watched.nextPollAt <= now;
+      });
+
+    this._polling = true;
+
+    return due.reduce(function(previous, watched) {
+      return previous.then(function() {
+        return this._poll(watched);
+      }.bind(this));
+    }.bind(this), Q.resolve()).finally(function() {
+      this._polling = false;
+      this._schedule();
+    }.bind(this));
+  };
+
+  BuildWatcher.prototype._poll = function(watched) {
+    // Cancelled while waiting for its turn.
+    if (this._builds.indexOf(watched) < 0) {
+      return Q.resolve();
+    }
+
+    return watched.fetch('status').then(
+      function(result) {
+        var state = stateOf(result);
+
+        watched.failures = 0;
+        this._transition(watched, state, result.description);
+        watched.deferred.notify(result.description);
+
+        if (state === 'finished') {
+          this._finish(watched);
+          watched.deferred.resolve(result.description);
+        } else if (state === 'failed') {
+          this._finish(watched);
+
+          return watched.fetch('result').then(
+            function(buildResult) {
+              watched.deferred.reject(new errors.BuildError(buildResult.error_message, { buildId: watched.queueId }));
+            },
+            function(error) {
+              watched.deferred.reject(error);
+            }
+          );
+        } else {
+          // Builds waiting in the queue are polled less and less often.
+          watched.interval = state === 'queued' ?
+            Math.min(this.policy.maxInterval, watched.interval * this.policy.backoff) :
+            this.policy.interval;
+          watched.nextPollAt = Date.now() + watched.interval;
+        }
+      }.bind(this),
+      function(error) {
+        if (watched.cancelToken.isCancelled) {
+          return;
+        }
+
+        watched.failures++;
+
+        if (!isTransient(error) || watched.failures >= this.policy.maxFailures) {
+          this._finish(watched);
+          watched.deferred.reject(error);
+        } else {
+          watched.nextPollAt = Date.now() + Math.min(this.policy.maxInterval, watched.interval * Math.pow(2, watched.failures));
+        }
+      }.bind(this)
+    );
+  };
+
+  BuildWatcher.prototype._transition = function(watched, state, description) {
+    if (watched.state === state) {
+      return;
+    }
+
+    var previous = watched.state;
+    watched.state = state;
+
+    this.emitter.emit('build:' + state, {
+      projectId: watched.projectId,
+      queueId: watched.queueId,
+      state: state,
+      previousState: previous,
+      description: description
+    });
+  };
+
+  BuildWatcher.prototype._finish = function(watched) {
+    var index = this._builds.indexOf(watched);
+
+    if (index >= 0) {
+      this._builds.splice(index, 1);
+    }
+
+    this._schedule();
+  };
+
+  BuildWatcher.DEFAULT_POLICY = DEFAULT_BUILD_WATCH_POLICY;
+
+  module.exports = BuildWatcher;
+})();
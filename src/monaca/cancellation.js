@@ -0,0 +1,138 @@
+(function() {
+  'use strict';
+
+  /**
+   * Cancellation of long-running operations. A token is passed to an
+   * operation as options.cancelToken; calling cancel() aborts the requests,
+   * timers and processes the operation started and rejects it with a
+   * CancelledError.
+   */
+
+  var path = require('path'),
+    Q = require('q'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  /**
+   * @class CancellationToken
+   * @description
+   *   Token used to cancel operations.
+   * @example
+   *   var token = new CancellationToken();
+   *
+   *   monaca.uploadProject('/my/project', { cancelToken: token }).catch(
+   *     function(error) {
+   *       if (error instanceof Monaca.errors.CancelledError) {
+   *         // Upload cancelled.
+   *       }
+   *     }
+   *   );
+   *
+   *   cancelButton.onclick = function() {
+   *     token.cancel();
+   *   };
+   */
+  var CancellationToken = function() {
+    this.isCancelled = false;
+    this.reason = null;
+    this._listeners = [];
+  };
+
+  /**
+   * @description
+   *   Cancels every operation using this token.
+   * @param {string} [reason] - Message of the CancelledError.
+   */
+  CancellationToken.prototype.cancel = function(reason) {
+    if (this.isCancelled) {
+      return;
+    }
+
+    this.isCancelled = true;
+    this.reason = reason || 'The operation was cancelled.';
+
+    var listeners = this._listeners,
+      error = this.error();
+
+    this._listeners = [];
+    listeners.forEach(function(listener) {
+      listener(error);
+    });
+  };
+
+  /**
+   * @description
+   *   Error operations using this token are rejected with.
+   * @return {CancelledError}
+   */
+  CancellationToken.prototype.error = function() {
+    return new errors.CancelledError(this.reason);
+  };
+
+  /**
+   * @description
+   *   Calls a function once the token is cancelled, right away if it already is.
+   * @param {Function} listener - Called with the CancelledError.
+   * @return {Function} - Removes the listener.
+   */
+  CancellationToken.prototype.onCancel = function(listener) {
+    if (this.isCancelled) {
+      listener(this.error());
+      return function() {};
+    }
+
+    this._listeners.push(listener);
+
+    return function() {
+      var index = this._listeners.indexOf(listener);
+
+      if (index >= 0) {
+        this._listeners.splice(index, 1);
+      }
+    }.bind(this);
+  };
+
+  CancellationToken.prototype.throwIfCancelled = function() {
+    if (this.isCancelled) {
+      throw this.error();
+    }
+  };
+
+  /**
+   * @description
+   *   Promise rejected as soon as the token is cancelled, or settled like the given promise.
+   * @param {Promise} promise
+   * @return {Promise}
+   */
+  CancellationToken.prototype.guard = function(promise) {
+    var deferred = Q.defer(),
+      removeListener = this.onCancel(deferred.reject);
+
+    Q(promise).then(deferred.resolve, deferred.reject, deferred.notify).finally(removeListener);
+
+    return deferred.promise;
+  };
+
+  /**
+   * @description
+   *   Token that is never cancelled, used when an operation isn't given one.
+   */
+  CancellationToken.NONE = new CancellationToken();
+  CancellationToken.NONE.cancel = function() {
+    throw new errors.ValidationError('CancellationToken.NONE cannot be cancelled.');
+  };
+  CancellationToken.NONE.onCancel = function() {
+    return function() {};
+  };
+
+  /**
+   * @description
+   *   The given token, or a token that is never cancelled.
+   * @param {CancellationToken} [token]
+   * @return {CancellationToken}
+   */
+  CancellationToken.from = function(token) {
+    return token || CancellationToken.NONE;
+  };
+
+  module.exports = CancellationToken;
+})();
@@ -0,0 +1,170 @@
+(function() {
+  'use strict';
+
+  /**
+   * Hashes of file contents in project file trees. The crc32 hash is always
+   * stored in "hash" for backwards compatibility, stronger hashes are stored
+   * in a field named after the algorithm.
+   */
+
+  var path = require('path'),
+    crypto = require('crypto'),
+    crc32 = require('buffer-crc32'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  // Strongest first.
+  var ALGORITHMS = ['sha256', 'crc32'];
+
+  var FIELDS = {
+    sha256: 'sha256',
+    crc32: 'hash'
+  };
+
+  var digest = function(data, algorithm) {
+    if (algorithm === 'crc32') {
+      return crc32(data).toString('hex');
+    }
+
+    return crypto.createHash(algorithm).update(data).digest('hex');
+  };
+
+  var check = function(algorithm) {
+    if (!FIELDS.hasOwnProperty(algorithm)) {
+      throw new errors.IntegrityError('Unsupported hash algorithm: ' + algorithm, {
+        expected: Object.keys(FIELDS),
+        actual: algorithm
+      });
+    }
+    return algorithm;
+  };
+
+  // Turns a hash stored as a plain crc32 string into a tree object.
+  var normalize = function(entry) {
+    return typeof entry === 'string' ? { hash: entry } : entry;
+  };
+
+  module.exports = {
+    ALGORITHMS: ALGORITHMS,
+
+    check: check,
+
+    normalize: normalize,
+
+    /**
+     * @description
+     *   Field of a tree object holding the hash of an algorithm.
+     */
+    field: function(algorithm) {
+      return FIELDS[check(algorithm)];
+    },
+
+    /**
+     * @description
+     *   Algorithms to compute for a hash mode. crc32 is always included.
+     * @param {string} [algorithm] - "crc32" or "sha256".
+     * @return {string[]}
+     */
+    algorithmsFor: function(algorithm) {
+      check(algorithm || 'crc32');
+      return algorithm && algorithm !== 'crc32' ? ['crc32', algorithm] : ['crc32'];
+    },
+
+    digest: function(data, algorithm) {
+      return digest(data, check(algorithm));
+    },
+
+    /**
+     * @description
+     *   Computes several hashes of some data.
+     * @return {object} - Fields to add to a tree object, e.g. <code>{ hash, sha256 }</code>.
+     */
+    digestAll: function(data, algorithms) {
+      var hashes = {};
+
+      algorithms.forEach(function(algorithm) {
+        hashes[FIELDS[check(algorithm)]] = digest(data, algorithm);
+      });
+
+      return hashes;
+    },
+
+    /**
+     * @description
+     *   Strongest algorithm whose hash is known for both entries.
+     * @return {string} - Algorithm name or null.
+     */
+    sharedAlgorithm: function(a, b) {
+      a = normalize(a);
+      b = normalize(b);
+
+      for (var i = 0; i < ALGORITHMS.length; i++) {
+        var field = FIELDS[ALGORITHMS[i]];
+
+        if (a && b && a[field] && b[field]) {
+          return ALGORITHMS[i];
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * @description
+     *   Compares two tree objects with the strongest hash they share.
+     *   Entries without a shared hash are considered different.
+     * @return {boolean}
+     */
+    sameContent: function(a, b) {
+      var algorithm = this.sharedAlgorithm(a, b);
+
+      if (!algorithm) {
+        return false;
+      }
+
+      return normalize(a)[FIELDS[algorithm]] === normalize(b)[FIELDS[algorithm]];
+    },
+
+    /**
+     * @description
+     *   Only the hashes of a tree object.
+     */
+    pick: function(entry) {
+      var hashes = {};
+
+      entry = normalize(entry);
+
+      ALGORITHMS.forEach(function(algorithm) {
+        var field = FIELDS[algorithm];
+
+        if (entry && entry[field]) {
+          hashes[field] = entry[field];
+        }
+      });
+
+      return hashes;
+    },
+
+    /**
+     * @description
+     *   Strongest hash of a tree object as a string, prefixed with the
+     *   algorithm unless it's crc32.
+     */
+    fingerprint: function(entry) {
+      entry = normalize(entry);
+
+      if (!entry) {
+        return undefined;
+      }
+
+      for (var i = 0; i < ALGORITHMS.length; i++) {
+        var value = entry[FIELDS[ALGORITHMS[i]]];
+
+        if (value) {
+          return ALGORITHMS[i] === 'crc32' ? value : ALGORITHMS[i] + ':' + value;
+        }
+      }
+
+      return undefined;
+    }
+  };
+})();
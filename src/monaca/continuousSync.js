@@ -0,0 +1,357 @@
+(function() {
+  'use strict';
+
+  /**
+   * Keeps a local project and Monaca Cloud in sync while it runs.
+   *
+   * Local changes are picked up by a FileWatcher and uploaded once no
+   * other change happened for a while. The Cloud file tree is polled and
+   * compared to the sync baseline to find files edited in the web IDE.
+   * Only the changed paths are hashed and synced, the whole project is
+   * only scanned once when the sync starts.
+   *
+   * Progress is reported as sync:* events on the emitter of the Monaca
+   * instance. Every event carries the project directory.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    Q = require('q'),
+    FileWatcher = require(path.join(__dirname, '..', 'localkit', 'fileWatcher')),
+    SyncBaseline = require(path.join(__dirname, 'syncBaseline')),
+    contentHash = require(path.join(__dirname, 'contentHash'));
+
+  var DEFAULT_DEBOUNCE = 1000,
+    DEFAULT_POLL_INTERVAL = 10000;
+
+  var APPLIED_ACTIONS = {
+    uploaded: 'upload',
+    downloaded: 'download',
+    deletedLocal: 'deleteLocal',
+    deletedRemote: 'deleteRemote'
+  };
+
+  /**
+   * @class ContinuousSync
+   * @description
+   *   Continuous sync of a project.
+   * @param {Monaca} monaca - Monaca instance used to sync.
+   * @param {string} projectDir - Project directory.
+   * @param {string} projectId - Monaca project ID.
+   * @param {object} [options] - See {@link Monaca#startContinuousSync}.
+   */
+  var ContinuousSync = function(monaca, projectDir, projectId, options) {
+    options = options || {};
+
+    this.monaca = monaca;
+    this.projectDir = path.resolve(projectDir);
+    this.projectId = projectId;
+    this.strategy = options.strategy;
+    this.debounce = typeof options.debounce === 'number' ? options.debounce : DEFAULT_DEBOUNCE;
+    this.pollInterval = typeof options.pollInterval === 'number' ? options.pollInterval : DEFAULT_POLL_INTERVAL;
+    this.snapshot = options.snapshot !== false;
+
+    this.status = 'stopped';
+    this._watcher = new FileWatcher();
+    this._pending = {};
+    this._debounceTimer = null;
+    this._pollTimer = null;
+    this._queue = Q.resolve();
+    this._queued = 0;
+  };
+
+  ContinuousSync.prototype._emit = function(event, data) {
+    data = data || {};
+    data.projectDir = this.projectDir;
+    data.projectId = this.projectId;
+
+    this.monaca.emitter.emit('sync:' + event, data);
+  };
+
+  ContinuousSync.prototype._setStatus = function(status) {
+    if (this.status !== status) {
+      this.status = status;
+      this._emit('status', { status: status });
+    }
+  };
+
+  ContinuousSync.prototype._toKey = function(file) {
+    return '/' + path.relative(this.projectDir, file).split(path.sep).join('/');
+  };
+
+  // Runs sync cycles one after the other.
+  ContinuousSync.prototype._enqueue = function(task) {
+    this._queued++;
+
+    var promise = this._queue.then(
+      function() {
+        if (this.status === 'stopped') {
+          return null;
+        }
+
+        this._setStatus('syncing');
+        return task();
+      }.bind(this)
+    );
+
+    this._queue = promise.catch(
+      function(error) {
+        this._emit('error', { error: error });
+      }.bind(this)
+    ).then(
+      function() {
+        if (--this._queued === 0 && this.status !== 'stopped') {
+          this._setStatus('idle');
+        }
+      }.bind(this)
+    );
+
+    return promise;
+  };
+
+  /**
+   * @description
+   *   Syncs the whole project once, then starts watching for changes.
+   */
+  ContinuousSync.prototype.start = function() {
+    this.status = 'starting';
+    this._emit('start');
+
+    var initialSync = this._enqueue(function() {
+      return this.monaca.syncProject(this.projectDir, {
+        strategy: this.strategy,
+        snapshot: this.snapshot
+      }).then(
+        function(result) {
+          this._emitResult('initial', result);
+          return result;
+        }.bind(this)
+      );
+    }.bind(this));
+
+    return initialSync.then(
+      function(result) {
+        this._watcher.onchange(this._onLocalChange.bind(this));
+        this._watcher.run(this.projectDir, {
+          filter: function(file) {
+            return path.basename(file) !== 'node_modules';
+          }
+        });
+
+        if (this.pollInterval > 0) {
+          this._pollTimer = setInterval(this.pollRemote.bind(this), this.pollInterval);
+        }
+
+        return result;
+      }.bind(this),
+      function(error) {
+        this.status = 'stopped';
+        this._emit('stop', { error: error });
+        throw error;
+      }.bind(this)
+    );
+  };
+
+  /**
+   * @description
+   *   Stops watching and polling. A sync cycle that is running is finished first.
+   */
+  ContinuousSync.prototype.stop = function() {
+    if (this.status === 'stopped') {
+      return Q.resolve();
+    }
+
+    this._watcher.stop();
+    clearInterval(this._pollTimer);
+    clearTimeout(this._debounceTimer);
+    this._pollTimer = this._debounceTimer = this._polling = null;
+    this._pending = {};
+
+    var running = this._queue;
+    this._setStatus('stopped');
+
+    return running.then(
+      function() {
+        this._emit('stop');
+      }.bind(this)
+    );
+  };
+
+  ContinuousSync.prototype._onLocalChange = function(changeType, file) {
+    var key = this._toKey(file),
+      scope;
+
+    try {
+      scope = this.monaca._getSyncScope(this.projectDir);
+    } catch (error) {
+      return this._emit('error', { error: error });
+    }
+
+    if (!scope.isSynced('upload', key)) {
+      return;
+    }
+
+    this._pending[key] = changeType;
+    this._emit('change', { path: key, changeType: changeType, origin: 'local' });
+
+    // Wait until the changes settle before uploading them.
+    clearTimeout(this._debounceTimer);
+    this._debounceTimer = setTimeout(this.flushLocalChanges.bind(this), this.debounce);
+  };
+
+  /**
+   * @description
+   *   Syncs the local changes seen so far without waiting for the debounce delay.
+   */
+  ContinuousSync.prototype.flushLocalChanges = function() {
+    var keys = Object.keys(this._pending);
+
+    clearTimeout(this._debounceTimer);
+    this._debounceTimer = null;
+    this._pending = {};
+
+    if (keys.length === 0) {
+      return Q.resolve(null);
+    }
+
+    return this._enqueue(function() {
+      return this.monaca.getProjectFiles(this.projectId).then(
+        function(remoteFiles) {
+          return this._syncPaths('local', keys, remoteFiles);
+        }.bind(this)
+      );
+    }.bind(this));
+  };
+
+  /**
+   * @description
+   *   Checks Monaca Cloud for files changed since the last sync and syncs them.
+   */
+  ContinuousSync.prototype.pollRemote = function() {
+    // A poll already waiting in the queue will see the same changes.
+    if (this._polling) {
+      return this._polling;
+    }
+
+    this._polling = this._enqueue(function() {
+      this._polling = null;
+
+      return this.monaca.getProjectFiles(this.projectId).then(
+        function(remoteFiles) {
+          var baseline = new SyncBaseline(this.projectDir, this.projectId),
+            scope = this.monaca._getSyncScope(this.projectDir),
+            keys = {};
+
+          Object.keys(remoteFiles).forEach(function(key) {
+            var remote = remoteFiles[key],
+              base = baseline.get(key);
+
+            if (remote.type === 'file' && (!base || !contentHash.sameContent(remote, base))) {
+              keys[key] = true;
+            }
+          });
+
+          baseline.keys().forEach(function(key) {
+            if (!remoteFiles.hasOwnProperty(key)) {
+              keys[key] = true;
+            }
+          });
+
+          keys = Object.keys(keys).filter(function(key) {
+            return scope.isSynced('download', key, false);
+          });
+
+          keys.forEach(function(key) {
+            var changeType = !remoteFiles[key] ? 'delete' : (baseline.get(key) ? 'update' : 'create');
+
+            this._emit('change', { path: key, changeType: changeType, origin: 'remote' });
+          }.bind(this));
+
+          return keys.length > 0 ? this._syncPaths('remote', keys, remoteFiles) : null;
+        }.bind(this)
+      );
+    }.bind(this));
+
+    return this._polling;
+  };
+
+  // Hashes the given local paths only.
+  ContinuousSync.prototype._readLocalFiles = function(keys) {
+    var algorithms = contentHash.algorithmsFor(this.monaca.hashAlgorithm),
+      localFiles = {};
+
+    return Q.all(keys.map(function(key) {
+      var file = path.join(this.projectDir, key.substr(1));
+
+      return Q.nfcall(fs.readFile, file).then(
+        function(data) {
+          localFiles[key] = contentHash.digestAll(data, algorithms);
+          localFiles[key].type = 'file';
+        },
+        function(error) {
+          // Deleted, or a directory.
+          if (error.code !== 'ENOENT' && error.code !== 'EISDIR') {
+            throw error;
+          }
+        }
+      );
+    }.bind(this))).then(
+      function() {
+        return localFiles;
+      }
+    );
+  };
+
+  ContinuousSync.prototype._syncPaths = function(origin, keys, remoteFiles) {
+    var baseline = new SyncBaseline(this.projectDir, this.projectId);
+
+    return this._readLocalFiles(keys).then(
+      function(localFiles) {
+        var plan = this.monaca._planSync(this.projectDir, localFiles, remoteFiles, baseline, keys);
+
+        var snapshot = this.snapshot ?
+          this.monaca._snapshotSyncPlan(this.projectDir, this.projectId, plan, this.strategy, 'continuousSync') :
+          Q.resolve();
+
+        return snapshot.then(
+          function() {
+            return this.monaca._applySync(this.projectDir, this.projectId, plan, baseline, this.strategy, function(progress) {
+              this._emit('progress', {
+                origin: origin,
+                path: progress.path,
+                action: progress.action,
+                index: progress.index,
+                total: progress.total
+              });
+            }.bind(this));
+          }.bind(this)
+        );
+      }.bind(this)
+    ).then(
+      function(result) {
+        this._emitResult(origin, result);
+        return result;
+      }.bind(this)
+    );
+  };
+
+  ContinuousSync.prototype._emitResult = function(origin, result) {
+    Object.keys(APPLIED_ACTIONS).forEach(function(field) {
+      result[field].forEach(function(key) {
+        this._emit(APPLIED_ACTIONS[field], { path: key, origin: origin });
+      }.bind(this));
+    }.bind(this));
+
+    result.conflicts.forEach(function(conflict) {
+      this._emit('conflict', {
+        path: conflict.path,
+        origin: origin,
+        resolution: conflict.resolution || null
+      });
+    }.bind(this));
+
+    this._emit('complete', { origin: origin, result: result });
+  };
+
+  module.exports = ContinuousSync;
+})();
@@ -0,0 +1,380 @@
+(function() {
+  'use strict';
+
+  /**
+   * Where the Monaca client keeps its secrets: the relogin token, the API
+   * token and the session cookie. Everything else stays in monaca.json.
+   *
+   * A credential store has three methods:
+   *
+   *   load()        - Returns the stored secrets as an object. Synchronous,
+   *                   since the secrets are needed as soon as the client exists.
+   *   save(secrets) - Replaces the stored secrets. Returns a promise.
+   *   clear()       - Removes the stored secrets. Returns a promise.
+   *
+   * Any object with these methods can be given to the Monaca constructor as
+   * options.credentialStore.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    crypto = require('crypto'),
+    child_process = require('child_process'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    extend = require('extend'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  // Keys of the client data that are secrets.
+  var SECRET_KEYS = ['reloginToken', 'x-monaca-param-api-token', 'x-monaca-param-session'];
+
+  var CIPHER = 'aes-256-gcm',
+    PBKDF2_ITERATIONS = 100000;
+
+  /**
+   * @class MemoryCredentialStore
+   * @description
+   *   Keeps secrets in memory only. Useful for CI where nothing should be written to disk.
+   * @param {object} [secrets] - Initial secrets.
+   */
+  var MemoryCredentialStore = function(secrets) {
+    this._secrets = extend({}, secrets);
+  };
+
+  MemoryCredentialStore.prototype.load = function() {
+    return extend({}, this._secrets);
+  };
+
+  MemoryCredentialStore.prototype.save = function(secrets) {
+    this._secrets = extend({}, secrets);
+    return Q.resolve();
+  };
+
+  MemoryCredentialStore.prototype.clear = function() {
+    this._secrets = {};
+    return Q.resolve();
+  };
+
+  /**
+   * @class EnvCredentialStore
+   * @description
+   *   Reads secrets from environment variables. Secrets saved later, e.g. a new
+   *   session after logging in again, are only kept in memory.
+   * @param {object} [variables] - Environment variable of each secret. Defaults to
+   *   {@link EnvCredentialStore.VARIABLES}.
+   * @param {object} [env] - Environment. Defaults to <code>process.env</code>.
+   */
+  var EnvCredentialStore = function(variables, env) {
+    var secrets = {};
+
+    variables = variables || EnvCredentialStore.VARIABLES;
+    env = env || process.env;
+
+    Object.keys(variables).forEach(function(key) {
+      if (env[variables[key]]) {
+        secrets[key] = env[variables[key]];
+      }
+    });
+
+    MemoryCredentialStore.call(this, secrets);
+  };
+
+  EnvCredentialStore.prototype = Object.create(MemoryCredentialStore.prototype);
+  EnvCredentialStore.prototype.constructor = EnvCredentialStore;
+
+  EnvCredentialStore.VARIABLES = {
+    'reloginToken': 'MONACA_RELOGIN_TOKEN',
+    'x-monaca-param-api-token': 'MONACA_API_TOKEN',
+    'x-monaca-param-session': 'MONACA_SESSION'
+  };
+
+  /**
+   * @class EncryptedFileCredentialStore
+   * @description
+   *   Keeps secrets in a file encrypted with AES-256-GCM. The key is derived from a
+   *   passphrase, or read from a key file that is created with random content if it
+   *   doesn't exist. Both files are only readable by the current user.
+   *
+   *   Without a passphrase this is obfuscation only: anyone who can read the key file
+   *   can decrypt the secrets. It keeps them out of plain sight, e.g. out of a backup of
+   *   the encrypted file alone, and nothing more.
+   * @param {object} options
+   * @param {string} options.file - Encrypted file.
+   * @param {string} [options.passphrase] - Passphrase the key is derived from.
+   * @param {string} [options.keyFile] - Key file, used when there is no passphrase.
+   * @param {string} [options.legacyKeyFile] - Former location of the key file. The key is moved to
+   *   options.keyFile the first time it is needed.
+   */
+  var EncryptedFileCredentialStore = function(options) {
+    if (!options || !options.file || (!options.passphrase && !options.keyFile)) {
+      throw new errors.ValidationError('An encrypted credential store needs a file and either a passphrase or a key file.');
+    }
+
+    this.file = options.file;
+    this.passphrase = options.passphrase || null;
+    this.keyFile = options.passphrase ? null : options.keyFile;
+    this.legacyKeyFile = options.passphrase ? null : (options.legacyKeyFile || null);
+  };
+
+  EncryptedFileCredentialStore.prototype._write = function(file, data) {
+    shell.mkdir('-p', path.dirname(file));
+
+    var tmpFile = file + '.' + process.pid + '.tmp';
+
+    fs.writeFileSync(tmpFile, data, { mode: parseInt('600', 8) });
+    fs.renameSync(tmpFile, file);
+  };
+
+  EncryptedFileCredentialStore.prototype._key = function(salt, create) {
+    if (this.passphrase) {
+      return crypto.pbkdf2Sync(this.passphrase, salt, PBKDF2_ITERATIONS, 32, 'sha256');
+    }
+
+    this._moveLegacyKeyFile();
+
+    try {
+      return Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'hex');
+    } catch (error) {
+      if (error.code !== 'ENOENT' || !create) {
+        throw error;
+      }
+    }
+
+    var key = crypto.randomBytes(32);
+    this._write(this.keyFile, key.toString('hex'));
+    return key;
+  };
+
+  EncryptedFileCredentialStore.prototype._moveLegacyKeyFile = function() {
+    if (!this.legacyKeyFile || fs.existsSync(this.keyFile) || !fs.existsSync(this.legacyKeyFile)) {
+      return;
+    }
+
+    this._write(this.keyFile, fs.readFileSync(this.legacyKeyFile, 'utf8'));
+    fs.unlinkSync(this.legacyKeyFile);
+  };
+
+  EncryptedFileCredentialStore.prototype.load = function() {
+    var content;
+
+    try {
+      content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+
+    var salt = Buffer.from(content.salt, 'base64'),
+      decipher = crypto.createDecipheriv(CIPHER, this._key(salt, false), Buffer.from(content.iv, 'base64'));
+
+    decipher.setAuthTag(Buffer.from(content.tag, 'base64'));
+
+    try {
+      return JSON.parse(Buffer.concat([
+        decipher.update(Buffer.from(content.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8'));
+    } catch (e) {
+      throw new errors.AuthError('Unable to decrypt ' + this.file + '. The passphrase or the key file is wrong.', { cause: e });
+    }
+  };
+
+  EncryptedFileCredentialStore.prototype.save = function(secrets) {
+    try {
+      var salt = crypto.randomBytes(16),
+        iv = crypto.randomBytes(12),
+        cipher = crypto.createCipheriv(CIPHER, this._key(salt, true), iv),
+        data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+      this._write(this.file, JSON.stringify({
+        version: 1,
+        cipher: CIPHER,
+        kdf: this.passphrase ? 'pbkdf2-sha256' : 'keyfile',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      }));
+
+      return Q.resolve();
+    } catch (error) {
+      return Q.reject(error);
+    }
+  };
+
+  EncryptedFileCredentialStore.prototype.clear = function() {
+    try {
+      fs.unlinkSync(this.file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        return Q.reject(error);
+      }
+    }
+
+    return Q.resolve();
+  };
+
+  // Commands of the OS keychain tools. Secrets are stored base64-encoded as a single item.
+  var KEYCHAIN_TOOLS = {
+    // macOS Keychain. The secret goes through stdin so that it doesn't show up in the process list.
+    darwin: {
+      command: 'security',
+      isAvailable: function() {
+        return fs.existsSync('/usr/bin/security');
+      },
+      find: function(service, account) {
+        return { args: ['find-generic-password', '-s', service, '-a', account, '-w'] };
+      },
+      store: function(service, account, label, secret) {
+        return {
+          args: ['-i'],
+          input: 'add-generic-password -U -s ' + service + ' -a ' + account + ' -l "' + label + '" -w ' + secret + '\n'
+        };
+      },
+      remove: function(service, account) {
+        return { args: ['delete-generic-password', '-s', service, '-a', account] };
+      },
+      // "The specified item could not be found in the keychain."
+      isNotFound: function(error) {
+        return error.status === 44;
+      }
+    },
+    // Secret Service (GNOME Keyring, KWallet...) through libsecret.
+    linux: {
+      command: 'secret-tool',
+      isAvailable: function(env) {
+        return !!env.DBUS_SESSION_BUS_ADDRESS && !!shell.which('secret-tool');
+      },
+      find: function(service, account) {
+        return { args: ['lookup', 'service', service, 'account', account] };
+      },
+      store: function(service, account, label, secret) {
+        return { args: ['store', '--label=' + label, 'service', service, 'account', account], input: secret };
+      },
+      remove: function(service, account) {
+        return { args: ['clear', 'service', service, 'account', account] };
+      },
+      isNotFound: function(error) {
+        return error.status === 1 && !String(error.stderr || '').trim();
+      }
+    }
+  };
+
+  var execTool = function(command, args, input) {
+    return child_process.execFileSync(command, args, {
+      input: input || '',
+      encoding: 'utf8',
+      stdio: 'pipe',
+      timeout: 10 * 1000
+    });
+  };
+
+  /**
+   * @class KeychainCredentialStore
+   * @description
+   *   Keeps secrets in the OS keychain: the macOS Keychain, or the Secret Service of the
+   *   desktop session on Linux. See {@link KeychainCredentialStore.isAvailable}.
+   * @param {object} [options]
+   * @param {string} [options.service] - Service the secrets are stored under. Defaults to "monaca".
+   * @param {string} [options.account] - Account the secrets are stored under, e.g. the profile name.
+   *   Defaults to "default".
+   * @param {string} [options.platform] - Defaults to <code>process.platform</code>.
+   * @param {function} [options.exec] - Runs <code>(command, args, input)</code> and returns its output.
+   *   Throws an error with the <code>status</code> and <code>stderr</code> of the command if it fails.
+   */
+  var KeychainCredentialStore = function(options) {
+    options = options || {};
+
+    this.platform = options.platform || process.platform;
+    this.service = options.service || 'monaca';
+    this.account = options.account || 'default';
+    this._tool = KEYCHAIN_TOOLS[this.platform];
+    this._exec = options.exec || execTool;
+
+    if (!this._tool) {
+      throw new errors.ValidationError('There is no supported keychain on ' + this.platform + '.');
+    }
+  };
+
+  /**
+   * @description
+   *   Whether the OS keychain can be used.
+   * @param {string} [platform] - Defaults to <code>process.platform</code>.
+   * @param {object} [env] - Environment. Defaults to <code>process.env</code>.
+   * @return {boolean}
+   */
+  KeychainCredentialStore.isAvailable = function(platform, env) {
+    var tool = KEYCHAIN_TOOLS[platform || process.platform];
+
+    return !!tool && tool.isAvailable(env || process.env);
+  };
+
+  KeychainCredentialStore.prototype._run = function(call) {
+    try {
+      return this._exec(this._tool.command, call.args, call.input);
+    } catch (error) {
+      if (this._tool.isNotFound(error)) {
+        return null;
+      }
+
+      throw new errors.MonacaError('The keychain refused the request: ' + (String(error.stderr || '').trim() || error.message), { cause: error });
+    }
+  };
+
+  KeychainCredentialStore.prototype.load = function() {
+    var secret = this._run(this._tool.find(this.service, this.account));
+
+    if (!secret || !secret.trim()) {
+      return {};
+    }
+
+    return JSON.parse(Buffer.from(secret.trim(), 'base64').toString('utf8'));
+  };
+
+  KeychainCredentialStore.prototype.save = function(secrets) {
+    try {
+      var secret = Buffer.from(JSON.stringify(secrets), 'utf8').toString('base64');
+
+      this._run(this._tool.store(this.service, this.account, 'Monaca credentials (' + this.account + ')', secret));
+      return Q.resolve();
+    } catch (error) {
+      return Q.reject(error);
+    }
+  };
+
+  KeychainCredentialStore.prototype.clear = function() {
+    try {
+      this._run(this._tool.remove(this.service, this.account));
+      return Q.resolve();
+    } catch (error) {
+      return Q.reject(error);
+    }
+  };
+
+  /**
+   * @description
+   *   Only the secrets of some client data.
+   */
+  var pickSecrets = function(data) {
+    var secrets = {};
+
+    SECRET_KEYS.forEach(function(key) {
+      if (data && data[key]) {
+        secrets[key] = data[key];
+      }
+    });
+
+    return secrets;
+  };
+
+  module.exports = {
+    SECRET_KEYS: SECRET_KEYS,
+    MemoryCredentialStore: MemoryCredentialStore,
+    EnvCredentialStore: EnvCredentialStore,
+    EncryptedFileCredentialStore: EncryptedFileCredentialStore,
+    KeychainCredentialStore: KeychainCredentialStore,
+    pickSecrets: pickSecrets
+  };
+})();
@@ -0,0 +1,298 @@
+(function() {
+  'use strict';
+
+  /**
+   * Errors the Monaca client rejects with. Every error has a stable
+   * "code" so callers can branch on the kind of failure without parsing
+   * messages. The value that caused the error, if any, is kept in "cause".
+   */
+
+  var util = require('util');
+
+  // Error codes of Node.js network failures.
+  var NETWORK_CODES = [
+    'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT',
+    'ESOCKETTIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN', 'EPIPE', 'EPROTO',
+    'CERT_HAS_EXPIRED', 'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY'
+  ];
+
+  var define = function(name, parent, code, init) {
+    var ErrorClass = function(message, details) {
+      if (!(this instanceof ErrorClass)) {
+        return new ErrorClass(message, details);
+      }
+
+      details = details || {};
+
+      Error.call(this);
+      if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, ErrorClass);
+      }
+
+      this.name = name;
+      this.message = message || name;
+      this.code = code;
+
+      if (typeof details.cause !== 'undefined') {
+        this.cause = details.cause;
+      }
+
+      ErrorClass._init.call(this, details);
+    };
+
+    util.inherits(ErrorClass, parent);
+    ErrorClass.prototype.name = name;
+    ErrorClass.code = code;
+
+    // Fields of the parent classes are set too.
+    ErrorClass._init = function(details) {
+      if (parent._init) {
+        parent._init.call(this, details);
+      }
+      if (init) {
+        init.call(this, details);
+      }
+    };
+
+    return ErrorClass;
+  };
+
+  /**
+   * @class MonacaError
+   * @description
+   *   Base class of every error of the Monaca client.
+   */
+  var MonacaError = define('MonacaError', Error, 'MONACA_ERROR');
+
+  /**
+   * @class NetworkError
+   * @description
+   *   Monaca Cloud couldn't be reached. <code>errno</code> is the Node.js error code, e.g. "ECONNREFUSED".
+   */
+  var NetworkError = define('NetworkError', MonacaError, 'NETWORK_ERROR', function(details) {
+    this.errno = details.errno || null;
+  });
+
+  /**
+   * @class AuthError
+   * @description
+   *   The user isn't logged in, the session expired or the credentials are invalid.
+   */
+  var AuthError = define('AuthError', MonacaError, 'AUTH_ERROR', function(details) {
+    this.status = details.status || null;
+    this.body = details.body || null;
+  });
+
+  /**
+   * @class AccessTokenError
+   * @description
+   *   The access token given with options.accessToken or MONACA_TOKEN was rejected.
+   *   <code>reason</code> is "expired", "revoked" or "invalid".
+   */
+  var AccessTokenError = define('AccessTokenError', AuthError, 'ACCESS_TOKEN_REJECTED', function(details) {
+    this.reason = details.reason || 'invalid';
+  });
+
+  /**
+   * @class ApiError
+   * @description
+   *   Monaca Cloud answered with an error. <code>status</code> is the HTTP status
+   *   and <code>body</code> the parsed response body, if it was JSON. <code>retryAfter</code>
+   *   is the number of seconds the server asked to wait before trying again, when known.
+   */
+  var ApiError = define('ApiError', MonacaError, 'API_ERROR', function(details) {
+    this.status = details.status || null;
+    this.body = typeof details.body === 'undefined' ? null : details.body;
+    this.retryAfter = typeof details.retryAfter === 'number' ? details.retryAfter : null;
+  });
+
+  /**
+   * @class NotFoundError
+   * @description
+   *   The project, file or resource doesn't exist in Monaca Cloud.
+   */
+  var NotFoundError = define('NotFoundError', ApiError, 'NOT_FOUND');
+
+  /**
+   * @class QuotaError
+   * @description
+   *   A limit of the user's plan was reached or too many requests were sent.
+   */
+  var QuotaError = define('QuotaError', ApiError, 'QUOTA_EXCEEDED');
+
+  /**
+   * @class BuildError
+   * @description
+   *   A remote build could not be started or failed.
+   */
+  var BuildError = define('BuildError', MonacaError, 'BUILD_FAILED', function(details) {
+    this.buildId = details.buildId || null;
+  });
+
+  /**
+   * @class ProjectStructureError
+   * @description
+   *   A local project is missing files or isn't set up the way the operation needs.
+   */
+  var ProjectStructureError = define('ProjectStructureError', MonacaError, 'PROJECT_STRUCTURE', function(details) {
+    this.projectDir = details.projectDir || null;
+  });
+
+  /**
+   * @class ValidationError
+   * @description
+   *   A parameter is missing or invalid.
+   */
+  var ValidationError = define('ValidationError', MonacaError, 'INVALID_ARGUMENT');
+
+  /**
+   * @class FileSystemError
+   * @description
+   *   A local file couldn't be read or written. <code>errno</code> is the Node.js error code, e.g. "EACCES".
+   */
+  var FileSystemError = define('FileSystemError', MonacaError, 'FILESYSTEM_ERROR', function(details) {
+    this.errno = details.errno || null;
+    this.path = details.path || null;
+  });
+
+  /**
+   * @class CancelledError
+   * @description
+   *   The operation was cancelled with a {@link CancellationToken}.
+   */
+  var CancelledError = define('CancelledError', MonacaError, 'CANCELLED');
+
+  /**
+   * @class OfflineError
+   * @description
+   *   Monaca Cloud couldn't be reached in offline mode, so the operation was queued.
+   *   <code>operation</code> is the queued operation, replayed once the connection is back.
+   */
+  var OfflineError = define('OfflineError', MonacaError, 'OFFLINE_QUEUED', function(details) {
+    this.operation = details.operation || null;
+  });
+
+  /**
+   * @class IntegrityError
+   * @description
+   *   A downloaded file doesn't have the size or checksum Monaca Cloud announced.
+   *   <code>expected</code> and <code>actual</code> are the announced and received values.
+   */
+  var IntegrityError = define('IntegrityError', MonacaError, 'INTEGRITY_MISMATCH', function(details) {
+    this.path = details.path || null;
+    this.expected = typeof details.expected === 'undefined' ? null : details.expected;
+    this.actual = typeof details.actual === 'undefined' ? null : details.actual;
+  });
+
+  var bodyMessage = function(body) {
+    if (!body || typeof body !== 'object') {
+      return null;
+    }
+
+    return body.message || body.title || (body.result && body.result.error_message) || null;
+  };
+
+  // Seconds to wait from a Retry-After header, given in seconds or as an HTTP date.
+  var parseRetryAfter = function(value) {
+    if (typeof value !== 'string' || value === '') {
+      return undefined;
+    }
+
+    if (/^\d+$/.test(value)) {
+      return parseInt(value, 10);
+    }
+
+    var date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  };
+
+  /**
+   * @description
+   *   Error for a response whose status isn't 200.
+   * @param {number} status - HTTP status.
+   * @param {*} [body] - Parsed response body.
+   * @param {object} [headers] - Response headers.
+   * @return {ApiError}
+   */
+  var fromResponse = function(status, body, headers) {
+    var message = bodyMessage(body) || 'Monaca Cloud responded with HTTP status ' + status + '.',
+      details = {
+        status: status,
+        body: body,
+        retryAfter: parseRetryAfter(headers && headers['retry-after'])
+      };
+
+    if (status === 401 || status === 403) {
+      return new AuthError(message, details);
+    }
+    if (status === 404) {
+      return new NotFoundError(message, details);
+    }
+    if (status === 402 || status === 429) {
+      return new QuotaError(message, details);
+    }
+
+    return new ApiError(message, details);
+  };
+
+  /**
+   * @description
+   *   Turns anything a promise was rejected with into a MonacaError.
+   * @param {*} value - Error, message, HTTP status or response body.
+   * @return {MonacaError}
+   */
+  var from = function(value) {
+    if (value instanceof MonacaError) {
+      return value;
+    }
+
+    if (value instanceof Error) {
+      if (value.code && NETWORK_CODES.indexOf(value.code) >= 0) {
+        return new NetworkError(value.message, { cause: value, errno: value.code });
+      }
+      if (value.code && /^E[A-Z]+$/.test(value.code)) {
+        return new FileSystemError(value.message, { cause: value, errno: value.code, path: value.path });
+      }
+
+      return new MonacaError(value.message, { cause: value });
+    }
+
+    if (typeof value === 'number') {
+      return fromResponse(value);
+    }
+
+    if (typeof value === 'string') {
+      if (NETWORK_CODES.indexOf(value) >= 0) {
+        return new NetworkError('Unable to connect to Monaca Cloud (' + value + ').', { errno: value });
+      }
+
+      return new MonacaError(value, { cause: value });
+    }
+
+    if (value && typeof value === 'object') {
+      return new ApiError(bodyMessage(value) || 'Monaca Cloud responded with an error.', { body: value, cause: value });
+    }
+
+    return new MonacaError('An unknown error has occurred.', { cause: value });
+  };
+
+  module.exports = {
+    MonacaError: MonacaError,
+    NetworkError: NetworkError,
+    AuthError: AuthError,
+    AccessTokenError: AccessTokenError,
+    ApiError: ApiError,
+    NotFoundError: NotFoundError,
+    QuotaError: QuotaError,
+    BuildError: BuildError,
+    ProjectStructureError: ProjectStructureError,
+    ValidationError: ValidationError,
+    FileSystemError: FileSystemError,
+    CancelledError: CancelledError,
+    OfflineError: OfflineError,
+    IntegrityError: IntegrityError,
+    fromResponse: fromResponse,
+    from: from
+  };
+})();
@@ -0,0 +1,176 @@
+(function() {
+  'use strict';
+
+  /**
+   * Caches the hash of every project file in
+   * project_dir/.monaca/file_index.json
+   * so files are only read again when their size, mtime or inode changed.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  var INDEX_FILE = path.join('.monaca', 'file_index.json'),
+    VERSION = 1;
+
+  // A file changed within this many milliseconds of being hashed could be
+  // modified again without its mtime changing, so its hash isn't cached.
+  var RACY_INTERVAL = 2000;
+
+  var tmpCounter = 0;
+
+  /**
+   * @class FileIndex
+   * @description
+   *   Persisted hashes of the files of a project.
+   * @param {string} projectDir - Project directory.
+   */
+  var FileIndex = function(projectDir) {
+    this.file = path.join(projectDir, INDEX_FILE);
+    this.dirty = false;
+    this.data = this._load();
+  };
+
+  FileIndex.prototype._load = function() {
+    var data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      data = null;
+    }
+
+    if (!data || data.version !== VERSION || typeof data.files !== 'object') {
+      data = {
+        version: VERSION,
+        files: {}
+      };
+    }
+
+    return data;
+  };
+
+  /**
+   * @description
+   *   Returns the cached hash of a file, or undefined if the file changed since it was indexed.
+   * @param {string} key - File path relative to the project, starting with a slash.
+   * @param {fs.Stats} stat - Current stat of the file.
+   * @param {string} [algorithm] - Hash algorithm. Defaults to "crc32".
+   * @return {string}
+   */
+  FileIndex.prototype.lookup = function(key, stat, algorithm) {
+    var entry = this.data.files[key];
+
+    if (!entry || entry.size !== stat.size || entry.mtime !== stat.mtime.getTime() || entry.ino !== stat.ino) {
+      return undefined;
+    }
+
+    return entry.hashes[algorithm || 'crc32'];
+  };
+
+  /**
+   * @description
+   *   Stores the hash of a file.
+   * @param {string} key - File path relative to the project, starting with a slash.
+   * @param {fs.Stats} stat - Stat of the file the hash was computed from.
+   * @param {string} hash - Hash of the file.
+   * @param {string} [algorithm] - Hash algorithm. Defaults to "crc32".
+   */
+  FileIndex.prototype.set = function(key, stat, hash, algorithm) {
+    if (Date.now() - stat.mtime.getTime() < RACY_INTERVAL) {
+      return;
+    }
+
+    var entry = this.data.files[key];
+
+    if (!entry || entry.size !== stat.size || entry.mtime !== stat.mtime.getTime() || entry.ino !== stat.ino) {
+      entry = this.data.files[key] = {
+        size: stat.size,
+        mtime: stat.mtime.getTime(),
+        ino: stat.ino,
+        hashes: {}
+      };
+    }
+
+    entry.hashes[algorithm || 'crc32'] = hash;
+    this.dirty = true;
+  };
+
+  /**
+   * @description
+   *   Forgets files. Forgets every file if no keys are given.
+   * @param {string[]} [keys] - File paths relative to the project, starting with a slash.
+   */
+  FileIndex.prototype.invalidate = function(keys) {
+    if (!keys) {
+      this.data.files = {};
+    } else {
+      keys.forEach(function(key) {
+        delete this.data.files[key];
+      }.bind(this));
+    }
+
+    this.dirty = true;
+  };
+
+  /**
+   * @description
+   *   Forgets every file that isn't in the given list.
+   * @param {string[]} keys - File paths that still exist.
+   */
+  FileIndex.prototype.prune = function(keys) {
+    var existing = {};
+
+    keys.forEach(function(key) {
+      existing[key] = true;
+    });
+
+    Object.keys(this.data.files).forEach(function(key) {
+      if (!existing[key]) {
+        delete this.data.files[key];
+        this.dirty = true;
+      }
+    }.bind(this));
+  };
+
+  FileIndex.prototype.save = function() {
+    if (!this.dirty) {
+      return Q.resolve();
+    }
+
+    var deferred = Q.defer(),
+      tmpFile = this.file + '.' + process.pid + '.' + (tmpCounter++) + '.tmp';
+
+    try {
+      shell.mkdir('-p', path.dirname(this.file));
+    } catch (e) {
+      return Q.reject(errors.from(e));
+    }
+
+    fs.writeFile(tmpFile, JSON.stringify(this.data), function(error) {
+      if (error) {
+        return deferred.reject(errors.from(error));
+      }
+
+      fs.rename(tmpFile, this.file, function(error) {
+        if (error) {
+          fs.unlink(tmpFile, function() {
+            deferred.reject(errors.from(error));
+          });
+        } else {
+          this.dirty = false;
+          deferred.resolve();
+        }
+      }.bind(this));
+    }.bind(this));
+
+    return deferred.promise;
+  };
+
+  FileIndex.INDEX_FILE = INDEX_FILE;
+
+  module.exports = FileIndex;
+})();
@@ -0,0 +1,293 @@
+(function() {
+  'use strict';
+
+  /**
+   * Reads .monacaignore files with the same semantics as .gitignore:
+   * negation, anchored and directory-only rules, escaping and nested
+   * ignore files. A "%include <file>" line reads the rules of another file
+   * as if they were written in place of the directive.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  var IGNORE_FILE = '.monacaignore',
+    INCLUDE_DIRECTIVE = '%include';
+
+  var escapeRegExp = function(c) {
+    return /[-\/\\^$*+?.()|[\]{}]/.test(c) ? '\\' + c : c;
+  };
+
+  var toPosix = function(file) {
+    return file.split(path.sep).join('/');
+  };
+
+  // Converts a glob pattern to a regular expression following the gitignore rules.
+  var patternToRegExp = function(pattern, anchored) {
+    var re = '',
+      i = 0;
+
+    while (i < pattern.length) {
+      var c = pattern[i];
+
+      if (c === '*') {
+        if (pattern[i + 1] === '*' && (i === 0 || pattern[i - 1] === '/') &&
+          (i + 2 === pattern.length || pattern[i + 2] === '/')) {
+          if (i + 2 === pattern.length) {
+            // "foo/**" matches everything inside foo.
+            re += '.*';
+            i += 2;
+          } else {
+            // "**/foo" and "a/**/b" match in any number of directories.
+            re += '(?:.*/)?';
+            i += 3;
+          }
+          continue;
+        }
+
+        // Other consecutive asterisks are regular asterisks.
+        while (pattern[i] === '*') {
+          i++;
+        }
+        re += '[^/]*';
+      }
+      else if (c === '?') {
+        re += '[^/]';
+        i++;
+      }
+      else if (c === '[') {
+        var j = i + 1;
+
+        if (pattern[j] === '!' || pattern[j] === '^') {
+          j++;
+        }
+        if (pattern[j] === ']') {
+          j++;
+        }
+
+        var end = pattern.indexOf(']', j);
+
+        if (end < 0) {
+          re += '\\[';
+          i++;
+        } else {
+          var range = pattern.substring(i + 1, end).replace(/^!/, '^');
+          re += '[' + range + ']';
+          i = end + 1;
+        }
+      }
+      else if (c === '\\' && i + 1 < pattern.length) {
+        re += escapeRegExp(pattern[i + 1]);
+        i += 2;
+      }
+      else {
+        re += escapeRegExp(c);
+        i++;
+      }
+    }
+
+    return new RegExp('^' + (anchored ? '' : '(?:.*/)?') + re + '$');
+  };
+
+  var parseRule = function(line) {
+    // Trailing spaces are ignored unless they are escaped.
+    while (/ $/.test(line) && !/\\ $/.test(line)) {
+      line = line.slice(0, -1);
+    }
+
+    if (line === '' || line.charAt(0) === '#') {
+      return null;
+    }
+
+    var rule = {
+      pattern: line,
+      negated: false,
+      dirOnly: false
+    };
+
+    if (line.charAt(0) === '!') {
+      rule.negated = true;
+      line = line.substr(1);
+    }
+
+    if (/\/$/.test(line)) {
+      rule.dirOnly = true;
+      line = line.replace(/\/+$/, '');
+    }
+
+    if (line === '') {
+      return null;
+    }
+
+    // A slash anywhere but at the end anchors the rule to the directory of the ignore file.
+    var anchored = line.indexOf('/') >= 0;
+
+    rule.regExp = patternToRegExp(line.replace(/^\//, ''), anchored);
+
+    return rule;
+  };
+
+  /**
+   * @class IgnoreMatcher
+   * @description
+   *   Decides which files of a project are ignored by its .monacaignore files.
+   * @param {string} projectDir - Project directory.
+   */
+  var IgnoreMatcher = function(projectDir) {
+    this.projectDir = path.resolve(projectDir);
+    this._ruleSets = {};
+    this._cache = {};
+  };
+
+  IgnoreMatcher.prototype._readRules = function(file, base, stack) {
+    var lines;
+
+    if (stack.indexOf(file) >= 0) {
+      throw new errors.ProjectStructureError('Ignore file ' + file + ' includes itself.');
+    }
+
+    try {
+      lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+    } catch (e) {
+      throw new errors.FileSystemError('Unable to read ignore file ' + file + ': ' + e.message, { cause: e, errno: e.code, path: file });
+    }
+
+    var rules = [];
+
+    lines.forEach(function(line, index) {
+      var directive = line.trim();
+
+      if (directive.indexOf(INCLUDE_DIRECTIVE + ' ') === 0) {
+        var includeFile = path.resolve(path.dirname(file), directive.substr(INCLUDE_DIRECTIVE.length).trim());
+        rules = rules.concat(this._readRules(includeFile, base, stack.concat(file)));
+        return;
+      }
+
+      var rule = parseRule(line);
+
+      if (rule) {
+        rule.base = base;
+        rule.source = file;
+        rule.line = index + 1;
+        rules.push(rule);
+      }
+    }.bind(this));
+
+    return rules;
+  };
+
+  // Rules of the ignore file placed in a directory. Read once, when first needed.
+  IgnoreMatcher.prototype._getRules = function(dir) {
+    if (!this._ruleSets.hasOwnProperty(dir)) {
+      var file = path.join(this.projectDir, dir, IGNORE_FILE);
+
+      this._ruleSets[dir] = fs.existsSync(file) ? this._readRules(file, dir, []) : [];
+    }
+
+    return this._ruleSets[dir];
+  };
+
+  IgnoreMatcher.prototype._isDirectory = function(file) {
+    try {
+      return fs.lstatSync(path.join(this.projectDir, file)).isDirectory();
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // Finds the last rule matching the path itself, without looking at its parents.
+  IgnoreMatcher.prototype._match = function(file, isDir) {
+    var parts = file.split('/'),
+      match = null;
+
+    for (var i = 0; i < parts.length; i++) {
+      var dir = parts.slice(0, i).join('/'),
+        relative = dir ? file.substr(dir.length + 1) : file,
+        rules = this._getRules(dir);
+
+      for (var j = 0; j < rules.length; j++) {
+        var rule = rules[j];
+
+        if ((!rule.dirOnly || isDir) && rule.regExp.test(relative)) {
+          match = rule;
+        }
+      }
+    }
+
+    return match;
+  };
+
+  /**
+   * @description
+   *   Explains why a file is or isn't ignored.
+   * @param {string} file - Path relative to the project directory.
+   * @param {boolean} [isDir] - Whether the path is a directory. Checked on disk if omitted.
+   * @return {object} - <code>{ path, ignored, rule, ancestor }</code>. <code>rule</code> is the
+   *   last rule that matched, <code>ancestor</code> is set if a parent directory is ignored.
+   */
+  IgnoreMatcher.prototype.explain = function(file, isDir) {
+    file = toPosix(file).replace(/^\/+/, '').replace(/\/+$/, '');
+
+    if (typeof isDir === 'undefined') {
+      isDir = this._isDirectory(file);
+    }
+
+    var cacheKey = file + (isDir ? '/' : '');
+
+    if (this._cache.hasOwnProperty(cacheKey)) {
+      return this._cache[cacheKey];
+    }
+
+    var result = null,
+      parent = file.indexOf('/') >= 0 ? file.substr(0, file.lastIndexOf('/')) : '';
+
+    // Files inside an ignored directory can't be included again.
+    if (parent) {
+      var parentResult = this.explain(parent, true);
+
+      if (parentResult.ignored) {
+        result = {
+          path: file,
+          ignored: true,
+          rule: parentResult.rule,
+          ancestor: parentResult.ancestor || parent
+        };
+      }
+    }
+
+    if (!result) {
+      var rule = this._match(file, isDir);
+
+      result = {
+        path: file,
+        ignored: !!rule && !rule.negated,
+        rule: rule ? {
+          pattern: rule.pattern,
+          source: rule.source,
+          line: rule.line,
+          negated: rule.negated
+        } : null,
+        ancestor: null
+      };
+    }
+
+    this._cache[cacheKey] = result;
+    return result;
+  };
+
+  /**
+   * @description
+   *   Returns true if the file is ignored.
+   * @param {string} file - Path relative to the project directory.
+   * @param {boolean} [isDir] - Whether the path is a directory. Checked on disk if omitted.
+   * @return {boolean}
+   */
+  IgnoreMatcher.prototype.ignores = function(file, isDir) {
+    return this.explain(file, isDir).ignored;
+  };
+
+  IgnoreMatcher.IGNORE_FILE = IGNORE_FILE;
+
+  module.exports = IgnoreMatcher;
+})();
@@ -59,26 +59,48 @@ var createDefaultMonacaStructure = function(directory) {
 };
 
 var delProperty = function(directory, property) {
-  var deferred = Q.defer();
+  var deferred = Q.defer(),
+    propertyFile = path.join(directory, '.monaca', 'local_properties.json');
+
+  fs.readFile(propertyFile, function(error, data) {
+    var properties;
+
+    try {
+      properties = error ? {} : JSON.parse(data.toString());
+    }
+    catch (e) {
+      return deferred.reject(e);
+    }
 
-  if (property === 'project_id') {
-    var propertyFile = path.join(directory, '.monaca', 'local_properties.json');
+    if (!properties.hasOwnProperty(property)) {
+      return deferred.reject(new Error("The required property cannot be deleted because it does not exist."));
+    }
 
-     fs.unlink(propertyFile, function(err) {
+    delete properties[property];
+
+    // The file is removed with its last property.
+    if (Object.keys(properties).length === 0) {
+      fs.unlink(propertyFile, function(err) {
         if (err) {
           deferred.reject(new Error("Could not delete the property: " + err));
         } else {
           deferred.resolve();
         }
       });
-  } else {
-    deferred.reject(new Error("The required property cannot be deleted because it does not exist."));
-  }
+    } else {
+      fs.writeFile(propertyFile, JSON.stringify(properties), function(err) {
+        if (err) {
+          deferred.reject(new Error("Could not delete the property: " + err));
+        } else {
+          deferred.resolve();
+        }
+      });
+    }
+  });
 
   return deferred.promise;
 };
 
-
 var getProperty = function(projectDir, key) {
   var deferred = Q.defer();
 
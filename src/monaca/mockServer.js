@@ -0,0 +1,896 @@
+(function() {
+  'use strict';
+
+  /**
+   * Local implementation of the Monaca API endpoints used by monaca-lib, with
+   * an in-memory project store, so integration tests run without a Monaca
+   * account or a network connection.
+   *
+   * It can be used in the same process, as the transport of a client:
+   *
+   *   var server = new MockServer();
+   *   var monaca = new Monaca({ transport: server.transport });
+   *
+   * or over HTTP, for clients running in other processes:
+   *
+   *   server.listen().then(function(apiRoot) {
+   *     var monaca = new Monaca(apiRoot);
+   *   });
+   */
+
+  var http = require('http'),
+    url = require('url'),
+    path = require('path'),
+    crypto = require('crypto'),
+    stream = require('stream'),
+    querystring = require('querystring'),
+    EventEmitter = require('events'),
+    Q = require('q'),
+    extend = require('extend'),
+    contentHash = require(path.join(__dirname, 'contentHash'));
+
+  var DEFAULT_EMAIL = 'test@monaca.io',
+    DEFAULT_PASSWORD = 'password';
+
+  var DEFAULT_TEMPLATES = [
+    { templateId: 'minimum', name: 'Minimum Template', category: 'basic' },
+    { templateId: 'blank', name: 'Blank', category: 'basic' },
+    { templateId: 'onsenui-tabbar', name: 'Onsen UI Tabbar', category: 'onsenui' },
+    { templateId: 'onsenui-splitter', name: 'Onsen UI Splitter', category: 'onsenui' },
+    { templateId: 'react-minimum', name: 'React Minimum', category: 'react' },
+    { templateId: 'angular-minimum', name: 'Angular Minimum', category: 'angular' },
+    { templateId: 'vue-minimum', name: 'Vue Minimum', category: 'vue' }
+  ];
+
+  // Checks of /project/:id/can_build_app for a project that can be built.
+  var BUILDABLE = {
+    has_remaining_slot: true,
+    is_start_file_exist: true,
+    is_versionname_valid: true,
+    has_keysetting: true,
+    has_splash_and_icons: true,
+    has_dev_provisioning: true,
+    has_debug_provisioning: true,
+    has_adhoc_provisioning: true,
+    has_release_provisioning: true,
+    can_build_for: {
+      debug: true,
+      debugger: true,
+      release: true,
+      adhoc: true
+    }
+  };
+
+  // Paths of the API, [method, pattern, handler, authenticated].
+  var ROUTES = [
+    ['POST', /^\/user\/login$/, '_login', false],
+    ['POST', /^\/server_check$/, '_serverCheck', false],
+    ['GET', /^\/user\/projects$/, '_projects', true],
+    ['POST', /^\/user\/project\/create$/, '_createProject', true],
+    ['GET', /^\/user\/templates$/, '_templates', true],
+    ['POST', /^\/user\/track$/, '_track', true],
+    ['POST', /^\/project\/([^\/]+)\/file\/tree$/, '_fileTree', true],
+    ['POST', /^\/project\/([^\/]+)\/file\/read$/, '_fileRead', true],
+    ['POST', /^\/project\/([^\/]+)\/file\/save$/, '_fileSave', true],
+    ['POST', /^\/project\/([^\/]+)\/file\/remove$/, '_fileRemove', true],
+    ['POST', /^\/project\/([^\/]+)\/file\/upload\/(start|status|chunk|finish)$/, '_fileUpload', true],
+    ['GET', /^\/project\/([^\/]+)\/can_build_app$/, '_canBuild', true],
+    ['POST', /^\/project\/([^\/]+)\/build$/, '_build', true],
+    ['POST', /^\/project\/([^\/]+)\/build\/(status|result)\/([^\/]+)$/, '_buildStatus', true],
+    ['GET', /^\/project\/([^\/]+)\/build\/download\/([^\/]+)$/, '_buildDownload', true],
+    ['POST', /^\/project\/([^\/]+)\/build\/history$/, '_buildHistory', true],
+    ['POST', /^\/project\/([^\/]+)\/build\/log\/([^\/]+)$/, '_buildLog', true],
+    ['POST', /^\/project\/([^\/]+)\/distribute$/, '_distribute', true]
+  ];
+
+  var randomId = function() {
+    return crypto.randomBytes(12).toString('hex');
+  };
+
+  var json = function(statusCode, body, headers) {
+    return {
+      statusCode: statusCode,
+      headers: extend({ 'content-type': 'application/json' }, headers),
+      body: Buffer.from(JSON.stringify(body))
+    };
+  };
+
+  var ok = function(result, headers) {
+    return json(200, { status: 'ok', result: result }, headers);
+  };
+
+  var fail = function(statusCode, message) {
+    return json(statusCode, { status: 'error', code: statusCode, message: message });
+  };
+
+  // Values of a form field sent as an array, e.g. paths[0]=a&paths[1]=b.
+  var toArray = function(value) {
+    if (value === undefined || value === null) {
+      return [];
+    }
+    if (typeof value === 'object') {
+      return Object.keys(value).map(function(key) {
+        return value[key];
+      });
+    }
+    return [value];
+  };
+
+  // Turns fields such as parameters[key]=value into nested objects.
+  var nest = function(fields) {
+    var result = {};
+
+    Object.keys(fields).forEach(function(key) {
+      var parts = key.replace(/\]/g, '').split('['),
+        target = result;
+
+      parts.slice(0, -1).forEach(function(part) {
+        target = target[part] = typeof target[part] === 'object' ? target[part] : {};
+      });
+      target[parts[parts.length - 1]] = fields[key];
+    });
+
+    return result;
+  };
+
+  var parseMultipart = function(body, boundary) {
+    var result = { form: {}, files: {} },
+      delimiter = Buffer.from('--' + boundary),
+      start = body.indexOf(delimiter);
+
+    while (start >= 0) {
+      var next = body.indexOf(delimiter, start + delimiter.length);
+
+      if (next < 0) {
+        break;
+      }
+
+      // Parts are framed by CRLFs after the delimiter and before the next one.
+      var part = body.slice(start + delimiter.length + 2, next - 2),
+        headerEnd = part.indexOf('\r\n\r\n');
+
+      if (headerEnd >= 0) {
+        var headers = part.slice(0, headerEnd).toString(),
+          content = part.slice(headerEnd + 4),
+          name = /; name="([^"]*)"/.exec(headers);
+
+        if (name && /; filename="/.test(headers)) {
+          result.files[name[1]] = content;
+        } else if (name) {
+          result.form[name[1]] = content.toString();
+        }
+      }
+
+      start = next;
+    }
+
+    result.form = nest(result.form);
+
+    return result;
+  };
+
+  var readStream = function(readable) {
+    var deferred = Q.defer(),
+      chunks = [];
+
+    readable.on('data', function(chunk) {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    });
+    readable.on('end', function() {
+      deferred.resolve(Buffer.concat(chunks));
+    });
+    readable.on('error', function(error) {
+      deferred.reject(error);
+    });
+
+    return deferred.promise;
+  };
+
+  // Fields and files of the formData option of the request module.
+  var readFormData = function(formData) {
+    var result = { form: {}, files: {} };
+
+    return Q.all(Object.keys(formData || {}).map(function(name) {
+      var value = formData[name];
+
+      if (value && typeof value === 'object' && value.hasOwnProperty('value')) {
+        value = value.value;
+      }
+
+      if (Buffer.isBuffer(value)) {
+        result.files[name] = value;
+      } else if (value && typeof value.pipe === 'function') {
+        return readStream(value).then(
+          function(data) {
+            result.files[name] = data;
+          }
+        );
+      } else {
+        result.form[name] = String(value);
+      }
+    })).then(
+      function() {
+        return result;
+      }
+    );
+  };
+
+  /**
+   * @class MockServer
+   * @description
+   *   Mock of the Monaca API. Projects, files, uploads and builds only live in memory.
+   * @param {object} [options] - Options.
+   * @param {string} [options.email] - Email of the only account. Defaults to "test@monaca.io".
+   * @param {string} [options.password] - Password of the account. Defaults to "password".
+   * @param {string} [options.accessToken] - Access token accepted in Authorization headers.
+   * @param {number} [options.sessionLifetime] - Seconds sessions last, sent as "expiresIn" on login.
+   * @param {boolean} [options.chunkedUploads] - Set to false to answer chunked uploads with a 404.
+   * @param {number} [options.buildPolls] - Status requests before a build finishes. Defaults to 1.
+   * @param {string|function} [options.buildStatus] - Status builds finish with, "finish" or "failed", or a
+   *   function returning it for the <code>{ platform, purpose }</code> of each build. Defaults to "finish".
+   * @param {object[]} [options.templates] - Templates listed by /user/templates.
+   */
+  var MockServer = function(options) {
+    options = options || {};
+
+    this.email = options.email || DEFAULT_EMAIL;
+    this.password = options.password || DEFAULT_PASSWORD;
+    this.accessToken = options.accessToken || null;
+    this.sessionLifetime = options.sessionLifetime || null;
+    this.chunkedUploads = options.chunkedUploads !== false;
+    this.buildPolls = typeof options.buildPolls === 'number' ? options.buildPolls : 1;
+    this.buildStatus = options.buildStatus || 'finish';
+    this.templates = options.templates || DEFAULT_TEMPLATES;
+
+    // Projects by ID, each with its files by path.
+    this.projects = {};
+    // Every request received, oldest first.
+    this.requests = [];
+
+    this._reloginTokens = {};
+    this._sessions = {};
+    this._uploads = {};
+    this._builds = {};
+    this._server = null;
+
+    /**
+     * @description
+     *   Function with the interface of the request module answering requests in the same process,
+     *   to be given as the <code>transport</code> option of a client. The host of the URLs is ignored.
+     * @name MockServer#transport
+     * @type Function
+     */
+    this.transport = this._createTransport({});
+  };
+
+  /**
+   * @description
+   *   Adds a project to the store.
+   * @param {object} [properties] - Project properties such as name and description.
+   * @param {object} [files] - File contents by path, e.g. <code>{ '/www/index.html': '...' }</code>.
+   * @return {object} - The project, with its projectId.
+   */
+  MockServer.prototype.addProject = function(properties, files) {
+    var project = extend({
+      projectId: randomId(),
+      name: 'Project',
+      description: '',
+      createdAt: Date.now()
+    }, properties, { files: {} });
+
+    Object.keys(files || {}).forEach(function(key) {
+      project.files[key] = Buffer.isBuffer(files[key]) ? files[key] : Buffer.from(files[key]);
+    });
+
+    this.projects[project.projectId] = project;
+
+    return project;
+  };
+
+  /**
+   * @description
+   *   Ends every session, so clients have to log in again.
+   */
+  MockServer.prototype.expireSessions = function() {
+    this._sessions = {};
+  };
+
+  MockServer.prototype._authenticated = function(request) {
+    var authorization = request.headers.authorization;
+
+    if (authorization) {
+      return !!this.accessToken && authorization === 'Bearer ' + this.accessToken;
+    }
+
+    var session = this._sessions[request.query.api_token];
+    return !!session && request.headers.cookie === session;
+  };
+
+  /**
+   * @description
+   *   Answers a request.
+   * @param {object} request - <code>{ method, path, query, headers, form, files }</code>. Header names
+   *   are lowercase and files are buffers.
+   * @return {object} - <code>{ statusCode, headers, body }</code>, the body being a buffer.
+   */
+  MockServer.prototype.handle = function(request) {
+    request = extend({ query: {}, headers: {}, form: {}, files: {} }, request);
+
+    // Paths are relative to the API root, e.g. /api/user/login is /user/login.
+    var resource = request.path.replace(/^.*?\/api(?=\/|$)/, '');
+
+    this.requests.push({
+      method: request.method,
+      path: resource,
+      form: request.form
+    });
+
+    for (var i = 0; i < ROUTES.length; i++) {
+      var route = ROUTES[i],
+        match = route[1].exec(resource);
+
+      if (match && route[0] === request.method) {
+        if (route[3] && !this._authenticated(request)) {
+          return fail(401, 'Authentication required.');
+        }
+
+        return this[route[2]].apply(this, [request].concat(match.slice(1)));
+      }
+    }
+
+    return fail(404, 'Not found: ' + request.method + ' ' + resource);
+  };
+
+  MockServer.prototype._project = function(projectId) {
+    return this.projects.hasOwnProperty(projectId) ? this.projects[projectId] : null;
+  };
+
+  MockServer.prototype._serverCheck = function() {
+    return ok({});
+  };
+
+  MockServer.prototype._login = function(request) {
+    var form = request.form,
+      reloginToken;
+
+    if (form.token) {
+      reloginToken = this._reloginTokens[form.token] ? form.token : null;
+    } else if (form.email === this.email && form.password === this.password) {
+      reloginToken = randomId();
+      this._reloginTokens[reloginToken] = true;
+    }
+
+    if (!reloginToken) {
+      return fail(401, 'Invalid email or password.');
+    }
+
+    var apiToken = randomId(),
+      session = 'MONACA_SESSION=' + randomId();
+
+    this._sessions[apiToken] = session;
+
+    return ok({
+      token: reloginToken,
+      clientId: 'mock-client',
+      userId: this.email,
+      serverName: 'Monaca mock server',
+      issuedAt: Math.floor(Date.now() / 1000),
+      expiresIn: this.sessionLifetime || undefined
+    }, {
+      'x-monaca-param-api-token': apiToken,
+      'x-monaca-param-session': session
+    });
+  };
+
+  MockServer.prototype._projects = function() {
+    return ok({
+      items: Object.keys(this.projects).map(function(projectId) {
+        var project = this.projects[projectId];
+
+        return {
+          projectId: project.projectId,
+          name: project.name,
+          description: project.description,
+          createdAt: project.createdAt
+        };
+      }.bind(this))
+    });
+  };
+
+  MockServer.prototype._createProject = function(request) {
+    var form = request.form;
+
+    if (!form.name) {
+      return fail(400, 'Project name is required.');
+    }
+
+    var project = this.addProject({
+      name: form.name,
+      description: form.description || '',
+      templateId: form.templateId || null,
+      isBuildOnly: form.isBuildOnly === '1'
+    });
+
+    return ok({ projectId: project.projectId });
+  };
+
+  MockServer.prototype._templates = function() {
+    return ok(this.templates);
+  };
+
+  MockServer.prototype._track = function() {
+    return ok({});
+  };
+
+  MockServer.prototype._fileTree = function(request, projectId) {
+    var project = this._project(projectId);
+
+    if (!project) {
+      return fail(404, 'Project not found.');
+    }
+
+    var algorithms = contentHash.algorithmsFor(request.form.hash_algorithm === 'sha256' ? 'sha256' : 'crc32'),
+      items = {};
+
+    Object.keys(project.files).forEach(function(key) {
+      items[key] = extend({ type: 'file' }, contentHash.digestAll(project.files[key], algorithms));
+
+      // Directories are implied by the files they contain.
+      for (var dir = path.posix.dirname(key); dir !== '/'; dir = path.posix.dirname(dir)) {
+        items[dir] = { type: 'dir' };
+      }
+    });
+
+    return ok({ items: items });
+  };
+
+  MockServer.prototype._fileRead = function(request, projectId) {
+    var project = this._project(projectId);
+
+    if (!project) {
+      return fail(404, 'Project not found.');
+    }
+    if (!project.files.hasOwnProperty(request.form.path)) {
+      return fail(404, 'File not found.');
+    }
+
+    return {
+      statusCode: 200,
+      headers: { 'content-type': 'application/octet-stream' },
+      body: project.files[request.form.path]
+    };
+  };
+
+  MockServer.prototype._fileSave = function(request, projectId) {
+    var project = this._project(projectId);
+
+    if (!project) {
+      return fail(404, 'Project not found.');
+    }
+    if (!request.form.path || !request.files.file) {
+      return fail(400, 'Path and file are required.');
+    }
+
+    project.files[request.form.path] = request.files.file;
+
+    return ok({});
+  };
+
+  MockServer.prototype._fileRemove = function(request, projectId) {
+    var project = this._project(projectId);
+
+    if (!project) {
+      return fail(404, 'Project not found.');
+    }
+
+    toArray(request.form.paths).forEach(function(removed) {
+      Object.keys(project.files).forEach(function(key) {
+        if (key === removed || key.indexOf(removed.replace(/\/$/, '') + '/') === 0) {
+          delete project.files[key];
+        }
+      });
+    });
+
+    return ok({});
+  };
+
+  MockServer.prototype._fileUpload = function(request, projectId, step) {
+    var project = this._project(projectId),
+      form = request.form;
+
+    if (!project || !this.chunkedUploads) {
+      return fail(404, 'Not found.');
+    }
+
+    if (step === 'start') {
+      var uploadId = randomId();
+
+      this._uploads[uploadId] = {
+        projectId: projectId,
+        path: form.path,
+        size: Number(form.size),
+        chunks: [],
+        uploadedBytes: 0
+      };
+
+      return ok({ uploadId: uploadId });
+    }
+
+    var upload = this._uploads[form.uploadId];
+
+    if (!upload || upload.projectId !== projectId) {
+      return fail(404, 'Upload not found.');
+    }
+
+    if (step === 'status') {
+      return ok({ uploadedBytes: upload.uploadedBytes });
+    }
+
+    if (step === 'chunk') {
+      if (Number(form.offset) !== upload.uploadedBytes || !request.files.file) {
+        return fail(400, 'Unexpected chunk offset.');
+      }
+
+      upload.chunks.push(request.files.file);
+      upload.uploadedBytes += request.files.file.length;
+
+      return ok({ uploadedBytes: upload.uploadedBytes });
+    }
+
+    if (upload.uploadedBytes !== upload.size) {
+      return fail(400, 'Upload is incomplete.');
+    }
+
+    project.files[form.path || upload.path] = Buffer.concat(upload.chunks);
+    delete this._uploads[form.uploadId];
+
+    return ok({});
+  };
+
+  MockServer.prototype._canBuild = function(request, projectId) {
+    if (!this._project(projectId)) {
+      return fail(404, 'Project not found.');
+    }
+
+    return ok({
+      android: extend(true, {}, BUILDABLE),
+      ios: extend(true, {}, BUILDABLE)
+    });
+  };
+
+  MockServer.prototype._build = function(request, projectId) {
+    if (!this._project(projectId)) {
+      return fail(404, 'Project not found.');
+    }
+    if (!request.form.platform) {
+      return fail(400, 'Platform is required.');
+    }
+
+    var queueId = randomId(),
+      platform = request.form.platform,
+      purpose = request.form.purpose || 'debug';
+
+    var build = this._builds[queueId] = {
+      queueId: queueId,
+      projectId: projectId,
+      platform: platform,
+      purpose: purpose,
+      status: 'queued',
+      polls: 0,
+      log: ['Build queued.'],
+      createdAt: Date.now(),
+      finishedAt: null,
+      binaryName: 'app-' + purpose + (platform === 'ios' ? '.ipa' : '.apk'),
+      // Big enough to be streamed in several chunks.
+      binary: Buffer.from(new Array(4097).join('MOCK ' + platform.toUpperCase() + ' BUILD ' + queueId + '\n'))
+    };
+
+    this._advanceBuild(build, false);
+
+    return ok({ queue_id: queueId });
+  };
+
+  // Moves a build forward. Builds finish after options.buildPolls polls of their status.
+  MockServer.prototype._advanceBuild = function(build, poll) {
+    if (build.finishedAt) {
+      return;
+    }
+
+    if (poll) {
+      build.polls++;
+    }
+
+    if (build.polls >= this.buildPolls) {
+      build.status = typeof this.buildStatus === 'function' ? this.buildStatus(build) : this.buildStatus;
+      build.finishedAt = Date.now();
+      build.log.push(build.status === 'finish' ? 'BUILD SUCCESSFUL' : 'BUILD FAILED: Build failed.');
+    } else if (poll) {
+      build.status = 'process';
+      build.log.push('Building ' + build.platform + ' ' + build.purpose + ' (step ' + build.polls + ')');
+    }
+  };
+
+  MockServer.prototype._projectBuild = function(projectId, queueId) {
+    var build = this._builds[queueId];
+    return build && build.projectId === projectId ? build : null;
+  };
+
+  var BUILD_DESCRIPTIONS = {
+    queued: 'Queued',
+    process: 'Building',
+    finish: 'Build completed',
+    failed: 'Build failed'
+  };
+
+  MockServer.prototype._buildStatus = function(request, projectId, step, queueId) {
+    var build = this._projectBuild(projectId, queueId);
+
+    if (!build) {
+      return fail(404, 'Build not found.');
+    }
+
+    if (step === 'status') {
+      this._advanceBuild(build, true);
+
+      return ok({
+        finished: !!build.finishedAt,
+        status: build.status,
+        description: BUILD_DESCRIPTIONS[build.status]
+      });
+    }
+
+    var built = build.status === 'finish';
+
+    return ok({
+      queue_id: queueId,
+      platform: build.platform,
+      purpose: build.purpose,
+      status: build.status,
+      error_message: build.status === 'failed' ? 'Build failed.' : undefined,
+      binary_url: built ? '/project/' + projectId + '/build/download/' + queueId : undefined,
+      binary_name: built ? build.binaryName : undefined,
+      binary_size: built ? build.binary.length : undefined,
+      binary_sha256: built ? crypto.createHash('sha256').update(build.binary).digest('hex') : undefined
+    });
+  };
+
+  MockServer.prototype._buildHistory = function(request, projectId) {
+    if (!this._project(projectId)) {
+      return fail(404, 'Project not found.');
+    }
+
+    var form = request.form,
+      limit = Number(form.limit) || 20;
+
+    var items = Object.keys(this._builds).map(function(queueId) {
+      return this._builds[queueId];
+    }.bind(this)).filter(function(build) {
+      return build.projectId === projectId &&
+        (!form.platform || build.platform === form.platform) &&
+        (!form.purpose || build.purpose === form.purpose);
+    }).reverse().sort(function(a, b) {
+      return b.createdAt - a.createdAt;
+    }).slice(0, limit).map(function(build) {
+      return {
+        queue_id: build.queueId,
+        platform: build.platform,
+        purpose: build.purpose,
+        status: build.status,
+        description: BUILD_DESCRIPTIONS[build.status],
+        created_at: new Date(build.createdAt).toISOString(),
+        finished_at: build.finishedAt ? new Date(build.finishedAt).toISOString() : null
+      };
+    });
+
+    return ok({ items: items });
+  };
+
+  MockServer.prototype._buildLog = function(request, projectId, queueId) {
+    var build = this._projectBuild(projectId, queueId);
+
+    if (!build) {
+      return fail(404, 'Build not found.');
+    }
+
+    var from = Math.max(0, Number(request.form.from) || 0);
+
+    return ok({
+      lines: build.log.slice(from),
+      next: build.log.length,
+      finished: !!build.finishedAt,
+      status: build.status
+    });
+  };
+
+  MockServer.prototype._buildDownload = function(request, projectId, queueId) {
+    var build = this._projectBuild(projectId, queueId);
+
+    if (!build || build.status !== 'finish') {
+      return fail(404, 'Build artifact not found.');
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        'content-type': 'application/octet-stream',
+        'content-length': String(build.binary.length),
+        'content-disposition': 'attachment; filename="' + build.binaryName + '"'
+      },
+      body: build.binary
+    };
+  };
+
+  MockServer.prototype._distribute = function(request, projectId) {
+    if (!this._project(projectId)) {
+      return fail(404, 'Project not found.');
+    }
+
+    return ok({
+      alias: request.form.alias,
+      service: request.form.service
+    });
+  };
+
+  // Sends a request with the options of the request module, see MockServer#transport.
+  MockServer.prototype._send = function(options, callback) {
+    var req = new EventEmitter(),
+      aborted = false,
+      target = url.parse(options.url || options.uri, true),
+      method = (options.method || 'GET').toUpperCase(),
+      headers = {};
+
+    req.abort = function() {
+      aborted = true;
+    };
+
+    Object.keys(options.headers || {}).forEach(function(name) {
+      if (options.headers[name] !== null && options.headers[name] !== undefined) {
+        headers[name.toLowerCase()] = String(options.headers[name]);
+      }
+    });
+
+    // Values are sent as strings, like they would be over HTTP.
+    var query = nest(querystring.parse(querystring.stringify(extend({}, target.query, options.qs))));
+
+    readFormData(options.formData).then(
+      function(data) {
+        return this.handle({
+          method: method,
+          path: target.pathname,
+          query: query,
+          headers: headers,
+          form: options.form ? JSON.parse(JSON.stringify(options.form)) : data.form,
+          files: data.files
+        });
+      }.bind(this)
+    ).then(
+      function(result) {
+        if (aborted) {
+          return;
+        }
+
+        var response = new stream.PassThrough();
+        response.statusCode = result.statusCode;
+        response.headers = result.headers;
+        response.caseless = { dict: result.headers };
+
+        req.emit('response', response);
+        response.end(result.body);
+
+        if (callback) {
+          callback(null, response, options.encoding === null ? result.body : result.body.toString(options.encoding || 'utf8'));
+        }
+      },
+      function(error) {
+        if (!aborted && callback) {
+          callback(error);
+        }
+      }
+    ).done();
+
+    return req;
+  };
+
+  MockServer.prototype._createTransport = function(defaults) {
+    var transport = function(options, callback) {
+      options = typeof options === 'string' ? { url: options } : options;
+
+      return this._send(extend({}, defaults, options, {
+        headers: extend({}, defaults.headers, options.headers),
+        qs: extend({}, defaults.qs, options.qs)
+      }), callback);
+    }.bind(this);
+
+    ['get', 'post'].forEach(function(method) {
+      transport[method] = function(options, callback) {
+        options = typeof options === 'string' ? { url: options } : options;
+        return transport(extend({}, options, { method: method.toUpperCase() }), callback);
+      };
+    });
+
+    transport.defaults = function(options) {
+      return this._createTransport(extend({}, defaults, options, {
+        headers: extend({}, defaults.headers, options.headers),
+        qs: extend({}, defaults.qs, options.qs)
+      }));
+    }.bind(this);
+
+    return transport;
+  };
+
+  /**
+   * @description
+   *   Serves the API over HTTP on the loopback interface.
+   * @param {number} [port] - Port. Defaults to any free port.
+   * @return {Promise} - Resolves to the API root, e.g. "http://127.0.0.1:8080/api".
+   */
+  MockServer.prototype.listen = function(port) {
+    var deferred = Q.defer();
+
+    this._server = http.createServer(function(req, res) {
+      readStream(req).then(
+        function(body) {
+          var target = url.parse(req.url, true),
+            contentType = req.headers['content-type'] || '',
+            boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType),
+            data = { form: {}, files: {} };
+
+          if (boundary) {
+            data = parseMultipart(body, boundary[1] || boundary[2]);
+          } else if (body.length > 0) {
+            data.form = nest(querystring.parse(body.toString()));
+          }
+
+          return this.handle({
+            method: req.method,
+            path: target.pathname,
+            query: nest(target.query),
+            headers: req.headers,
+            form: data.form,
+            files: data.files
+          });
+        }.bind(this)
+      ).then(
+        function(result) {
+          res.writeHead(result.statusCode, result.headers);
+          res.end(result.body);
+        },
+        function(error) {
+          res.writeHead(500, { 'content-type': 'text/plain' });
+          res.end(String(error));
+        }
+      ).done();
+    }.bind(this));
+
+    this._server.on('error', function(error) {
+      deferred.reject(error);
+    });
+
+    this._server.listen(port || 0, '127.0.0.1', function() {
+      deferred.resolve('http://127.0.0.1:' + this._server.address().port + '/api');
+    }.bind(this));
+
+    return deferred.promise;
+  };
+
+  /**
+   * @description
+   *   Stops serving over HTTP.
+   * @return {Promise}
+   */
+  MockServer.prototype.close = function() {
+    if (!this._server) {
+      return Q.resolve();
+    }
+
+    var server = this._server;
+    this._server = null;
+
+    return Q.ninvoke(server, 'close');
+  };
+
+  MockServer.DEFAULT_EMAIL = DEFAULT_EMAIL;
+  MockServer.DEFAULT_PASSWORD = DEFAULT_PASSWORD;
+
+  module.exports = MockServer;
+})();
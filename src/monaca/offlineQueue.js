@@ -0,0 +1,133 @@
+(function() {
+  'use strict';
+
+  /**
+   * Cloud operations made while Monaca Cloud couldn't be reached, kept in
+   * ~/.cordova/monaca_offline_queue.json until they are replayed in the
+   * order they were queued.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    crypto = require('crypto'),
+    shell = require('shelljs'),
+    Q = require('q');
+
+  /**
+   * @class OfflineQueue
+   * @description
+   *   Persisted queue of cloud operations.
+   * @param {string} [file] - Journal file. The queue only lives in memory without one.
+   */
+  var OfflineQueue = function(file) {
+    this.file = file || null;
+    this._saving = Q.resolve();
+    this.data = this._load();
+  };
+
+  OfflineQueue.prototype._load = function() {
+    var data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      data = null;
+    }
+
+    if (!data || !Array.isArray(data.operations)) {
+      data = {
+        operations: []
+      };
+    }
+
+    return data;
+  };
+
+  /**
+   * Saves are chained so the file is never written twice at the same time.
+   */
+  OfflineQueue.prototype.save = function() {
+    if (!this.file) {
+      return Q.resolve();
+    }
+
+    this._saving = this._saving.then(
+      function() {
+        var deferred = Q.defer(),
+          tmpFile = this.file + '.tmp',
+          jsonData = JSON.stringify(this.data);
+
+        try {
+          shell.mkdir('-p', path.dirname(this.file));
+        } catch (e) {
+          return Q.reject(e);
+        }
+
+        fs.writeFile(tmpFile, jsonData, function(error) {
+          if (error) {
+            return deferred.reject(error);
+          }
+
+          fs.rename(tmpFile, this.file, function(error) {
+            if (error) {
+              deferred.reject(error);
+            } else {
+              deferred.resolve();
+            }
+          });
+        }.bind(this));
+
+        return deferred.promise;
+      }.bind(this)
+    );
+
+    // A failed save must not block the following ones.
+    var saving = this._saving;
+    this._saving = saving.catch(function() {});
+
+    return saving;
+  };
+
+  /**
+   * @description
+   *   Queued operations, oldest first.
+   * @return {object[]} - <code>{ id, type, args, queuedAt }</code> of every operation.
+   */
+  OfflineQueue.prototype.list = function() {
+    return this.data.operations.slice();
+  };
+
+  /**
+   * @description
+   *   Adds an operation at the end of the queue.
+   * @param {string} type - Operation type, e.g. "uploadProject".
+   * @param {object} args - JSON arguments needed to replay it.
+   * @return {Promise} - Resolves to the queued operation.
+   */
+  OfflineQueue.prototype.enqueue = function(type, args) {
+    var operation = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type: type,
+      args: args,
+      queuedAt: new Date().toISOString()
+    };
+
+    this.data.operations.push(operation);
+
+    return this.save().then(
+      function() {
+        return operation;
+      }
+    );
+  };
+
+  OfflineQueue.prototype.remove = function(id) {
+    this.data.operations = this.data.operations.filter(function(operation) {
+      return operation.id !== id;
+    });
+
+    return this.save();
+  };
+
+  module.exports = OfflineQueue;
+})();
@@ -0,0 +1,184 @@
+(function() {
+  'use strict';
+
+  /**
+   * Named profiles. Each profile has its own client data, config (api_endpoint,
+   * http_proxy, ...), credentials and project-id bindings, so one machine can be
+   * logged into several Monaca accounts and endpoints.
+   *
+   * The "default" profile uses the files directly in ~/.cordova, like versions
+   * without profiles did. Other profiles keep the same files in
+   * ~/.cordova/profiles/<name>.
+   */
+
+  var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  var DEFAULT_PROFILE = 'default';
+
+  var PROFILES_DIR = 'profiles',
+    STATE_FILE = 'monaca_profiles.json';
+
+  /**
+   * @description
+   *   Throws a ValidationError unless the name can be used as a profile name.
+   * @param {string} name
+   * @return {string}
+   */
+  var validate = function(name) {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(name)) {
+      throw new errors.ValidationError('Invalid profile name: ' + name + '. Use letters, digits, "-" and "_" only.');
+    }
+
+    return name;
+  };
+
+  var directory = function(userCordova, name) {
+    return name === DEFAULT_PROFILE ? userCordova : path.join(userCordova, PROFILES_DIR, name);
+  };
+
+  // Key files of the encrypted credential stores live outside ~/.cordova, so that a copy
+  // of ~/.cordova doesn't hold both the encrypted credentials and their key.
+  var keysDirectory = function() {
+    if (process.platform === 'win32') {
+      return path.join(process.env.LOCALAPPDATA || os.homedir(), 'Monaca', 'keys');
+    }
+
+    return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'monaca', 'keys');
+  };
+
+  /**
+   * @description
+   *   Files of a profile.
+   * @param {string} userCordova - ~/.cordova
+   * @param {string} name - Profile name.
+   * @return {object} - dataFile, configFile, credentialsFile, credentialsKeyFile,
+   *   legacyCredentialsKeyFile, offlineQueueFile, cacheDir and artifactsDir.
+   */
+  var files = function(userCordova, name) {
+    var dir = directory(userCordova, name);
+
+    return {
+      dataFile: path.join(dir, 'monaca.json'),
+      configFile: path.join(dir, 'monaca_config.json'),
+      credentialsFile: path.join(dir, 'monaca_credentials.enc'),
+      credentialsKeyFile: path.join(keysDirectory(), name + '.key'),
+      // Where versions before the move kept the key file.
+      legacyCredentialsKeyFile: path.join(dir, 'monaca_credentials.key'),
+      offlineQueueFile: path.join(dir, 'monaca_offline_queue.json'),
+      cacheDir: path.join(dir, 'monaca_cache'),
+      artifactsDir: path.join(dir, 'monaca_artifacts')
+    };
+  };
+
+  /**
+   * @description
+   *   Names of the existing profiles, "default" first.
+   * @param {string} userCordova
+   * @return {string[]}
+   */
+  var list = function(userCordova) {
+    var names;
+
+    try {
+      names = fs.readdirSync(path.join(userCordova, PROFILES_DIR)).filter(function(name) {
+        return name !== DEFAULT_PROFILE &&
+          /^[A-Za-z0-9_-]+$/.test(name) &&
+          fs.statSync(path.join(userCordova, PROFILES_DIR, name)).isDirectory();
+      }).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      names = [];
+    }
+
+    return [DEFAULT_PROFILE].concat(names);
+  };
+
+  /**
+   * @description
+   *   Profile selected with {@link Monaca#useProfile}, "default" if none was.
+   * @param {string} userCordova
+   * @return {string}
+   */
+  var getCurrent = function(userCordova) {
+    try {
+      var name = JSON.parse(fs.readFileSync(path.join(userCordova, STATE_FILE), 'utf8')).current;
+      return name ? validate(name) : DEFAULT_PROFILE;
+    } catch (error) {
+      return DEFAULT_PROFILE;
+    }
+  };
+
+  var setCurrent = function(userCordova, name) {
+    try {
+      shell.mkdir('-p', userCordova);
+      fs.writeFileSync(path.join(userCordova, STATE_FILE), JSON.stringify({ current: name }));
+      return Q.resolve();
+    } catch (error) {
+      return Q.reject(error);
+    }
+  };
+
+  /**
+   * @description
+   *   Profile a project directory is bound to, read synchronously from its
+   *   .monaca/local_properties.json.
+   * @param {string} projectDir
+   * @return {string|undefined}
+   */
+  var boundTo = function(projectDir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(projectDir, '.monaca', 'local_properties.json'), 'utf8')).profile;
+    } catch (error) {
+      return undefined;
+    }
+  };
+
+  /**
+   * @description
+   *   Profile a client uses: options.profile, the profile the project in
+   *   options.projectDir is bound to, the MONACA_PROFILE environment variable,
+   *   the profile selected with {@link Monaca#useProfile}, and "default", in
+   *   that order.
+   * @param {string} userCordova
+   * @param {object} options - Options of the Monaca constructor.
+   * @return {string}
+   */
+  var resolve = function(userCordova, options) {
+    return validate(
+      options.profile ||
+      (options.projectDir && boundTo(options.projectDir)) ||
+      process.env.MONACA_PROFILE ||
+      getCurrent(userCordova)
+    );
+  };
+
+  /**
+   * @description
+   *   Key of the project ID in local_properties.json. The default profile keeps
+   *   using "project_id" so existing projects stay linked.
+   * @param {string} name - Profile name.
+   * @return {string}
+   */
+  var projectIdKey = function(name) {
+    return name === DEFAULT_PROFILE ? 'project_id' : 'project_id:' + name;
+  };
+
+  module.exports = {
+    DEFAULT_PROFILE: DEFAULT_PROFILE,
+    validate: validate,
+    files: files,
+    list: list,
+    getCurrent: getCurrent,
+    setCurrent: setCurrent,
+    boundTo: boundTo,
+    resolve: resolve,
+    projectIdKey: projectIdKey
+  };
+})();
@@ -0,0 +1,267 @@
+(function() {
+  'use strict';
+
+  /**
+   * Applies downloaded files and deletions to a project all at once.
+   *
+   * Files are downloaded to project_dir/.monaca/transaction/staged and only
+   * moved into the project on commit. Every file replaced or deleted on
+   * commit is first moved to project_dir/.monaca/transaction/backup so the
+   * project can be restored if anything fails, even if the process dies
+   * before the commit completes.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  var TRANSACTION_DIR = path.join('.monaca', 'transaction'),
+    JOURNAL_FILE = 'journal.json';
+
+  var toKey = function(file) {
+    return '/' + file.split(path.sep).join('/');
+  };
+
+  var exists = function(file) {
+    try {
+      fs.lstatSync(file);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  /**
+   * @class ProjectTransaction
+   * @description
+   *   Set of changes to apply to a project.
+   * @param {string} projectDir - Project directory.
+   */
+  var ProjectTransaction = function(projectDir) {
+    this.projectDir = projectDir;
+    this.dir = path.join(projectDir, TRANSACTION_DIR);
+    this.stagedDir = path.join(this.dir, 'staged');
+    this.backupDir = path.join(this.dir, 'backup');
+    this.journalFile = path.join(this.dir, JOURNAL_FILE);
+
+    this._staged = [];
+    this._deleted = [];
+  };
+
+  ProjectTransaction.prototype._target = function(key) {
+    return path.join(this.projectDir, key.substr(1));
+  };
+
+  ProjectTransaction.prototype._stagedFile = function(key) {
+    return path.join(this.stagedDir, key.substr(1));
+  };
+
+  ProjectTransaction.prototype._backupFile = function(key) {
+    return path.join(this.backupDir, key.substr(1));
+  };
+
+  /**
+   * @description
+   *   Restores a project left behind by an interrupted transaction and
+   *   removes its staging directory. Must be called before a new transaction begins.
+   */
+  ProjectTransaction.prototype.recover = function() {
+    if (!exists(this.dir)) {
+      return Q.resolve(false);
+    }
+
+    try {
+      var journal = null;
+
+      try {
+        journal = JSON.parse(fs.readFileSync(this.journalFile, 'utf8'));
+      } catch (e) {
+        // Nothing was committed yet.
+      }
+
+      if (journal) {
+        this._restore(journal);
+      }
+
+      shell.rm('-rf', this.dir);
+      return Q.resolve(!!journal);
+    } catch (error) {
+      return Q.reject(errors.from(error));
+    }
+  };
+
+  /**
+   * @description
+   *   Path a file must be downloaded to.
+   * @param {string} key - File path relative to the project, starting with a slash.
+   */
+  ProjectTransaction.prototype.stage = function(key) {
+    this._staged.push(key);
+    return this._stagedFile(key);
+  };
+
+  /**
+   * @description
+   *   Deletes a file or an empty directory on commit.
+   * @param {string} key - Path relative to the project, starting with a slash.
+   * @param {string} type - "file" or "dir".
+   */
+  ProjectTransaction.prototype.remove = function(key, type) {
+    this._deleted.push({ key: key, type: type });
+  };
+
+  // Undoes whatever part of the journal was applied.
+  ProjectTransaction.prototype._restore = function(journal) {
+    journal.dirs.slice().reverse().forEach(function(key) {
+      shell.mkdir('-p', this._target(key));
+    }.bind(this));
+
+    journal.created.forEach(function(key) {
+      if (!exists(this._stagedFile(key)) && exists(this._target(key))) {
+        fs.unlinkSync(this._target(key));
+      }
+    }.bind(this));
+
+    journal.replaced.concat(journal.deleted).forEach(function(key) {
+      var backup = this._backupFile(key);
+
+      if (exists(backup)) {
+        shell.mkdir('-p', path.dirname(this._target(key)));
+        fs.renameSync(backup, this._target(key));
+      }
+    }.bind(this));
+
+    // Directories created for new files, deepest first.
+    journal.createdDirs.slice().reverse().forEach(function(key) {
+      try {
+        fs.rmdirSync(this._target(key));
+      } catch (e) {
+        // Not empty or already removed.
+      }
+    }.bind(this));
+  };
+
+  // Directories that must be created to place a file, from the top.
+  ProjectTransaction.prototype._missingDirs = function(key, missing) {
+    var dir = path.dirname(key.substr(1)),
+      dirs = [];
+
+    while (dir !== '.' && dir !== '' && !exists(path.join(this.projectDir, dir))) {
+      dirs.unshift(toKey(dir));
+      dir = path.dirname(dir);
+    }
+
+    dirs.forEach(function(dirKey) {
+      if (missing.indexOf(dirKey) < 0) {
+        missing.push(dirKey);
+      }
+    });
+  };
+
+  /**
+   * @description
+   *   Moves the staged files into the project and applies the deletions.
+   *   Rolls everything back if anything fails.
+   * @return {Promise} - Resolves to <code>{ deleted, failed }</code>, the directories
+   *   that couldn't be deleted because they weren't empty are listed in <code>failed</code>.
+   */
+  ProjectTransaction.prototype.commit = function() {
+    var journal = {
+      created: [],
+      replaced: [],
+      deleted: [],
+      dirs: [],
+      createdDirs: []
+    };
+
+    var result = {
+      deleted: [],
+      failed: []
+    };
+
+    try {
+      this._staged.forEach(function(key) {
+        journal[exists(this._target(key)) ? 'replaced' : 'created'].push(key);
+        this._missingDirs(key, journal.createdDirs);
+      }.bind(this));
+
+      this._deleted.forEach(function(item) {
+        if (item.type === 'dir') {
+          journal.dirs.push(item.key);
+        } else {
+          journal.deleted.push(item.key);
+        }
+      });
+
+      // Deepest directories first.
+      journal.dirs.sort().reverse();
+
+      // Nothing was staged when only deletions are committed.
+      shell.mkdir('-p', this.dir);
+      fs.writeFileSync(this.journalFile, JSON.stringify(journal));
+    } catch (error) {
+      return Q.reject(errors.from(error));
+    }
+
+    try {
+      journal.replaced.concat(journal.deleted).forEach(function(key) {
+        shell.mkdir('-p', path.dirname(this._backupFile(key)));
+        fs.renameSync(this._target(key), this._backupFile(key));
+      }.bind(this));
+
+      this._staged.forEach(function(key) {
+        shell.mkdir('-p', path.dirname(this._target(key)));
+        fs.renameSync(this._stagedFile(key), this._target(key));
+      }.bind(this));
+
+      result.deleted = journal.deleted.slice();
+
+      journal.dirs.forEach(function(key) {
+        try {
+          fs.rmdirSync(this._target(key));
+          result.deleted.push(key);
+        } catch (e) {
+          result.failed.push(key);
+        }
+      }.bind(this));
+    } catch (error) {
+      try {
+        this._restore(journal);
+        shell.rm('-rf', this.dir);
+      } catch (e) {
+        // Left for recover() to finish.
+      }
+
+      return Q.reject(errors.from(error));
+    }
+
+    // Removing the journal is the point of no return.
+    try {
+      fs.unlinkSync(this.journalFile);
+      shell.rm('-rf', this.dir);
+    } catch (e) {
+      // The changes are already in place.
+    }
+
+    return Q.resolve(result);
+  };
+
+  /**
+   * @description
+   *   Discards the staged files. The project is left untouched.
+   */
+  ProjectTransaction.prototype.rollback = function() {
+    try {
+      shell.rm('-rf', this.dir);
+      return Q.resolve();
+    } catch (error) {
+      return Q.reject(errors.from(error));
+    }
+  };
+
+  ProjectTransaction.TRANSACTION_DIR = TRANSACTION_DIR;
+
+  module.exports = ProjectTransaction;
+})();
@@ -0,0 +1,90 @@
+(function() {
+  'use strict';
+
+  /**
+   * Last responses of read calls such as getProjects, kept in
+   * ~/.cordova/monaca_cache so they can be served while Monaca Cloud
+   * can't be reached.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    crypto = require('crypto'),
+    shell = require('shelljs'),
+    Q = require('q');
+
+  /**
+   * @class ReadCache
+   * @description
+   *   Cache of read call results.
+   * @param {string} [directory] - Cache directory. The cache only lives in memory without one.
+   */
+  var ReadCache = function(directory) {
+    this.directory = directory || null;
+    // Entries are kept serialized so callers never share a cached object.
+    this._entries = {};
+  };
+
+  ReadCache.prototype._file = function(key) {
+    return path.join(this.directory, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+  };
+
+  /**
+   * @description
+   *   Cached result of a call.
+   * @param {string} key - Call and its parameters.
+   * @return {object|null} - <code>{ key, value, fetchedAt }</code>, fetchedAt being a timestamp.
+   */
+  ReadCache.prototype.get = function(key) {
+    try {
+      var data = this._entries[key] || (this.directory && fs.readFileSync(this._file(key), 'utf8')),
+        entry = data ? JSON.parse(data) : null;
+
+      return entry && entry.key === key ? entry : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  ReadCache.prototype.set = function(key, value) {
+    var entry = JSON.stringify({
+      key: key,
+      value: value,
+      fetchedAt: Date.now()
+    });
+
+    this._entries[key] = entry;
+
+    if (!this.directory) {
+      return Q.resolve();
+    }
+
+    var deferred = Q.defer(),
+      file = this._file(key),
+      tmpFile = file + '.tmp';
+
+    try {
+      shell.mkdir('-p', this.directory);
+    } catch (e) {
+      return Q.reject(e);
+    }
+
+    fs.writeFile(tmpFile, entry, function(error) {
+      if (error) {
+        return deferred.reject(error);
+      }
+
+      fs.rename(tmpFile, file, function(error) {
+        if (error) {
+          deferred.reject(error);
+        } else {
+          deferred.resolve();
+        }
+      });
+    });
+
+    return deferred.promise;
+  };
+
+  module.exports = ReadCache;
+})();
@@ -0,0 +1,157 @@
+(function() {
+  'use strict';
+
+  /**
+   * Keeps the session of a Monaca client alive by logging in again shortly
+   * before it expires, so long-running processes such as Localkit keep
+   * working for days. Refreshes are reported as session:refreshed and
+   * session:expired events on the emitter of the client.
+   */
+
+  var path = require('path'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  // How sessions are refreshed unless the constructor is given another policy.
+  var DEFAULT_SESSION_POLICY = {
+    // Refresh sessions before they expire.
+    autoRefresh: true,
+    // How long before the expiry the session is refreshed, in milliseconds.
+    refreshMargin: 5 * 60 * 1000,
+    // Refresh sessions of unknown expiry this often, in milliseconds. Never if null.
+    refreshInterval: null,
+    // Delay before trying again when Monaca Cloud couldn't be reached, in milliseconds.
+    retryDelay: 60 * 1000
+  };
+
+  // Longest delay supported by setTimeout.
+  var MAX_TIMEOUT = 0x7fffffff;
+
+  // Timestamp in milliseconds from seconds or milliseconds since the epoch, or a date.
+  var toTimestamp = function(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+      value = Number(value);
+      return value < 1e12 ? value * 1000 : value;
+    }
+
+    var date = Date.parse(value);
+    return isNaN(date) ? null : date;
+  };
+
+  /**
+   * @description
+   *   Issue and expiry times of a session, from the result of the login response
+   *   (issuedAt, expiresAt or expiresIn in seconds) or its X-Monaca-Session-Issued and
+   *   X-Monaca-Session-Expires headers.
+   * @param {object} [result] - Result of the login response.
+   * @param {object} [headers] - Headers of the login response.
+   * @return {object} - <code>{ issuedAt, expiresAt }</code> timestamps. expiresAt is null
+   *   when the server didn't say.
+   */
+  var parseTimes = function(result, headers) {
+    result = result || {};
+    headers = headers || {};
+
+    var issuedAt = toTimestamp(result.issuedAt || result.issued_at || headers['x-monaca-session-issued']) || Date.now(),
+      expiresIn = result.expiresIn || result.expires_in,
+      expiresAt = toTimestamp(result.expiresAt || result.expires_at || headers['x-monaca-session-expires']);
+
+    if (!expiresAt && expiresIn) {
+      expiresAt = issuedAt + Number(expiresIn) * 1000;
+    }
+
+    return {
+      issuedAt: issuedAt,
+      expiresAt: expiresAt || null
+    };
+  };
+
+  /**
+   * @class SessionRefresher
+   * @description
+   *   Refreshes the session of a client before it expires.
+   * @param {Monaca} monaca - Client.
+   * @param {object} policy - See {@link Monaca#sessionPolicy}.
+   */
+  var SessionRefresher = function(monaca, policy) {
+    this.monaca = monaca;
+    this.policy = policy;
+    this.nextRefreshAt = null;
+    this._timer = null;
+  };
+
+  /**
+   * @description
+   *   Plans the next refresh from the times of the current session.
+   */
+  SessionRefresher.prototype.schedule = function() {
+    this.stop();
+
+    if (!this.policy.autoRefresh || this.monaca.accessToken) {
+      return;
+    }
+
+    var expiresAt = this.monaca.getData('sessionExpiresAt'),
+      issuedAt = this.monaca.getData('sessionIssuedAt') || Date.now();
+
+    if (expiresAt) {
+      this._arm(expiresAt - this.policy.refreshMargin);
+    } else if (this.policy.refreshInterval) {
+      this._arm(issuedAt + this.policy.refreshInterval);
+    }
+  };
+
+  SessionRefresher.prototype._arm = function(time) {
+    var delay = Math.max(0, time - Date.now());
+
+    this.nextRefreshAt = Date.now() + delay;
+    this._timer = setTimeout(function() {
+      this._timer = null;
+
+      if (delay > MAX_TIMEOUT) {
+        this._arm(time);
+      } else {
+        this.refresh();
+      }
+    }.bind(this), Math.min(delay, MAX_TIMEOUT));
+
+    // A pending refresh alone doesn't keep the process running.
+    if (this._timer.unref) {
+      this._timer.unref();
+    }
+  };
+
+  /**
+   * @description
+   *   Logs in again now. Tries again later if Monaca Cloud can't be reached.
+   * @return {Promise}
+   */
+  SessionRefresher.prototype.refresh = function() {
+    this.stop();
+
+    return this.monaca._reloginOnce('scheduled').catch(
+      function(error) {
+        if (error instanceof errors.NetworkError) {
+          this._arm(Date.now() + this.policy.retryDelay);
+        }
+      }.bind(this)
+    );
+  };
+
+  SessionRefresher.prototype.stop = function() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+
+    this.nextRefreshAt = null;
+  };
+
+  SessionRefresher.DEFAULT_POLICY = DEFAULT_SESSION_POLICY;
+  SessionRefresher.parseTimes = parseTimes;
+
+  module.exports = SessionRefresher;
+})();
@@ -0,0 +1,378 @@
+(function() {
+  'use strict';
+
+  /**
+   * Keeps copies of project files in project_dir/.monaca/snapshots so
+   * they can be restored after a sync overwrote or deleted them.
+   *
+   * File contents are gzipped and stored once per SHA-256 hash in
+   * objects/, so unchanged files cost nothing in later snapshots. Each
+   * snapshot is a manifest in manifests/ mapping paths to content hashes.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    crypto = require('crypto'),
+    zlib = require('zlib'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  var SNAPSHOTS_DIR = path.join('.monaca', 'snapshots');
+
+  // Last create or prune of each snapshot directory in this process. They run one after the
+  // other, otherwise a prune removes the contents of a snapshot whose manifest isn't written yet.
+  var pending = {};
+
+  var DEFAULT_RETENTION = {
+    // Number of snapshots to keep.
+    keep: 10,
+    // Snapshots older than this many days are removed.
+    maxAge: 30
+  };
+
+  /**
+   * @class SnapshotStore
+   * @description
+   *   Snapshots of a project.
+   * @param {string} projectDir - Project directory.
+   * @param {object} [retention] - Retention policy, <code>{ keep, maxAge }</code>.
+   */
+  var SnapshotStore = function(projectDir, retention) {
+    this.projectDir = projectDir;
+    this.dir = path.join(projectDir, SNAPSHOTS_DIR);
+    this.objectsDir = path.join(this.dir, 'objects');
+    this.manifestsDir = path.join(this.dir, 'manifests');
+
+    retention = retention || {};
+    this.retention = {
+      keep: typeof retention.keep === 'number' ? retention.keep : DEFAULT_RETENTION.keep,
+      maxAge: typeof retention.maxAge === 'number' ? retention.maxAge : DEFAULT_RETENTION.maxAge
+    };
+  };
+
+  SnapshotStore.prototype._objectFile = function(hash) {
+    return path.join(this.objectsDir, hash.substr(0, 2), hash.substr(2) + '.gz');
+  };
+
+  SnapshotStore.prototype._manifestFile = function(id) {
+    if (!/^[\w\-]+$/.test(id)) {
+      throw new errors.ValidationError('Invalid snapshot ID: ' + id);
+    }
+
+    return path.join(this.manifestsDir, id + '.json');
+  };
+
+  // Stores some content unless it's already stored.
+  SnapshotStore.prototype._storeObject = function(data) {
+    var hash = crypto.createHash('sha256').update(data).digest('hex'),
+      file = this._objectFile(hash);
+
+    if (fs.existsSync(file)) {
+      // Stored again: a prune of another process that started earlier must not remove it.
+      var now = new Date();
+
+      fs.utimesSync(file, now, now);
+      return Q.resolve(hash);
+    }
+
+    return Q.nfcall(zlib.gzip, data).then(
+      function(compressed) {
+        var tmpFile = file + '.tmp';
+
+        shell.mkdir('-p', path.dirname(file));
+
+        return Q.nfcall(fs.writeFile, tmpFile, compressed).then(
+          function() {
+            return Q.nfcall(fs.rename, tmpFile, file);
+          }
+        );
+      }
+    ).then(
+      function() {
+        return hash;
+      }
+    );
+  };
+
+  SnapshotStore.prototype._readObject = function(hash) {
+    return Q.nfcall(fs.readFile, this._objectFile(hash)).then(
+      function(compressed) {
+        return Q.nfcall(zlib.gunzip, compressed);
+      }
+    );
+  };
+
+  /**
+   * @description
+   *   Creates a snapshot.
+   * @param {object[]} files - Files to store, <code>{ path, data }</code> or <code>{ path, file }</code>
+   *   where <code>path</code> starts with a slash and <code>file</code> is read from disk.
+   * @param {object} [info] - <code>{ reason, source }</code> stored with the snapshot.
+   * @return {Promise} - Resolves to the snapshot summary.
+   */
+  SnapshotStore.prototype.create = function(files, info) {
+    return this._serialize(function() {
+      return this._create(files, info);
+    }.bind(this));
+  };
+
+  // Runs after the creates and prunes of this directory that are already running.
+  SnapshotStore.prototype._serialize = function(fn) {
+    var previous = pending[this.dir] || Q.resolve(),
+      result = previous.then(fn, fn),
+      done = result.then(null, function() {});
+
+    pending[this.dir] = done;
+
+    done.then(function() {
+      if (pending[this.dir] === done) {
+        delete pending[this.dir];
+      }
+    }.bind(this));
+
+    return result;
+  };
+
+  SnapshotStore.prototype._create = function(files, info) {
+    var now = new Date(),
+      id = now.toISOString().replace(/[:.]/g, '-') + '-' + crypto.randomBytes(3).toString('hex');
+
+    var manifest = {
+      id: id,
+      created: now.getTime(),
+      reason: (info && info.reason) || 'manual',
+      source: (info && info.source) || 'local',
+      files: {}
+    };
+
+    return files.reduce(function(promise, item) {
+      return promise.then(
+        function() {
+          return item.data ? Q.resolve(item.data) : Q.nfcall(fs.readFile, item.file);
+        }
+      ).then(
+        function(data) {
+          return this._storeObject(data).then(
+            function(hash) {
+              manifest.files[item.path] = {
+                hash: hash,
+                size: data.length
+              };
+            }
+          );
+        }.bind(this)
+      );
+    }.bind(this), Q.resolve())
+    .then(
+      function() {
+        shell.mkdir('-p', this.manifestsDir);
+        return Q.nfcall(fs.writeFile, this._manifestFile(id), JSON.stringify(manifest));
+      }.bind(this)
+    )
+    .then(
+      function() {
+        return this._prune(id, now.getTime());
+      }.bind(this)
+    )
+    .then(
+      function() {
+        return this._summary(manifest);
+      }.bind(this),
+      function(error) {
+        return Q.reject(errors.from(error));
+      }
+    );
+  };
+
+  SnapshotStore.prototype._summary = function(manifest) {
+    var keys = Object.keys(manifest.files);
+
+    return {
+      id: manifest.id,
+      created: new Date(manifest.created),
+      reason: manifest.reason,
+      source: manifest.source,
+      files: keys.sort(),
+      size: keys.reduce(function(size, key) {
+        return size + manifest.files[key].size;
+      }, 0)
+    };
+  };
+
+  SnapshotStore.prototype._manifests = function() {
+    var names;
+
+    try {
+      names = fs.readdirSync(this.manifestsDir);
+    } catch (e) {
+      return [];
+    }
+
+    return names.filter(function(name) {
+      return /\.json$/.test(name);
+    }).map(function(name) {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(this.manifestsDir, name), 'utf8'));
+      } catch (e) {
+        return null;
+      }
+    }.bind(this)).filter(function(manifest) {
+      return manifest && manifest.id && manifest.files;
+    }).sort(function(a, b) {
+      return b.created - a.created;
+    });
+  };
+
+  /**
+   * @description
+   *   Lists the snapshots, newest first.
+   */
+  SnapshotStore.prototype.list = function() {
+    try {
+      return Q.resolve(this._manifests().map(this._summary.bind(this)));
+    } catch (error) {
+      return Q.reject(errors.from(error));
+    }
+  };
+
+  /**
+   * @description
+   *   Writes the files of a snapshot back into the project.
+   * @param {string} id - Snapshot ID.
+   * @param {string[]} [keys] - Only restore these files.
+   * @return {Promise} - Resolves to the restored paths.
+   */
+  SnapshotStore.prototype.restore = function(id, keys) {
+    var manifest;
+
+    try {
+      manifest = JSON.parse(fs.readFileSync(this._manifestFile(id), 'utf8'));
+    } catch (error) {
+      return Q.reject(error instanceof errors.ValidationError ? error : new errors.ValidationError('No such snapshot: ' + id, { cause: error }));
+    }
+
+    keys = keys || Object.keys(manifest.files);
+
+    for (var i = 0; i < keys.length; i++) {
+      if (!manifest.files.hasOwnProperty(keys[i])) {
+        return Q.reject(new errors.ValidationError('Snapshot ' + id + ' doesn\'t contain ' + keys[i]));
+      }
+    }
+
+    return keys.sort().reduce(function(promise, key) {
+      return promise.then(
+        function() {
+          return this._readObject(manifest.files[key].hash);
+        }.bind(this)
+      ).then(
+        function(data) {
+          var file = path.join(this.projectDir, key.substr(1));
+
+          shell.mkdir('-p', path.dirname(file));
+          return Q.nfcall(fs.writeFile, file, data);
+        }.bind(this)
+      );
+    }.bind(this), Q.resolve())
+    .then(
+      function() {
+        return keys;
+      },
+      function(error) {
+        return Q.reject(errors.from(error));
+      }
+    );
+  };
+
+  /**
+   * @description
+   *   Removes snapshots according to the retention policy and the
+   *   contents no snapshot refers to anymore.
+   * @param {string} [keepId] - Snapshot that is never removed.
+   */
+  SnapshotStore.prototype.prune = function(keepId) {
+    return this._serialize(function() {
+      return this._prune(keepId, Date.now());
+    }.bind(this));
+  };
+
+  // Contents stored since the run started may belong to a snapshot another process is creating.
+  SnapshotStore.prototype._prune = function(keepId, since) {
+    try {
+      var maxAge = this.retention.maxAge * 24 * 60 * 60 * 1000,
+        now = Date.now(),
+        kept = 0,
+        used = {};
+
+      this._manifests().forEach(function(manifest) {
+        var keep = manifest.id === keepId ||
+          (kept < this.retention.keep && now - manifest.created <= maxAge);
+
+        if (keep) {
+          kept++;
+          Object.keys(manifest.files).forEach(function(key) {
+            used[manifest.files[key].hash] = true;
+          });
+        } else {
+          fs.unlinkSync(this._manifestFile(manifest.id));
+        }
+      }.bind(this));
+
+      this._collectGarbage(used, since);
+
+      return Q.resolve();
+    } catch (error) {
+      return Q.reject(errors.from(error));
+    }
+  };
+
+  SnapshotStore.prototype._collectGarbage = function(used, since) {
+    var dirs;
+
+    try {
+      dirs = fs.readdirSync(this.objectsDir);
+    } catch (e) {
+      return;
+    }
+
+    dirs.forEach(function(prefix) {
+      var dir = path.join(this.objectsDir, prefix);
+
+      fs.readdirSync(dir).forEach(function(name) {
+        var file = path.join(dir, name),
+          hash = prefix + name.replace(/\.gz$/, '');
+
+        // Contents being written are left alone.
+        if (used[hash] || /\.tmp$/.test(name)) {
+          return;
+        }
+
+        try {
+          if (fs.statSync(file).mtime.getTime() < since) {
+            fs.unlinkSync(file);
+          }
+        } catch (e) {
+          if (e.code !== 'ENOENT') {
+            throw e;
+          }
+        }
+      });
+
+      try {
+        if (fs.readdirSync(dir).length === 0) {
+          fs.rmdirSync(dir);
+        }
+      } catch (e) {
+        // Another process is storing contents in it.
+        if (e.code !== 'ENOENT' && e.code !== 'ENOTEMPTY') {
+          throw e;
+        }
+      }
+    }.bind(this));
+  };
+
+  SnapshotStore.SNAPSHOTS_DIR = SNAPSHOTS_DIR;
+  SnapshotStore.DEFAULT_RETENTION = DEFAULT_RETENTION;
+
+  module.exports = SnapshotStore;
+})();
@@ -0,0 +1,173 @@
+(function() {
+  'use strict';
+
+  /**
+   * Keeps the hashes every file had when it was last synced in
+   * project_dir/.monaca/sync_baseline.json
+   * so local and remote changes can be told apart.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    contentHash = require(path.join(__dirname, 'contentHash')),
+    errors = require(path.join(__dirname, 'errors'));
+
+  var BASELINE_FILE = path.join('.monaca', 'sync_baseline.json');
+
+  /**
+   * @class SyncBaseline
+   * @description
+   *   Last synced state of a project.
+   * @param {string} projectDir - Project directory.
+   * @param {string} projectId - Monaca project ID the baseline belongs to.
+   */
+  var SyncBaseline = function(projectDir, projectId) {
+    this.file = path.join(projectDir, BASELINE_FILE);
+    this.projectId = projectId;
+    this.data = this._load();
+  };
+
+  SyncBaseline.prototype._load = function() {
+    var data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      data = null;
+    }
+
+    // The baseline of another project says nothing about this one.
+    if (!data || data.projectId !== this.projectId || typeof data.files !== 'object') {
+      data = {
+        projectId: this.projectId,
+        files: {}
+      };
+    }
+
+    if (!Array.isArray(data.sidecars)) {
+      data.sidecars = [];
+    }
+
+    if (!Array.isArray(data.unresolved)) {
+      data.unresolved = [];
+    }
+
+    return data;
+  };
+
+  SyncBaseline.prototype.get = function(key) {
+    return this.data.files[key];
+  };
+
+  /**
+   * @description
+   *   Stores the hashes of a tree object, e.g. <code>{ hash, sha256 }</code>.
+   *   Older baselines store the crc32 hash as a plain string.
+   */
+  SyncBaseline.prototype.set = function(key, entry) {
+    this.data.files[key] = contentHash.pick(entry);
+  };
+
+  SyncBaseline.prototype.remove = function(key) {
+    delete this.data.files[key];
+  };
+
+  SyncBaseline.prototype.keys = function() {
+    return Object.keys(this.data.files);
+  };
+
+  /**
+   * @description
+   *   Sidecar files written next to a conflicting file. They are never synced.
+   */
+  SyncBaseline.prototype.addSidecar = function(key) {
+    if (this.data.sidecars.indexOf(key) < 0) {
+      this.data.sidecars.push(key);
+    }
+  };
+
+  SyncBaseline.prototype.isSidecar = function(key) {
+    return this.data.sidecars.indexOf(key) >= 0;
+  };
+
+  /**
+   * @description
+   *   Forgets sidecar files the user has removed.
+   * @param {object} localFiles - Local file tree.
+   */
+  SyncBaseline.prototype.pruneSidecars = function(localFiles) {
+    this.data.sidecars = this.data.sidecars.filter(function(key) {
+      return localFiles.hasOwnProperty(key);
+    });
+  };
+
+  /**
+   * @description
+   *   Files merged with conflict markers. They are not uploaded until the user resolved them.
+   */
+  SyncBaseline.prototype.addUnresolved = function(key) {
+    if (this.data.unresolved.indexOf(key) < 0) {
+      this.data.unresolved.push(key);
+    }
+  };
+
+  SyncBaseline.prototype.isUnresolved = function(key) {
+    return this.data.unresolved.indexOf(key) >= 0;
+  };
+
+  SyncBaseline.prototype.removeUnresolved = function(key) {
+    this.data.unresolved = this.data.unresolved.filter(function(unresolved) {
+      return unresolved !== key;
+    });
+  };
+
+  /**
+   * @description
+   *   Marks every file whose local and remote hash match as synced.
+   * @param {object} localFiles - Local file tree.
+   * @param {object} remoteFiles - Remote file tree.
+   */
+  SyncBaseline.prototype.update = function(localFiles, remoteFiles) {
+    Object.keys(localFiles).forEach(function(key) {
+      var local = localFiles[key],
+        remote = remoteFiles[key];
+
+      if (local.type === 'file' && remote && remote.type === 'file' && contentHash.sameContent(local, remote)) {
+        this.set(key, local);
+      }
+    }.bind(this));
+  };
+
+  SyncBaseline.prototype.save = function() {
+    var deferred = Q.defer(),
+      tmpFile = this.file + '.tmp';
+
+    try {
+      shell.mkdir('-p', path.dirname(this.file));
+    } catch (e) {
+      return Q.reject(errors.from(e));
+    }
+
+    fs.writeFile(tmpFile, JSON.stringify(this.data), function(error) {
+      if (error) {
+        return deferred.reject(errors.from(error));
+      }
+
+      fs.rename(tmpFile, this.file, function(error) {
+        if (error) {
+          deferred.reject(errors.from(error));
+        } else {
+          deferred.resolve();
+        }
+      });
+    }.bind(this));
+
+    return deferred.promise;
+  };
+
+  SyncBaseline.BASELINE_FILE = BASELINE_FILE;
+
+  module.exports = SyncBaseline;
+})();
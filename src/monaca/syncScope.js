@@ -0,0 +1,191 @@
+(function() {
+  'use strict';
+
+  /**
+   * Decides which files are synced with Monaca Cloud in each direction.
+   *
+   * The scope is read from the "sync" section of
+   * project_dir/.monaca/project_info.json:
+   *
+   *   "sync": {
+   *     "upload": { "include": ["public/**"], "exclude": ["**\/*.map"] },
+   *     "download": { "include": ["public/**"] }
+   *   }
+   *
+   * The globs are added to the default ones unless "defaults" is set to
+   * false for a direction. A file is synced if it matches an include glob,
+   * isn't excluded and isn't ignored by .monacaignore. Exclude globs are
+   * checked in order and the last match wins, so a glob starting with "!"
+   * includes an excluded file again.
+   *
+   * By default every remote file is downloaded, but a local file missing on
+   * Monaca Cloud is only deleted when it is in the scope of both directions.
+   */
+
+  var path = require('path'),
+    minimatch = require('minimatch'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  var DIRECTIONS = ['upload', 'download'];
+
+  var DEFAULT_INCLUDE = [
+    '.monaca/project_info.json',
+    '.monaca/android/AndroidManifest.xml',
+    '.monaca/ios/MonacaApp-Info.plist',
+
+    // Config files.
+    '**/*config.*',
+    '**/*.json',
+
+    // Platform specific files.
+    'platforms/ios/MonacaApp-Info.plist',
+    'platforms/ios/MonacaApp/Resources/icons/icon*.png',
+    'platforms/ios/MonacaApp/Resources/splash/Default*.png',
+    'platforms/android/AndroidManifest.xml',
+    'platforms/android/res/drawable*/icon.png',
+    'platforms/android/res/drawable*/screen*.png',
+    'platforms/chrome/*',
+    'platforms/winrt/*',
+
+    // Project folders.
+    'www', 'www/**',
+    'merges', 'merges/**',
+    'plugins', 'plugins/**',
+    'src', 'src/**',
+    'typings', 'typings/**',
+    'res', 'res/**'
+  ];
+
+  var DEFAULTS = {
+    upload: {
+      include: DEFAULT_INCLUDE,
+      exclude: [
+        // Hidden files and folders are not uploaded.
+        '**/.*',
+        '**/.*/**',
+        '!**/.bower.json',
+        '!.monaca/project_info.json',
+        '!.monaca/android/AndroidManifest.xml',
+        '!.monaca/ios/MonacaApp-Info.plist'
+      ]
+    },
+    download: {
+      include: ['**'],
+      exclude: []
+    }
+  };
+
+  var toArray = function(value) {
+    if (typeof value === 'undefined' || value === null) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  };
+
+  var match = function(file, pattern) {
+    return minimatch(file, pattern, { dot: true });
+  };
+
+  /**
+   * @class SyncScope
+   * @description
+   *   Resolved sync scope of a project.
+   * @param {object} [config] - The "sync" section of project_info.json.
+   * @param {IgnoreMatcher} [ignoreMatcher] - Rules of the .monacaignore files.
+   */
+  var SyncScope = function(config, ignoreMatcher) {
+    config = config || {};
+
+    this.ignoreMatcher = ignoreMatcher || null;
+    this.rules = {};
+
+    DIRECTIONS.forEach(function(direction) {
+      var custom = config[direction] || {},
+        useDefaults = custom.defaults !== false;
+
+      ['include', 'exclude'].forEach(function(type) {
+        var patterns = toArray(custom[type]);
+
+        patterns.forEach(function(pattern) {
+          if (typeof pattern !== 'string') {
+            throw new errors.ValidationError('Invalid sync ' + direction + ' ' + type + ' glob: ' + JSON.stringify(pattern));
+          }
+        });
+
+        this.rules[direction] = this.rules[direction] || {};
+        this.rules[direction][type] = (useDefaults ? DEFAULTS[direction][type] : []).concat(patterns);
+      }.bind(this));
+    }.bind(this));
+  };
+
+  /**
+   * @description
+   *   Decides whether a file is synced in a direction.
+   * @param {string} direction - "upload" or "download".
+   * @param {string} file - Path relative to the project directory, with or without a leading slash.
+   * @param {boolean} [isDir] - Whether the path is a directory.
+   * @return {object} - <code>{ synced, reason, rule }</code>. <code>reason</code> is one of
+   *   "include", "exclude", "ignore" or "not-included".
+   */
+  SyncScope.prototype.decide = function(direction, file, isDir) {
+    var rules = this.rules[direction];
+
+    if (!rules) {
+      throw new errors.ValidationError('Unknown sync direction: ' + direction);
+    }
+
+    file = file.replace(/^\/+/, '');
+
+    var include = null;
+    for (var i = 0; i < rules.include.length; i++) {
+      if (match(file, rules.include[i])) {
+        include = rules.include[i];
+        break;
+      }
+    }
+
+    if (!include) {
+      return { synced: false, reason: 'not-included', rule: null };
+    }
+
+    var exclude = null;
+    for (var j = 0; j < rules.exclude.length; j++) {
+      var pattern = rules.exclude[j],
+        negated = pattern.charAt(0) === '!';
+
+      if (match(file, negated ? pattern.substr(1) : pattern)) {
+        exclude = negated ? null : pattern;
+      }
+    }
+
+    if (exclude) {
+      return { synced: false, reason: 'exclude', rule: exclude };
+    }
+
+    if (this.ignoreMatcher) {
+      var ignored = this.ignoreMatcher.explain(file, isDir);
+
+      if (ignored.ignored) {
+        return {
+          synced: false,
+          reason: 'ignore',
+          rule: ignored.rule.source + ':' + ignored.rule.line + ' ' + ignored.rule.pattern
+        };
+      }
+    }
+
+    return { synced: true, reason: 'include', rule: include };
+  };
+
+  /**
+   * @description
+   *   Returns true if a file is synced in a direction.
+   */
+  SyncScope.prototype.isSynced = function(direction, file, isDir) {
+    return this.decide(direction, file, isDir).synced;
+  };
+
+  SyncScope.DEFAULTS = DEFAULTS;
+
+  module.exports = SyncScope;
+})();
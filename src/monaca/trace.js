@@ -0,0 +1,181 @@
+(function() {
+  'use strict';
+
+  /**
+   * Trace of the requests sent to Monaca Cloud, kept in a ring buffer so
+   * users can attach it to bug reports. Tokens, sessions and passwords are
+   * redacted before anything is recorded.
+   */
+
+  var url = require('url'),
+    http = require('http');
+
+  var DEFAULT_SIZE = 200;
+
+  // Query parameters and headers whose values are never recorded.
+  var SECRET = /token|session|password|secret|cookie|authorization|signature|key/i;
+
+  var REDACTED = 'REDACTED';
+
+  /**
+   * @description
+   *   URL with its credentials and secret query parameters redacted.
+   * @param {string} target - URL.
+   * @return {string}
+   */
+  var redactUrl = function(target) {
+    var parsed = url.parse(target, true);
+
+    if (parsed.auth) {
+      parsed.auth = REDACTED;
+    }
+
+    Object.keys(parsed.query).forEach(function(name) {
+      if (SECRET.test(name)) {
+        parsed.query[name] = REDACTED;
+      }
+    });
+
+    parsed.search = null;
+
+    return url.format(parsed);
+  };
+
+  var redactHeaders = function(headers) {
+    var result = {};
+
+    Object.keys(headers || {}).forEach(function(name) {
+      result[name] = SECRET.test(name) ? REDACTED : headers[name];
+    });
+
+    return result;
+  };
+
+  var nameValues = function(object) {
+    return Object.keys(object || {}).map(function(name) {
+      return {
+        name: name,
+        value: String(object[name])
+      };
+    });
+  };
+
+  /**
+   * @class TraceBuffer
+   * @description
+   *   Ring buffer of request traces.
+   * @param {number} [size] - Number of traces kept. Defaults to 200.
+   */
+  var TraceBuffer = function(size) {
+    this.size = size || DEFAULT_SIZE;
+    this._entries = [];
+    this._nextId = 1;
+  };
+
+  /**
+   * @description
+   *   Records a request, dropping the oldest one when the buffer is full.
+   * @param {object} entry - <code>{ startedAt, method, url, status, time, retries, requestBytes,
+   *   responseBytes, responseHeaders, error }</code>. The URL and headers are redacted here.
+   * @return {object} - The recorded entry, with its id.
+   */
+  TraceBuffer.prototype.add = function(entry) {
+    var recorded = {
+      id: this._nextId++,
+      startedAt: new Date(entry.startedAt).toISOString(),
+      method: entry.method,
+      url: redactUrl(entry.url),
+      status: entry.status || null,
+      time: entry.time,
+      retries: entry.retries || 0,
+      requestBytes: entry.requestBytes || 0,
+      responseBytes: entry.responseBytes || 0,
+      responseHeaders: redactHeaders(entry.responseHeaders),
+      error: entry.error ? {
+        name: entry.error.name,
+        code: entry.error.code,
+        message: entry.error.message
+      } : null
+    };
+
+    this._entries.push(recorded);
+
+    if (this._entries.length > this.size) {
+      this._entries.splice(0, this._entries.length - this.size);
+    }
+
+    return recorded;
+  };
+
+  /**
+   * @description
+   *   Recorded requests, oldest first.
+   * @return {object[]}
+   */
+  TraceBuffer.prototype.list = function() {
+    return this._entries.slice();
+  };
+
+  TraceBuffer.prototype.clear = function() {
+    this._entries = [];
+  };
+
+  /**
+   * @description
+   *   The recorded requests as a HAR 1.2 log.
+   * @param {object} creator - <code>{ name, version }</code> of the application.
+   * @return {object}
+   */
+  TraceBuffer.prototype.toHar = function(creator) {
+    return {
+      log: {
+        version: '1.2',
+        creator: creator,
+        entries: this._entries.map(function(entry) {
+          var headers = entry.responseHeaders;
+
+          return {
+            startedDateTime: entry.startedAt,
+            time: entry.time,
+            request: {
+              method: entry.method,
+              url: entry.url,
+              httpVersion: 'HTTP/1.1',
+              cookies: [],
+              headers: [],
+              queryString: nameValues(url.parse(entry.url, true).query),
+              headersSize: -1,
+              bodySize: entry.requestBytes
+            },
+            response: {
+              status: entry.status || 0,
+              statusText: (entry.status && http.STATUS_CODES[entry.status]) || '',
+              httpVersion: 'HTTP/1.1',
+              cookies: [],
+              headers: nameValues(headers),
+              content: {
+                size: entry.responseBytes,
+                mimeType: headers['content-type'] || ''
+              },
+              redirectURL: '',
+              headersSize: -1,
+              bodySize: entry.responseBytes,
+              _error: entry.error
+            },
+            cache: {},
+            timings: {
+              send: 0,
+              wait: entry.time,
+              receive: 0
+            },
+            _retries: entry.retries
+          };
+        })
+      }
+    };
+  };
+
+  TraceBuffer.redactUrl = redactUrl;
+
+  module.exports = TraceBuffer;
+})();
@@ -0,0 +1,166 @@
+(function() {
+  'use strict';
+
+  /**
+   * Keeps track of chunked uploads in
+   * project_dir/.monaca/upload_journal.json
+   * so an interrupted upload can be resumed.
+   */
+
+  var fs = require('fs'),
+    path = require('path'),
+    shell = require('shelljs'),
+    Q = require('q'),
+    errors = require(path.join(__dirname, 'errors'));
+
+  var JOURNAL_FILE = path.join('.monaca', 'upload_journal.json');
+
+  /**
+   * @class UploadJournal
+   * @description
+   *   Persisted per-project record of files that are being uploaded.
+   * @param {string} projectDir - Project directory.
+   * @param {string} projectId - Monaca project ID the journal belongs to.
+   */
+  var UploadJournal = function(projectDir, projectId) {
+    this.file = path.join(projectDir, JOURNAL_FILE);
+    this.projectId = projectId;
+    this._saving = Q.resolve();
+    this.data = this._load();
+  };
+
+  UploadJournal.prototype._load = function() {
+    var data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      data = null;
+    }
+
+    // A journal written for another project cannot be resumed.
+    if (!data || data.projectId !== this.projectId || typeof data.files !== 'object') {
+      data = {
+        projectId: this.projectId,
+        files: {}
+      };
+    }
+
+    return data;
+  };
+
+  /**
+   * Saves are chained so concurrent uploads never write the file at the same time.
+   */
+  UploadJournal.prototype.save = function() {
+    this._saving = this._saving.then(
+      function() {
+        var deferred = Q.defer(),
+          tmpFile = this.file + '.tmp',
+          jsonData = JSON.stringify(this.data);
+
+        try {
+          shell.mkdir('-p', path.dirname(this.file));
+        } catch (e) {
+          return Q.reject(errors.from(e));
+        }
+
+        fs.writeFile(tmpFile, jsonData, function(error) {
+          if (error) {
+            return deferred.reject(errors.from(error));
+          }
+
+          fs.rename(tmpFile, this.file, function(error) {
+            if (error) {
+              deferred.reject(errors.from(error));
+            } else {
+              deferred.resolve();
+            }
+          });
+        }.bind(this));
+
+        return deferred.promise;
+      }.bind(this)
+    );
+
+    // A failed save must not block the following ones.
+    var saving = this._saving;
+    this._saving = saving.catch(function() {});
+
+    return saving;
+  };
+
+  UploadJournal.prototype.get = function(key) {
+    return this.data.files[key];
+  };
+
+  /**
+   * @description
+   *   Returns true if the file has already been uploaded with the same content.
+   */
+  UploadJournal.prototype.isDone = function(key, hash) {
+    var entry = this.get(key);
+    return !!entry && entry.done === true && entry.hash === hash;
+  };
+
+  UploadJournal.prototype.begin = function(key, info) {
+    this.data.files[key] = {
+      hash: info.hash,
+      size: info.size,
+      chunkSize: info.chunkSize,
+      uploadId: info.uploadId,
+      uploadedBytes: 0,
+      done: false
+    };
+
+    return this.save();
+  };
+
+  UploadJournal.prototype.progress = function(key, uploadedBytes) {
+    var entry = this.get(key);
+
+    if (!entry) {
+      return Q.resolve();
+    }
+
+    entry.uploadedBytes = uploadedBytes;
+    return this.save();
+  };
+
+  UploadJournal.prototype.complete = function(key, hash) {
+    this.data.files[key] = {
+      hash: hash,
+      done: true
+    };
+
+    return this.save();
+  };
+
+  /**
+   * @description
+   *   Removes the journal file. Called once every file has been uploaded.
+   */
+  UploadJournal.prototype.clear = function() {
+    this.data.files = {};
+
+    return this._saving.then(
+      function() {
+        var deferred = Q.defer();
+
+        fs.unlink(this.file, function(error) {
+          if (error && error.code !== 'ENOENT') {
+            deferred.reject(errors.from(error));
+          } else {
+            deferred.resolve();
+          }
+        });
+
+        return deferred.promise;
+      }.bind(this)
+    );
+  };
+
+  UploadJournal.JOURNAL_FILE = JOURNAL_FILE;
+
+  module.exports = UploadJournal;
+})();